@@ -20,9 +20,28 @@ const css = fs.readFileSync(cssPath, 'utf8');
 console.log('Reading JavaScript files...');
 const jsFiles = [
     'FormatHandler.js',
+    'LineSplitter.js',
+    'JSONStreamParser.js',
+    'StreamWorker.js',
+    'StreamParser.js',
+    'KeypointSkeleton.js',
+    'XMLText.js',
+    'Geometry.js',
     'YOLOHandler.js',
     'COCOHandler.js',
     'NDJSONHandler.js',
+    'VOCHandler.js',
+    'CVATHandler.js',
+    'LabelMeHandler.js',
+    'CreateMLHandler.js',
+    'KITTIHandler.js',
+    'CSVHandler.js',
+    'LabelStudioHandler.js',
+    'VIAHandler.js',
+    'DOTAHandler.js',
+    'MOTHandler.js',
+    'FormatRegistry.js',
+    'PredictionLoader.js',
     'AnnotationStore.js',
     'FileManager.js',
     'ImageCanvas.js',
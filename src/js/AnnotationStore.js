@@ -12,20 +12,30 @@ class AnnotationStore {
             images: new Map(),
             boxes: new Map(),
             classes: [],
+            skeletons: [],
             currentImageId: null,
             selectedBoxId: null,
+            predictions: new Map(), // imageId -> read-only predicted boxes with a score
+            confidenceThreshold: 0.25,
+            selectedPredictionId: null,
             currentClassId: 0,
             zoom: 1.0,
             panX: 0,
             panY: 0,
             showBoxes: true,
+            orientedBoxes: false,
+            tracking: false,
+            frames: new Map(), // imageId -> frame number (tracking sequences)
             currentImageModified: false
         };
 
         this.listeners = new Map();
         this.nextBoxId = 1;
         this.nextImageId = 1;
+        this.nextTrackId = 1;
+        this.nextPredictionId = 1;
         this.savedBoxesState = null; // Stores original boxes for current image
+        this.savedPredictionsState = null; // Stores original predictions for current image
     }
 
     /**
@@ -45,6 +55,26 @@ class AnnotationStore {
         this.notify('format', format);
     }
 
+    /**
+     * Enable or disable rotated box editing
+     * @param {boolean} enabled - True if the dataset uses oriented boxes
+     */
+    setOrientedBoxes(enabled) {
+        this.state.orientedBoxes = enabled;
+        this.notify('orientedBoxes', enabled);
+    }
+
+    /**
+     * Enable or disable track IDs (new boxes get the next free track ID)
+     * @param {boolean} enabled - True if the dataset is a tracking sequence
+     * @param {Map} frames - imageId -> frame number of the sequence's images
+     */
+    setTracking(enabled, frames = new Map()) {
+        this.state.tracking = enabled;
+        this.state.frames = frames;
+        this.notify('tracking', enabled);
+    }
+
     /**
      * Set folder handle
      * @param {FileSystemDirectoryHandle} handle - Folder handle
@@ -98,7 +128,8 @@ class AnnotationStore {
      * @returns {string} Box ID
      */
     addBox(boxData) {
-        const id = boxData.id || `box_${this.nextBoxId++}`;
+        // Keys are always our own: IDs from annotation files can repeat across files (see annotationId)
+        const id = `box_${this.nextBoxId++}`;
         const box = {
             id,
             classId: boxData.classId,
@@ -109,6 +140,51 @@ class AnnotationStore {
             imageId: boxData.imageId
         };
 
+        // Polygon shapes keep their vertices; x/y/width/height is their bounding box
+        if (boxData.shape === 'polygon') {
+            box.shape = 'polygon';
+            box.points = boxData.points.map(point => ({ x: point.x, y: point.y }));
+        }
+
+        // Pose shapes keep their keypoints (v: 0 unlabeled, 1 occluded, 2 visible); x/y/width/height is the box
+        if (boxData.shape === 'keypoints') {
+            box.shape = 'keypoints';
+            box.keypoints = boxData.keypoints.map(point => ({ x: point.x, y: point.y, v: point.v }));
+        }
+
+        // Read-only segmentation overlay (COCO multi-polygon or RLE), shared not copied
+        if (boxData.mask) {
+            box.mask = boxData.mask;
+        }
+
+        // Rotation in radians around the box center (oriented boxes only)
+        if (boxData.angle !== undefined) {
+            box.angle = boxData.angle;
+        }
+
+        // ID of the annotation in the file it came from (e.g. COCO), written back on save
+        if (boxData.annotationId !== undefined) {
+            box.annotationId = boxData.annotationId;
+        }
+
+        // Record the box was loaded from in its annotation file (see FormatHandler.getOrigin)
+        if (boxData.origin !== undefined) {
+            box.origin = boxData.origin;
+        }
+
+        // Persistent object identity across frames (tracking formats only)
+        if (boxData.trackId !== undefined) {
+            box.trackId = boxData.trackId;
+            this.nextTrackId = Math.max(this.nextTrackId, boxData.trackId + 1);
+        } else if (this.state.tracking) {
+            box.trackId = this.nextTrackId++;
+        }
+
+        // Format-specific per-box data (e.g. VOC difficult/truncated flags)
+        if (boxData.attributes) {
+            box.attributes = { ...boxData.attributes };
+        }
+
         this.state.boxes.set(id, box);
 
         // Add box reference to image
@@ -134,10 +210,35 @@ class AnnotationStore {
         if (!box) return;
 
         Object.assign(box, updates);
+
+        // Keep a polygon's bounding box in sync with its vertices
+        if (updates.points) {
+            Object.assign(box, this.getPointsBounds(updates.points));
+        }
+
         this.markImageModified(box.imageId);
         this.notify('boxes', this.state.boxes);
     }
 
+    /**
+     * Get the bounding box of a list of points
+     * @param {Array} points - Array of {x, y}
+     * @returns {Object} {x, y, width, height}
+     */
+    getPointsBounds(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+
+        return {
+            x,
+            y,
+            width: Math.max(...xs) - x,
+            height: Math.max(...ys) - y
+        };
+    }
+
     /**
      * Delete a box
      * @param {string} boxId - Box ID
@@ -215,6 +316,146 @@ class AnnotationStore {
         return this.state.classes;
     }
 
+    /**
+     * Set the keypoint skeletons of all classes
+     * @param {Array} skeletons - Array indexed by class ID of {keypoints: string[], skeleton: [from, to][]} or null
+     */
+    setSkeletons(skeletons) {
+        this.state.skeletons = skeletons;
+        this.notify('skeletons', skeletons);
+    }
+
+    /**
+     * Set the keypoint skeleton of a class
+     * @param {number} classId - Class ID
+     * @param {Object|null} skeleton - {keypoints: string[], skeleton: [from, to][]} (0-based indexes), or null for plain boxes
+     */
+    setSkeleton(classId, skeleton) {
+        this.state.skeletons[classId] = skeleton;
+        this.notify('skeletons', this.state.skeletons);
+    }
+
+    /**
+     * Get the keypoint skeleton of a class
+     * @param {number} classId - Class ID
+     * @returns {Object|null} {keypoints, skeleton} or null if the class has no keypoints
+     */
+    getSkeleton(classId) {
+        return this.state.skeletons[classId] || null;
+    }
+
+    /**
+     * Replace the predictions layer
+     * @param {Map} predictions - imageId -> [{classId, x, y, width, height, score}]
+     */
+    setPredictions(predictions) {
+        this.state.predictions = new Map();
+        predictions.forEach((items, imageId) => {
+            this.state.predictions.set(imageId, items.map(item => ({ ...item, id: `pred_${this.nextPredictionId++}` })));
+        });
+        this.state.selectedPredictionId = null;
+        this.savedPredictionsState = this.state.predictions.get(this.state.currentImageId) || null;
+        this.notify('predictions', this.state.predictions);
+    }
+
+    /**
+     * Check whether predictions are loaded
+     * @returns {boolean} True if any image has predictions
+     */
+    hasPredictions() {
+        return this.state.predictions.size > 0;
+    }
+
+    /**
+     * Get the predictions of an image at or above the confidence threshold
+     * @param {string} imageId - Image ID
+     * @param {boolean} all - True to include the ones below the threshold
+     * @returns {Array} Array of prediction objects
+     */
+    getPredictionsForImage(imageId, all = false) {
+        const predictions = this.state.predictions.get(imageId) || [];
+        return all ? predictions : predictions.filter(item => item.score >= this.state.confidenceThreshold);
+    }
+
+    /**
+     * Set the lowest confidence shown
+     * @param {number} threshold - Confidence from 0 to 1
+     */
+    setConfidenceThreshold(threshold) {
+        this.state.confidenceThreshold = threshold;
+        const selected = this.getSelectedPrediction();
+        if (selected && selected.score < threshold) {
+            this.setSelectedPrediction(null);
+        }
+        this.notify('confidenceThreshold', threshold);
+    }
+
+    /**
+     * Set selected prediction (deselects any box)
+     * @param {string|null} predictionId - Prediction ID or null
+     */
+    setSelectedPrediction(predictionId) {
+        this.state.selectedPredictionId = predictionId;
+        if (predictionId) {
+            this.setSelectedBox(null);
+        }
+        this.notify('selectedPrediction', predictionId);
+    }
+
+    /**
+     * Get selected prediction of the current image
+     * @returns {Object|null} Prediction object
+     */
+    getSelectedPrediction() {
+        const predictions = this.getPredictionsForImage(this.state.currentImageId, true);
+        return predictions.find(item => item.id === this.state.selectedPredictionId) || null;
+    }
+
+    /**
+     * Accept a prediction of the current image: copy it into the annotations as a box
+     * @param {string} predictionId - Prediction ID
+     * @returns {string|null} ID of the new box, or null if the prediction wasn't found
+     */
+    acceptPrediction(predictionId) {
+        const imageId = this.state.currentImageId;
+        const prediction = this.getPredictionsForImage(imageId, true).find(item => item.id === predictionId);
+        if (!prediction) return null;
+
+        const { id, score, ...box } = prediction;
+        this.removePrediction(imageId, predictionId);
+        return this.addBox({ ...box, imageId });
+    }
+
+    /**
+     * Reject a prediction of the current image: remove it from the layer
+     * @param {string} predictionId - Prediction ID
+     */
+    rejectPrediction(predictionId) {
+        this.removePrediction(this.state.currentImageId, predictionId);
+    }
+
+    /**
+     * Remove a prediction (the image's list is replaced, so saved states stay intact)
+     * @param {string} imageId - Image ID
+     * @param {string} predictionId - Prediction ID
+     */
+    removePrediction(imageId, predictionId) {
+        const predictions = this.state.predictions.get(imageId) || [];
+        this.state.predictions.set(imageId, predictions.filter(item => item.id !== predictionId));
+        if (this.state.selectedPredictionId === predictionId) {
+            this.state.selectedPredictionId = null;
+            this.notify('selectedPrediction', null);
+        }
+        this.notify('predictions', this.state.predictions);
+    }
+
+    /**
+     * Remove all predictions
+     */
+    clearPredictions() {
+        this.setPredictions(new Map());
+    }
+
     /**
      * Set current image
      * @param {string} imageId - Image ID
@@ -227,6 +468,7 @@ class AnnotationStore {
 
         this.state.currentImageId = imageId;
         this.state.selectedBoxId = null;
+        this.state.selectedPredictionId = null;
         this.state.currentImageModified = false;
 
         // Save the current state of boxes for this image
@@ -245,11 +487,15 @@ class AnnotationStore {
     }
 
     /**
-     * Set selected box
+     * Set selected box (deselects any prediction)
      * @param {string|null} boxId - Box ID or null
      */
     setSelectedBox(boxId) {
         this.state.selectedBoxId = boxId;
+        if (boxId && this.state.selectedPredictionId) {
+            this.state.selectedPredictionId = null;
+            this.notify('selectedPrediction', null);
+        }
         this.notify('selectedBox', boxId);
     }
 
@@ -335,12 +581,20 @@ class AnnotationStore {
         this.state.images.clear();
         this.state.boxes.clear();
         this.state.classes = [];
+        this.state.skeletons = [];
         this.state.currentImageId = null;
         this.state.selectedBoxId = null;
+        this.state.predictions = new Map();
+        this.state.selectedPredictionId = null;
+        this.state.orientedBoxes = false;
+        this.state.tracking = false;
+        this.state.frames = new Map();
         this.state.currentImageModified = false;
         this.savedBoxesState = null;
+        this.savedPredictionsState = null;
         this.nextBoxId = 1;
         this.nextImageId = 1;
+        this.nextTrackId = 1;
         this.notify('clear', null);
     }
 
@@ -348,6 +602,9 @@ class AnnotationStore {
      * Save current image state for potential rollback
      */
     saveCurrentImageState() {
+        // Accepted predictions come back if the box they became is discarded
+        this.savedPredictionsState = this.state.predictions.get(this.state.currentImageId) || null;
+
         if (!this.state.currentImageId) {
             this.savedBoxesState = null;
             return;
@@ -395,6 +652,11 @@ class AnnotationStore {
             image.boxes.push(boxId);
         });
 
+        if (this.savedPredictionsState) {
+            this.state.predictions.set(this.state.currentImageId, this.savedPredictionsState);
+            this.notify('predictions', this.state.predictions);
+        }
+
         // Clear modified flag
         this.state.currentImageModified = false;
 
@@ -9,7 +9,7 @@ class BoxEditor {
         this.imageCanvas = imageCanvas;
         this.store = store;
 
-        this.mode = 'idle'; // idle, drawing, moving, resizing, panning
+        this.mode = 'idle'; // idle, drawing, moving, resizing, rotating, panning
         this.startX = 0;
         this.startY = 0;
         this.currentX = 0;
@@ -19,6 +19,7 @@ class BoxEditor {
         this.resizeHandle = null;
         this.isPanning = false;
         this.spacePressed = false;
+        this.placement = null; // {boxId, index} - keypoint the next click places
 
         this.setupEventListeners();
     }
@@ -35,6 +36,8 @@ class BoxEditor {
 
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+        this.store.on('currentImage', () => this.stopPlacement());
     }
 
     /**
@@ -57,14 +60,28 @@ class BoxEditor {
 
         const imageCoords = this.imageCanvas.screenToImage(screenX, screenY);
 
+        // Placing keypoints: Shift+click marks the keypoint as occluded
+        if (this.placement && e.button === 0) {
+            this.placeKeypoint(imageCoords.x, imageCoords.y, e.shiftKey ? 1 : 2);
+            return;
+        }
+
         // Check if clicking on a handle
         const handle = this.getHandleAt(screenX, screenY);
+        if (handle && handle.type === 'rotate') {
+            this.mode = 'rotating';
+            return;
+        }
+
         if (handle) {
             this.mode = 'resizing';
             this.resizeHandle = handle;
             this.startX = imageCoords.x;
             this.startY = imageCoords.y;
             this.dragStartBox = { ...this.store.getSelectedBox() };
+            if (handle.type === 'keypoint') {
+                this.imageCanvas.setActiveKeypoint({ boxId: this.dragStartBox.id, index: handle.index });
+            }
             return;
         }
 
@@ -80,7 +97,16 @@ class BoxEditor {
             return;
         }
 
+        // Predictions are selected (to accept or reject) but never edited
+        const clickedPrediction = this.getPredictionAt(imageCoords.x, imageCoords.y);
+        if (clickedPrediction) {
+            this.store.setSelectedPrediction(clickedPrediction.id);
+            this.imageCanvas.render();
+            return;
+        }
+
         // Deselect and start drawing new box
+        this.store.setSelectedPrediction(null);
         this.store.setSelectedBox(null);
         this.mode = 'drawing';
         this.startX = imageCoords.x;
@@ -129,10 +155,33 @@ class BoxEditor {
             const constrainedX = Math.max(0, Math.min(newX, currentImage.width - this.dragStartBox.width));
             const constrainedY = Math.max(0, Math.min(newY, currentImage.height - this.dragStartBox.height));
 
-            this.store.updateBox(this.store.getState().selectedBoxId, {
+            const updates = {
                 x: constrainedX,
                 y: constrainedY
-            });
+            };
+
+            // Polygons move all their vertices by the same offset
+            if (this.dragStartBox.shape === 'polygon') {
+                const offsetX = constrainedX - this.dragStartBox.x;
+                const offsetY = constrainedY - this.dragStartBox.y;
+                updates.points = this.dragStartBox.points.map(point => ({
+                    x: point.x + offsetX,
+                    y: point.y + offsetY
+                }));
+            }
+
+            // Keypoints move with their box
+            if (this.dragStartBox.shape === 'keypoints') {
+                const offsetX = constrainedX - this.dragStartBox.x;
+                const offsetY = constrainedY - this.dragStartBox.y;
+                updates.keypoints = this.dragStartBox.keypoints.map(point => ({
+                    x: point.x + offsetX,
+                    y: point.y + offsetY,
+                    v: point.v
+                }));
+            }
+
+            this.store.updateBox(this.store.getState().selectedBoxId, updates);
 
             this.imageCanvas.render();
             return;
@@ -143,6 +192,11 @@ class BoxEditor {
             return;
         }
 
+        if (this.mode === 'rotating') {
+            this.handleRotate(imageCoords.x, imageCoords.y);
+            return;
+        }
+
         // Update cursor based on hover
         this.updateCursor(screenX, screenY, imageCoords.x, imageCoords.y);
     }
@@ -168,7 +222,7 @@ class BoxEditor {
             return;
         }
 
-        if (this.mode === 'moving' || this.mode === 'resizing') {
+        if (this.mode === 'moving' || this.mode === 'resizing' || this.mode === 'rotating') {
             this.mode = 'idle';
             this.dragStartBox = null;
             this.resizeHandle = null;
@@ -191,6 +245,11 @@ class BoxEditor {
      * Handle key down
      */
     handleKeyDown(e) {
+        // Ignore if typing in input (e.g. the metadata panel)
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+            return;
+        }
+
         if (e.code === 'Space' && !this.spacePressed) {
             this.spacePressed = true;
             if (this.mode === 'idle') {
@@ -207,17 +266,179 @@ class BoxEditor {
             }
         }
 
+        if (this.handleKeypointKey(e)) {
+            e.preventDefault();
+            return;
+        }
+
+        if (this.handlePredictionKey(e)) {
+            e.preventDefault();
+            return;
+        }
+
         if (e.key === 'Escape') {
             if (this.mode === 'drawing') {
                 this.mode = 'idle';
                 this.imageCanvas.render();
             } else {
                 this.store.setSelectedBox(null);
+                this.store.setSelectedPrediction(null);
                 this.imageCanvas.render();
             }
         }
     }
 
+    /**
+     * Handle the keypoint keys: K places the selected pose shape's keypoints, N skips
+     * the keypoint being placed, V cycles the visibility of the highlighted keypoint
+     * and Escape stops placing
+     * @param {KeyboardEvent} e - Key event
+     * @returns {boolean} True if the key was used
+     */
+    handleKeypointKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+        const key = e.key.toLowerCase();
+
+        if (this.placement && e.key === 'Escape') {
+            this.stopPlacement();
+            return true;
+        }
+
+        if (this.placement && key === 'n') {
+            this.startPlacement(this.placement.boxId, this.placement.index + 1);
+            return true;
+        }
+
+        const box = this.store.getSelectedBox();
+        if (!box) return false;
+
+        if (key === 'k' && box.shape !== 'polygon') {
+            // Boxes drawn before their class had a skeleton get its keypoints added
+            const skeleton = this.store.getSkeleton(box.classId);
+            let keypoints = box.shape === 'keypoints' ? box.keypoints : [];
+            if (skeleton && keypoints.length < skeleton.keypoints.length) {
+                keypoints = skeleton.keypoints.map((name, index) => keypoints[index] || { x: 0, y: 0, v: 0 });
+                this.store.updateBox(box.id, { shape: 'keypoints', keypoints });
+            }
+            if (keypoints.length === 0) return false;
+
+            const unlabeled = keypoints.findIndex(point => point.v === 0);
+            this.startPlacement(box.id, unlabeled === -1 ? 0 : unlabeled);
+            return true;
+        }
+
+        if (box.shape !== 'keypoints') return false;
+
+        const active = this.imageCanvas.activeKeypoint;
+        if (key === 'v' && active && active.boxId === box.id) {
+            // Visible -> occluded -> unlabeled -> visible
+            const keypoints = box.keypoints.map(point => ({ ...point }));
+            const point = keypoints[active.index];
+            point.v = point.v === 2 ? 1 : point.v === 1 ? 0 : 2;
+            this.store.updateBox(box.id, { keypoints });
+            this.imageCanvas.render();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Handle the prediction keys: A accepts the selected prediction (it becomes a box)
+     * and R rejects it
+     * @param {KeyboardEvent} e - Key event
+     * @returns {boolean} True if the key was used
+     */
+    handlePredictionKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return false;
+        const key = e.key.toLowerCase();
+
+        const prediction = this.store.getSelectedPrediction();
+        if (!prediction) return false;
+
+        if (key === 'a') {
+            const boxId = this.store.acceptPrediction(prediction.id);
+            this.store.setSelectedBox(boxId);
+            this.imageCanvas.render();
+            return true;
+        }
+
+        if (key === 'r') {
+            this.store.rejectPrediction(prediction.id);
+            this.imageCanvas.render();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Start placing the keypoints of a pose shape, one click each
+     * Placing past the last keypoint stops
+     * @param {string} boxId - Box ID
+     * @param {number} index - Index of the first keypoint to place
+     */
+    startPlacement(boxId, index) {
+        const box = this.store.getBox(boxId);
+        if (!box || index >= box.keypoints.length) {
+            this.stopPlacement();
+            return;
+        }
+
+        this.placement = { boxId, index };
+        this.canvas.style.cursor = 'crosshair';
+
+        const skeleton = this.store.getSkeleton(box.classId);
+        const name = skeleton && skeleton.keypoints[index] ? skeleton.keypoints[index] : `Keypoint ${index + 1}`;
+        this.emitPlacement({ name, index, count: box.keypoints.length });
+    }
+
+    /**
+     * Stop placing keypoints
+     */
+    stopPlacement() {
+        if (!this.placement) return;
+
+        this.placement = null;
+        this.emitPlacement(null);
+    }
+
+    /**
+     * Place the current keypoint and move on to the next one
+     * @param {number} x - Image X
+     * @param {number} y - Image Y
+     * @param {number} v - Visibility (1 occluded, 2 visible)
+     */
+    placeKeypoint(x, y, v) {
+        const { boxId, index } = this.placement;
+        const box = this.store.getBox(boxId);
+        const currentImage = this.store.getCurrentImage();
+        if (!box) {
+            this.stopPlacement();
+            return;
+        }
+
+        const keypoints = box.keypoints.map(point => ({ ...point }));
+        keypoints[index] = {
+            x: Math.max(0, Math.min(x, currentImage.width)),
+            y: Math.max(0, Math.min(y, currentImage.height)),
+            v
+        };
+        this.store.updateBox(boxId, { keypoints });
+
+        this.imageCanvas.setActiveKeypoint({ boxId, index });
+        this.startPlacement(boxId, index + 1);
+    }
+
+    /**
+     * Tell the UI which keypoint is being placed
+     * @param {Object|null} detail - {name, index, count}, or null when placement stops
+     */
+    emitPlacement(detail) {
+        const event = new CustomEvent('keypointPlacement', { detail });
+        document.dispatchEvent(event);
+    }
+
     /**
      * Handle key up
      */
@@ -255,9 +476,20 @@ class BoxEditor {
             imageId: currentImage.id
         };
 
+        // Classes with a skeleton get a pose shape, and its keypoints are placed next
+        const skeleton = this.store.getSkeleton(box.classId);
+        if (skeleton) {
+            box.shape = 'keypoints';
+            box.keypoints = skeleton.keypoints.map(() => ({ x: 0, y: 0, v: 0 }));
+        }
+
         const boxId = this.store.addBox(box);
         this.store.setSelectedBox(boxId);
         this.imageCanvas.render();
+
+        if (skeleton) {
+            this.startPlacement(boxId, 0);
+        }
     }
 
     /**
@@ -268,13 +500,29 @@ class BoxEditor {
         const handle = this.resizeHandle;
         const currentImage = this.store.getCurrentImage();
 
+        if (handle.type === 'vertex') {
+            this.handleVertexMove(currentX, currentY);
+            return;
+        }
+
+        if (handle.type === 'keypoint') {
+            this.handleKeypointMove(currentX, currentY);
+            return;
+        }
+
         let newX = box.x;
         let newY = box.y;
         let newWidth = box.width;
         let newHeight = box.height;
 
-        const dx = currentX - this.startX;
-        const dy = currentY - this.startY;
+        // Work in the box's own unrotated frame
+        const angle = box.angle || 0;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const rawDx = currentX - this.startX;
+        const rawDy = currentY - this.startY;
+        const dx = rawDx * cos + rawDy * sin;
+        const dy = -rawDx * sin + rawDy * cos;
 
         // Calculate new dimensions based on handle
         switch (handle.type) {
@@ -324,11 +572,21 @@ class BoxEditor {
             newY = box.y;
         }
 
-        // Constrain to image bounds
-        newX = Math.max(0, Math.min(newX, currentImage.width - newWidth));
-        newY = Math.max(0, Math.min(newY, currentImage.height - newHeight));
-        newWidth = Math.min(newWidth, currentImage.width - newX);
-        newHeight = Math.min(newHeight, currentImage.height - newY);
+        if (angle) {
+            // The rect was resized around the old center - rotate the center shift back to image space
+            const offsetX = (newX + newWidth / 2) - (box.x + box.width / 2);
+            const offsetY = (newY + newHeight / 2) - (box.y + box.height / 2);
+            const centerX = box.x + box.width / 2 + offsetX * cos - offsetY * sin;
+            const centerY = box.y + box.height / 2 + offsetX * sin + offsetY * cos;
+            newX = centerX - newWidth / 2;
+            newY = centerY - newHeight / 2;
+        } else {
+            // Constrain to image bounds
+            newX = Math.max(0, Math.min(newX, currentImage.width - newWidth));
+            newY = Math.max(0, Math.min(newY, currentImage.height - newHeight));
+            newWidth = Math.min(newWidth, currentImage.width - newX);
+            newHeight = Math.min(newHeight, currentImage.height - newY);
+        }
 
         this.store.updateBox(this.store.getState().selectedBoxId, {
             x: newX,
@@ -340,6 +598,63 @@ class BoxEditor {
         this.imageCanvas.render();
     }
 
+    /**
+     * Handle dragging a polygon vertex
+     */
+    handleVertexMove(currentX, currentY) {
+        const box = this.dragStartBox;
+        const index = this.resizeHandle.index;
+        const currentImage = this.store.getCurrentImage();
+
+        const start = box.points[index];
+        const points = box.points.map(point => ({ ...point }));
+        points[index] = {
+            x: Math.max(0, Math.min(start.x + currentX - this.startX, currentImage.width)),
+            y: Math.max(0, Math.min(start.y + currentY - this.startY, currentImage.height))
+        };
+
+        this.store.updateBox(this.store.getState().selectedBoxId, { points });
+        this.imageCanvas.render();
+    }
+
+    /**
+     * Handle dragging a keypoint
+     */
+    handleKeypointMove(currentX, currentY) {
+        const box = this.dragStartBox;
+        const index = this.resizeHandle.index;
+        const currentImage = this.store.getCurrentImage();
+
+        const start = box.keypoints[index];
+        const keypoints = box.keypoints.map(point => ({ ...point }));
+        keypoints[index] = {
+            x: Math.max(0, Math.min(start.x + currentX - this.startX, currentImage.width)),
+            y: Math.max(0, Math.min(start.y + currentY - this.startY, currentImage.height)),
+            v: start.v
+        };
+
+        this.store.updateBox(this.store.getState().selectedBoxId, { keypoints });
+        this.imageCanvas.render();
+    }
+
+    /**
+     * Handle box rotation
+     */
+    handleRotate(currentX, currentY) {
+        const box = this.store.getSelectedBox();
+        const centerX = box.x + box.width / 2;
+        const centerY = box.y + box.height / 2;
+
+        // The handle sits above the top edge, so pointing straight up is angle 0
+        let angle = Math.atan2(currentY - centerY, currentX - centerX) + Math.PI / 2;
+        if (angle > Math.PI) {
+            angle -= Math.PI * 2;
+        }
+
+        this.store.updateBox(box.id, { angle });
+        this.imageCanvas.render();
+    }
+
     /**
      * Get box at image coordinates
      */
@@ -347,13 +662,51 @@ class BoxEditor {
         const currentImage = this.store.getCurrentImage();
         if (!currentImage) return null;
 
-        const boxes = this.store.getBoxesForImage(currentImage.id);
+        return this.findBoxAt(this.store.getBoxesForImage(currentImage.id), imageX, imageY);
+    }
+
+    /**
+     * Get the shown prediction at image coordinates
+     */
+    getPredictionAt(imageX, imageY) {
+        const currentImage = this.store.getCurrentImage();
+        if (!currentImage || !this.store.getState().showBoxes) return null;
 
+        return this.findBoxAt(this.store.getPredictionsForImage(currentImage.id), imageX, imageY);
+    }
+
+    /**
+     * Find the topmost of a list of boxes at image coordinates
+     */
+    findBoxAt(boxes, imageX, imageY) {
         // Check in reverse order (top box first)
         for (let i = boxes.length - 1; i >= 0; i--) {
             const box = boxes[i];
-            if (imageX >= box.x && imageX <= box.x + box.width &&
-                imageY >= box.y && imageY <= box.y + box.height) {
+
+            if (box.shape === 'polygon') {
+                if (this.isPointInPolygon(imageX, imageY, box.points)) {
+                    return box;
+                }
+                continue;
+            }
+
+            // Test rotated boxes in their own unrotated frame
+            let x = imageX;
+            let y = imageY;
+            if (box.angle) {
+                const point = this.imageCanvas.rotatePoint(
+                    imageX,
+                    imageY,
+                    box.x + box.width / 2,
+                    box.y + box.height / 2,
+                    -box.angle
+                );
+                x = point.x;
+                y = point.y;
+            }
+
+            if (x >= box.x && x <= box.x + box.width &&
+                y >= box.y && y <= box.y + box.height) {
                 return box;
             }
         }
@@ -361,6 +714,24 @@ class BoxEditor {
         return null;
     }
 
+    /**
+     * Check if a point is inside a polygon (ray casting)
+     */
+    isPointInPolygon(x, y, points) {
+        let inside = false;
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > y) !== (b.y > y) &&
+                x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
     /**
      * Get handle at screen coordinates
      */
@@ -368,16 +739,7 @@ class BoxEditor {
         const selectedBox = this.store.getSelectedBox();
         if (!selectedBox) return null;
 
-        const topLeft = this.imageCanvas.imageToScreen(selectedBox.x, selectedBox.y);
-        const bottomRight = this.imageCanvas.imageToScreen(
-            selectedBox.x + selectedBox.width,
-            selectedBox.y + selectedBox.height
-        );
-
-        const screenWidth = bottomRight.x - topLeft.x;
-        const screenHeight = bottomRight.y - topLeft.y;
-
-        const handles = this.imageCanvas.getHandlePositions(topLeft.x, topLeft.y, screenWidth, screenHeight);
+        const handles = this.imageCanvas.getBoxHandles(selectedBox);
         const handleSize = 8;
 
         for (const handle of handles) {
@@ -402,6 +764,11 @@ class BoxEditor {
             return;
         }
 
+        if (this.placement) {
+            this.canvas.style.cursor = 'crosshair';
+            return;
+        }
+
         const handle = this.getHandleAt(screenX, screenY);
         if (handle) {
             const cursors = {
@@ -412,7 +779,10 @@ class BoxEditor {
                 'se': 'se-resize',
                 's': 's-resize',
                 'sw': 'sw-resize',
-                'w': 'w-resize'
+                'w': 'w-resize',
+                'rotate': 'grab',
+                'vertex': 'pointer',
+                'keypoint': 'pointer'
             };
             this.canvas.style.cursor = cursors[handle.type];
             return;
@@ -424,6 +794,11 @@ class BoxEditor {
             return;
         }
 
+        if (this.getPredictionAt(imageX, imageY)) {
+            this.canvas.style.cursor = 'pointer';
+            return;
+        }
+
         this.canvas.style.cursor = 'crosshair';
     }
 
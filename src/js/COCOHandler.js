@@ -3,10 +3,22 @@
  * Handles COCO format parsing and writing
  * Format: Single JSON file with images, annotations, and categories
  * bbox format: [top_left_x, top_left_y, width, height] in pixels
- * Note: COCO uses 1-indexed category IDs, but internally we use 0-indexed
+ * segmentation: a single polygon is edited as a polygon shape, multi-part polygons
+ * and RLE masks are shown as a read-only overlay. Annotations with keypoints are edited
+ * as pose shapes (their segmentation, if any, becomes the overlay), using the keypoint
+ * names and skeleton of their category. All other annotation fields (custom fields, ...)
+ * are carried through as box attributes
+ * Note: COCO category IDs can start anywhere and have gaps (e.g. 1..90), internally we use
+ * 0-indexed class IDs. Categories are matched by name and existing IDs are never renumbered
+ * A folder can hold several COCO files (e.g. instances_train.json, instances_val.json).
+ * One or more are opened together and each image is saved back to the file it came from
+ * Large files are parsed in a worker, one image or annotation at a time (see StreamParser)
+ * info, licenses and image fields like license, date_captured and coco_url are editable
+ * through the metadata methods and are written with the next save
  */
 
 import FormatHandler from './FormatHandler.js';
+import StreamParser from './StreamParser.js';
 
 class COCOHandler extends FormatHandler {
     constructor() {
@@ -20,6 +32,22 @@ class COCOHandler extends FormatHandler {
         this.nextAnnotationId = 1;
         this.imageIdMap = new Map(); // fileName -> imageId
         this.annotationFile = 'annotations.json'; // Track which file to save to
+        this.annotationIndexes = new WeakMap(); // annotations list -> {length, byImage, replaced} - see getAnnotationIndex
+        this.sources = new Map(); // path -> {data, imageIdMap, nextImageId, nextAnnotationId}
+        this.imageSources = new Map(); // fileName -> path of the file the image came from
+        this.changedSources = new Set(); // Paths with metadata edits not written yet
+        this.skeletons = []; // Per class ID: {keypoints, skeleton} (0-based edges) or null
+        this.classNames = []; // Class names as last loaded or saved, to tell renames from new classes
+        this.imageRoot = null; // Path from the annotation files to the opened folder (see setImageRoot)
+        this.fileChooser = null; // async (candidates) => paths[] | null
+
+        // Preferred names, tried before the other .json files in the folder
+        this.possibleNames = [
+            'annotations.json',
+            '_annotations.coco.json',
+            'instances_default.json',
+            'instances.json'
+        ];
     }
 
     /**
@@ -30,56 +58,141 @@ class COCOHandler extends FormatHandler {
         return 'coco';
     }
 
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'COCO';
+    }
+
+    /**
+     * Check whether the folder holds COCO annotations
+     * Large files are only sniffed, not read (see findFiles)
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if a COCO-shaped JSON file was found, else 0
+     */
+    async detect(fileManager) {
+        const files = await this.findFiles(fileManager);
+        return files.length > 0 ? 1 : 0;
+    }
+
+    /**
+     * Set the callback used to pick COCO files when the folder has several (e.g. a dialog)
+     * @param {Function} chooser - async (candidates) => selected paths, or null to cancel.
+     *                             Candidates are {path, images, annotations}, with null
+     *                             counts for large files that haven't been read yet
+     */
+    setFileChooser(chooser) {
+        this.fileChooser = chooser;
+    }
+
+    /**
+     * What the format can store for each box
+     * Polygons are stored as segmentation, other fields are written into the annotation
+     * @returns {Object} {polygons, rotation, tracks, keypoints, classNames, attributes}
+     */
+    getCapabilities() {
+        return { polygons: true, rotation: false, tracks: false, keypoints: true, classNames: true, attributes: true };
+    }
+
+    /**
+     * Set the keypoint skeletons, written into the categories with the next save
+     * @param {Array} skeletons - Per class ID, {keypoints: string[], skeleton: [from, to][]} or null
+     */
+    setSkeletons(skeletons) {
+        this.skeletons = skeletons.slice();
+    }
+
     /**
      * Load all COCO annotations from folder
      * @param {FileManager} fileManager
      * @param {Array} images - Array of image objects
-     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[], skeletons: Array}
      */
     async load(fileManager, images) {
         const boxes = new Map();
+        this.initEmpty();
 
-        // Try to find COCO annotations file with various common names
-        const possibleNames = [
-            'annotations.json',
-            '_annotations.coco.json',
-            'instances_default.json',
-            'instances.json'
-        ];
+        const candidates = await this.findFiles(fileManager);
 
-        let content = null;
-        for (const name of possibleNames) {
-            content = await fileManager.readTextFile(name);
-            if (content) {
-                console.log(`Found COCO annotations: ${name}`);
-                this.annotationFile = name;
-                break;
+        // Several COCO files: let the user pick one, or several to merge
+        let selected = candidates.slice(0, 1);
+        if (candidates.length > 1 && this.fileChooser) {
+            const paths = await this.fileChooser(candidates.map(({ path, data }) => ({
+                path,
+                images: data ? data.images.length : null,
+                annotations: data ? (data.annotations || []).length : null
+            })));
+            if (!paths || paths.length === 0) {
+                throw new Error('COCO file selection cancelled');
             }
+            selected = candidates.filter(candidate => paths.includes(candidate.path));
         }
 
         let classes = ['object'];
+        const skeletons = [];
 
-        if (content) {
-            this.parse(content);
+        // Large files are only read once they are chosen
+        for (const candidate of selected) {
+            if (!candidate.data) {
+                candidate.data = await this.readData(fileManager, candidate.path);
+            }
+        }
 
-            // Load categories (classes)
-            const categories = this.getCategories();
-            if (categories.length > 0) {
-                classes = categories.map(cat => cat.name);
+        if (selected.length > 0) {
+            // Classes are merged by category name across the selected files
+            const names = [];
+            selected.forEach(({ data }) => {
+                (data.categories || []).forEach(cat => {
+                    if (!names.includes(cat.name)) {
+                        names.push(cat.name);
+                    }
+                });
+            });
+            if (names.length > 0) {
+                classes = names;
             }
 
-            // Create mapping from COCO category ID to internal class index
-            // COCO category IDs can be non-sequential (e.g., 1, 5, 47)
-            const categoryIdToIndex = new Map();
-            categories.forEach((cat, index) => {
-                categoryIdToIndex.set(cat.id, index);
+            // Keypoint names and skeleton come from the first category of each name that has them
+            selected.forEach(({ data }) => {
+                (data.categories || []).forEach(cat => {
+                    const classId = classes.indexOf(cat.name);
+                    if (classId !== -1 && !skeletons[classId]) {
+                        skeletons[classId] = this.getCategorySkeleton(cat);
+                    }
+                });
             });
 
-            // Load annotations for each image
+            // Later files are loaded first so the primary file ends up selected
+            for (const { path, data } of [...selected].reverse()) {
+                console.log(`Found COCO annotations: ${path}`);
+                this.imageIdMap = new Map();
+                this.setData(data);
+                this.annotationFile = path;
+                this.rememberSource();
+            }
+
+            // Load annotations for each image from the first file that lists it
             for (const image of images) {
-                const imageBoxes = this.getBoxesForImage(image.fileName);
+                const source = selected.find(({ path }) => this.sources.get(path).imageIdMap.has(image.fileName));
+                if (!source) {
+                    boxes.set(image.id, []);
+                    continue;
+                }
+
+                this.imageSources.set(image.fileName, source.path);
+                this.selectSource(source.path);
+
+                // Create mapping from COCO category ID to internal class index
+                // COCO category IDs can be non-sequential (e.g., 1, 5, 47)
+                const categoryIdToIndex = new Map();
+                this.getCategories().forEach(cat => {
+                    categoryIdToIndex.set(cat.id, classes.indexOf(cat.name));
+                });
 
                 // Convert COCO category IDs to internal 0-indexed class IDs
+                const imageBoxes = this.getBoxesForImage(image.fileName);
                 const normalizedBoxes = imageBoxes.map(box => {
                     const classIndex = categoryIdToIndex.get(box.classId);
                     return {
@@ -90,14 +203,184 @@ class COCOHandler extends FormatHandler {
 
                 boxes.set(image.id, normalizedBoxes);
             }
+
+            // New images are added to the first selected file
+            this.selectSource(selected[0].path);
         } else {
             // No annotation file found - initialize empty dataset
             console.log('No COCO annotations found. Starting with empty dataset.');
             this.annotationFile = '_annotations.coco.json';
-            this.initEmpty();
         }
 
-        return { boxes, classes };
+        this.skeletons = classes.map((name, classId) => skeletons[classId] || null);
+        this.classNames = classes.slice();
+        return { boxes, classes, skeletons: this.skeletons.slice() };
+    }
+
+    /**
+     * Get the keypoint definition of a category
+     * COCO skeleton edges are 1-based keypoint indexes, ours are 0-based
+     * @param {Object} category - COCO category
+     * @returns {Object|null} {keypoints, skeleton} or null if the category has no keypoints
+     */
+    getCategorySkeleton(category) {
+        if (!Array.isArray(category.keypoints) || category.keypoints.length === 0) return null;
+
+        return {
+            keypoints: category.keypoints.slice(),
+            skeleton: (category.skeleton || []).map(([from, to]) => [from - 1, to - 1])
+        };
+    }
+
+    /**
+     * Write a keypoint definition into a category, or remove it
+     * @param {Object} category - COCO category
+     * @param {Object|null} skeleton - {keypoints, skeleton} with 0-based edges, or null
+     */
+    setCategorySkeleton(category, skeleton) {
+        if (skeleton) {
+            category.keypoints = skeleton.keypoints.slice();
+            category.skeleton = skeleton.skeleton.map(([from, to]) => [from + 1, to + 1]);
+        } else {
+            delete category.keypoints;
+            delete category.skeleton;
+        }
+    }
+
+    /**
+     * Find the COCO files in the folder (root and annotations/)
+     * JSON files that aren't COCO-shaped (no images list) are skipped. Files too large
+     * to preview whole are only checked for an "images" list and are read later
+     * @param {FileManager} fileManager
+     * @returns {Promise<Array>} [{path, data}] - preferred names first, then by path.
+     *                           data is null for large files
+     */
+    async findFiles(fileManager) {
+        const listed = [
+            ...await fileManager.listFiles(''),
+            ...await fileManager.listFiles('annotations')
+        ].filter(path => path.toLowerCase().endsWith('.json')).sort();
+        const paths = [...this.possibleNames, ...listed.filter(path => !this.possibleNames.includes(path))];
+
+        const files = [];
+        for (const path of paths) {
+            const preview = await fileManager.readTextFilePreview(path);
+            if (!preview || !preview.text) continue;
+
+            if (!preview.complete) {
+                if (/^\s*\{/.test(preview.text) && /"images"\s*:\s*\[/.test(preview.text)) {
+                    files.push({ path, data: null });
+                }
+                continue;
+            }
+
+            let data;
+            try {
+                data = JSON.parse(preview.text);
+            } catch (error) {
+                console.error(`Skipping ${path}: Invalid COCO JSON format`);
+                continue;
+            }
+
+            if (this.isCOCOData(data)) {
+                files.push({ path, data });
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Read and parse a COCO file
+     * Parsed in a worker when the browser supports it: arrays arrive one element at a
+     * time, so files of several gigabytes load without freezing the page
+     * @param {FileManager} fileManager
+     * @param {string} path - Annotation file path
+     * @returns {Promise<Object>} Parsed COCO data
+     */
+    async readData(fileManager, path) {
+        if (!StreamParser.isSupported()) {
+            const content = await fileManager.readTextFile(path);
+            try {
+                return JSON.parse(content);
+            } catch (error) {
+                throw new Error('Invalid COCO JSON format');
+            }
+        }
+
+        const file = await fileManager.getFile(path);
+        if (!file) {
+            throw new Error(`Cannot read ${path}`);
+        }
+
+        const data = {};
+        try {
+            await StreamParser.parseFile(file, 'json', {
+                onItems: items => items.forEach(item => {
+                    if ('element' in item) {
+                        data[item.key].push(item.element);
+                    } else {
+                        data[item.key] = item.value;
+                    }
+                }),
+                onProgress: (loaded, total) => {
+                    this.reportProgress(`Parsing ${path}: ${Math.floor(loaded / total * 100)}%`);
+                }
+            });
+        } catch (error) {
+            console.error(`Error parsing ${path}:`, error);
+            throw new Error('Invalid COCO JSON format');
+        }
+
+        if (!this.isCOCOData(data)) {
+            throw new Error('Invalid COCO JSON format');
+        }
+        return data;
+    }
+
+    /**
+     * Check if parsed JSON looks like a COCO dataset
+     * @param {*} data - Parsed JSON
+     * @returns {boolean} True if it has an images list and annotations or categories
+     */
+    isCOCOData(data) {
+        return Boolean(data) && typeof data === 'object' && Array.isArray(data.images) &&
+            (Array.isArray(data.annotations) || Array.isArray(data.categories));
+    }
+
+    /**
+     * Make a loaded file the current dataset (the one parse/get/set methods work on)
+     * @param {string} path - Annotation file path
+     */
+    selectSource(path) {
+        const source = this.sources.get(path);
+        if (source) {
+            this.data = source.data;
+            this.imageIdMap = source.imageIdMap;
+            this.nextImageId = source.nextImageId;
+            this.nextAnnotationId = source.nextAnnotationId;
+        }
+        this.annotationFile = path;
+    }
+
+    /**
+     * Store the current dataset as the state of its file
+     */
+    rememberSource() {
+        this.sources.set(this.annotationFile, {
+            data: this.data,
+            imageIdMap: this.imageIdMap,
+            nextImageId: this.nextImageId,
+            nextAnnotationId: this.nextAnnotationId
+        });
+    }
+
+    /**
+     * Get the paths of the opened COCO files
+     * @returns {Array} Annotation file paths
+     */
+    getSourcePaths() {
+        return Array.from(this.sources.keys());
     }
 
     /**
@@ -109,20 +392,58 @@ class COCOHandler extends FormatHandler {
      * @returns {Promise<void>}
      */
     async save(fileManager, image, boxes, classes) {
-        // Set categories
-        const cocoCategories = classes.map((name, index) => ({
-            id: index + 1, // COCO uses 1-indexed category IDs
-            name: name,
-            supercategory: 'none'
-        }));
-        this.setCategories(cocoCategories);
+        this.updateImage(image, boxes, classes);
+        await this.writeAnnotations(fileManager);
+    }
 
-        // Convert 0-indexed to COCO 1-indexed class IDs
+    /**
+     * Save annotations for many images, writing each annotation file once
+     * @param {FileManager} fileManager - File system manager
+     * @param {Array} images - Image objects
+     * @param {Map} boxesByImage - imageId -> box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async saveAll(fileManager, images, boxesByImage, classes) {
+        images.forEach(image => this.updateImage(image, boxesByImage.get(image.id) || [], classes));
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Put the boxes of an image into the file it came from, without writing it
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects with 0-indexed class IDs
+     * @param {Array} classes - Class names
+     */
+    updateImage(image, boxes, classes) {
+        // Save into the file the image came from (new images go to the primary file)
+        const primaryFile = this.annotationFile;
+        const path = this.imageSources.get(image.fileName) || primaryFile;
+        this.selectSource(path);
+
+        // Existing categories keep their IDs and supercategories - only new classes get an ID
+        this.renameCategories(classes);
+        classes.forEach((name, classId) => {
+            if (this.getCategoryId(name) === null) {
+                this.addCategory(name);
+            }
+            if (classId < this.skeletons.length) {
+                const category = this.getCategories().find(cat => cat.name === name);
+                this.setCategorySkeleton(category, this.skeletons[classId]);
+            }
+        });
+
+        // Convert 0-indexed class IDs to this file's COCO category IDs
         const cocoBoxes = boxes.map(box => ({
             ...box,
-            classId: box.classId + 1
+            classId: this.getCategoryId(classes[box.classId])
         }));
 
+        // Images outside the folder of the annotation file are written with their path
+        if (!this.imageIdMap.has(image.fileName) && this.imageRoot !== null) {
+            this.addImage(image.fileName, image.width, image.height, this.imageRoot + image.filePath);
+        }
+
         this.setBoxesForImage(
             image.fileName,
             cocoBoxes,
@@ -130,9 +451,145 @@ class COCOHandler extends FormatHandler {
             image.height
         );
 
-        // Write to the same file that was loaded
-        const content = this.stringify();
-        await fileManager.writeTextFile(this.annotationFile, content);
+        this.imageSources.set(image.fileName, path);
+        this.rememberSource();
+        this.changedSources.add(path);
+        this.selectSource(primaryFile);
+    }
+
+    /**
+     * Rename the categories of classes renamed since the last load or save, in every file
+     * A renamed class keeps its category ID, supercategory and keypoints
+     * @param {Array} classes - Class names
+     */
+    renameCategories(classes) {
+        this.classNames.forEach((oldName, classId) => {
+            const name = classes[classId];
+            if (name === undefined || name === oldName || classes.includes(oldName)) return;
+
+            this.sources.forEach((source, path) => {
+                const categories = source.data.categories || [];
+                const category = categories.find(cat => cat.name === oldName);
+                if (category && !categories.some(cat => cat.name === name)) {
+                    category.name = name;
+                    this.changedSources.add(path);
+                }
+            });
+        });
+        this.classNames = classes.slice();
+    }
+
+    /**
+     * Write every annotation file with changes - box edits and metadata edits
+     * (e.g. dataset info in the primary file)
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<void>}
+     */
+    async writeAnnotations(fileManager) {
+        const primaryFile = this.annotationFile;
+        for (const changedPath of Array.from(this.changedSources)) {
+            this.selectSource(changedPath);
+            this.applyReplacedAnnotations();
+            const changedParts = this.stringifyParts(this.data);
+            this.selectSource(primaryFile);
+            await fileManager.writeTextChunks(changedPath, changedParts);
+            this.changedSources.delete(changedPath);
+        }
+    }
+
+    /**
+     * Get the image and category IDs of the primary file, which results files refer to
+     * @returns {Object} {images: Map<imageId, fileName>, categories: Map<categoryId, name>}
+     */
+    getResultIds() {
+        const images = new Map();
+        this.imageIdMap.forEach((imageId, fileName) => images.set(imageId, fileName));
+
+        const categories = new Map();
+        this.getCategories().forEach(cat => categories.set(cat.id, cat.name));
+
+        return { images, categories };
+    }
+
+    /**
+     * Get the dataset info and licenses of the primary file
+     * @returns {Object} {info, licenses} - copies, info is {} and licenses [] when missing
+     */
+    getDatasetMetadata() {
+        return {
+            info: { ...(this.data.info || {}) },
+            licenses: (this.data.licenses || []).map(license => ({ ...license }))
+        };
+    }
+
+    /**
+     * Replace the dataset info and licenses of the primary file (written with the next save)
+     * Sections the file doesn't have are only added when they aren't empty
+     * @param {Object} metadata - {info, licenses}
+     */
+    setDatasetMetadata({ info, licenses }) {
+        if (info && (this.data.info !== undefined || Object.keys(info).length > 0)) {
+            this.data.info = { ...info };
+        }
+        if (licenses && (this.data.licenses !== undefined || licenses.length > 0)) {
+            this.data.licenses = licenses.map(license => ({ ...license }));
+        }
+        this.changedSources.add(this.annotationFile);
+    }
+
+    /**
+     * Get the fields of an image record other than id, file_name, width and height
+     * (e.g. license, date_captured, coco_url, flickr_url)
+     * @param {Object} image - Image object {fileName, width, height}
+     * @returns {Object} Field copies, {} for images not in any file yet
+     */
+    getImageMetadata(image) {
+        const path = this.imageSources.get(image.fileName) || this.annotationFile;
+        const source = this.sources.get(path);
+        const data = source ? source.data : this.data;
+        const imageIdMap = source ? source.imageIdMap : this.imageIdMap;
+
+        const record = data.images.find(img => img.id === imageIdMap.get(image.fileName));
+        if (!record) return {};
+
+        const { id, file_name, width, height, ...metadata } = record;
+        return { ...metadata };
+    }
+
+    /**
+     * Replace the extra fields of an image record (written with the next save)
+     * Images not in any file yet are added to the primary file
+     * @param {Object} image - Image object {fileName, width, height}
+     * @param {Object} metadata - Fields to keep besides id, file_name, width and height
+     */
+    setImageMetadata(image, metadata) {
+        const primaryFile = this.annotationFile;
+        const path = this.imageSources.get(image.fileName) || primaryFile;
+        this.selectSource(path);
+
+        let imageId = this.imageIdMap.get(image.fileName);
+        if (imageId === undefined || imageId === null) {
+            imageId = this.addImage(image.fileName, image.width, image.height);
+        }
+
+        // Fields are updated in place, so the record keeps its key order
+        const fixed = ['id', 'file_name', 'width', 'height'];
+        const record = this.data.images.find(img => img.id === imageId);
+        Object.keys(record).forEach(key => {
+            if (!fixed.includes(key) && !(key in metadata)) {
+                delete record[key];
+            }
+        });
+        Object.entries(metadata).forEach(([key, value]) => {
+            if (!fixed.includes(key)) {
+                record[key] = value;
+            }
+        });
+
+        this.imageSources.set(image.fileName, path);
+        this.changedSources.add(path);
+        this.rememberSource();
+        this.selectSource(primaryFile);
     }
 
     /**
@@ -142,29 +599,58 @@ class COCOHandler extends FormatHandler {
      */
     parse(content) {
         try {
-            this.data = JSON.parse(content);
+            return this.setData(JSON.parse(content));
+        } catch (error) {
+            throw new Error('Invalid COCO JSON format');
+        }
+    }
 
-            // Ensure required fields exist
-            if (!this.data.images) this.data.images = [];
-            if (!this.data.annotations) this.data.annotations = [];
-            if (!this.data.categories) this.data.categories = [];
+    /**
+     * Use parsed COCO data as the current dataset
+     * @param {Object} data - Parsed COCO JSON
+     * @returns {Object} The data, with missing lists added
+     */
+    setData(data) {
+        this.data = data;
 
-            // Build image ID map
-            this.imageIdMap.clear();
-            this.data.images.forEach(img => {
-                this.imageIdMap.set(img.file_name, img.id);
-            });
+        // Ensure required fields exist
+        if (!this.data.images) this.data.images = [];
+        if (!this.data.annotations) this.data.annotations = [];
+        if (!this.data.categories) this.data.categories = [];
 
-            // Find next available IDs
-            const maxImageId = Math.max(0, ...this.data.images.map(img => img.id));
-            const maxAnnotationId = Math.max(0, ...this.data.annotations.map(ann => ann.id));
-            this.nextImageId = maxImageId + 1;
-            this.nextAnnotationId = maxAnnotationId + 1;
+        // Build image ID map
+        this.imageIdMap.clear();
+        this.data.images.forEach(img => {
+            this.imageIdMap.set(this.getImageKey(img.file_name), img.id);
+        });
 
-            return this.data;
-        } catch (error) {
-            throw new Error('Invalid COCO JSON format');
+        // Find next available IDs (no spread - large datasets overflow the call stack)
+        const maxId = (items) => items.reduce((max, item) => (item.id > max ? item.id : max), 0);
+        this.nextImageId = maxId(this.data.images) + 1;
+        this.nextAnnotationId = maxId(this.data.annotations) + 1;
+
+        return this.data;
+    }
+
+    /**
+     * Set where the images are when the annotation files aren't in the opened folder
+     * New images are then written with their path from the annotation file, e.g. "../images/a.jpg"
+     * @param {string|null} root - Path from the annotation files to the opened folder, e.g. "../"
+     */
+    setImageRoot(root) {
+        this.imageRoot = root;
+    }
+
+    /**
+     * Get the image file name a file_name refers to
+     * @param {string} fileName - file_name of an image record
+     * @returns {string} The file name, without the path to the opened folder if it has one
+     */
+    getImageKey(fileName) {
+        if (this.imageRoot === null || typeof fileName !== 'string' || !fileName.startsWith(this.imageRoot)) {
+            return fileName;
         }
+        return fileName.split('/').pop();
     }
 
     /**
@@ -172,7 +658,44 @@ class COCOHandler extends FormatHandler {
      * @returns {string} Formatted JSON string
      */
     stringify() {
-        return JSON.stringify(this.data, null, 2);
+        this.applyReplacedAnnotations();
+        return Array.from(this.stringifyParts(this.data)).join('');
+    }
+
+    /**
+     * Convert COCO data to JSON a piece at a time, one per image, annotation and category
+     * Gives the same text as JSON.stringify(data, null, 2) - a whole dataset can be
+     * longer than the largest string JavaScript allows
+     * @param {Object} data - COCO dataset
+     * @returns {Generator<string>} Pieces of the file, in order
+     */
+    *stringifyParts(data) {
+        const keys = Object.keys(data).filter(key => {
+            const value = data[key];
+            return value !== undefined && typeof value !== 'function';
+        });
+        if (keys.length === 0) {
+            yield '{}';
+            return;
+        }
+
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            const value = data[key];
+            yield `${i === 0 ? '{' : ','}\n  ${JSON.stringify(key)}: `;
+
+            if (Array.isArray(value) && value.length > 0) {
+                for (let j = 0; j < value.length; j++) {
+                    const item = JSON.stringify(value[j], null, 2);
+                    const text = item === undefined ? 'null' : item.replace(/\n/g, '\n    ');
+                    yield `${j === 0 ? '[' : ','}\n    ${text}`;
+                }
+                yield '\n  ]';
+            } else {
+                yield JSON.stringify(value, null, 2).replace(/\n/g, '\n  ');
+            }
+        }
+        yield '\n}';
     }
 
     /**
@@ -184,26 +707,235 @@ class COCOHandler extends FormatHandler {
         const imageId = this.imageIdMap.get(fileName);
         if (imageId === undefined || imageId === null) return [];
 
-        const boxes = this.data.annotations
-            .filter(ann => ann.image_id === imageId)
+        const boxes = (this.getAnnotationsByImage().get(imageId) || [])
             .map(ann => {
-                return {
-                    id: ann.id,
-                    classId: ann.category_id,
-                    x: ann.bbox[0],
-                    y: ann.bbox[1],
-                    width: ann.bbox[2],
-                    height: ann.bbox[3]
+                // Everything we don't edit directly is kept for the round-trip
+                const { id, image_id, category_id, bbox, ...attributes } = ann;
+                const hasKeypoints = Array.isArray(ann.keypoints) && ann.keypoints.length >= 3;
+                if (hasKeypoints) {
+                    delete attributes.keypoints;
+                    delete attributes.num_keypoints;
+                }
+
+                const box = {
+                    annotationId: id,
+                    classId: category_id,
+                    x: bbox[0],
+                    y: bbox[1],
+                    width: bbox[2],
+                    height: bbox[3],
+                    attributes
                 };
+
+                const polygon = hasKeypoints ? null : this.getEditablePolygon(ann.segmentation);
+                if (hasKeypoints) {
+                    box.shape = 'keypoints';
+                    box.keypoints = this.flatToKeypoints(ann.keypoints);
+                }
+
+                if (polygon) {
+                    box.shape = 'polygon';
+                    box.points = polygon;
+                } else {
+                    const mask = this.segmentationToMask(ann.segmentation);
+                    if (mask) {
+                        box.mask = mask;
+                    }
+                }
+
+                return box;
             });
 
         return boxes;
     }
 
+    /**
+     * Group annotations by image ID
+     * @returns {Map} imageId -> annotations, with the boxes set since the last write
+     */
+    getAnnotationsByImage() {
+        return this.getAnnotationIndex().byImage;
+    }
+
+    /**
+     * Get the annotations of the current file grouped by image ID
+     * Built once per annotations list and reused, so loading or saving a large dataset
+     * doesn't scan every annotation for every image
+     * @returns {Object} {length, byImage: Map imageId -> annotations, replaced: Set of image IDs
+     *   whose annotations were set but not yet written into the list}
+     */
+    getAnnotationIndex() {
+        const annotations = this.data.annotations;
+        const index = this.annotationIndexes.get(annotations);
+        if (index && index.length === annotations.length) {
+            return index;
+        }
+
+        const byImage = new Map();
+        annotations.forEach(ann => {
+            if (!byImage.has(ann.image_id)) {
+                byImage.set(ann.image_id, []);
+            }
+            byImage.get(ann.image_id).push(ann);
+        });
+
+        const created = { length: annotations.length, byImage, replaced: new Set() };
+        this.annotationIndexes.set(annotations, created);
+        return created;
+    }
+
+    /**
+     * Write the annotations set by setBoxesForImage into the annotations list
+     * Done in one pass before the list is read, so saving every image isn't quadratic.
+     * An edited image's annotations take the place of its first original one; images
+     * that had none follow the others
+     */
+    applyReplacedAnnotations() {
+        const annotations = this.data.annotations;
+        const index = this.annotationIndexes.get(annotations);
+        if (!index || index.replaced.size === 0) return;
+
+        const result = [];
+        const written = new Set();
+        const writeImage = imageId => {
+            written.add(imageId);
+            index.byImage.get(imageId).forEach(ann => result.push(ann));
+        };
+
+        annotations.forEach(ann => {
+            if (!index.replaced.has(ann.image_id)) {
+                result.push(ann);
+            } else if (!written.has(ann.image_id)) {
+                writeImage(ann.image_id);
+            }
+        });
+        index.replaced.forEach(imageId => {
+            if (!written.has(imageId)) {
+                writeImage(imageId);
+            }
+        });
+
+        this.data.annotations = result;
+        this.annotationIndexes.set(result, { length: result.length, byImage: index.byImage, replaced: new Set() });
+    }
+
+    /**
+     * Get the points of a segmentation that can be edited as a single polygon
+     * @param {Array|Object} segmentation - COCO segmentation
+     * @returns {Array|null} Array of {x, y} or null if not a single polygon
+     */
+    getEditablePolygon(segmentation) {
+        if (!Array.isArray(segmentation) || segmentation.length !== 1) return null;
+
+        const flat = segmentation[0];
+        if (!Array.isArray(flat) || flat.length < 6 || flat.length % 2 !== 0) return null;
+
+        return this.flatToPoints(flat);
+    }
+
+    /**
+     * Convert a COCO segmentation to a display mask
+     * @param {Array|Object} segmentation - Polygon list or RLE object
+     * @returns {Object|null} {polygons: [[{x, y}]]} or {rle: {size: [h, w], counts: number[]}}
+     */
+    segmentationToMask(segmentation) {
+        if (Array.isArray(segmentation)) {
+            const polygons = segmentation
+                .filter(flat => Array.isArray(flat) && flat.length >= 6)
+                .map(flat => this.flatToPoints(flat));
+            return polygons.length > 0 ? { polygons } : null;
+        }
+
+        if (segmentation && segmentation.counts && Array.isArray(segmentation.size)) {
+            const counts = typeof segmentation.counts === 'string'
+                ? this.decodeRLECounts(segmentation.counts)
+                : segmentation.counts;
+            return { rle: { size: segmentation.size, counts } };
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode compressed RLE counts (pycocotools string format)
+     * @param {string} encoded - Compressed counts string
+     * @returns {Array} Run lengths, alternating background/foreground, column-major
+     */
+    decodeRLECounts(encoded) {
+        const counts = [];
+        let position = 0;
+
+        while (position < encoded.length) {
+            let value = 0;
+            let shift = 0;
+            let more = true;
+
+            while (more) {
+                const char = encoded.charCodeAt(position) - 48;
+                value |= (char & 0x1f) << (5 * shift);
+                more = (char & 0x20) !== 0;
+                position++;
+                shift++;
+
+                // Sign-extend the final chunk
+                if (!more && (char & 0x10)) {
+                    value |= -1 << (5 * shift);
+                }
+            }
+
+            // Runs after the first two are stored as deltas
+            if (counts.length > 2) {
+                value += counts[counts.length - 2];
+            }
+            counts.push(value);
+        }
+
+        return counts;
+    }
+
+    /**
+     * Convert a flat [x1, y1, x2, y2, ...] list to points
+     * @param {Array} flat - Flat coordinate list
+     * @returns {Array} Array of {x, y}
+     */
+    flatToPoints(flat) {
+        const points = [];
+        for (let i = 0; i + 1 < flat.length; i += 2) {
+            points.push({ x: flat[i], y: flat[i + 1] });
+        }
+        return points;
+    }
+
+    /**
+     * Convert a flat [x1, y1, v1, x2, y2, v2, ...] keypoint list to keypoints
+     * @param {Array} flat - Flat keypoint triples
+     * @returns {Array} Array of {x, y, v}
+     */
+    flatToKeypoints(flat) {
+        const keypoints = [];
+        for (let i = 0; i + 2 < flat.length; i += 3) {
+            keypoints.push({ x: flat[i], y: flat[i + 1], v: flat[i + 2] });
+        }
+        return keypoints;
+    }
+
+    /**
+     * Calculate polygon area (shoelace formula)
+     * @param {Array} points - Array of {x, y}
+     * @returns {number} Area in square pixels
+     */
+    polygonArea(points) {
+        let area = 0;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            area += (points[j].x + points[i].x) * (points[j].y - points[i].y);
+        }
+        return Math.abs(area) / 2;
+    }
+
     /**
      * Update boxes for an image
      * @param {string} fileName - Image file name
-     * @param {Array} boxes - Array of box objects
+     * @param {Array} boxes - Array of box objects, with the annotationId they were loaded with
      * @param {number} imageWidth - Image width
      * @param {number} imageHeight - Image height
      */
@@ -214,21 +946,54 @@ class COCOHandler extends FormatHandler {
             imageId = this.addImage(fileName, imageWidth, imageHeight);
         }
 
-        // Remove existing annotations for this image
-        this.data.annotations = this.data.annotations.filter(ann => ann.image_id !== imageId);
+        // The image's annotations are replaced in the index, and in the list when it's written
+        const index = this.getAnnotationIndex();
+
+        // Boxes keep their annotation ID if this image had it, or if it is above every ID
+        // in this file - others (e.g. boxes from several merged files exported into one) get a new one
+        const ownIds = new Set((index.byImage.get(imageId) || []).map(ann => ann.id));
+
+        const annotations = boxes.map(box => {
+            const attributes = box.attributes || {};
+            const keepId = ownIds.delete(box.annotationId) ||
+                (typeof box.annotationId === 'number' && box.annotationId >= this.nextAnnotationId);
+            const annotationId = keepId ? box.annotationId : this.nextAnnotationId++;
+            this.nextAnnotationId = Math.max(this.nextAnnotationId, annotationId + 1);
 
-        // Add new annotations
-        boxes.forEach(box => {
             const annotation = {
-                id: box.id || this.nextAnnotationId++,
+                id: annotationId,
                 image_id: imageId,
                 category_id: box.classId,
                 bbox: [box.x, box.y, box.width, box.height],
                 area: box.width * box.height,
-                iscrowd: 0
+                iscrowd: 0,
+                ...attributes
             };
-            this.data.annotations.push(annotation);
+
+            if (box.shape === 'polygon') {
+                const segmentation = [box.points.flatMap(point => [point.x, point.y])];
+
+                // Keep the original area unless the polygon was edited
+                const edited = JSON.stringify(segmentation) !== JSON.stringify(attributes.segmentation);
+                if (edited || attributes.area === undefined) {
+                    annotation.area = this.polygonArea(box.points);
+                }
+                annotation.segmentation = segmentation;
+            } else if (!box.mask) {
+                // Box-only annotations: area follows the (possibly edited) box
+                annotation.area = box.width * box.height;
+            }
+
+            if (box.shape === 'keypoints') {
+                annotation.keypoints = box.keypoints.flatMap(point => [point.x, point.y, point.v]);
+                annotation.num_keypoints = box.keypoints.filter(point => point.v > 0).length;
+            }
+
+            return annotation;
         });
+
+        index.byImage.set(imageId, annotations);
+        index.replaced.add(imageId);
     }
 
     /**
@@ -236,13 +1001,14 @@ class COCOHandler extends FormatHandler {
      * @param {string} fileName - Image file name
      * @param {number} width - Image width
      * @param {number} height - Image height
+     * @param {string} path - file_name to write, when it isn't the file name (see setImageRoot)
      * @returns {number} Image ID
      */
-    addImage(fileName, width, height) {
+    addImage(fileName, width, height, path = fileName) {
         const imageId = this.nextImageId++;
         this.data.images.push({
             id: imageId,
-            file_name: fileName,
+            file_name: path,
             width,
             height
         });
@@ -305,6 +1071,13 @@ class COCOHandler extends FormatHandler {
         return category ? category.id : null;
     }
 
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
     /**
      * Initialize empty COCO dataset
      */
@@ -316,7 +1089,12 @@ class COCOHandler extends FormatHandler {
         };
         this.nextImageId = 1;
         this.nextAnnotationId = 1;
-        this.imageIdMap.clear();
+        this.imageIdMap = new Map();
+        this.sources.clear();
+        this.imageSources.clear();
+        this.changedSources.clear();
+        this.skeletons = [];
+        this.classNames = [];
     }
 
     /**
@@ -324,6 +1102,7 @@ class COCOHandler extends FormatHandler {
      * @returns {Object} COCO data
      */
     getData() {
+        this.applyReplacedAnnotations();
         return this.data;
     }
 }
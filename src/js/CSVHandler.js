@@ -0,0 +1,544 @@
+/**
+ * CSVHandler.js
+ * Handles generic CSV detection format parsing and writing
+ * Format: Single annotations.csv with a header row and one box per row, e.g.
+ *   Open Images: ImageID,LabelName,XMin,XMax,YMin,YMax,... (normalized 0-1)
+ *   Pixel:       filename,class,xmin,ymin,xmax,ymax
+ * Which column holds what is decided by a column mapping (guessed from the header,
+ * confirmed through the mapping provider). Unmapped columns are kept as box attributes
+ * and rows for images not in the folder are written back unchanged
+ * Rows are indexed by image when the mapping is set; edited images are merged back
+ * into the row list when the file is written
+ */
+
+import FormatHandler from './FormatHandler.js';
+
+class CSVHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.classes = [];
+        this.annotationFile = 'annotations.csv';
+        this.mappingProvider = null; // async (header, mapping) => mapping | null
+
+        // Header names we recognise for each mapped role (compared lowercase)
+        this.columnNames = {
+            image: ['imageid', 'image_id', 'filename', 'file_name', 'image', 'image_name', 'file', 'path'],
+            label: ['labelname', 'label', 'class', 'class_name', 'category', 'name'],
+            xmin: ['xmin', 'x_min', 'x1', 'left'],
+            ymin: ['ymin', 'y_min', 'y1', 'top'],
+            xmax: ['xmax', 'x_max', 'x2', 'right'],
+            ymax: ['ymax', 'y_max', 'y2', 'bottom']
+        };
+
+        this.initEmpty();
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'csv';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'CSV';
+    }
+
+    /**
+     * Check whether the folder holds a CSV annotations file
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if annotations.csv has a header naming the image, label
+     *   and corner columns, else 0
+     */
+    async detect(fileManager) {
+        const preview = await fileManager.readTextFilePreview(this.annotationFile, 64 * 1024);
+        if (!preview) return 0;
+
+        const headerLine = preview.text.split(/\r?\n/).find(line => line.trim());
+        if (!headerLine) return 0;
+
+        const mapping = this.guessMapping(this.parseRecords(headerLine)[0], []);
+        return Object.keys(this.columnNames).every(role => mapping[role] !== null) ? 1 : 0;
+    }
+
+    /**
+     * Set the callback used to confirm the column mapping (e.g. a dialog)
+     * @param {Function} provider - async (header, mapping) => mapping, or null to cancel
+     */
+    setMappingProvider(provider) {
+        this.mappingProvider = provider;
+    }
+
+    /**
+     * What the format can store for each box
+     * Attributes are written to the extra columns of a loaded file
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return {
+            polygons: false,
+            rotation: false,
+            tracks: false,
+            classNames: true,
+            attributes: this.header.filter(name => !Object.values(this.mapping).includes(name))
+        };
+    }
+
+    /**
+     * Load all CSV annotations from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        this.initEmpty();
+
+        const content = await fileManager.readTextFile(this.annotationFile);
+
+        if (content) {
+            console.log(`Found CSV annotations: ${this.annotationFile}`);
+            this.parse(content);
+
+            let mapping = this.guessMapping(this.header, this.rows);
+            if (this.mappingProvider) {
+                mapping = await this.mappingProvider(this.header, mapping);
+                if (!mapping) {
+                    throw new Error('CSV column mapping cancelled');
+                }
+            }
+            this.setMapping(mapping);
+
+            for (const image of images) {
+                const imageBoxes = this.getBoxesForImage(image);
+                if (imageBoxes.length > 0) {
+                    boxes.set(image.id, imageBoxes);
+                }
+            }
+        } else {
+            console.log('No CSV annotations found. Starting with empty dataset.');
+        }
+
+        if (this.classes.length === 0) {
+            this.classes = ['object'];
+        }
+
+        return { boxes, classes: this.classes };
+    }
+
+    /**
+     * Save CSV annotations for current image
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.updateImage(image, boxes, classes);
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Save annotations for many images, writing the annotation file once
+     * @param {FileManager} fileManager - File system manager
+     * @param {Array} images - Image objects
+     * @param {Map} boxesByImage - imageId -> box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async saveAll(fileManager, images, boxesByImage, classes) {
+        images.forEach(image => this.updateImage(image, boxesByImage.get(image.id) || [], classes));
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Put the boxes of an image into the loaded annotations, without writing them
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects with 0-indexed class IDs
+     * @param {Array} classes - Class names
+     */
+    updateImage(image, boxes, classes) {
+        this.classes = classes;
+        this.setBoxesForImage(image, boxes, classes);
+    }
+
+    /**
+     * Write the annotation file
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<void>}
+     */
+    async writeAnnotations(fileManager) {
+        const content = this.stringify();
+        await fileManager.writeTextFile(this.annotationFile, content);
+    }
+
+    /**
+     * Parse CSV content into header and rows (RFC 4180 quoting)
+     * @param {string} content - CSV content
+     */
+    parse(content) {
+        this.lineEnding = content.includes('\r\n') ? '\r\n' : '\n';
+
+        // Drop blank lines
+        const nonEmpty = this.parseRecords(content).filter(row => row.length > 1 || row[0] !== '');
+        if (nonEmpty.length === 0) {
+            throw new Error('Invalid CSV format: missing header row');
+        }
+
+        this.header = nonEmpty[0];
+        this.rows = nonEmpty.slice(1);
+        this.imageRows = new Map();
+        this.imageValues = new Map();
+        this.editedImages.clear();
+    }
+
+    /**
+     * Split CSV content into records of fields (RFC 4180 quoting)
+     * @param {string} content - CSV content
+     * @returns {Array} Records, each an array of field values
+     */
+    parseRecords(content) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    /**
+     * Convert header and rows to CSV string
+     * @returns {string} CSV content
+     */
+    stringify() {
+        this.mergeEditedRows();
+
+        const lines = [this.header, ...this.rows].map(row =>
+            row.map(value => this.escapeField(value)).join(',')
+        );
+        return lines.join(this.lineEnding) + this.lineEnding;
+    }
+
+    /**
+     * Quote a field if it contains a delimiter, quote or line break
+     * @param {string} value - Field value
+     * @returns {string} CSV field
+     */
+    escapeField(value) {
+        const text = String(value);
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Guess the column mapping from header names
+     * Coordinates are treated as normalized when every value is within 0-1
+     * @param {Array} header - Column names
+     * @param {Array} rows - Data rows
+     * @returns {Object} Mapping {image, label, xmin, ymin, xmax, ymax, normalized}
+     */
+    guessMapping(header, rows) {
+        const lowerHeader = header.map(name => name.trim().toLowerCase());
+        const mapping = {};
+
+        for (const [role, names] of Object.entries(this.columnNames)) {
+            const index = lowerHeader.findIndex(name => names.includes(name));
+            mapping[role] = index !== -1 ? header[index] : null;
+        }
+
+        const coordinateIndices = ['xmin', 'ymin', 'xmax', 'ymax']
+            .map(role => header.indexOf(mapping[role]))
+            .filter(index => index !== -1);
+
+        const values = rows.flatMap(row => coordinateIndices.map(index => parseFloat(row[index])))
+            .filter(value => !isNaN(value));
+        mapping.normalized = values.length > 0 && values.every(value => value >= 0 && value <= 1);
+
+        return mapping;
+    }
+
+    /**
+     * Set the column mapping used to read and write boxes
+     * @param {Object} mapping - {image, label, xmin, ymin, xmax, ymax, normalized}
+     */
+    setMapping(mapping) {
+        for (const role of Object.keys(this.columnNames)) {
+            if (!this.header.includes(mapping[role])) {
+                throw new Error(`CSV column mapping is missing the ${role} column`);
+            }
+        }
+        this.mapping = { ...mapping };
+        this.indexRows();
+    }
+
+    /**
+     * Group the rows by the image they belong to (see getRowKey)
+     */
+    indexRows() {
+        const imageIndex = this.getColumnIndex('image');
+        this.imageRows = new Map();
+        this.imageValues = new Map();
+        this.rows.forEach(row => {
+            const key = this.getRowKey(row[imageIndex] || '');
+            if (!this.imageRows.has(key)) {
+                this.imageRows.set(key, []);
+                this.imageValues.set(key, row[imageIndex] || '');
+            }
+            this.imageRows.get(key).push(row);
+        });
+    }
+
+    /**
+     * Get the index of a mapped column
+     * @param {string} role - Mapped role (image, label, xmin, ...)
+     * @returns {number} Column index
+     */
+    getColumnIndex(role) {
+        return this.header.indexOf(this.mapping[role]);
+    }
+
+    /**
+     * Get the key rows are grouped by: the file name of the image column value
+     * (Open Images IDs have no extension)
+     * @param {string} value - Image column value
+     * @returns {string} Row key
+     */
+    getRowKey(value) {
+        return value.substring(value.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Find the row key of an image
+     * Rows name it by file name, or by base name if their values have no extension
+     * @param {string} fileName - Image file name
+     * @returns {string|null} Row key, or null if no row is for the image
+     */
+    findImageKey(fileName) {
+        if (this.imageRows.has(fileName)) return fileName;
+
+        const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+        if (!baseName.includes('.') && this.imageRows.has(baseName)) return baseName;
+        return null;
+    }
+
+    /**
+     * Get boxes for an image
+     * Unknown labels are appended to the handler's class list
+     * @param {Object} image - Image object {fileName, width, height}
+     * @returns {Array} Array of box objects
+     */
+    getBoxesForImage(image) {
+        const imageIndex = this.getColumnIndex('image');
+        const labelIndex = this.getColumnIndex('label');
+        const coordinateIndices = ['xmin', 'ymin', 'xmax', 'ymax'].map(role => this.getColumnIndex(role));
+        const mappedIndices = [imageIndex, labelIndex, ...coordinateIndices];
+
+        const scaleX = this.mapping.normalized ? image.width : 1;
+        const scaleY = this.mapping.normalized ? image.height : 1;
+
+        const key = this.findImageKey(image.fileName);
+        const rows = key !== null ? this.imageRows.get(key) : [];
+
+        const boxes = [];
+        rows.forEach(row => {
+            const [xmin, ymin, xmax, ymax] = coordinateIndices.map(index => parseFloat(row[index]));
+            if ([xmin, ymin, xmax, ymax].some(value => isNaN(value))) return;
+
+            const label = row[labelIndex];
+            let classId = this.classes.indexOf(label);
+            if (classId === -1) {
+                classId = this.classes.length;
+                this.classes.push(label);
+            }
+
+            // Keep unmapped columns (confidence, IsOccluded, ...) for the round-trip
+            const attributes = {};
+            this.header.forEach((name, index) => {
+                if (!mappedIndices.includes(index)) {
+                    attributes[name] = row[index] !== undefined ? row[index] : '';
+                }
+            });
+
+            boxes.push({
+                classId,
+                x: xmin * scaleX,
+                y: ymin * scaleY,
+                width: (xmax - xmin) * scaleX,
+                height: (ymax - ymin) * scaleY,
+                attributes
+            });
+        });
+
+        return boxes;
+    }
+
+    /**
+     * Replace the rows of an image with boxes
+     * New rows keep the image value of the existing ones (e.g. "train/a.jpg") and take
+     * the place of the image's first existing row when the file is written
+     * @param {Object} image - Image object {fileName, width, height}
+     * @param {Array} boxes - Array of box objects
+     * @param {Array} classes - Class names array
+     */
+    setBoxesForImage(image, boxes, classes) {
+        const existingKey = this.findImageKey(image.fileName);
+        const imageKey = existingKey !== null
+            ? this.imageValues.get(existingKey)
+            : this.getImageKey(image.fileName);
+
+        const scaleX = this.mapping.normalized ? image.width : 1;
+        const scaleY = this.mapping.normalized ? image.height : 1;
+        const decimals = this.mapping.normalized ? 6 : 2;
+        const format = value => String(Number(value.toFixed(decimals)));
+
+        const newRows = boxes.map(box => {
+            const values = {
+                image: imageKey,
+                label: classes[box.classId] || `class_${box.classId}`,
+                xmin: format(box.x / scaleX),
+                ymin: format(box.y / scaleY),
+                xmax: format((box.x + box.width) / scaleX),
+                ymax: format((box.y + box.height) / scaleY)
+            };
+
+            const attributes = box.attributes || {};
+            return this.header.map(name => {
+                const role = Object.keys(values).find(key => this.mapping[key] === name);
+                if (role) return values[role];
+                return attributes[name] !== undefined ? String(attributes[name]) : '';
+            });
+        });
+
+        const key = existingKey !== null ? existingKey : this.getRowKey(imageKey);
+        this.imageRows.set(key, newRows);
+        this.imageValues.set(key, imageKey);
+        this.editedImages.add(key);
+    }
+
+    /**
+     * Put the rows of edited images into the row list
+     * Each image's rows go where its first row was; rows of new images are appended
+     */
+    mergeEditedRows() {
+        if (this.editedImages.size === 0) return;
+
+        const imageIndex = this.getColumnIndex('image');
+        const merged = new Set();
+        const rows = [];
+        this.rows.forEach(row => {
+            const key = this.getRowKey(row[imageIndex] || '');
+            if (!this.editedImages.has(key)) {
+                rows.push(row);
+            } else if (!merged.has(key)) {
+                rows.push(...this.imageRows.get(key));
+                merged.add(key);
+            }
+        });
+
+        this.editedImages.forEach(key => {
+            if (!merged.has(key)) {
+                rows.push(...this.imageRows.get(key));
+            }
+        });
+
+        this.rows = rows;
+        this.editedImages.clear();
+    }
+
+    /**
+     * Get the image column value for a new row
+     * Follows the existing rows: Open Images style IDs drop the extension
+     * @param {string} fileName - Image file name
+     * @returns {string} Image column value
+     */
+    getImageKey(fileName) {
+        const imageIndex = this.getColumnIndex('image');
+        const sample = this.rows.find(row => row[imageIndex]);
+
+        if (sample && !sample[imageIndex].includes('.')) {
+            return fileName.substring(0, fileName.lastIndexOf('.'));
+        }
+        return fileName;
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
+    /**
+     * Initialize empty state with a pixel-coordinate header
+     */
+    initEmpty() {
+        this.classes = [];
+        this.header = ['filename', 'class', 'xmin', 'ymin', 'xmax', 'ymax'];
+        this.rows = [];
+        this.imageRows = new Map(); // Row key -> current rows of the image (see getRowKey)
+        this.imageValues = new Map(); // Row key -> image column value of the image's rows
+        this.editedImages = new Set(); // Row keys whose rows aren't merged into this.rows yet
+        this.lineEnding = '\n';
+        this.mapping = {
+            image: 'filename',
+            label: 'class',
+            xmin: 'xmin',
+            ymin: 'ymin',
+            xmax: 'xmax',
+            ymax: 'ymax',
+            normalized: false
+        };
+    }
+
+    /**
+     * Get classes array
+     * @returns {Array} Array of class names
+     */
+    getClasses() {
+        return this.classes;
+    }
+}
+
+// Export for ES6 modules
+export default CSVHandler;
@@ -0,0 +1,531 @@
+/**
+ * CVATHandler.js
+ * Handles CVAT "for images 1.1" XML format parsing and writing
+ * Format: Single annotations.xml file with labels in <meta> and one <image> per file
+ * box format: xtl, ytl, xbr, ybr attributes in pixels
+ * Non-box shapes (polygons, points, tags) and elements after the images (e.g. <track>)
+ * are kept verbatim on save
+ */
+
+import FormatHandler from './FormatHandler.js';
+import XMLText from './XMLText.js';
+
+class CVATHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.header = ''; // Everything before the first <image>, including <meta>
+        this.trailer = ''; // Everything between the last </image> and </annotations>
+        this.labels = []; // Label names defined in <meta>
+        this.classNames = []; // Class names as last loaded or saved, to tell renames from new classes
+        this.images = new Map(); // name -> {attributes, boxes, extra}
+        this.nextImageId = 0;
+        this.annotationFile = 'annotations.xml';
+
+        // <box> XML attributes carried through as box attributes
+        // Any other box attribute is written as a nested <attribute> element
+        this.boxProperties = ['occluded', 'source', 'z_order', 'group_id', 'rotation'];
+
+        this.initEmpty();
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'cvat';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'CVAT';
+    }
+
+    /**
+     * Check whether the folder holds a CVAT for images XML export
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if annotations.xml has an <annotations> root, else 0
+     */
+    async detect(fileManager) {
+        const content = await fileManager.readTextFile(this.annotationFile);
+        return content && /<annotations[\s>]/.test(content) ? 1 : 0;
+    }
+
+    /**
+     * What the format can store for each box
+     * Other attributes are written as <attribute> elements
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return { polygons: false, rotation: false, tracks: false, classNames: true, attributes: true };
+    }
+
+    /**
+     * Load all CVAT annotations from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        const content = await fileManager.readTextFile(this.annotationFile);
+
+        let classes = ['object'];
+
+        if (content) {
+            console.log(`Found CVAT annotations: ${this.annotationFile}`);
+            this.parse(content);
+
+            // Labels from <meta> first, then any label only used on a box
+            classes = [...this.labels];
+            for (const record of this.images.values()) {
+                record.boxes.forEach(box => {
+                    if (!classes.includes(box.label)) {
+                        classes.push(box.label);
+                    }
+                });
+            }
+            if (classes.length === 0) {
+                classes = ['object'];
+            }
+            this.classNames = classes.slice();
+
+            for (const image of images) {
+                const record = this.findImage(image.fileName);
+                if (!record) continue;
+
+                boxes.set(image.id, record.boxes.map(box => ({
+                    classId: classes.indexOf(box.label),
+                    x: box.x,
+                    y: box.y,
+                    width: box.width,
+                    height: box.height,
+                    attributes: { ...box.attributes }
+                })));
+            }
+        } else {
+            console.log('No CVAT annotations found. Starting with empty dataset.');
+            this.initEmpty();
+        }
+
+        return { boxes, classes };
+    }
+
+    /**
+     * Save CVAT annotations for current image
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects with 0-indexed class IDs
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.updateImage(image, boxes, classes);
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Save annotations for many images, writing the annotation file once
+     * @param {FileManager} fileManager - File system manager
+     * @param {Array} images - Image objects
+     * @param {Map} boxesByImage - imageId -> box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async saveAll(fileManager, images, boxesByImage, classes) {
+        images.forEach(image => this.updateImage(image, boxesByImage.get(image.id) || [], classes));
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Put the boxes of an image into the loaded annotations, without writing them
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects with 0-indexed class IDs
+     * @param {Array} classes - Class names
+     */
+    updateImage(image, boxes, classes) {
+        this.renameLabels(classes);
+        classes.forEach(name => this.addLabel(name));
+
+        const cvatBoxes = boxes.map(box => ({
+            label: classes[box.classId] || `class_${box.classId}`,
+            x: box.x,
+            y: box.y,
+            width: box.width,
+            height: box.height,
+            attributes: box.attributes || {}
+        }));
+
+        this.setBoxesForImage(image.fileName, cvatBoxes, image.width, image.height);
+    }
+
+    /**
+     * Write the annotation file
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<void>}
+     */
+    async writeAnnotations(fileManager) {
+        // Write back to the same single file
+        const content = this.stringify();
+        await fileManager.writeTextFile(this.annotationFile, content);
+    }
+
+    /**
+     * Parse CVAT XML
+     * @param {string} content - XML content
+     */
+    parse(content) {
+        if (!/<annotations[\s>]/.test(content)) {
+            throw new Error('Invalid CVAT XML format');
+        }
+
+        this.images.clear();
+
+        const firstImage = content.search(/<image[\s>]/);
+        const end = content.lastIndexOf('</annotations>');
+        this.header = content.substring(0, firstImage !== -1 ? firstImage : end).replace(/\s+$/, '');
+        this.labels = this.parseLabels(this.header);
+
+        const imagePattern = /<image\b([^>]*?)(?:\/>|>([\s\S]*?)<\/image>)/g;
+        let imagesEnd = firstImage !== -1 ? firstImage : end;
+        let match;
+        while ((match = imagePattern.exec(content)) !== null) {
+            imagesEnd = imagePattern.lastIndex;
+            const attributes = this.parseAttributes(match[1]);
+            const body = match[2] || '';
+
+            const boxes = [];
+            const boxPattern = /<box\b([^>]*?)(?:\/>|>([\s\S]*?)<\/box>)/g;
+            let boxMatch;
+            while ((boxMatch = boxPattern.exec(body)) !== null) {
+                boxes.push(this.parseBox(boxMatch[1], boxMatch[2] || ''));
+            }
+
+            // Everything that isn't a box is written back untouched
+            const extra = body
+                .replace(boxPattern, '')
+                .replace(/\n\s*\n/g, '\n')
+                .trim();
+
+            this.images.set(attributes.name, { attributes, boxes, extra });
+        }
+
+        // Tracks and other elements after the images are written back untouched
+        this.trailer = firstImage !== -1
+            ? content.substring(imagesEnd, end !== -1 ? end : content.length).replace(/^\s*\n/, '').replace(/\s+$/, '')
+            : '';
+
+        const ids = Array.from(this.images.values()).map(record => parseInt(record.attributes.id));
+        this.nextImageId = Math.max(-1, ...ids.filter(id => !isNaN(id))) + 1;
+    }
+
+    /**
+     * Parse label names from the <meta> section
+     * @param {string} header - XML before the first <image>
+     * @returns {Array} Array of label names
+     */
+    parseLabels(header) {
+        const labels = [];
+        const labelsSection = header.match(/<labels>([\s\S]*?)<\/labels>/);
+        if (!labelsSection) return labels;
+
+        const labelPattern = /<label>([\s\S]*?)<\/label>/g;
+        let match;
+        while ((match = labelPattern.exec(labelsSection[1])) !== null) {
+            // Attribute definitions have their own <name> tags
+            const labelXml = match[1].replace(/<attributes>[\s\S]*?<\/attributes>/g, '');
+            const name = labelXml.match(/<name>([\s\S]*?)<\/name>/);
+            if (name) {
+                labels.push(XMLText.unescape(name[1].trim()));
+            }
+        }
+
+        return labels;
+    }
+
+    /**
+     * Parse a single <box> element
+     * @param {string} attributeString - Raw XML attributes of the <box> tag
+     * @param {string} body - Inner XML of the <box> element
+     * @returns {Object} Box object {label, x, y, width, height, attributes}
+     */
+    parseBox(attributeString, body) {
+        const properties = this.parseAttributes(attributeString);
+        const xtl = parseFloat(properties.xtl);
+        const ytl = parseFloat(properties.ytl);
+        const xbr = parseFloat(properties.xbr);
+        const ybr = parseFloat(properties.ybr);
+
+        const attributes = {};
+        this.boxProperties.forEach(key => {
+            if (properties[key] !== undefined) {
+                attributes[key] = key === 'occluded' ? parseInt(properties[key]) || 0 : properties[key];
+            }
+        });
+
+        const attributePattern = /<attribute\b([^>]*?)>([\s\S]*?)<\/attribute>/g;
+        let match;
+        while ((match = attributePattern.exec(body)) !== null) {
+            const { name } = this.parseAttributes(match[1]);
+            if (name !== undefined) {
+                attributes[name] = XMLText.unescape(match[2]);
+            }
+        }
+
+        return {
+            label: properties.label,
+            x: xtl,
+            y: ytl,
+            width: xbr - xtl,
+            height: ybr - ytl,
+            attributes
+        };
+    }
+
+    /**
+     * Parse XML tag attributes into an object
+     * @param {string} attributeString - e.g. ' id="0" name="a.jpg"'
+     * @returns {Object} Attribute name -> unescaped value
+     */
+    parseAttributes(attributeString) {
+        const attributes = {};
+        const pattern = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+        let match;
+        while ((match = pattern.exec(attributeString)) !== null) {
+            attributes[match[1]] = XMLText.unescape(match[2]);
+        }
+        return attributes;
+    }
+
+    /**
+     * Convert CVAT data to XML string
+     * @returns {string} XML string
+     */
+    stringify() {
+        const lines = [this.header];
+
+        for (const record of this.images.values()) {
+            lines.push(`  <image${this.stringifyAttributes(record.attributes)}>`);
+            record.boxes.forEach(box => {
+                lines.push(...this.stringifyBox(box));
+            });
+            if (record.extra) {
+                lines.push(`    ${record.extra}`);
+            }
+            lines.push('  </image>');
+        }
+
+        if (this.trailer) {
+            lines.push(this.trailer);
+        }
+        lines.push('</annotations>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Convert a box to <box> element lines
+     * @param {Object} box - Box object {label, x, y, width, height, attributes}
+     * @returns {Array} XML lines
+     */
+    stringifyBox(box) {
+        const attributes = box.attributes || {};
+        const properties = {
+            label: box.label,
+            source: attributes.source !== undefined ? attributes.source : 'manual',
+            occluded: attributes.occluded ? 1 : 0,
+            xtl: box.x.toFixed(2),
+            ytl: box.y.toFixed(2),
+            xbr: (box.x + box.width).toFixed(2),
+            ybr: (box.y + box.height).toFixed(2),
+            z_order: attributes.z_order !== undefined ? attributes.z_order : 0
+        };
+        ['group_id', 'rotation'].forEach(key => {
+            if (attributes[key] !== undefined) {
+                properties[key] = attributes[key];
+            }
+        });
+
+        const children = Object.keys(attributes)
+            .filter(key => !this.boxProperties.includes(key))
+            .map(key => `      <attribute name="${XMLText.escape(key)}">${XMLText.escape(attributes[key])}</attribute>`);
+
+        if (children.length === 0) {
+            return [`    <box${this.stringifyAttributes(properties)}>`, '    </box>'];
+        }
+        return [`    <box${this.stringifyAttributes(properties)}>`, ...children, '    </box>'];
+    }
+
+    /**
+     * Convert an object to XML tag attributes
+     * @param {Object} attributes - Attribute name -> value
+     * @returns {string} e.g. ' id="0" name="a.jpg"'
+     */
+    stringifyAttributes(attributes) {
+        return Object.entries(attributes)
+            .map(([key, value]) => ` ${key}="${XMLText.escape(value)}"`)
+            .join('');
+    }
+
+    /**
+     * Find the image record for a file name
+     * CVAT image names may include a folder prefix, so fall back to matching the base name
+     * @param {string} fileName - Image file name
+     * @returns {Object|null} Image record
+     */
+    findImage(fileName) {
+        if (this.images.has(fileName)) {
+            return this.images.get(fileName);
+        }
+
+        for (const [name, record] of this.images.entries()) {
+            if (name.substring(name.lastIndexOf('/') + 1) === fileName) {
+                return record;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Update boxes for an image
+     * @param {string} fileName - Image file name
+     * @param {Array} boxes - Array of {label, x, y, width, height, attributes}
+     * @param {number} imageWidth - Image width
+     * @param {number} imageHeight - Image height
+     */
+    setBoxesForImage(fileName, boxes, imageWidth, imageHeight) {
+        let record = this.findImage(fileName);
+        if (!record) {
+            record = {
+                attributes: {
+                    id: this.nextImageId++,
+                    name: fileName,
+                    width: imageWidth,
+                    height: imageHeight
+                },
+                boxes: [],
+                extra: ''
+            };
+            this.images.set(fileName, record);
+        }
+
+        record.boxes = boxes;
+    }
+
+    /**
+     * Add a label to the <meta> section if it isn't already defined
+     * @param {string} name - Label name
+     */
+    addLabel(name) {
+        if (this.labels.includes(name)) return;
+
+        const labelXml = [
+            '        <label>',
+            `          <name>${XMLText.escape(name)}</name>`,
+            '          <attributes>',
+            '          </attributes>',
+            '        </label>'
+        ].join('\n');
+
+        if (this.header.includes('</labels>')) {
+            this.header = this.header.replace(/([ \t]*)<\/labels>/, `${labelXml}\n$1</labels>`);
+        } else if (this.header.includes('<labels/>')) {
+            this.header = this.header.replace(/([ \t]*)<labels\/>/, `$1<labels>\n${labelXml}\n$1</labels>`);
+        }
+
+        this.labels.push(name);
+    }
+
+    /**
+     * Rename the <label> of classes renamed since the last load or save, in place
+     * A renamed label keeps its attributes and color. Boxes, other shapes and tracks follow it
+     * @param {Array} classes - Class names
+     */
+    renameLabels(classes) {
+        this.classNames.forEach((oldName, classId) => {
+            const name = classes[classId];
+            if (name === undefined || name === oldName || classes.includes(oldName)) return;
+
+            const index = this.labels.indexOf(oldName);
+            if (index === -1 || this.labels.includes(name)) return;
+
+            this.header = this.header.replace(/<labels>[\s\S]*?<\/labels>/, section =>
+                section.replace(/<label>[\s\S]*?<\/label>/g, label => this.renameLabel(label, oldName, name)));
+            this.labels[index] = name;
+
+            const relabel = xml => xml.replace(/(\slabel=")([^"]*)"/g, (attribute, start, value) =>
+                (XMLText.unescape(value) === oldName ? `${start}${XMLText.escape(name)}"` : attribute));
+            for (const record of this.images.values()) {
+                record.boxes.forEach(box => {
+                    if (box.label === oldName) {
+                        box.label = name;
+                    }
+                });
+                record.extra = relabel(record.extra);
+            }
+            this.trailer = relabel(this.trailer);
+        });
+        this.classNames = classes.slice();
+    }
+
+    /**
+     * Change the <name> of a <label> element, leaving its attribute definitions alone
+     * @param {string} label - <label> element XML
+     * @param {string} oldName - Name to replace
+     * @param {string} name - New name
+     * @returns {string} Label XML, unchanged if it isn't named oldName
+     */
+    renameLabel(label, oldName, name) {
+        let found = false;
+        return label.replace(/<attributes>[\s\S]*?<\/attributes>|<name>([\s\S]*?)<\/name>/g, (element, text) => {
+            if (found || text === undefined) return element;
+
+            found = true;
+            return XMLText.unescape(text.trim()) === oldName ? `<name>${XMLText.escape(name)}</name>` : element;
+        });
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
+    /**
+     * Initialize empty CVAT document
+     */
+    initEmpty() {
+        this.header = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<annotations>',
+            '  <version>1.1</version>',
+            '  <meta>',
+            '    <task>',
+            '      <labels>',
+            '      </labels>',
+            '    </task>',
+            '  </meta>'
+        ].join('\n');
+        this.trailer = '';
+        this.labels = [];
+        this.classNames = [];
+        this.images.clear();
+        this.nextImageId = 0;
+        this.annotationFile = 'annotations.xml';
+    }
+
+    /**
+     * Get label names defined in <meta>
+     * @returns {Array} Array of label names
+     */
+    getLabels() {
+        return this.labels;
+    }
+}
+
+// Export for ES6 modules
+export default CVATHandler;
@@ -0,0 +1,359 @@
+/**
+ * CreateMLHandler.js
+ * Handles Apple CreateML object detection JSON parsing and writing
+ * Format: Single JSON array with one entry per image:
+ * [{"image": "image1.jpg", "annotations": [{"label": "cat", "coordinates": {"x", "y", "width", "height"}}]}]
+ * coordinates: box center x/y plus width/height, in pixels
+ * Other annotation fields become box attributes and are written back for the boxes they came from
+ */
+
+import FormatHandler from './FormatHandler.js';
+
+class CreateMLHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.classes = [];
+        this.entries = []; // Parsed CreateML entries, in file order
+        this.entriesByName = new Map(); // image -> first entry with that image
+        this.entriesByBaseName = new Map(); // image base name -> first entry with that base name
+        this.annotationFile = '_annotations.createml.json'; // Track which file to save to
+
+        // Common export names
+        // annotations.json is shared with COCO, so only accept it if it is a CreateML array
+        this.possibleNames = [
+            '_annotations.createml.json',
+            'annotations.createml.json',
+            'annotations.json'
+        ];
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'createml';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'CreateML';
+    }
+
+    /**
+     * Check whether the folder holds a CreateML annotations file
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if a known file parses as a CreateML array, else 0
+     */
+    async detect(fileManager) {
+        for (const name of this.possibleNames) {
+            const preview = await fileManager.readTextFilePreview(name);
+            if (!preview || !preview.text) continue;
+
+            // Too large to check whole (e.g. a big COCO annotations.json) - sniff the start
+            if (!preview.complete) {
+                const text = preview.text;
+                if (/^\s*\[/.test(text) && /"image"\s*:\s*"/.test(text) && /"coordinates"\s*:/.test(text)) {
+                    return 1;
+                }
+                continue;
+            }
+
+            try {
+                this.parse(preview.text);
+                return 1;
+            } catch (error) {
+                continue;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * What the format can store for each box
+     * Only the fields read from a CreateML annotation are written back, so no other attributes are kept
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return { polygons: false, rotation: false, tracks: false, classNames: true, attributes: [] };
+    }
+
+    /**
+     * Load all CreateML annotations from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        this.initEmpty();
+
+        // Try to find CreateML annotations file with various common names
+        let found = false;
+        for (const name of this.possibleNames) {
+            const content = await fileManager.readTextFile(name);
+            if (!content) continue;
+
+            try {
+                this.entries = this.parse(content);
+            } catch (error) {
+                console.error(`Skipping ${name}:`, error.message);
+                continue;
+            }
+
+            console.log(`Found CreateML annotations: ${name}`);
+            this.annotationFile = name;
+            found = true;
+            break;
+        }
+
+        if (found) {
+            this.indexEntries();
+            for (const image of images) {
+                const entry = this.findEntry(image.fileName);
+                if (entry) {
+                    boxes.set(image.id, this.getBoxes(entry));
+                }
+            }
+        } else {
+            console.log('No CreateML annotations found. Starting with empty dataset.');
+            this.annotationFile = '_annotations.createml.json';
+        }
+
+        if (this.classes.length === 0) {
+            this.classes = ['object'];
+        }
+
+        return { boxes, classes: this.classes };
+    }
+
+    /**
+     * Save CreateML annotations for current image
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.updateImage(image, boxes, classes);
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Save annotations for many images, writing the annotation file once
+     * @param {FileManager} fileManager - File system manager
+     * @param {Array} images - Image objects
+     * @param {Map} boxesByImage - imageId -> box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async saveAll(fileManager, images, boxesByImage, classes) {
+        images.forEach(image => this.updateImage(image, boxesByImage.get(image.id) || [], classes));
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Put the boxes of an image into the loaded annotations, without writing them
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects with 0-indexed class IDs
+     * @param {Array} classes - Class names
+     */
+    updateImage(image, boxes, classes) {
+        this.classes = classes;
+
+        let entry = this.findEntry(image.fileName);
+        if (!entry) {
+            entry = { image: image.fileName, annotations: [] };
+            this.entries.push(entry);
+            this.indexEntry(entry);
+        }
+
+        this.setBoxes(entry, boxes, classes);
+    }
+
+    /**
+     * Write the annotation file
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<void>}
+     */
+    async writeAnnotations(fileManager) {
+        // Write to the same file that was loaded
+        const content = this.stringify();
+        await fileManager.writeTextFile(this.annotationFile, content);
+    }
+
+    /**
+     * Parse CreateML JSON file
+     * At least one entry must have an annotations list, so that other arrays of
+     * {image} objects (or an empty array) aren't taken for CreateML
+     * @param {string} content - JSON content
+     * @returns {Array} Parsed entries
+     */
+    parse(content) {
+        let entries;
+        try {
+            entries = JSON.parse(content);
+        } catch (error) {
+            throw new Error('Invalid CreateML JSON format');
+        }
+
+        if (!Array.isArray(entries) ||
+            !entries.every(entry => entry && typeof entry.image === 'string') ||
+            !entries.some(entry => Array.isArray(entry.annotations))) {
+            throw new Error('Invalid CreateML JSON format');
+        }
+
+        return entries;
+    }
+
+    /**
+     * Convert entries to JSON string
+     * @returns {string} Formatted JSON string
+     */
+    stringify() {
+        return JSON.stringify(this.entries, null, 2);
+    }
+
+    /**
+     * Find the entry for an image
+     * Entries may reference images with a folder prefix, so fall back to the base name
+     * @param {string} fileName - Image file name
+     * @returns {Object|undefined} CreateML entry
+     */
+    findEntry(fileName) {
+        return this.entriesByName.get(fileName) || this.entriesByBaseName.get(this.getBaseName(fileName));
+    }
+
+    /**
+     * Index the entries by image name and base name, so images are found without a scan
+     */
+    indexEntries() {
+        this.entriesByName = new Map();
+        this.entriesByBaseName = new Map();
+        this.entries.forEach(entry => this.indexEntry(entry));
+    }
+
+    /**
+     * Add an entry to the index
+     * The first entry for a name is kept, as a search in file order would find it
+     * @param {Object} entry - CreateML entry
+     */
+    indexEntry(entry) {
+        if (!this.entriesByName.has(entry.image)) {
+            this.entriesByName.set(entry.image, entry);
+        }
+
+        const baseName = this.getBaseName(entry.image);
+        if (!this.entriesByBaseName.has(baseName)) {
+            this.entriesByBaseName.set(baseName, entry);
+        }
+    }
+
+    /**
+     * Get the file name of an image path
+     * @param {string} path - Image path
+     * @returns {string} Part after the last slash
+     */
+    getBaseName(path) {
+        return path.substring(path.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Get boxes from an entry
+     * Unknown labels are appended to the handler's class list
+     * @param {Object} entry - CreateML entry
+     * @returns {Array} Array of box objects, each with its annotation's index as origin
+     */
+    getBoxes(entry) {
+        const boxes = [];
+
+        (entry.annotations || []).forEach((annotation, index) => {
+            // Keep any extra annotation fields (e.g. confidence) for the round-trip
+            const { label, coordinates, ...attributes } = annotation;
+            if (!coordinates) return;
+
+            let classId = this.classes.indexOf(label);
+            if (classId === -1) {
+                classId = this.classes.length;
+                this.classes.push(label);
+            }
+
+            boxes.push({
+                classId,
+                x: coordinates.x - coordinates.width / 2,
+                y: coordinates.y - coordinates.height / 2,
+                width: coordinates.width,
+                height: coordinates.height,
+                attributes,
+                origin: this.createOrigin(index)
+            });
+        });
+
+        return boxes;
+    }
+
+    /**
+     * Replace the annotations of an entry with boxes
+     * Boxes take the places of the annotations they were read from (their origin index) and
+     * get those annotations' other fields back; attributes from other formats (e.g. VOC
+     * truncated) are not written. New boxes are appended
+     * @param {Object} entry - CreateML entry
+     * @param {Array} boxes - Array of box objects
+     * @param {Array} classes - Class names array
+     */
+    setBoxes(entry, boxes, classes) {
+        entry.annotations = this.mergeRecords(entry, entry.annotations || [], boxes,
+            annotation => Boolean(annotation && annotation.coordinates),
+            (box, loaded) => {
+                const annotation = {
+                    label: classes[box.classId] || `class_${box.classId}`,
+                    coordinates: {
+                        x: box.x + box.width / 2,
+                        y: box.y + box.height / 2,
+                        width: box.width,
+                        height: box.height
+                    }
+                };
+                if (!loaded) return annotation;
+
+                const attributes = box.attributes || {};
+                Object.keys(loaded).forEach(name => {
+                    if (name !== 'label' && name !== 'coordinates' && name in attributes) {
+                        annotation[name] = attributes[name];
+                    }
+                });
+                return this.orderKeys(annotation, loaded);
+            });
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
+    /**
+     * Initialize empty state
+     */
+    initEmpty() {
+        this.classes = [];
+        this.entries = [];
+        this.indexEntries();
+    }
+
+    /**
+     * Get classes array
+     * @returns {Array} Array of class names
+     */
+    getClasses() {
+        return this.classes;
+    }
+}
+
+// Export for ES6 modules
+export default CreateMLHandler;
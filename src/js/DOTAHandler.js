@@ -0,0 +1,236 @@
+/**
+ * DOTAHandler.js
+ * Handles DOTA aerial imagery label format parsing and writing
+ * Format: One labelTxt/<image>.txt file per image, with optional header lines
+ *   imagesource:GoogleEarth
+ *   gsd:0.146343590398
+ * followed by one object per line: x1 y1 x2 y2 x3 y3 x4 y4 category difficult
+ * Corners are pixel coordinates, clockwise. Quadrilaterals are edited as 4-point polygons
+ * Classes are not stored in a separate file - they are collected from the category column
+ */
+
+import FormatHandler from './FormatHandler.js';
+import Geometry from './Geometry.js';
+
+class DOTAHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.classes = [];
+        this.files = new Map(); // labelPath -> {headers: string[], decimals: number}
+        this.defaultDecimals = 1; // Coordinate precision for new files
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'dota';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'DOTA';
+    }
+
+    /**
+     * Check whether the folder holds DOTA labels
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if labelTxt/ has .txt label files, else 0
+     */
+    async detect(fileManager) {
+        const paths = await fileManager.listFiles('labelTxt');
+        return paths.some(path => path.toLowerCase().endsWith('.txt')) ? 1 : 0;
+    }
+
+    /**
+     * DOTA objects are arbitrary quadrilaterals, so new boxes can be rotated
+     * @returns {boolean}
+     */
+    hasOrientedBoxes() {
+        return true;
+    }
+
+    /**
+     * What the format can store for each box
+     * Quadrilaterals and rotated boxes are written as four corners
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return { polygons: 4, rotation: true, tracks: false, classNames: true, attributes: ['difficult'] };
+    }
+
+    /**
+     * Load all DOTA annotations from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        this.initEmpty();
+
+        // Load annotations for each image, collecting class names as we go
+        for (const image of images) {
+            const labelPath = this.getLabelPath(image.filePath);
+            const content = await fileManager.readTextFile(labelPath);
+
+            if (content) {
+                const { headers, decimals, boxes: imageBoxes } = this.parse(content);
+                this.files.set(labelPath, { headers, decimals });
+                boxes.set(image.id, imageBoxes);
+            }
+        }
+
+        if (this.classes.length === 0) {
+            this.classes = ['object'];
+        }
+
+        return { boxes, classes: this.classes };
+    }
+
+    /**
+     * Save DOTA annotations for current image
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.classes = classes;
+        const labelPath = this.getLabelPath(image.filePath);
+        const file = this.files.get(labelPath) || { headers: [], decimals: this.defaultDecimals };
+
+        const content = this.stringify(boxes, classes, file.headers, file.decimals);
+        await fileManager.writeTextFile(labelPath, content);
+    }
+
+    /**
+     * Get label file path for an image
+     * @param {string} imagePath - Image file path (e.g., "P0001.png")
+     * @returns {string} - Label file path (e.g., "labelTxt/P0001.txt")
+     */
+    getLabelPath(imagePath) {
+        const fileName = imagePath.substring(imagePath.lastIndexOf('/') + 1);
+        const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+        return `labelTxt/${baseName}.txt`;
+    }
+
+    /**
+     * Parse DOTA label file
+     * Unknown categories are appended to the handler's class list
+     * @param {string} content - Content of .txt file
+     * @returns {Object} {headers: string[], decimals: number, boxes: Array}
+     */
+    parse(content) {
+        const headers = [];
+        const boxes = [];
+        let decimals = 0;
+
+        const lines = content.split(/\r?\n/);
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+
+            // imagesource:/gsd: header lines are kept verbatim
+            if (/^[a-z_]+:/i.test(trimmed)) {
+                headers.push(trimmed);
+                continue;
+            }
+
+            const parts = trimmed.split(/\s+/);
+            if (parts.length < 9) continue;
+
+            const coordinates = parts.slice(0, 8);
+            const values = coordinates.map(parseFloat);
+            if (values.some(value => isNaN(value))) continue;
+
+            // Write back with the precision the file uses
+            coordinates.forEach(text => {
+                const dot = text.indexOf('.');
+                if (dot !== -1) {
+                    decimals = Math.max(decimals, text.length - dot - 1);
+                }
+            });
+
+            const category = parts[8];
+            let classId = this.classes.indexOf(category);
+            if (classId === -1) {
+                classId = this.classes.length;
+                this.classes.push(category);
+            }
+
+            const points = [];
+            for (let i = 0; i < 8; i += 2) {
+                points.push({ x: values[i], y: values[i + 1] });
+            }
+
+            boxes.push({
+                classId,
+                ...Geometry.pointsToPolygon(points),
+                attributes: { difficult: parseInt(parts[9]) || 0 }
+            });
+        }
+
+        return { headers, decimals, boxes };
+    }
+
+    /**
+     * Convert boxes to DOTA label format
+     * @param {Array} boxes - Array of box objects
+     * @param {Array} classes - Class names array
+     * @param {Array} headers - Header lines written before the objects
+     * @param {number} decimals - Coordinate precision
+     * @returns {string} DOTA format text
+     */
+    stringify(boxes, classes, headers = [], decimals = this.defaultDecimals) {
+        const lines = boxes.map(box => {
+            // Drawn boxes (rotated or not) are written as their four corners
+            const points = box.shape === 'polygon' && box.points.length === 4
+                ? box.points
+                : Geometry.boxToCorners(box);
+            const category = classes[box.classId] || `class_${box.classId}`;
+            const difficult = box.attributes && box.attributes.difficult ? 1 : 0;
+
+            return [
+                ...points.flatMap(point => [point.x.toFixed(decimals), point.y.toFixed(decimals)]),
+                category,
+                difficult
+            ].join(' ');
+        });
+
+        const allLines = [...headers, ...lines];
+        return allLines.length > 0 ? allLines.join('\n') + '\n' : '';
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
+    /**
+     * Initialize empty state
+     */
+    initEmpty() {
+        this.classes = [];
+        this.files.clear();
+    }
+
+    /**
+     * Get classes array
+     * @returns {Array} Array of class names
+     */
+    getClasses() {
+        return this.classes;
+    }
+}
+
+// Export for ES6 modules
+export default DOTAHandler;
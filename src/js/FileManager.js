@@ -52,8 +52,36 @@ class FileManager {
         }
     }
 
+    /**
+     * Pick prediction files (YOLO .txt or COCO results .json), anywhere on disk
+     * @returns {Promise<Array>} Picked files (File objects)
+     */
+    async openPredictionFiles() {
+        if (!('showOpenFilePicker' in window)) {
+            throw new Error('File System Access API not supported');
+        }
+
+        try {
+            const handles = await window.showOpenFilePicker({
+                multiple: true,
+                types: [{
+                    description: 'Predictions',
+                    accept: { 'text/plain': ['.txt'], 'application/json': ['.json'] }
+                }]
+            });
+            return await Promise.all(handles.map(handle => handle.getFile()));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Predictions selection cancelled');
+            }
+            throw error;
+        }
+    }
+
     /**
      * Recursively scan directory for image files
+     * Only the root folder and the images/ folder (YOLO split layout, e.g. images/train/)
+     * are scanned, so label and output folders don't show up as images
      * @param {FileSystemDirectoryHandle} dirHandle - Directory handle
      * @param {string} relativePath - Relative path from root
      * @returns {Promise<Array>} Array of file data
@@ -80,8 +108,10 @@ class FileManager {
 
                         this.fileCache.set(path, fileHandle);
                     }
+                } else if (entry.kind === 'directory' && this.shouldScanDirectory(path)) {
+                    const subFiles = await this.scanDirectory(entry, path);
+                    files.push(...subFiles);
                 }
-                // Skip subdirectories - only scan root folder
             }
         } catch (error) {
             console.error('Error scanning directory:', error);
@@ -90,6 +120,87 @@ class FileManager {
         return files;
     }
 
+    /**
+     * Scan more folders of the opened folder for images, e.g. the splits a dataset config names
+     * @param {Array} directories - Folder paths relative to root
+     * @returns {Promise<Array>} Array of file data, as from scanDirectory; missing folders are skipped
+     */
+    async scanFolders(directories) {
+        const files = [];
+
+        for (const directory of directories) {
+            let dirHandle = this.directoryHandle;
+            try {
+                for (const part of directory.split('/')) {
+                    dirHandle = await dirHandle.getDirectoryHandle(part);
+                }
+            } catch (error) {
+                continue;
+            }
+            files.push(...await this.scanDirectory(dirHandle, directory));
+        }
+
+        return files;
+    }
+
+    /**
+     * Check if a subdirectory may contain dataset images
+     * Folders of a format's own layout are scanned through scanFolders (see FormatHandler.getImageFolders)
+     * @param {string} path - Directory path relative to root
+     * @returns {boolean} True for images/ and its subdirectories
+     */
+    shouldScanDirectory(path) {
+        return path === 'images' || path.startsWith('images/');
+    }
+
+    /**
+     * Get a file manager rooted at a subfolder, creating the folder if needed
+     * @param {string} directory - Folder path relative to root (e.g. "export/coco")
+     * @returns {Promise<FileManager>} File manager for the subfolder
+     */
+    async getSubfolder(directory) {
+        if (!this.directoryHandle) {
+            throw new Error('No directory handle available');
+        }
+
+        let dirHandle = this.directoryHandle;
+        for (const part of directory.split('/').filter(part => part)) {
+            dirHandle = await dirHandle.getDirectoryHandle(part, { create: true });
+        }
+
+        const fileManager = new FileManager();
+        fileManager.directoryHandle = dirHandle;
+        return fileManager;
+    }
+
+    /**
+     * List the files in a folder (not recursive)
+     * @param {string} directory - Folder path relative to root ('' for the root)
+     * @returns {Promise<Array>} File paths relative to root, sorted; empty if the folder doesn't exist
+     */
+    async listFiles(directory = '') {
+        if (!this.directoryHandle) return [];
+
+        try {
+            let dirHandle = this.directoryHandle;
+            if (directory) {
+                for (const part of directory.split('/')) {
+                    dirHandle = await dirHandle.getDirectoryHandle(part);
+                }
+            }
+
+            const paths = [];
+            for await (const entry of dirHandle.values()) {
+                if (entry.kind === 'file') {
+                    paths.push(directory ? `${directory}/${entry.name}` : entry.name);
+                }
+            }
+            return paths.sort();
+        } catch (error) {
+            return [];
+        }
+    }
+
     /**
      * Read a text file (annotations, classes)
      * @param {string} fileName - File name relative to root
@@ -108,6 +219,37 @@ class FileManager {
         }
     }
 
+    /**
+     * Get a file for streaming (e.g. to a worker) instead of reading it into a string
+     * @param {string} fileName - File name relative to root
+     * @returns {Promise<File|null>} File, or null if it doesn't exist
+     */
+    async getFile(fileName) {
+        try {
+            const fileHandle = await this.getFileHandle(fileName);
+            return fileHandle ? await fileHandle.getFile() : null;
+        } catch (error) {
+            console.error(`Error reading file ${fileName}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Read the start of a text file, e.g. to check its format without loading a huge file
+     * @param {string} fileName - File name relative to root
+     * @param {number} maxBytes - Number of bytes to read
+     * @returns {Promise<Object|null>} {text, complete} - complete is false if the file is longer
+     */
+    async readTextFilePreview(fileName, maxBytes = 1024 * 1024) {
+        const file = await this.getFile(fileName);
+        if (!file) return null;
+
+        return {
+            text: await file.slice(0, maxBytes).text(),
+            complete: file.size <= maxBytes
+        };
+    }
+
     /**
      * Write a text file
      * @param {string} fileName - File name relative to root
@@ -125,6 +267,44 @@ class FileManager {
         }
     }
 
+    /**
+     * Write a text file piece by piece, for files too large to build as one string
+     * Pieces are gathered into chunks before each write. The file is only replaced once
+     * every piece is written - on an error it keeps its old content
+     * @param {string} fileName - File name relative to root
+     * @param {Iterable<string>|AsyncIterable<string>} parts - File content, in order
+     * @param {number} chunkSize - Characters to gather before writing
+     */
+    async writeTextChunks(fileName, parts, chunkSize = 1024 * 1024) {
+        try {
+            const fileHandle = await this.getOrCreateFileHandle(fileName);
+            const writable = await fileHandle.createWritable();
+            try {
+                let chunk = [];
+                let size = 0;
+                for await (const part of parts) {
+                    chunk.push(part);
+                    size += part.length;
+                    if (size >= chunkSize) {
+                        await writable.write(chunk.join(''));
+                        chunk = [];
+                        size = 0;
+                    }
+                }
+                if (chunk.length > 0) {
+                    await writable.write(chunk.join(''));
+                }
+                await writable.close();
+            } catch (error) {
+                await writable.abort();
+                throw error;
+            }
+        } catch (error) {
+            console.error(`Error writing file ${fileName}:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Get file handle for a path
      * @param {string} filePath - File path relative to root
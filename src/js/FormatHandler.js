@@ -5,6 +5,10 @@
  */
 
 class FormatHandler {
+    constructor() {
+        this.loadedRecords = new WeakMap(); // Record holder -> its records as loaded (see mergeRecords)
+    }
+
     /**
      * Get format name
      * @returns {string} Format identifier (e.g., 'yolo', 'coco')
@@ -13,13 +17,79 @@ class FormatHandler {
         throw new Error('Must implement getName()');
     }
 
+    /**
+     * Create a new handler of this format, configured like this one, with no dataset loaded
+     * Used by Save As. Handlers whose constructor needs arguments, or that are configured
+     * after they are built, override it
+     * @returns {FormatHandler} New handler
+     */
+    clone() {
+        return new this.constructor();
+    }
+
+    /**
+     * Get the name shown to users, e.g. on the Load button (optional)
+     * @returns {string} Display name (e.g., 'YOLO', 'Pascal VOC')
+     */
+    getLabel() {
+        return this.getName();
+    }
+
+    /**
+     * Forget the loaded dataset (optional)
+     * Called on every handler when a folder is opened, before any of them loads
+     */
+    reset() {
+    }
+
+    /**
+     * Set where progress messages go while loading (set by the app on registration)
+     * @param {Function|null} handler - Called with a status message
+     */
+    setProgressHandler(handler) {
+        this.progressHandler = handler;
+    }
+
+    /**
+     * Report loading progress, e.g. while parsing a large file
+     * @param {string} message - Status message
+     */
+    reportProgress(message) {
+        if (this.progressHandler) {
+            this.progressHandler(message);
+        }
+    }
+
+    /**
+     * Check whether the opened folder holds annotations in this format (optional)
+     * Used by "Open Folder" to pick a handler. Must not change the handler's state
+     *
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<number>} - Confidence from 0 (not this format) to 1 (certain)
+     */
+    async detect(fileManager) {
+        return 0;
+    }
+
+    /**
+     * Get folders other than the root and images/ that hold the dataset's images (optional)
+     * Scanned for images when the folder is opened with this format
+     *
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<Array>} - Folder paths relative to the root
+     */
+    async getImageFolders(fileManager) {
+        return [];
+    }
+
     /**
      * Load annotations from folder
      * Each handler internally decides how to discover and read annotation files
      *
      * @param {FileManager} fileManager - File system manager
      * @param {Array} images - Array of image objects with {id, fileName, filePath, width, height}
-     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[], skeletons?: Array}
+     *   skeletons (optional): per class ID, {keypoints: string[], skeleton: [from, to][]} or null
      */
     async load(fileManager, images) {
         throw new Error('Must implement load()');
@@ -39,6 +109,105 @@ class FormatHandler {
         throw new Error('Must implement save()');
     }
 
+    /**
+     * Save annotations for many images at once, e.g. for Save As (optional)
+     * Formats with one file for the whole dataset override this to write it once
+     *
+     * @param {FileManager} fileManager - File system manager
+     * @param {Array} images - Image objects {id, fileName, filePath, width, height}
+     * @param {Map} boxesByImage - imageId -> box objects
+     * @param {Array} classes - Class names array
+     * @returns {Promise<void>}
+     */
+    async saveAll(fileManager, images, boxesByImage, classes) {
+        for (let i = 0; i < images.length; i++) {
+            this.reportProgress(`Saving ${i + 1}/${images.length}`);
+            await this.save(fileManager, images[i], boxesByImage.get(images[i].id) || [], classes);
+        }
+    }
+
+    /**
+     * Mark where a box was loaded from, for handlers that merge saves into the loaded file
+     * The store keeps it with the box, so the box can be matched to its record on save
+     * @param {*} key - The record's key within its file (e.g. its index)
+     * @returns {Object} Origin to put on the box as `origin`
+     */
+    createOrigin(key) {
+        return { format: this.getName(), key };
+    }
+
+    /**
+     * Get the key of the record a box was loaded from by this format
+     * @param {Object} box - Box object
+     * @returns {*} Key given to createOrigin, or undefined for boxes from elsewhere
+     */
+    getOrigin(box) {
+        return box.origin && box.origin.format === this.getName() ? box.origin.key : undefined;
+    }
+
+    /**
+     * Put boxes back in the places of the records they were loaded from
+     * Origin keys are indexes into the records a holder had before its first merge. Records
+     * that aren't boxes are kept, records of deleted boxes are dropped and boxes without a
+     * loaded record follow the others
+     * @param {Object} holder - Object the records belong to (e.g. a document or image entry)
+     * @param {Array} records - The holder's current records
+     * @param {Array} boxes - Box objects
+     * @param {Function} isBox - record => true if the record is read as a box
+     * @param {Function} write - (box, record) => record to write, given the loaded record
+     *   of the box or undefined
+     * @returns {Array} Records to write, in order
+     */
+    mergeRecords(holder, records, boxes, isBox, write) {
+        if (!this.loadedRecords.has(holder)) {
+            this.loadedRecords.set(holder, records);
+        }
+        const loaded = this.loadedRecords.get(holder);
+
+        const written = new Map(); // loaded index -> record written in its place
+        const extra = [];
+        boxes.forEach(box => {
+            const key = this.getOrigin(box);
+            const record = Number.isInteger(key) ? loaded[key] : undefined;
+            if (record !== undefined && isBox(record) && !written.has(key)) {
+                written.set(key, write(box, record));
+            } else {
+                extra.push(write(box, undefined));
+            }
+        });
+
+        return loaded
+            .map((record, index) => isBox(record) ? written.get(index) : record)
+            .filter(record => record !== undefined)
+            .concat(extra);
+    }
+
+    /**
+     * Order the keys of an object like those of a template, e.g. a record written in
+     * place of a loaded one. Keys the template lacks follow in their own order
+     * @param {Object} object - Object to reorder
+     * @param {Object} template - Object whose key order is kept
+     * @returns {Object} New object with the same entries
+     */
+    orderKeys(object, template) {
+        const ordered = {};
+        Object.keys(template).forEach(key => {
+            if (key in object) {
+                ordered[key] = object[key];
+            }
+        });
+        return { ...ordered, ...object };
+    }
+
+    /**
+     * Set where the images are, for formats that write image paths (optional)
+     * Used when annotations are saved into a folder other than the opened one
+     * @param {string|null} root - Path from the annotation folder to the opened folder
+     *   (e.g. "../"), or null to write image names as they are
+     */
+    setImageRoot(root) {
+    }
+
     /**
      * Get label file path for an image (optional, for per-image formats)
      * @param {string} imagePath - Image file path
@@ -47,6 +216,147 @@ class FormatHandler {
     getLabelPath(imagePath) {
         return null;
     }
+
+    /**
+     * Whether the loaded dataset uses rotated boxes (optional)
+     * When true, boxes carry an `angle` and the editor offers a rotation handle
+     * @returns {boolean}
+     */
+    hasOrientedBoxes() {
+        return false;
+    }
+
+    /**
+     * Whether boxes carry a persistent track ID across images (optional)
+     * When true, boxes have a `trackId` and are colored by track instead of class
+     * @returns {boolean}
+     */
+    hasTracks() {
+        return false;
+    }
+
+    /**
+     * Get the frame number of an image in a tracking sequence (optional)
+     * @param {string} fileName - Image file name
+     * @returns {number|null} Frame number, or null if the image isn't a frame
+     */
+    getFrameNumber(fileName) {
+        return null;
+    }
+
+    /**
+     * Get the dataset metadata the user can edit (optional)
+     * When not null, the app offers a Dataset Info dialog
+     * @returns {Object|null} {info: Object, licenses: Array}, or null if the format has none
+     */
+    getDatasetMetadata() {
+        return null;
+    }
+
+    /**
+     * Replace the dataset metadata, written with the next save (optional)
+     * @param {Object} metadata - {info, licenses}
+     */
+    setDatasetMetadata(metadata) {
+    }
+
+    /**
+     * Get the editable metadata fields of an image (optional)
+     * When not null, the app shows them in the image details panel
+     * @param {Object} image - Image object {fileName, width, height}
+     * @returns {Object|null} Field name -> value, or null if the format has none
+     */
+    getImageMetadata(image) {
+        return null;
+    }
+
+    /**
+     * Replace the metadata fields of an image, written with the next save (optional)
+     * @param {Object} image - Image object {fileName, width, height}
+     * @param {Object} metadata - Field name -> value
+     */
+    setImageMetadata(image, metadata) {
+    }
+
+    /**
+     * Get the dataset's own image and category IDs (optional)
+     * Used to match COCO results files (predictions) to images and classes
+     * @returns {Object|null} {images: Map<imageId, fileName>, categories: Map<categoryId, name>},
+     *   or null if the format has no such IDs
+     */
+    getResultIds() {
+        return null;
+    }
+
+    /**
+     * Replace the keypoint skeletons, written with the next save (optional)
+     * @param {Array} skeletons - Per class ID, {keypoints: string[], skeleton: [from, to][]} or null
+     * @throws {Error} If the dataset can't store them - the handler keeps its skeletons then
+     */
+    setSkeletons(skeletons) {
+    }
+
+    /**
+     * What the format can store for each box (optional)
+     * Used to report what an export to this format loses
+     * @returns {Object} {polygons, rotation, tracks, keypoints, classNames, attributes}
+     *   polygons: true, false, or the one point count that is kept (e.g. 4)
+     *   attributes: true for any attribute, or the names of the attributes written
+     */
+    getCapabilities() {
+        return { polygons: false, rotation: false, tracks: false, keypoints: false, classNames: true, attributes: [] };
+    }
+
+    /**
+     * Describe what saving boxes in this format would lose
+     * @param {Array} boxes - Box objects from every image
+     * @returns {Array} Messages, empty when nothing is lost
+     */
+    getExportLosses(boxes) {
+        const capabilities = this.getCapabilities();
+        const losses = [];
+
+        const keepsPolygon = box => capabilities.polygons === true || box.points.length === capabilities.polygons;
+        const polygons = boxes.filter(box => box.shape === 'polygon' && !keepsPolygon(box)).length;
+        if (polygons > 0) {
+            losses.push(`${polygons} polygon(s) saved as bounding boxes`);
+        }
+
+        const rotated = boxes.filter(box => box.angle && !capabilities.rotation).length;
+        if (rotated > 0) {
+            losses.push(`${rotated} rotated box(es) saved without rotation`);
+        }
+
+        const tracked = boxes.filter(box => box.trackId !== undefined && box.trackId !== null).length;
+        if (tracked > 0 && !capabilities.tracks) {
+            losses.push(`Track IDs dropped from ${tracked} box(es)`);
+        }
+
+        const posed = boxes.filter(box => box.shape === 'keypoints').length;
+        if (posed > 0 && !capabilities.keypoints) {
+            losses.push(`Keypoints dropped from ${posed} box(es)`);
+        }
+
+        if (!capabilities.classNames) {
+            losses.push('Class names are not stored, only class numbers');
+        }
+
+        if (capabilities.attributes !== true) {
+            const dropped = new Map(); // attribute name -> box count
+            boxes.forEach(box => {
+                Object.keys(box.attributes || {}).forEach(name => {
+                    if (!capabilities.attributes.includes(name)) {
+                        dropped.set(name, (dropped.get(name) || 0) + 1);
+                    }
+                });
+            });
+            dropped.forEach((count, name) => {
+                losses.push(`Attribute "${name}" dropped from ${count} box(es)`);
+            });
+        }
+
+        return losses;
+    }
 }
 
 export default FormatHandler;
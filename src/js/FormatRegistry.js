@@ -0,0 +1,62 @@
+/**
+ * FormatRegistry.js
+ * The built-in format handlers, and picking the one an opened folder is in
+ */
+
+import YOLOHandler from './YOLOHandler.js';
+import COCOHandler from './COCOHandler.js';
+import NDJSONHandler from './NDJSONHandler.js';
+import VOCHandler from './VOCHandler.js';
+import CVATHandler from './CVATHandler.js';
+import LabelMeHandler from './LabelMeHandler.js';
+import CreateMLHandler from './CreateMLHandler.js';
+import KITTIHandler from './KITTIHandler.js';
+import CSVHandler from './CSVHandler.js';
+import LabelStudioHandler from './LabelStudioHandler.js';
+import VIAHandler from './VIAHandler.js';
+import DOTAHandler from './DOTAHandler.js';
+import MOTHandler from './MOTHandler.js';
+
+class FormatRegistry {
+    /**
+     * Create the built-in format handlers
+     * @returns {Array<FormatHandler>} Handlers, in the order their Load buttons are shown
+     */
+    static createDefaultHandlers() {
+        return [
+            new YOLOHandler(),
+            new COCOHandler(),
+            new NDJSONHandler(),
+            new VOCHandler(),
+            new CVATHandler(),
+            new LabelMeHandler(),
+            new CreateMLHandler(),
+            new KITTIHandler(),
+            new CSVHandler(),
+            new LabelStudioHandler(),
+            new VIAHandler(),
+            new DOTAHandler(),
+            new MOTHandler()
+        ];
+    }
+
+    /**
+     * Ask every handler whether the opened folder holds its format
+     * @param {Iterable<FormatHandler>} handlers - Format handlers
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<Array>} Matching formats [{name, confidence}], most confident first
+     */
+    static async detect(handlers, fileManager) {
+        const matches = [];
+        for (const handler of handlers) {
+            const confidence = await handler.detect(fileManager);
+            if (confidence > 0) {
+                matches.push({ name: handler.getName(), confidence });
+            }
+        }
+        return matches.sort((a, b) => b.confidence - a.confidence);
+    }
+}
+
+// Export for ES6 modules
+export default FormatRegistry;
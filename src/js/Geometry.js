@@ -0,0 +1,79 @@
+/**
+ * Geometry.js
+ * Conversions between boxes, rotated boxes and corner points, in pixels
+ * Shared by the formats that store boxes as points (YOLO OBB and segmentation, DOTA)
+ */
+
+class Geometry {
+    /**
+     * Build a polygon box from points
+     * @param {Array} points - Array of {x, y} in pixels
+     * @returns {Object} {shape, points, x, y, width, height} - x/y/width/height is the bounding box
+     */
+    static pointsToPolygon(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+
+        return {
+            shape: 'polygon',
+            points,
+            x,
+            y,
+            width: Math.max(...xs) - x,
+            height: Math.max(...ys) - y
+        };
+    }
+
+    /**
+     * Convert four corner points to a rotated box
+     * The first edge (p1 -> p2) is the box width, the second (p2 -> p3) its height
+     * @param {Array} points - Four {x, y} corners in pixels
+     * @returns {Object} {x, y, width, height, angle} - unrotated top-left, angle in radians
+     */
+    static cornersToBox(points) {
+        const [p1, p2, p3] = points;
+
+        const centerX = points.reduce((sum, point) => sum + point.x, 0) / 4;
+        const centerY = points.reduce((sum, point) => sum + point.y, 0) / 4;
+        const width = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        const height = Math.hypot(p3.x - p2.x, p3.y - p2.y);
+
+        return {
+            x: centerX - width / 2,
+            y: centerY - height / 2,
+            width,
+            height,
+            angle: Math.atan2(p2.y - p1.y, p2.x - p1.x)
+        };
+    }
+
+    /**
+     * Convert a (possibly rotated) box to corner points
+     * @param {Object} box - {x, y, width, height, angle} in pixels
+     * @returns {Array} Four {x, y} corners clockwise from top-left
+     */
+    static boxToCorners(box) {
+        const angle = box.angle || 0;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const centerX = box.x + box.width / 2;
+        const centerY = box.y + box.height / 2;
+        const halfWidth = box.width / 2;
+        const halfHeight = box.height / 2;
+
+        return [
+            [-halfWidth, -halfHeight],
+            [halfWidth, -halfHeight],
+            [halfWidth, halfHeight],
+            [-halfWidth, halfHeight]
+        ].map(([dx, dy]) => ({
+            x: centerX + dx * cos - dy * sin,
+            y: centerY + dx * sin + dy * cos
+        }));
+    }
+}
+
+// Export for ES6 modules
+export default Geometry;
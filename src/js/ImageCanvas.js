@@ -23,6 +23,15 @@ class ImageCanvas {
         // Color palette for classes (HSL with consistent saturation/lightness)
         this.colorPalette = this.generateColorPalette(20);
 
+        // Distance in screen pixels from the top edge to the rotation handle
+        this.rotationHandleOffset = 24;
+
+        // Rasterized RLE masks, keyed by mask object
+        this.maskCache = new WeakMap();
+
+        // Keypoint being placed or edited {boxId, index}, drawn highlighted
+        this.activeKeypoint = null;
+
         this.setupCanvas();
     }
 
@@ -196,6 +205,18 @@ class ImageCanvas {
         return this.colorPalette[classId % this.colorPalette.length];
     }
 
+    /**
+     * Get color for a box (by track when tracking, otherwise by class)
+     * @param {Object} box - Box object
+     * @returns {string} Color string
+     */
+    getBoxColor(box) {
+        if (this.store.getState().tracking && box.trackId !== undefined) {
+            return this.colorPalette[box.trackId % this.colorPalette.length];
+        }
+        return this.getClassColor(box.classId);
+    }
+
     /**
      * Convert HSL color to HSLA with alpha
      * @param {string} hslColor - HSL color string (e.g., "hsl(180, 70%, 50%)")
@@ -223,12 +244,71 @@ class ImageCanvas {
         this.ctx.drawImage(this.image, 0, 0, this.imageWidth, this.imageHeight);
         this.ctx.restore();
 
-        // Draw boxes
+        // Draw predictions under the boxes
         if (this.store.getState().showBoxes) {
+            this.renderPredictions();
             this.renderBoxes();
         }
     }
 
+    /**
+     * Render the predictions layer: dashed outlines labelled with their confidence
+     */
+    renderPredictions() {
+        const currentImage = this.store.getCurrentImage();
+        if (!currentImage) return;
+
+        const selectedId = this.store.getState().selectedPredictionId;
+        const classes = this.store.getClasses();
+
+        this.store.getPredictionsForImage(currentImage.id).forEach(prediction => {
+            const selected = prediction.id === selectedId;
+            const color = this.getClassColor(prediction.classId);
+            const points = prediction.shape === 'polygon'
+                ? prediction.points
+                : [
+                    { x: prediction.x, y: prediction.y },
+                    { x: prediction.x + prediction.width, y: prediction.y },
+                    { x: prediction.x + prediction.width, y: prediction.y + prediction.height },
+                    { x: prediction.x, y: prediction.y + prediction.height }
+                ];
+            const screen = points.map(point => this.imageToScreen(point.x, point.y));
+
+            this.ctx.save();
+
+            this.ctx.beginPath();
+            screen.forEach((point, index) => {
+                if (index === 0) {
+                    this.ctx.moveTo(point.x, point.y);
+                } else {
+                    this.ctx.lineTo(point.x, point.y);
+                }
+            });
+            this.ctx.closePath();
+
+            if (selected) {
+                this.ctx.fillStyle = this.hslToHsla(color, 0.2);
+                this.ctx.fill();
+            }
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = selected ? 3 : 1.5;
+            this.ctx.setLineDash(selected ? [] : [6, 4]);
+            this.ctx.stroke();
+
+            // Label below the top edge, so it doesn't cover the label of a matching box
+            const className = classes[prediction.classId] || `Class ${prediction.classId}`;
+            const label = `${className} ${prediction.score.toFixed(2)}`;
+            const topLeft = this.imageToScreen(prediction.x, prediction.y);
+            this.ctx.font = '11px sans-serif';
+            this.ctx.fillStyle = this.hslToHsla(color, 0.75);
+            this.ctx.fillRect(topLeft.x, topLeft.y, this.ctx.measureText(label).width + 6, 14);
+            this.ctx.fillStyle = 'white';
+            this.ctx.fillText(label, topLeft.x + 3, topLeft.y + 11);
+
+            this.ctx.restore();
+        });
+    }
+
     /**
      * Render all bounding boxes
      */
@@ -261,15 +341,33 @@ class ImageCanvas {
      * @param {boolean} selected - Is selected
      */
     renderBox(box, selected) {
-        const color = this.getClassColor(box.classId);
+        if (box.shape === 'polygon') {
+            this.renderPolygon(box, selected);
+            return;
+        }
+
+        const color = this.getBoxColor(box);
         const topLeft = this.imageToScreen(box.x, box.y);
         const bottomRight = this.imageToScreen(box.x + box.width, box.y + box.height);
 
         const screenWidth = bottomRight.x - topLeft.x;
         const screenHeight = bottomRight.y - topLeft.y;
 
+        if (box.mask) {
+            this.renderMask(box.mask, color, selected);
+        }
+
         this.ctx.save();
 
+        // Rotate around the box center so everything below draws as if axis-aligned
+        if (box.angle) {
+            const centerX = topLeft.x + screenWidth / 2;
+            const centerY = topLeft.y + screenHeight / 2;
+            this.ctx.translate(centerX, centerY);
+            this.ctx.rotate(box.angle);
+            this.ctx.translate(-centerX, -centerY);
+        }
+
         // Draw box
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = selected ? 3 : 2;
@@ -282,9 +380,226 @@ class ImageCanvas {
             this.ctx.fillRect(topLeft.x, topLeft.y, screenWidth, screenHeight);
         }
 
-        // Draw label - look up class name from classes array
+        this.renderLabel(box, topLeft.x, topLeft.y, color);
+
+        // Draw handles if selected
+        if (selected) {
+            this.renderHandles(topLeft.x, topLeft.y, screenWidth, screenHeight, color);
+
+            if (this.store.getState().orientedBoxes) {
+                this.renderRotationHandle(topLeft.x + screenWidth / 2, topLeft.y, color);
+            }
+        }
+
+        this.ctx.restore();
+
+        if (box.shape === 'keypoints') {
+            this.renderKeypoints(box, color, selected);
+        }
+    }
+
+    /**
+     * Render the keypoints and skeleton of a pose shape
+     * Visible keypoints are filled, occluded ones hollow, unlabeled ones not drawn.
+     * Skeleton edges are drawn between labeled keypoints only
+     * @param {Object} box - Box object with shape 'keypoints'
+     * @param {string} color - Class color
+     * @param {boolean} selected - Is selected
+     */
+    renderKeypoints(box, color, selected) {
+        const skeleton = this.store.getSkeleton(box.classId);
+        const points = box.keypoints.map(point => ({ ...this.imageToScreen(point.x, point.y), v: point.v }));
+        const radius = selected ? 5 : 4;
+
+        this.ctx.save();
+
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = selected ? 3 : 2;
+        if (skeleton) {
+            skeleton.skeleton.forEach(([from, to]) => {
+                const start = points[from];
+                const end = points[to];
+                if (!start || !end || start.v === 0 || end.v === 0) return;
+
+                this.ctx.beginPath();
+                this.ctx.moveTo(start.x, start.y);
+                this.ctx.lineTo(end.x, end.y);
+                this.ctx.stroke();
+            });
+        }
+
+        this.ctx.lineWidth = 2;
+        points.forEach((point, index) => {
+            if (point.v === 0) return;
+
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+            this.ctx.fillStyle = point.v === 2 ? color : 'white';
+            this.ctx.fill();
+            this.ctx.strokeStyle = point.v === 2 ? 'white' : color;
+            this.ctx.stroke();
+
+            const active = this.activeKeypoint;
+            if (active && active.boxId === box.id && active.index === index) {
+                this.ctx.beginPath();
+                this.ctx.arc(point.x, point.y, radius + 4, 0, Math.PI * 2);
+                this.ctx.strokeStyle = color;
+                this.ctx.stroke();
+            }
+        });
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Highlight a keypoint (the one being placed or last edited)
+     * @param {Object|null} keypoint - {boxId, index} or null
+     */
+    setActiveKeypoint(keypoint) {
+        this.activeKeypoint = keypoint;
+        this.render();
+    }
+
+    /**
+     * Render a polygon shape
+     * @param {Object} box - Box object with shape 'polygon' and points
+     * @param {boolean} selected - Is selected
+     */
+    renderPolygon(box, selected) {
+        const color = this.getBoxColor(box);
+        const points = box.points.map(point => this.imageToScreen(point.x, point.y));
+
+        this.ctx.save();
+
+        this.ctx.beginPath();
+        points.forEach((point, index) => {
+            if (index === 0) {
+                this.ctx.moveTo(point.x, point.y);
+            } else {
+                this.ctx.lineTo(point.x, point.y);
+            }
+        });
+        this.ctx.closePath();
+
+        // Polygons are always lightly filled so the mask area is visible
+        this.ctx.fillStyle = this.hslToHsla(color, selected ? 0.25 : 0.12);
+        this.ctx.fill();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = selected ? 3 : 2;
+        this.ctx.stroke();
+
+        const topLeft = this.imageToScreen(box.x, box.y);
+        this.renderLabel(box, topLeft.x, topLeft.y, color);
+
+        // Draw vertex handles if selected
+        if (selected) {
+            const handleSize = 8;
+            this.ctx.fillStyle = 'white';
+            this.ctx.lineWidth = 2;
+            points.forEach(point => {
+                this.ctx.fillRect(point.x - handleSize / 2, point.y - handleSize / 2, handleSize, handleSize);
+                this.ctx.strokeRect(point.x - handleSize / 2, point.y - handleSize / 2, handleSize, handleSize);
+            });
+        }
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Render a segmentation mask overlay
+     * @param {Object} mask - {polygons: [[{x, y}]]} or {rle: {size: [h, w], counts}}
+     * @param {string} color - Class color
+     * @param {boolean} selected - Is selected
+     */
+    renderMask(mask, color, selected) {
+        const alpha = selected ? 0.35 : 0.2;
+
+        this.ctx.save();
+
+        if (mask.polygons) {
+            this.ctx.beginPath();
+            mask.polygons.forEach(polygon => {
+                polygon.forEach((point, index) => {
+                    const screen = this.imageToScreen(point.x, point.y);
+                    if (index === 0) {
+                        this.ctx.moveTo(screen.x, screen.y);
+                    } else {
+                        this.ctx.lineTo(screen.x, screen.y);
+                    }
+                });
+                this.ctx.closePath();
+            });
+            this.ctx.fillStyle = this.hslToHsla(color, alpha);
+            this.ctx.fill();
+        } else if (mask.rle) {
+            const [height, width] = mask.rle.size;
+            const topLeft = this.imageToScreen(0, 0);
+
+            this.ctx.globalAlpha = alpha;
+            this.ctx.imageSmoothingEnabled = false;
+            this.ctx.drawImage(
+                this.getMaskCanvas(mask, color),
+                topLeft.x, topLeft.y, width * this.zoom, height * this.zoom
+            );
+        }
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Rasterize an RLE mask to an offscreen canvas (cached per mask and color)
+     * @param {Object} mask - Mask with rle {size: [h, w], counts}
+     * @param {string} color - Fill color
+     * @returns {HTMLCanvasElement} Canvas at image resolution
+     */
+    getMaskCanvas(mask, color) {
+        const cached = this.maskCache.get(mask);
+        if (cached && cached.color === color) {
+            return cached.canvas;
+        }
+
+        const [height, width] = mask.rle.size;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        // Runs alternate background/foreground in column-major order
+        const imageData = ctx.createImageData(width, height);
+        let position = 0;
+        mask.rle.counts.forEach((count, index) => {
+            if (index % 2 === 1) {
+                for (let i = position; i < position + count; i++) {
+                    const x = Math.floor(i / height);
+                    const y = i % height;
+                    imageData.data[(y * width + x) * 4 + 3] = 255;
+                }
+            }
+            position += count;
+        });
+        ctx.putImageData(imageData, 0, 0);
+
+        // Tint the opaque pixels with the class color
+        ctx.globalCompositeOperation = 'source-in';
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, width, height);
+
+        this.maskCache.set(mask, { color, canvas });
+        return canvas;
+    }
+
+    /**
+     * Render class label (and track ID, if any) above a shape
+     * @param {Object} box - Box object
+     * @param {number} x - Label left X in screen coordinates
+     * @param {number} y - Label bottom Y in screen coordinates
+     * @param {string} color - Background color
+     */
+    renderLabel(box, x, y, color) {
+        // Look up class name from classes array
         const classes = this.store.getClasses();
-        const label = classes[box.classId] || `Class ${box.classId}`;
+        const className = classes[box.classId] || `Class ${box.classId}`;
+        const label = box.trackId !== undefined ? `${className} #${box.trackId}` : className;
         this.ctx.font = '12px sans-serif';
         const textMetrics = this.ctx.measureText(label);
         const textWidth = textMetrics.width;
@@ -292,18 +607,34 @@ class ImageCanvas {
 
         // Background for text
         this.ctx.fillStyle = color;
-        this.ctx.fillRect(topLeft.x, topLeft.y - textHeight - 2, textWidth + 8, textHeight + 2);
+        this.ctx.fillRect(x, y - textHeight - 2, textWidth + 8, textHeight + 2);
 
         // Text
         this.ctx.fillStyle = 'white';
-        this.ctx.fillText(label, topLeft.x + 4, topLeft.y - 4);
+        this.ctx.fillText(label, x + 4, y - 4);
+    }
 
-        // Draw handles if selected
-        if (selected) {
-            this.renderHandles(topLeft.x, topLeft.y, screenWidth, screenHeight, color);
-        }
+    /**
+     * Render rotation handle above the top edge of a box
+     * @param {number} x - Top edge center X
+     * @param {number} y - Top edge Y
+     * @param {string} color - Handle color
+     */
+    renderRotationHandle(x, y, color) {
+        const handleY = y - this.rotationHandleOffset;
 
-        this.ctx.restore();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, y);
+        this.ctx.lineTo(x, handleY);
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = 'white';
+        this.ctx.beginPath();
+        this.ctx.arc(x, handleY, 5, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
     }
 
     /**
@@ -359,6 +690,71 @@ class ImageCanvas {
         ];
     }
 
+    /**
+     * Get screen positions of all handles for a box, following its rotation
+     * Includes the rotation handle when oriented boxes are enabled
+     * Polygons get one 'vertex' handle per point instead. Pose shapes get a 'keypoint'
+     * handle per labeled keypoint, ahead of the box handles so they win when they overlap
+     * @param {Object} box - Box object
+     * @returns {Array} Array of handle objects {type, x, y} (plus index for vertices and keypoints)
+     */
+    getBoxHandles(box) {
+        if (box.shape === 'polygon') {
+            return box.points.map((point, index) => ({
+                type: 'vertex',
+                index,
+                ...this.imageToScreen(point.x, point.y)
+            }));
+        }
+
+        const topLeft = this.imageToScreen(box.x, box.y);
+        const bottomRight = this.imageToScreen(box.x + box.width, box.y + box.height);
+        const width = bottomRight.x - topLeft.x;
+        const height = bottomRight.y - topLeft.y;
+
+        const handles = this.getHandlePositions(topLeft.x, topLeft.y, width, height);
+        if (this.store.getState().orientedBoxes) {
+            handles.push({ type: 'rotate', x: topLeft.x + width / 2, y: topLeft.y - this.rotationHandleOffset });
+        }
+
+        if (box.shape === 'keypoints') {
+            const keypoints = box.keypoints
+                .map((point, index) => ({ type: 'keypoint', index, v: point.v, ...this.imageToScreen(point.x, point.y) }))
+                .filter(handle => handle.v > 0)
+                .map(({ v, ...handle }) => handle);
+            return [...keypoints, ...handles];
+        }
+
+        if (!box.angle) return handles;
+
+        const centerX = topLeft.x + width / 2;
+        const centerY = topLeft.y + height / 2;
+        return handles.map(handle => ({
+            type: handle.type,
+            ...this.rotatePoint(handle.x, handle.y, centerX, centerY, box.angle)
+        }));
+    }
+
+    /**
+     * Rotate a point around a center
+     * @param {number} x - Point X
+     * @param {number} y - Point Y
+     * @param {number} centerX - Center X
+     * @param {number} centerY - Center Y
+     * @param {number} angle - Angle in radians (clockwise on screen)
+     * @returns {Object} {x, y}
+     */
+    rotatePoint(x, y, centerX, centerY, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const dx = x - centerX;
+        const dy = y - centerY;
+        return {
+            x: centerX + dx * cos - dy * sin,
+            y: centerY + dx * sin + dy * cos
+        };
+    }
+
     /**
      * Draw crosshair cursor
      * @param {number} x - X coordinate
@@ -0,0 +1,213 @@
+/**
+ * JSONStreamParser.js
+ * Incremental parser for a JSON object read in chunks, e.g. a multi-gigabyte COCO file
+ * Top-level values are passed on one by one. Top-level arrays are passed on one element
+ * at a time, so no single string ever holds more than one image or annotation:
+ *   {"info": {...}, "images": [{...}, {...}]}
+ *   -> onValue('info', {...}), onValue('images', []), onElement('images', {...}), onElement('images', {...})
+ * Also runs inside the parse worker (see StreamParser), so it must not use other modules
+ */
+
+class JSONStreamParser {
+    /**
+     * @param {Object} callbacks - {onValue(key, value), onElement(key, element)}
+     */
+    constructor({ onValue, onElement }) {
+        this.onValue = onValue;
+        this.onElement = onElement;
+
+        // start -> key -> keyString -> colon -> valueStart -> value | element ... -> end
+        this.state = 'start';
+        this.key = null;
+        this.parts = []; // Text of the key or value being read, across chunks
+        this.depth = 0; // Brackets open inside the value being read
+        this.inString = false;
+        this.escaped = false;
+    }
+
+    /**
+     * Add the next chunk of text
+     * @param {string} chunk - Text chunk
+     */
+    write(chunk) {
+        let start = this.isCapturing() ? 0 : -1; // Where the text being read starts in this chunk
+
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            switch (this.state) {
+                case 'start':
+                    if (char === '{') {
+                        this.state = 'key';
+                    } else if (!this.isWhitespace(char)) {
+                        throw new Error('Expected a JSON object');
+                    }
+                    break;
+
+                case 'key':
+                    if (char === '"') {
+                        this.state = 'keyString';
+                        start = i + 1;
+                    } else if (char === '}') {
+                        this.state = 'end';
+                    } else if (char !== ',' && !this.isWhitespace(char)) {
+                        throw new Error(`Unexpected "${char}" in JSON`);
+                    }
+                    break;
+
+                case 'keyString':
+                    if (this.escaped) {
+                        this.escaped = false;
+                    } else if (char === '\\') {
+                        this.escaped = true;
+                    } else if (char === '"') {
+                        this.parts.push(chunk.substring(start, i));
+                        this.key = JSON.parse(`"${this.takeText()}"`);
+                        this.state = 'colon';
+                        start = -1;
+                    }
+                    break;
+
+                case 'colon':
+                    if (char === ':') {
+                        this.state = 'valueStart';
+                    } else if (!this.isWhitespace(char)) {
+                        throw new Error(`Unexpected "${char}" in JSON`);
+                    }
+                    break;
+
+                case 'valueStart':
+                    if (char === '[') {
+                        this.onValue(this.key, []);
+                        this.state = 'element';
+                    } else if (!this.isWhitespace(char)) {
+                        this.state = 'value';
+                        start = i;
+                        i--; // Read this character again as part of the value
+                    }
+                    break;
+
+                case 'element':
+                    if (char === ']') {
+                        this.state = 'afterArray';
+                    } else if (char !== ',' && !this.isWhitespace(char)) {
+                        this.state = 'elementValue';
+                        start = i;
+                        i--;
+                    }
+                    break;
+
+                case 'value':
+                case 'elementValue': {
+                    const closer = this.state === 'value' ? '}' : ']';
+                    if (!this.readValueChar(char, closer)) break;
+
+                    // The value ended just before this ',' or closing bracket
+                    this.parts.push(chunk.substring(start, i));
+                    const value = JSON.parse(this.takeText());
+                    start = -1;
+
+                    if (this.state === 'value') {
+                        this.onValue(this.key, value);
+                        this.state = char === ',' ? 'key' : 'end';
+                    } else {
+                        this.onElement(this.key, value);
+                        this.state = char === ',' ? 'element' : 'afterArray';
+                    }
+                    break;
+                }
+
+                case 'afterArray':
+                    if (char === ',') {
+                        this.state = 'key';
+                    } else if (char === '}') {
+                        this.state = 'end';
+                    } else if (!this.isWhitespace(char)) {
+                        throw new Error(`Unexpected "${char}" in JSON`);
+                    }
+                    break;
+
+                case 'end':
+                    if (!this.isWhitespace(char)) {
+                        throw new Error('Unexpected text after JSON object');
+                    }
+                    break;
+            }
+        }
+
+        // Keep the unfinished key or value for the next chunk
+        if (start !== -1 && this.isCapturing()) {
+            this.parts.push(chunk.substring(start));
+        }
+    }
+
+    /**
+     * Finish the stream
+     * @throws {Error} If the object is incomplete
+     */
+    end() {
+        if (this.state !== 'end') {
+            throw new Error('Unexpected end of JSON');
+        }
+    }
+
+    /**
+     * Track strings and brackets inside a value
+     * @param {string} char - Next character
+     * @param {string} closer - Bracket that closes the parent ('}' or ']')
+     * @returns {boolean} True if the character ends the value
+     */
+    readValueChar(char, closer) {
+        if (this.inString) {
+            if (this.escaped) {
+                this.escaped = false;
+            } else if (char === '\\') {
+                this.escaped = true;
+            } else if (char === '"') {
+                this.inString = false;
+            }
+            return false;
+        }
+
+        if (char === '"') {
+            this.inString = true;
+        } else if (char === '{' || char === '[') {
+            this.depth++;
+        } else if (this.depth > 0 && (char === '}' || char === ']')) {
+            this.depth--;
+        } else if (this.depth === 0 && (char === ',' || char === closer)) {
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether a key or value is being read
+     * @returns {boolean}
+     */
+    isCapturing() {
+        return this.state === 'keyString' || this.state === 'value' || this.state === 'elementValue';
+    }
+
+    /**
+     * Join and clear the text read so far
+     * @returns {string} Text
+     */
+    takeText() {
+        const text = this.parts.join('');
+        this.parts = [];
+        return text;
+    }
+
+    /**
+     * Check for JSON whitespace
+     * @param {string} char - Character
+     * @returns {boolean}
+     */
+    isWhitespace(char) {
+        return char === ' ' || char === '\n' || char === '\r' || char === '\t';
+    }
+}
+
+// Export for ES6 modules
+export default JSONStreamParser;
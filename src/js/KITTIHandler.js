@@ -0,0 +1,262 @@
+/**
+ * KITTIHandler.js
+ * Handles KITTI object detection label format parsing and writing
+ * Format: One label_2/<image>.txt file per image, one object per line (images in image_2/ next to
+ * it, as in the KITTI object benchmark, or in the root; training/image_2 pairs with training/label_2):
+ * type truncated occluded alpha left top right bottom height width length x y z rotation_y [score]
+ * bbox: left/top/right/bottom in pixels. Only the 2D bbox is editable - truncated, occluded,
+ * alpha and the 3D fields are kept as box attributes in their original text and written back unchanged
+ * Classes are not stored in a separate file - they are collected from the type column
+ */
+
+import FormatHandler from './FormatHandler.js';
+
+class KITTIHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.classes = [];
+
+        // KITTI "unknown" values, used for boxes drawn in notato
+        this.defaultAttributes = {
+            truncated: '0.00',
+            occluded: '0',
+            alpha: '-10',
+            dimensions: '-1 -1 -1',
+            location: '-1000 -1000 -1000',
+            rotation_y: '-10'
+        };
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'kitti';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'KITTI';
+    }
+
+    /**
+     * Check whether the folder holds KITTI labels
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if label_2/ or training/label_2/ has a file with 15-column lines, else 0
+     */
+    async detect(fileManager) {
+        const paths = [
+            ...await fileManager.listFiles('label_2'),
+            ...await fileManager.listFiles('training/label_2')
+        ].filter(path => path.toLowerCase().endsWith('.txt'));
+
+        for (const path of paths.slice(0, 5)) {
+            const content = await fileManager.readTextFile(path);
+            if (content && content.split('\n').some(line => line.trim().split(/\s+/).length >= 15)) {
+                return 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * What the format can store for each box
+     * Only the KITTI label columns are written
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return {
+            polygons: false,
+            rotation: false,
+            tracks: false,
+            classNames: true,
+            attributes: [...Object.keys(this.defaultAttributes), 'score']
+        };
+    }
+
+    /**
+     * Get the KITTI image folders besides the root and images/
+     * image_2/ is next to label_2/; training/image_2/ is in the object benchmark folder
+     * @param {FileManager} fileManager
+     * @returns {Promise<Array>} ["image_2", "training/image_2"]
+     */
+    async getImageFolders(fileManager) {
+        return ['image_2', 'training/image_2'];
+    }
+
+    /**
+     * Load all KITTI annotations from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        this.classes = [];
+
+        // Load annotations for each image, collecting class names as we go
+        for (const image of images) {
+            const labelPath = this.getLabelPath(image.filePath);
+            const content = await fileManager.readTextFile(labelPath);
+
+            if (content) {
+                const imageBoxes = this.parse(content);
+                boxes.set(image.id, imageBoxes);
+            }
+        }
+
+        if (this.classes.length === 0) {
+            this.classes = ['object'];
+        }
+
+        return { boxes, classes: this.classes };
+    }
+
+    /**
+     * Save KITTI annotations for current image
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.classes = classes;
+        const content = this.stringify(boxes, classes);
+        const labelPath = this.getLabelPath(image.filePath);
+        await fileManager.writeTextFile(labelPath, content);
+    }
+
+    /**
+     * Get label file path for an image
+     * Images in an image_2/ folder have their labels in the label_2/ folder beside it
+     * @param {string} imagePath - Image file path (e.g., "training/image_2/000123.png")
+     * @returns {string} - Label file path (e.g., "training/label_2/000123.txt")
+     */
+    getLabelPath(imagePath) {
+        const folder = imagePath.substring(0, imagePath.lastIndexOf('/') + 1);
+        const fileName = imagePath.substring(imagePath.lastIndexOf('/') + 1);
+        const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+        const parent = folder.endsWith('image_2/') ? folder.slice(0, -'image_2/'.length) : '';
+        return `${parent}label_2/${baseName}.txt`;
+    }
+
+    /**
+     * Parse KITTI label file
+     * Unknown types are appended to the handler's class list
+     * @param {string} content - Content of .txt file
+     * @returns {Array} Array of box objects
+     */
+    parse(content) {
+        const boxes = [];
+        const lines = content.trim().split('\n');
+
+        for (const line of lines) {
+            const parts = line.trim().split(/\s+/);
+            if (parts.length < 15) continue;
+
+            const values = parts.slice(1, 15).map(parseFloat);
+            if (values.some(value => isNaN(value))) continue;
+
+            const type = parts[0];
+            const [left, top, right, bottom] = values.slice(3, 7);
+
+            let classId = this.classes.indexOf(type);
+            if (classId === -1) {
+                classId = this.classes.length;
+                this.classes.push(type);
+            }
+
+            // Keep the original text so untouched fields are written back byte for byte
+            const attributes = {
+                truncated: parts[1],
+                occluded: parts[2],
+                alpha: parts[3],
+                dimensions: parts.slice(8, 11).join(' '),
+                location: parts.slice(11, 14).join(' '),
+                rotation_y: parts[14]
+            };
+
+            // Detection results carry a 16th score column
+            if (parts.length > 15) {
+                attributes.score = parts[15];
+            }
+
+            boxes.push({
+                classId,
+                x: left,
+                y: top,
+                width: right - left,
+                height: bottom - top,
+                attributes
+            });
+        }
+
+        return boxes;
+    }
+
+    /**
+     * Convert boxes to KITTI label format
+     * @param {Array} boxes - Array of box objects
+     * @param {Array} classes - Class names array
+     * @returns {string} KITTI format text
+     */
+    stringify(boxes, classes) {
+        const lines = boxes.map(box => {
+            const attributes = { ...this.defaultAttributes, ...box.attributes };
+            const type = classes[box.classId] || `class_${box.classId}`;
+
+            const values = [
+                type,
+                attributes.truncated,
+                attributes.occluded,
+                attributes.alpha,
+                box.x.toFixed(2),
+                box.y.toFixed(2),
+                (box.x + box.width).toFixed(2),
+                (box.y + box.height).toFixed(2),
+                attributes.dimensions,
+                attributes.location,
+                attributes.rotation_y
+            ];
+
+            if (attributes.score !== undefined) {
+                values.push(attributes.score);
+            }
+
+            return values.join(' ');
+        });
+
+        return lines.length > 0 ? lines.join('\n') + '\n' : '';
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.setClasses([]);
+    }
+
+    /**
+     * Set classes
+     * @param {Array} classes - Array of class names
+     */
+    setClasses(classes) {
+        this.classes = classes;
+    }
+
+    /**
+     * Get classes array
+     * @returns {Array} Array of class names
+     */
+    getClasses() {
+        return this.classes;
+    }
+}
+
+// Export for ES6 modules
+export default KITTIHandler;
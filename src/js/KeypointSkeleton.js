@@ -0,0 +1,113 @@
+/**
+ * KeypointSkeleton.js
+ * Keypoint definitions for pose classes: {keypoints: names[], skeleton: [from, to][]}
+ * Skeleton edges are 0-based keypoint indexes (COCO files store them 1-based)
+ * Also reads and writes the text form used by the skeleton dialog:
+ * comma-separated names and edges like "1-2, 2-3" (1-based, as users count)
+ */
+
+class KeypointSkeleton {
+    /**
+     * The 17-keypoint COCO person skeleton
+     * @returns {Object} {keypoints, skeleton}
+     */
+    static cocoPerson() {
+        return {
+            keypoints: [
+                'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+                'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+                'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
+                'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+            ],
+            skeleton: [
+                [15, 13], [13, 11], [16, 14], [14, 12], [11, 12], [5, 11], [6, 12],
+                [5, 6], [5, 7], [6, 8], [7, 9], [8, 10], [1, 2], [0, 1], [0, 2],
+                [1, 3], [2, 4], [3, 5], [4, 6]
+            ]
+        };
+    }
+
+    /**
+     * A skeleton for a keypoint count with no names (e.g. a YOLO kpt_shape)
+     * 17 keypoints are assumed to be the COCO person layout
+     * @param {number} count - Number of keypoints
+     * @returns {Object} {keypoints, skeleton} - numbered names and no edges
+     */
+    static forCount(count) {
+        if (count === 17) {
+            return KeypointSkeleton.cocoPerson();
+        }
+
+        const keypoints = [];
+        for (let i = 0; i < count; i++) {
+            keypoints.push(`kp${i + 1}`);
+        }
+        return { keypoints, skeleton: [] };
+    }
+
+    /**
+     * Find the keypoint each keypoint becomes when the image is flipped horizontally
+     * Keypoints are paired by name, "left" with "right" (e.g. left_eye and right_eye)
+     * @param {Array} keypoints - Keypoint names
+     * @returns {Array|null} Index of the paired keypoint for each (its own index when unpaired),
+     *                       or null when no keypoints pair up
+     */
+    static getFlipIndex(keypoints) {
+        const names = keypoints.map(name => name.toLowerCase());
+        let paired = false;
+
+        const flip = names.map((name, index) => {
+            const counterpart = name.includes('left')
+                ? name.replace('left', 'right')
+                : name.replace('right', 'left');
+            const other = counterpart !== name ? names.indexOf(counterpart) : -1;
+            if (other === -1) return index;
+
+            paired = true;
+            return other;
+        });
+
+        return paired ? flip : null;
+    }
+
+    /**
+     * Parse the dialog text form
+     * @param {string} namesText - Comma-separated keypoint names
+     * @param {string} edgesText - Comma-separated 1-based edges, e.g. "1-2, 2-3"
+     * @returns {Object|null} {keypoints, skeleton}, or null when no names are given
+     * @throws {Error} If an edge is malformed or names a keypoint that doesn't exist
+     */
+    static parse(namesText, edgesText) {
+        const keypoints = namesText.split(',').map(name => name.trim()).filter(name => name);
+        if (keypoints.length === 0) return null;
+
+        const skeleton = edgesText.split(',').map(edge => edge.trim()).filter(edge => edge).map(edge => {
+            const match = edge.match(/^(\d+)\s*-\s*(\d+)$/);
+            const from = match ? parseInt(match[1]) : 0;
+            const to = match ? parseInt(match[2]) : 0;
+            if (from < 1 || to < 1 || from > keypoints.length || to > keypoints.length) {
+                throw new Error(`Invalid edge "${edge}" - use keypoint numbers from 1 to ${keypoints.length}`);
+            }
+            return [from - 1, to - 1];
+        });
+
+        return { keypoints, skeleton };
+    }
+
+    /**
+     * Format a skeleton as dialog text
+     * @param {Object|null} definition - {keypoints, skeleton}
+     * @returns {Object} {names, edges} - text for the two fields
+     */
+    static format(definition) {
+        if (!definition) return { names: '', edges: '' };
+
+        return {
+            names: definition.keypoints.join(', '),
+            edges: definition.skeleton.map(([from, to]) => `${from + 1}-${to + 1}`).join(', ')
+        };
+    }
+}
+
+// Export for ES6 modules
+export default KeypointSkeleton;
@@ -0,0 +1,316 @@
+/**
+ * LabelMeHandler.js
+ * Handles LabelMe JSON format parsing and writing
+ * Format: One <image>.json sidecar per image with a list of shapes
+ * rectangle format: points [[x1, y1], [x2, y2]] (opposite corners) in pixels
+ * polygon format: points [[x1, y1], [x2, y2], ...] in pixels
+ * Rectangles and polygons become boxes - points, lines etc. are kept as-is on save
+ */
+
+import FormatHandler from './FormatHandler.js';
+import Geometry from './Geometry.js';
+
+class LabelMeHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.classes = [];
+        this.documents = new Map(); // labelPath -> parsed LabelMe document
+        this.version = '5.0.1'; // Written to new files
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'labelme';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'LabelMe';
+    }
+
+    /**
+     * Check whether the folder holds LabelMe JSON files
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if a .json file next to the images has a shapes list, else 0
+     */
+    async detect(fileManager) {
+        const paths = [...await fileManager.listFiles(''), ...await fileManager.listFiles('images')]
+            .filter(path => path.toLowerCase().endsWith('.json'));
+
+        for (const path of paths.slice(0, 5)) {
+            const preview = await fileManager.readTextFilePreview(path);
+            if (!preview || !preview.text) continue;
+
+            // Too large to check whole (a big embedded imageData, or a COCO file) - sniff the start
+            if (!preview.complete) {
+                if (/^\s*\{/.test(preview.text) && /"shapes"\s*:\s*\[/.test(preview.text)) {
+                    return 1;
+                }
+                continue;
+            }
+
+            try {
+                this.parse(preview.text);
+                return 1;
+            } catch (error) {
+                continue;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * What the format can store for each box
+     * Other fields are written into the shape
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return { polygons: true, rotation: false, tracks: false, classNames: true, attributes: true };
+    }
+
+    /**
+     * Load all LabelMe annotations from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        this.classes = [];
+        this.documents.clear();
+
+        for (const image of images) {
+            const labelPath = this.getLabelPath(image.filePath);
+            const content = await fileManager.readTextFile(labelPath);
+
+            if (content) {
+                try {
+                    const document = this.parse(content);
+                    this.documents.set(labelPath, document);
+                    boxes.set(image.id, this.getBoxes(document));
+                } catch (error) {
+                    console.error(`Error parsing LabelMe file ${labelPath}:`, error);
+                }
+            }
+        }
+
+        if (this.classes.length === 0) {
+            this.classes = ['object'];
+        }
+
+        return { boxes, classes: this.classes };
+    }
+
+    /**
+     * Save LabelMe annotations for current image
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.classes = classes;
+        const labelPath = this.getLabelPath(image.filePath);
+
+        let document = this.documents.get(labelPath);
+        if (!document) {
+            document = this.createDocument(image);
+            this.documents.set(labelPath, document);
+        }
+
+        this.setBoxes(document, boxes, classes);
+
+        const content = this.stringify(document);
+        await fileManager.writeTextFile(labelPath, content);
+    }
+
+    /**
+     * Get label file path for an image
+     * The sidecar sits next to the image, in the same folder
+     * @param {string} imagePath - Image file path (e.g., "images/image1.jpg")
+     * @returns {string} - Label file path (e.g., "images/image1.json")
+     */
+    getLabelPath(imagePath) {
+        const slash = imagePath.lastIndexOf('/');
+        const fileName = imagePath.substring(slash + 1);
+        const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+        return `${imagePath.substring(0, slash + 1)}${baseName}.json`;
+    }
+
+    /**
+     * Parse LabelMe JSON file
+     * @param {string} content - JSON content
+     * @returns {Object} Parsed document
+     */
+    parse(content) {
+        let document;
+        try {
+            document = JSON.parse(content);
+        } catch (error) {
+            throw new Error('Invalid LabelMe JSON format');
+        }
+
+        if (!document || !Array.isArray(document.shapes)) {
+            throw new Error('Invalid LabelMe JSON format');
+        }
+
+        return document;
+    }
+
+    /**
+     * Convert a LabelMe document to JSON string
+     * @param {Object} document - LabelMe document
+     * @returns {string} Formatted JSON string
+     */
+    stringify(document) {
+        return JSON.stringify(document, null, 2) + '\n';
+    }
+
+    /**
+     * Get boxes from the rectangle and polygon shapes of a document
+     * Unknown labels are appended to the handler's class list
+     * @param {Object} document - LabelMe document
+     * @returns {Array} Array of box objects, in shape order, each with its shape's index as origin
+     */
+    getBoxes(document) {
+        const boxes = [];
+
+        document.shapes.forEach((shape, index) => {
+            if (!this.isEditable(shape)) return;
+
+            let classId = this.classes.indexOf(shape.label);
+            if (classId === -1) {
+                classId = this.classes.length;
+                this.classes.push(shape.label);
+            }
+
+            // Keep group_id, flags, description etc. for the round-trip
+            const { label, points, shape_type, ...attributes } = shape;
+
+            if (shape_type === 'polygon') {
+                boxes.push({
+                    classId,
+                    ...Geometry.pointsToPolygon(points.map(([x, y]) => ({ x, y }))),
+                    attributes,
+                    origin: this.createOrigin(index)
+                });
+                return;
+            }
+
+            const [[x1, y1], [x2, y2]] = points;
+            boxes.push({
+                classId,
+                x: Math.min(x1, x2),
+                y: Math.min(y1, y2),
+                width: Math.abs(x2 - x1),
+                height: Math.abs(y2 - y1),
+                attributes,
+                origin: this.createOrigin(index)
+            });
+        });
+
+        return boxes;
+    }
+
+    /**
+     * Replace the rectangle and polygon shapes of a document with boxes
+     * Boxes take the places of the shapes they were read from (their origin index), with
+     * the shape's field order. Other shapes are kept untouched; new boxes are appended
+     * @param {Object} document - LabelMe document
+     * @param {Array} boxes - Array of box objects
+     * @param {Array} classes - Class names array
+     */
+    setBoxes(document, boxes, classes) {
+        document.shapes = this.mergeRecords(document, document.shapes, boxes,
+            shape => this.isEditable(shape),
+            (box, loaded) => {
+                const shape = this.boxToShape(box, classes);
+                return loaded ? this.orderKeys(shape, loaded) : shape;
+            });
+    }
+
+    /**
+     * Convert a box to a LabelMe shape
+     * @param {Object} box - Box object
+     * @param {Array} classes - Class names array
+     * @returns {Object} Rectangle shape, or polygon shape for polygon boxes
+     */
+    boxToShape(box, classes) {
+        const polygon = box.shape === 'polygon';
+
+        return {
+            label: classes[box.classId] || `class_${box.classId}`,
+            points: polygon
+                ? box.points.map(point => [point.x, point.y])
+                : [[box.x, box.y], [box.x + box.width, box.y + box.height]],
+            group_id: null,
+            shape_type: polygon ? 'polygon' : 'rectangle',
+            flags: {},
+            ...box.attributes
+        };
+    }
+
+    /**
+     * Check if a shape is a rectangle or polygon notato can edit
+     * @param {Object} shape - LabelMe shape
+     * @returns {boolean} True if rectangle with two points or polygon with at least three
+     */
+    isEditable(shape) {
+        if (!Array.isArray(shape.points)) return false;
+
+        if (shape.shape_type === 'rectangle') {
+            return shape.points.length === 2;
+        }
+        return shape.shape_type === 'polygon' && shape.points.length >= 3;
+    }
+
+    /**
+     * Create a new LabelMe document for an image
+     * @param {Object} image - Image object {fileName, width, height}
+     * @returns {Object} LabelMe document
+     */
+    createDocument(image) {
+        return {
+            version: this.version,
+            flags: {},
+            shapes: [],
+            imagePath: image.fileName,
+            imageData: null,
+            imageHeight: image.height,
+            imageWidth: image.width
+        };
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
+    /**
+     * Initialize empty state
+     */
+    initEmpty() {
+        this.classes = [];
+        this.documents.clear();
+    }
+
+    /**
+     * Get classes array
+     * @returns {Array} Array of class names
+     */
+    getClasses() {
+        return this.classes;
+    }
+}
+
+// Export for ES6 modules
+export default LabelMeHandler;
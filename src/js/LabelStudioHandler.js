@@ -0,0 +1,473 @@
+/**
+ * LabelStudioHandler.js
+ * Handles Label Studio JSON task export parsing and writing
+ * Format: JSON array of tasks, each with data.image and annotations[].result[]
+ * rectanglelabels value: {x, y, width, height, rotation, rectanglelabels: [label]}
+ * x/y/width/height are percentages (0-100) of the image size, rotation is in degrees
+ * around the top-left corner. Other result types (polygons, choices, ...) are kept on save,
+ * and rectangles are written back in their places with the fields they were read with
+ */
+
+import FormatHandler from './FormatHandler.js';
+
+class LabelStudioHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.classes = [];
+        this.tasks = []; // Parsed Label Studio tasks, in file order
+        this.taskIndex = { tasks: null, byName: new Map() }; // Image name -> task, for this.tasks (see findTask)
+        this.annotationFile = 'label_studio.json'; // Track which file to save to
+        this.rotated = false; // True when any loaded rectangle is rotated
+        this.controlNames = { from_name: 'label', to_name: 'image' }; // Written to new results
+
+        // Common export names
+        // annotations.json is shared with COCO, so only accept it if it is a task list
+        this.possibleNames = [
+            'label_studio.json',
+            'labelstudio.json',
+            'tasks.json',
+            'annotations.json'
+        ];
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'labelstudio';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'Label Studio';
+    }
+
+    /**
+     * Check whether the folder holds a Label Studio JSON export
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if a known file parses as a task list, else 0
+     */
+    async detect(fileManager) {
+        for (const name of this.possibleNames) {
+            const preview = await fileManager.readTextFilePreview(name);
+            if (!preview || !preview.text) continue;
+
+            // Too large to check whole (e.g. a big COCO annotations.json) - sniff the start
+            if (!preview.complete) {
+                if (/^\s*\[/.test(preview.text) && /"data"\s*:\s*\{/.test(preview.text)) {
+                    return 1;
+                }
+                continue;
+            }
+
+            try {
+                this.parse(preview.text);
+                return 1;
+            } catch (error) {
+                continue;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Label Studio rectangles can be rotated
+     * @returns {boolean} True if the loaded export contains rotated rectangles
+     */
+    hasOrientedBoxes() {
+        return this.rotated;
+    }
+
+    /**
+     * What the format can store for each box
+     * Rectangles can be rotated. Only the fields read from a Label Studio result are
+     * written back, so no other attributes are kept
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return { polygons: false, rotation: true, tracks: false, classNames: true, attributes: [] };
+    }
+
+    /**
+     * Load all Label Studio annotations from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        this.initEmpty();
+
+        // Try to find the export with various common names
+        let found = false;
+        for (const name of this.possibleNames) {
+            const content = await fileManager.readTextFile(name);
+            if (!content) continue;
+
+            try {
+                this.tasks = this.parse(content);
+            } catch (error) {
+                console.error(`Skipping ${name}:`, error.message);
+                continue;
+            }
+
+            console.log(`Found Label Studio export: ${name}`);
+            this.annotationFile = name;
+            found = true;
+            break;
+        }
+
+        if (found) {
+            for (const image of images) {
+                const task = this.findTask(image.fileName);
+                if (task) {
+                    boxes.set(image.id, this.getBoxes(task, image));
+                }
+            }
+        } else {
+            console.log('No Label Studio export found. Starting with empty dataset.');
+            this.annotationFile = 'label_studio.json';
+        }
+
+        if (this.classes.length === 0) {
+            this.classes = ['object'];
+        }
+
+        return { boxes, classes: this.classes };
+    }
+
+    /**
+     * Save Label Studio annotations for current image
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.updateImage(image, boxes, classes);
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Save annotations for many images, writing the annotation file once
+     * @param {FileManager} fileManager - File system manager
+     * @param {Array} images - Image objects
+     * @param {Map} boxesByImage - imageId -> box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async saveAll(fileManager, images, boxesByImage, classes) {
+        images.forEach(image => this.updateImage(image, boxesByImage.get(image.id) || [], classes));
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Put the boxes of an image into the loaded annotations, without writing them
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects with 0-indexed class IDs
+     * @param {Array} classes - Class names
+     */
+    updateImage(image, boxes, classes) {
+        this.classes = classes;
+
+        let task = this.findTask(image.fileName);
+        if (!task) {
+            task = { data: { image: image.fileName }, annotations: [] };
+            this.tasks.push(task);
+            this.indexTask(task);
+        }
+
+        this.setBoxes(task, image, boxes, classes);
+    }
+
+    /**
+     * Write the annotation file
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<void>}
+     */
+    async writeAnnotations(fileManager) {
+        // Write to the same file that was loaded
+        const content = this.stringify();
+        await fileManager.writeTextFile(this.annotationFile, content);
+    }
+
+    /**
+     * Parse Label Studio JSON export
+     * @param {string} content - JSON content
+     * @returns {Array} Parsed tasks
+     */
+    parse(content) {
+        let tasks;
+        try {
+            tasks = JSON.parse(content);
+        } catch (error) {
+            throw new Error('Invalid Label Studio JSON format');
+        }
+
+        if (!Array.isArray(tasks) || !tasks.every(task => task && task.data && typeof task.data.image === 'string')) {
+            throw new Error('Invalid Label Studio JSON format');
+        }
+
+        return tasks;
+    }
+
+    /**
+     * Convert tasks to JSON string
+     * @returns {string} Formatted JSON string
+     */
+    stringify() {
+        return JSON.stringify(this.tasks, null, 2);
+    }
+
+    /**
+     * Get the file name a task's image URL points to
+     * Handles upload paths, local-files URLs (?d=path) and cloud storage URLs
+     * Names that aren't valid percent-encoding (e.g. "100%_crop.jpg") are used as written
+     * @param {string} url - data.image value
+     * @returns {string} File name
+     */
+    getImageName(url) {
+        let path = url;
+        const queryIndex = url.indexOf('?');
+        if (queryIndex !== -1) {
+            const localPath = new URLSearchParams(url.substring(queryIndex + 1)).get('d');
+            path = localPath || url.substring(0, queryIndex);
+        }
+
+        const name = path.substring(path.lastIndexOf('/') + 1);
+        try {
+            return decodeURIComponent(name);
+        } catch (error) {
+            return name;
+        }
+    }
+
+    /**
+     * Find the task for an image
+     * Uploaded files get a random "<hash>-" prefix, so that is accepted too
+     * @param {string} fileName - Image file name
+     * @returns {Object|undefined} Label Studio task
+     */
+    findTask(fileName) {
+        // Tasks may be replaced as a whole, e.g. by load
+        if (this.taskIndex.tasks !== this.tasks) {
+            this.indexTasks();
+        }
+        return this.taskIndex.byName.get(fileName) || this.taskIndex.byName.get(`-${fileName}`);
+    }
+
+    /**
+     * Index the tasks by image name, so images are found without a scan
+     */
+    indexTasks() {
+        this.taskIndex = { tasks: this.tasks, byName: new Map() };
+        this.tasks.forEach(task => this.indexTask(task));
+    }
+
+    /**
+     * Add a task to the index, under its image name and under each "-<name>" suffix of it
+     * The first task for a name is kept, as a search in file order would find it
+     * @param {Object} task - Label Studio task
+     */
+    indexTask(task) {
+        const name = this.getImageName(task.data.image);
+        const byName = this.taskIndex.byName;
+
+        if (!byName.has(name)) {
+            byName.set(name, task);
+        }
+        for (let dash = name.indexOf('-'); dash !== -1; dash = name.indexOf('-', dash + 1)) {
+            const suffix = name.substring(dash);
+            if (!byName.has(suffix)) {
+                byName.set(suffix, task);
+            }
+        }
+    }
+
+    /**
+     * Get the annotation notato edits: the first one that was not cancelled
+     * @param {Object} task - Label Studio task
+     * @returns {Object|undefined} Annotation
+     */
+    getAnnotation(task) {
+        return (task.annotations || []).find(annotation => !annotation.was_cancelled);
+    }
+
+    /**
+     * Check if a result is a rectangle notato can edit
+     * @param {Object} result - Label Studio result
+     * @returns {boolean} True if rectanglelabels with a value
+     */
+    isRectangle(result) {
+        return result.type === 'rectanglelabels' &&
+            result.value &&
+            Array.isArray(result.value.rectanglelabels);
+    }
+
+    /**
+     * Get boxes from the rectangle results of a task
+     * Unknown labels are appended to the handler's class list
+     * @param {Object} task - Label Studio task
+     * @param {Object} image - Image object {width, height}
+     * @returns {Array} Array of box objects
+     */
+    getBoxes(task, image) {
+        const annotation = this.getAnnotation(task);
+        if (!annotation) return [];
+
+        const boxes = [];
+        (annotation.result || []).forEach((result, index) => {
+            if (!this.isRectangle(result)) return;
+
+            // Keep id, from_name, to_name, score etc. for the round-trip
+            const { type, value, ...attributes } = result;
+            const { x, y, width, height, rotation, rectanglelabels } = value;
+
+            this.controlNames = { from_name: result.from_name, to_name: result.to_name };
+
+            const label = rectanglelabels[0];
+            let classId = this.classes.indexOf(label);
+            if (classId === -1) {
+                classId = this.classes.length;
+                this.classes.push(label);
+            }
+
+            const box = {
+                classId,
+                x: x / 100 * image.width,
+                y: y / 100 * image.height,
+                width: width / 100 * image.width,
+                height: height / 100 * image.height,
+                attributes,
+                origin: this.createOrigin(index)
+            };
+
+            // Label Studio rotates around the top-left corner, notato around the center
+            if (rotation) {
+                const angle = rotation * Math.PI / 180;
+                const centerX = box.x + (box.width / 2) * Math.cos(angle) - (box.height / 2) * Math.sin(angle);
+                const centerY = box.y + (box.width / 2) * Math.sin(angle) + (box.height / 2) * Math.cos(angle);
+                box.x = centerX - box.width / 2;
+                box.y = centerY - box.height / 2;
+                box.angle = angle;
+                this.rotated = true;
+            }
+
+            boxes.push(box);
+        });
+
+        return boxes;
+    }
+
+    /**
+     * Replace the rectangle results of a task with boxes
+     * Boxes take the places of the rectangles they were read from (their origin index) and get
+     * those results' fields back. Other results are kept untouched; new boxes are appended
+     * @param {Object} task - Label Studio task
+     * @param {Object} image - Image object {width, height}
+     * @param {Array} boxes - Array of box objects
+     * @param {Array} classes - Class names array
+     */
+    setBoxes(task, image, boxes, classes) {
+        let annotation = this.getAnnotation(task);
+        if (!annotation) {
+            annotation = { result: [] };
+            task.annotations = [...(task.annotations || []), annotation];
+        }
+
+        annotation.result = this.mergeRecords(annotation, annotation.result || [], boxes,
+            result => this.isRectangle(result),
+            (box, loaded) => this.boxToResult(box, loaded, image, classes));
+    }
+
+    /**
+     * Convert a box to a rectanglelabels result
+     * @param {Object} box - Box object
+     * @param {Object|undefined} loaded - Result the box was read from, whose other fields are kept
+     * @param {Object} image - Image object {width, height}
+     * @param {Array} classes - Class names array
+     * @returns {Object} Label Studio result, with type and value last
+     */
+    boxToResult(box, loaded, image, classes) {
+        let x = box.x;
+        let y = box.y;
+        let rotation = 0;
+
+        // Move from the rotated center back to Label Studio's top-left pivot
+        if (box.angle) {
+            const centerX = box.x + box.width / 2;
+            const centerY = box.y + box.height / 2;
+            x = centerX - (box.width / 2) * Math.cos(box.angle) + (box.height / 2) * Math.sin(box.angle);
+            y = centerY - (box.width / 2) * Math.sin(box.angle) - (box.height / 2) * Math.cos(box.angle);
+            rotation = box.angle * 180 / Math.PI;
+            if (rotation < 0) rotation += 360;
+        }
+
+        const result = {
+            id: this.generateResultId(),
+            ...this.controlNames,
+            original_width: image.width,
+            original_height: image.height,
+            image_rotation: 0
+        };
+
+        const attributes = box.attributes || {};
+        Object.keys(loaded || {}).forEach(name => {
+            if (name !== 'type' && name !== 'value' && name in attributes) {
+                result[name] = attributes[name];
+            }
+        });
+
+        result.type = 'rectanglelabels';
+        result.value = {
+            x: x / image.width * 100,
+            y: y / image.height * 100,
+            width: box.width / image.width * 100,
+            height: box.height / image.height * 100,
+            rotation,
+            rectanglelabels: [classes[box.classId] || `class_${box.classId}`]
+        };
+        return result;
+    }
+
+    /**
+     * Generate a result ID in Label Studio's style (10 random alphanumerics)
+     * @returns {string} Result ID
+     */
+    generateResultId() {
+        return Math.random().toString(36).substring(2, 12).padEnd(10, '0');
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
+    /**
+     * Initialize empty state
+     */
+    initEmpty() {
+        this.classes = [];
+        this.tasks = [];
+        this.rotated = false;
+        this.controlNames = { from_name: 'label', to_name: 'image' };
+    }
+
+    /**
+     * Get classes array
+     * @returns {Array} Array of class names
+     */
+    getClasses() {
+        return this.classes;
+    }
+}
+
+// Export for ES6 modules
+export default LabelStudioHandler;
@@ -0,0 +1,45 @@
+/**
+ * LineSplitter.js
+ * Splits streamed text into lines, the same way content.split('\n') would
+ * Chunks can end anywhere - a line cut between chunks is joined before it is passed on
+ * Also runs inside the parse worker (see StreamParser), so it must not use other modules
+ */
+
+class LineSplitter {
+    /**
+     * @param {Function} onLine - Called with each line, without its '\n' ('\r' is kept)
+     */
+    constructor(onLine) {
+        this.onLine = onLine;
+        this.rest = ''; // Text after the last '\n' seen so far
+        this.started = false;
+    }
+
+    /**
+     * Add the next chunk of text
+     * @param {string} chunk - Text chunk
+     */
+    write(chunk) {
+        if (!chunk) return;
+        this.started = true;
+
+        const lines = (this.rest + chunk).split('\n');
+        this.rest = lines.pop();
+        lines.forEach(line => this.onLine(line));
+    }
+
+    /**
+     * Finish the stream, passing on the last line
+     * Like split('\n'), text ending in '\n' gives a last empty line. Empty text gives no lines
+     */
+    end() {
+        if (this.started) {
+            this.onLine(this.rest);
+        }
+        this.rest = '';
+        this.started = false;
+    }
+}
+
+// Export for ES6 modules
+export default LineSplitter;
@@ -0,0 +1,383 @@
+/**
+ * MOTHandler.js
+ * Handles MOTChallenge tracking ground truth parsing and writing
+ * Format: Single gt/gt.txt for a sequence of frames, one box per line:
+ * frame,id,left,top,width,height,conf,class,visibility
+ * MOT15-style files (frame,id,left,top,width,height,conf,x,y,z) have no class column
+ * left/top/width/height in pixels, frame numbers start at 1
+ * Frames map to images by the number in their file name (000001.jpg is frame 1), the
+ * images being in img1/ as in MOTChallenge sequences or next to gt/
+ * The id column is the track ID, kept on each box as `trackId`
+ */
+
+import FormatHandler from './FormatHandler.js';
+
+class MOTHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.annotationFile = 'gt/gt.txt';
+
+        // MOT16/17/20 class IDs are 1-indexed positions in this list
+        this.defaultClasses = [
+            'pedestrian',
+            'person_on_vehicle',
+            'car',
+            'bicycle',
+            'motorbike',
+            'non_motorized_vehicle',
+            'static_person',
+            'distractor',
+            'occluder',
+            'occluder_on_ground',
+            'occluder_full',
+            'reflection'
+        ];
+
+        this.frames = new Map(); // fileName -> frame number
+        this.initEmpty();
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'mot';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'MOT';
+    }
+
+    /**
+     * Check whether the folder holds a MOTChallenge sequence
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if gt/gt.txt starts with a numeric frame,id row, else 0
+     */
+    async detect(fileManager) {
+        const content = await fileManager.readTextFile(this.annotationFile);
+        if (!content) return 0;
+
+        const firstLine = content.split(/\r?\n/).find(line => line.trim()) || '';
+        const parts = firstLine.split(',');
+        return parts.length >= 6 && !isNaN(parseInt(parts[0])) && !isNaN(parseInt(parts[1])) ? 1 : 0;
+    }
+
+    /**
+     * MOT boxes carry a persistent track ID
+     * @returns {boolean}
+     */
+    hasTracks() {
+        return true;
+    }
+
+    /**
+     * What the format can store for each box
+     * Rows carry track IDs but only class numbers
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return {
+            polygons: false,
+            rotation: false,
+            tracks: true,
+            classNames: false,
+            attributes: ['conf', 'visibility', 'extra']
+        };
+    }
+
+    /**
+     * Get the MOTChallenge frame folder besides the root and images/
+     * @param {FileManager} fileManager
+     * @returns {Promise<Array>} ["img1"]
+     */
+    async getImageFolders(fileManager) {
+        return ['img1'];
+    }
+
+    /**
+     * Load MOT ground truth from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        this.initEmpty();
+        this.setFrames(images);
+
+        const content = await fileManager.readTextFile(this.annotationFile);
+
+        if (content) {
+            console.log(`Found MOT ground truth: ${this.annotationFile}`);
+            this.parse(content);
+
+            for (const image of images) {
+                const frame = this.getFrameNumber(image.fileName);
+                const imageBoxes = this.getBoxesForFrame(frame);
+                if (imageBoxes.length > 0) {
+                    boxes.set(image.id, imageBoxes);
+                }
+            }
+        } else {
+            console.log('No MOT ground truth found. Starting with empty sequence.');
+        }
+
+        return { boxes, classes: this.classes };
+    }
+
+    /**
+     * Save MOT ground truth for current frame
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.updateImage(image, boxes, classes);
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Save annotations for many images, writing the annotation file once
+     * @param {FileManager} fileManager - File system manager
+     * @param {Array} images - Image objects
+     * @param {Map} boxesByImage - imageId -> box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async saveAll(fileManager, images, boxesByImage, classes) {
+        images.forEach(image => this.updateImage(image, boxesByImage.get(image.id) || [], classes));
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Put the boxes of an image into the loaded annotations, without writing them
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects with 0-indexed class IDs
+     * @param {Array} classes - Class names
+     */
+    updateImage(image, boxes, classes) {
+        this.classes = classes;
+
+        const frame = this.getFrameNumber(image.fileName);
+        if (frame === null) {
+            throw new Error(`No frame number for ${image.fileName}`);
+        }
+
+        this.setBoxesForFrame(frame, boxes);
+    }
+
+    /**
+     * Write the annotation file
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<void>}
+     */
+    async writeAnnotations(fileManager) {
+        const content = this.stringify();
+        await fileManager.writeTextFile(this.annotationFile, content);
+    }
+
+    /**
+     * Assign frame numbers to images from their file names
+     * Images without a number in their name aren't frames of the sequence
+     * @param {Array} images - Array of image objects
+     */
+    setFrames(images) {
+        this.frames.clear();
+        images.forEach(image => {
+            const frame = this.parseFrameNumber(image.fileName);
+            if (frame !== null) {
+                this.frames.set(image.fileName, frame);
+            }
+        });
+    }
+
+    /**
+     * Read the frame number of a file name: the last number in it (e.g. 000001.jpg, frame_12.png)
+     * @param {string} fileName - Image file name
+     * @returns {number|null} Frame number, or null if the name has no number
+     */
+    parseFrameNumber(fileName) {
+        const baseName = fileName.includes('.') ? fileName.substring(0, fileName.lastIndexOf('.')) : fileName;
+        const match = baseName.match(/(\d+)\D*$/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    /**
+     * Get the frame number of an image
+     * @param {string} fileName - Image file name
+     * @returns {number|null} Frame number
+     */
+    getFrameNumber(fileName) {
+        return this.frames.has(fileName) ? this.frames.get(fileName) : null;
+    }
+
+    /**
+     * Parse gt.txt content
+     * @param {string} content - Content of gt.txt
+     */
+    parse(content) {
+        this.rows = [];
+        this.hasClassColumn = null;
+
+        content.split(/\r?\n/).forEach(line => {
+            const parts = line.trim().split(',').map(part => part.trim());
+            if (parts.length < 6) return;
+
+            const frame = parseInt(parts[0]);
+            const trackId = parseInt(parts[1]);
+            if (isNaN(frame) || isNaN(trackId)) return;
+
+            this.rows.push(parts);
+
+            // MOT16 and later have exactly nine columns, the eighth being the class
+            if (this.hasClassColumn === null) {
+                this.hasClassColumn = parts.length === 9;
+            }
+
+            // Make sure every class ID in the file has a name
+            const classNumber = this.hasClassColumn ? parseInt(parts[7]) : 1;
+            while (classNumber > this.classes.length) {
+                this.classes.push(`class_${this.classes.length + 1}`);
+            }
+        });
+
+        this.order = this.detectOrder(this.rows);
+        if (this.hasClassColumn === null) {
+            this.hasClassColumn = true;
+        }
+    }
+
+    /**
+     * Detect whether rows are sorted by track (as in MOT gt files) or by frame
+     * @param {Array} rows - Parsed rows
+     * @returns {string} 'track' or 'frame'
+     */
+    detectOrder(rows) {
+        for (let i = 1; i < rows.length; i++) {
+            if (parseInt(rows[i][0]) < parseInt(rows[i - 1][0])) {
+                return 'track';
+            }
+        }
+        return 'frame';
+    }
+
+    /**
+     * Convert rows to gt.txt content
+     * @returns {string} MOT format text
+     */
+    stringify() {
+        return this.rows.map(parts => parts.join(',')).join('\n') + (this.rows.length > 0 ? '\n' : '');
+    }
+
+    /**
+     * Get boxes for a frame
+     * @param {number} frame - Frame number
+     * @returns {Array} Array of box objects with trackId
+     */
+    getBoxesForFrame(frame) {
+        return this.rows
+            .filter(parts => parseInt(parts[0]) === frame)
+            .map(parts => {
+                const classNumber = this.hasClassColumn ? parseInt(parts[7]) : 1;
+
+                // conf, visibility and any other columns are written back as-is
+                const attributes = { conf: parts[6] !== undefined ? parts[6] : '1' };
+                if (this.hasClassColumn) {
+                    attributes.visibility = parts[8];
+                } else if (parts.length > 7) {
+                    attributes.extra = parts.slice(7);
+                }
+
+                return {
+                    classId: Math.max(0, classNumber - 1),
+                    trackId: parseInt(parts[1]),
+                    x: parseFloat(parts[2]),
+                    y: parseFloat(parts[3]),
+                    width: parseFloat(parts[4]),
+                    height: parseFloat(parts[5]),
+                    attributes
+                };
+            });
+    }
+
+    /**
+     * Replace the rows of a frame with boxes
+     * Rows stay sorted the way the file was (by track or by frame)
+     * @param {number} frame - Frame number
+     * @param {Array} boxes - Array of box objects
+     */
+    setBoxesForFrame(frame, boxes) {
+        let nextTrackId = this.rows.reduce((max, parts) => Math.max(max, parseInt(parts[1])), 0) + 1;
+        const format = value => String(Number(value.toFixed(2)));
+
+        const newRows = boxes.map(box => {
+            const attributes = box.attributes || {};
+            const trackId = box.trackId !== undefined ? box.trackId : nextTrackId++;
+
+            const parts = [
+                String(frame),
+                String(trackId),
+                format(box.x),
+                format(box.y),
+                format(box.width),
+                format(box.height),
+                attributes.conf !== undefined ? attributes.conf : '1'
+            ];
+
+            if (this.hasClassColumn) {
+                parts.push(String(box.classId + 1), attributes.visibility !== undefined ? attributes.visibility : '1');
+            } else {
+                parts.push(...(attributes.extra || ['-1', '-1', '-1']));
+            }
+
+            return parts;
+        });
+
+        const rows = [...this.rows.filter(parts => parseInt(parts[0]) !== frame), ...newRows];
+
+        // Stable sort: by track then frame, or by frame only (order within a frame is kept)
+        if (this.order === 'track') {
+            rows.sort((a, b) => (parseInt(a[1]) - parseInt(b[1])) || (parseInt(a[0]) - parseInt(b[0])));
+        } else {
+            rows.sort((a, b) => parseInt(a[0]) - parseInt(b[0]));
+        }
+
+        this.rows = rows;
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
+    /**
+     * Initialize empty state
+     */
+    initEmpty() {
+        this.classes = [...this.defaultClasses];
+        this.rows = [];
+        this.order = 'track';
+        this.hasClassColumn = true;
+        this.frames.clear();
+    }
+
+    /**
+     * Get classes array
+     * @returns {Array} Array of class names
+     */
+    getClasses() {
+        return this.classes;
+    }
+}
+
+// Export for ES6 modules
+export default MOTHandler;
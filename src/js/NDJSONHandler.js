@@ -5,16 +5,32 @@
  * First line: dataset record with class_names
  * Subsequent lines: image records with normalized center-based bounding boxes
  * bbox format: [class_id, center_x, center_y, width, height] normalized 0-1
+ * Only class_names and annotations.boxes are edited. Every other field and record is
+ * kept, and lines notato didn't change are written back byte for byte
+ * Only the text of each line is kept: image records are parsed again when they are
+ * read, and saves are written line by line, so no string or parsed copy of the whole
+ * file is made. The line texts themselves take about the file's size in memory
  */
 
 import FormatHandler from './FormatHandler.js';
+import StreamParser from './StreamParser.js';
 
 class NDJSONHandler extends FormatHandler {
     constructor() {
         super();
         this.dataset = null; // Dataset metadata record
-        this.imageRecords = new Map(); // fileName -> image record
+        this.datasetLine = null; // Line holding the dataset record, null if the file has none
+        this.datasetChanged = false; // Whether the dataset record needs writing again
+        this.imageLines = new Map(); // fileName -> line holding the image record (new images too)
+        this.lines = []; // Lines of the file in order: {raw, kind, file, record, active} - raw is needed to write unedited lines back
         this.annotationFile = 'dataset.ndjson'; // Default filename
+
+        // Common names, also tried with a .json extension
+        this.possibleNames = [
+            'dataset.ndjson',
+            'annotations.ndjson',
+            'data.ndjson'
+        ];
     }
 
     /**
@@ -25,6 +41,60 @@ class NDJSONHandler extends FormatHandler {
         return 'ndjson';
     }
 
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'NDJSON';
+    }
+
+    /**
+     * Check whether the folder holds an NDJSON dataset
+     * Only the start of the file is read, and only the first record is checked -
+     * parse() would replace the loaded dataset
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if a known file starts with a dataset or image record, else 0
+     */
+    async detect(fileManager) {
+        for (const name of this.getPossibleNames()) {
+            const preview = await fileManager.readTextFilePreview(name);
+            if (!preview || !preview.text) continue;
+
+            const firstLine = preview.text.split('\n').find(line => line.trim());
+            try {
+                const record = JSON.parse(firstLine);
+                if (record && (record.type === 'dataset' || record.type === 'image')) {
+                    return 1;
+                }
+            } catch (error) {
+                // A first record longer than the preview is cut off - check its type field instead
+                if (!preview.complete && /^\s*\{.*"type"\s*:\s*"(dataset|image)"/.test(firstLine)) {
+                    return 1;
+                }
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Get the file names to look for, .ndjson first
+     * @returns {Array} File names
+     */
+    getPossibleNames() {
+        const jsonNames = this.possibleNames.map(name => name.replace('.ndjson', '.json'));
+        return [...this.possibleNames, ...jsonNames];
+    }
+
+    /**
+     * What the format can store for each box
+     * Boxes only, as [class, x, y, w, h]
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return { polygons: false, rotation: false, tracks: false, classNames: true, attributes: [] };
+    }
+
     /**
      * Load all NDJSON annotations from folder
      * @param {FileManager} fileManager
@@ -35,20 +105,10 @@ class NDJSONHandler extends FormatHandler {
         const boxes = new Map();
 
         // Try to find NDJSON file with various common names
-        const possibleNames = [
-            'dataset.ndjson',
-            'annotations.ndjson',
-            'data.ndjson'
-        ];
-
-        // Also try .json extension
-        const jsonNames = possibleNames.map(name => name.replace('.ndjson', '.json'));
-        const allPossibleNames = [...possibleNames, ...jsonNames];
-
-        let content = null;
-        for (const name of allPossibleNames) {
-            content = await fileManager.readTextFile(name);
-            if (content) {
+        let found = false;
+        for (const name of this.getPossibleNames()) {
+            found = await this.readFile(fileManager, name);
+            if (found) {
                 console.log(`Found NDJSON annotations: ${name}`);
                 this.annotationFile = name;
                 break;
@@ -57,9 +117,7 @@ class NDJSONHandler extends FormatHandler {
 
         let classes = ['object'];
 
-        if (content) {
-            this.parse(content);
-
+        if (found) {
             // Extract classes from dataset record
             if (this.dataset && this.dataset.class_names) {
                 classes = this.classNamesToArray(this.dataset.class_names);
@@ -67,7 +125,7 @@ class NDJSONHandler extends FormatHandler {
 
             // Load annotations for each image
             for (const image of images) {
-                const imageRecord = this.imageRecords.get(image.fileName);
+                const imageRecord = this.getImageRecord(image.fileName);
                 if (imageRecord && imageRecord.annotations && imageRecord.annotations.boxes) {
                     const imageBoxes = this.parseBoxes(
                         imageRecord.annotations.boxes,
@@ -96,6 +154,30 @@ class NDJSONHandler extends FormatHandler {
      * @returns {Promise<void>}
      */
     async save(fileManager, image, boxes, classes) {
+        this.updateImage(image, boxes, classes);
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Save annotations for many images, writing the annotation file once
+     * @param {FileManager} fileManager - File system manager
+     * @param {Array} images - Image objects
+     * @param {Map} boxesByImage - imageId -> box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async saveAll(fileManager, images, boxesByImage, classes) {
+        images.forEach(image => this.updateImage(image, boxesByImage.get(image.id) || [], classes));
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Put the boxes of an image into the loaded annotations, without writing them
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects with 0-indexed class IDs
+     * @param {Array} classes - Class names
+     */
+    updateImage(image, boxes, classes) {
         // Update or create dataset record
         if (!this.dataset) {
             this.dataset = {
@@ -104,34 +186,135 @@ class NDJSONHandler extends FormatHandler {
                 class_names: this.arrayToClassNames(classes)
             };
         } else {
-            // Update class_names in existing dataset
-            this.dataset.class_names = this.arrayToClassNames(classes);
+            // Update class_names in existing dataset, in the shape it already uses
+            const current = this.dataset.class_names ? this.classNamesToArray(this.dataset.class_names) : [];
+            const changed = current.length !== classes.length || classes.some((name, index) => name !== current[index]);
+            if (changed) {
+                this.dataset.class_names = Array.isArray(this.dataset.class_names)
+                    ? [...classes]
+                    : this.arrayToClassNames(classes);
+                this.datasetChanged = true;
+            }
         }
 
-        // Update or create image record
-        const imageRecord = {
-            type: 'image',
-            file: image.fileName,
-            width: image.width,
-            height: image.height,
-            annotations: {
-                boxes: this.stringifyBoxes(boxes, image.width, image.height)
+        const existingRecord = this.getImageRecord(image.fileName);
+        if (existingRecord) {
+            // Only the boxes are replaced - url, split and any other fields are kept
+            const annotations = existingRecord.annotations || {};
+            const originalBoxes = Array.isArray(annotations.boxes) ? annotations.boxes : [];
+            const newBoxes = this.mergeBoxes(
+                originalBoxes,
+                this.stringifyBoxes(boxes, image.width, image.height),
+                image.width,
+                image.height
+            );
+
+            const unchanged = newBoxes.length === originalBoxes.length &&
+                newBoxes.every((box, index) => box === originalBoxes[index]);
+            if (!unchanged) {
+                existingRecord.annotations = { ...annotations, boxes: newBoxes };
+                this.setImageRecord(image.fileName, existingRecord);
             }
+        } else {
+            this.setImageRecord(image.fileName, {
+                type: 'image',
+                file: image.fileName,
+                width: image.width,
+                height: image.height,
+                annotations: {
+                    boxes: this.stringifyBoxes(boxes, image.width, image.height)
+                }
+            });
+        }
+    }
+
+    /**
+     * Write the annotation file
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<void>}
+     */
+    async writeAnnotations(fileManager) {
+        // Write entire NDJSON file, a line at a time
+        await fileManager.writeTextChunks(this.annotationFile, this.stringifyParts());
+    }
+
+    /**
+     * Get the record of an image
+     * Records that weren't edited are parsed from their line on every call
+     * @param {string} fileName - Image file name
+     * @returns {Object|null} Image record, or null if the file has none
+     */
+    getImageRecord(fileName) {
+        const line = this.imageLines.get(fileName);
+        if (!line) return null;
+        return line.record || JSON.parse(line.raw);
+    }
+
+    /**
+     * Replace the record of an image, or add one
+     * Edited records are kept parsed and written in place of their line
+     * @param {string} fileName - Image file name
+     * @param {Object} record - Image record
+     */
+    setImageRecord(fileName, record) {
+        const line = this.imageLines.get(fileName);
+        if (line) {
+            line.record = record;
+        } else {
+            this.imageLines.set(fileName, { raw: null, kind: 'image', file: fileName, record, active: true });
+        }
+    }
+
+    /**
+     * Image records by file name, as a Map-like view over the image lines
+     * Reads and writes go through getImageRecord and setImageRecord
+     * @returns {Object} {size, has, get, set, keys}
+     */
+    get imageRecords() {
+        const lines = this.imageLines;
+        const records = {
+            get size() {
+                return lines.size;
+            },
+            has: fileName => lines.has(fileName),
+            get: fileName => this.getImageRecord(fileName) || undefined,
+            set: (fileName, record) => {
+                this.setImageRecord(fileName, record);
+                return records;
+            },
+            keys: () => lines.keys()
         };
+        return records;
+    }
 
-        // Preserve existing fields if they exist
-        const existingRecord = this.imageRecords.get(image.fileName);
-        if (existingRecord) {
-            // Preserve optional fields like url, split, etc.
-            if (existingRecord.url) imageRecord.url = existingRecord.url;
-            if (existingRecord.split) imageRecord.split = existingRecord.split;
+    /**
+     * Read and parse an NDJSON file
+     * Parsed line by line in a worker when the browser supports it, so files of
+     * several gigabytes load without freezing the page
+     * @param {FileManager} fileManager
+     * @param {string} name - File name
+     * @returns {Promise<boolean>} False if the file doesn't exist or is empty
+     */
+    async readFile(fileManager, name) {
+        if (!StreamParser.isSupported()) {
+            const content = await fileManager.readTextFile(name);
+            if (!content) return false;
+            this.parse(content);
+            return true;
         }
 
-        this.imageRecords.set(image.fileName, imageRecord);
+        const file = await fileManager.getFile(name);
+        if (!file || file.size === 0) return false;
 
-        // Write entire NDJSON file
-        const content = this.stringify();
-        await fileManager.writeTextFile(this.annotationFile, content);
+        this.beginParse();
+        await StreamParser.parseFile(file, 'ndjson', {
+            onItems: items => items.forEach(item => this.addLine(item.raw, item.record)),
+            onProgress: (loaded, total) => {
+                this.reportProgress(`Parsing ${name}: ${Math.floor(loaded / total * 100)}%`);
+            }
+        });
+        this.endParse();
+        return true;
     }
 
     /**
@@ -139,24 +322,66 @@ class NDJSONHandler extends FormatHandler {
      * @param {string} content - NDJSON content
      */
     parse(content) {
-        const lines = content.trim().split('\n').filter(line => line.trim());
+        this.beginParse();
+
+        // Blank lines, invalid lines and unknown records are kept as raw text
+        const lines = content ? content.split('\n') : [];
+        for (const raw of lines) {
+            let record = null;
+            if (raw.trim()) {
+                try {
+                    record = JSON.parse(raw);
+                } catch (error) {
+                    console.error('Error parsing NDJSON line:', error);
+                }
+            }
+            this.addLine(raw, record);
+        }
 
-        this.dataset = null;
-        this.imageRecords.clear();
+        this.endParse();
+    }
 
-        for (const line of lines) {
-            try {
-                const record = JSON.parse(line);
+    /**
+     * Start parsing lines one at a time (see addLine)
+     */
+    beginParse() {
+        this.dataset = null;
+        this.datasetLine = null;
+        this.datasetChanged = false;
+        this.imageLines = new Map();
+        this.lines = [];
+    }
 
-                if (record.type === 'dataset') {
-                    this.dataset = record;
-                } else if (record.type === 'image') {
-                    this.imageRecords.set(record.file, record);
-                }
-            } catch (error) {
-                console.error('Error parsing NDJSON line:', error);
-            }
+    /**
+     * Add the next line of the file
+     * @param {string} raw - Line text
+     * @param {Object|null} record - Parsed line, or null if blank or invalid
+     */
+    addLine(raw, record) {
+        // The record itself isn't kept (see getImageRecord), except for the small dataset record
+        const line = { raw, kind: 'other', file: null, record: null, active: false };
+        this.lines.push(line);
+
+        if (record && record.type === 'dataset') {
+            this.dataset = record;
+            line.kind = 'dataset';
+            this.datasetLine = line;
+        } else if (record && record.type === 'image') {
+            line.kind = 'image';
+            line.file = record.file;
+            this.imageLines.set(record.file, line);
         }
+    }
+
+    /**
+     * Finish parsing lines
+     */
+    endParse() {
+        // Later duplicates win
+        if (this.datasetLine) this.datasetLine.active = true;
+        this.imageLines.forEach(line => {
+            line.active = true;
+        });
 
         // If no dataset record found, create default
         if (!this.dataset) {
@@ -173,21 +398,100 @@ class NDJSONHandler extends FormatHandler {
      * @returns {string} NDJSON formatted string
      */
     stringify() {
-        const lines = [];
+        return Array.from(this.stringifyParts()).join('');
+    }
 
-        // First line: dataset record
-        if (this.dataset) {
-            lines.push(JSON.stringify(this.dataset));
+    /**
+     * Convert dataset and image records to NDJSON, a line at a time
+     * Parsed lines keep their order (and exact text if unchanged); new image
+     * records are added after them, sorted by filename
+     * @returns {Generator<string>} Pieces of the file, in order
+     */
+    *stringifyParts() {
+        // A file ending in a newline splits into a trailing empty line - append before it
+        let end = this.lines.length;
+        while (end > 0 && this.lines[end - 1].kind === 'other' && this.lines[end - 1].raw === '') {
+            end--;
         }
 
-        // Subsequent lines: image records (sorted by filename for consistency)
-        const sortedFiles = Array.from(this.imageRecords.keys()).sort();
-        for (const fileName of sortedFiles) {
-            const record = this.imageRecords.get(fileName);
-            lines.push(JSON.stringify(record));
+        let count = 0;
+        const separate = text => (count++ > 0 ? `\n${text}` : text);
+
+        if (!this.datasetLine && this.dataset) {
+            yield separate(JSON.stringify(this.dataset));
+        }
+
+        for (let i = 0; i < end; i++) {
+            yield separate(this.stringifyLine(this.lines[i]));
+        }
+
+        const newFiles = Array.from(this.imageLines.values())
+            .filter(line => line.raw === null)
+            .map(line => line.file)
+            .sort();
+        for (const fileName of newFiles) {
+            yield separate(JSON.stringify(this.imageLines.get(fileName).record));
+        }
+
+        for (let i = end; i < this.lines.length; i++) {
+            yield separate('');
+        }
+
+        // A new file ends with a newline (a parsed one keeps its own ending)
+        if (this.lines.length === 0 && count > 0) {
+            yield '\n';
+        }
+    }
+
+    /**
+     * Get the text to write for a parsed line
+     * Lines are written as they were read unless their record was edited
+     * @param {Object} line - Parsed line
+     * @returns {string} Line text
+     */
+    stringifyLine(line) {
+        if (line.kind === 'dataset' && line.active && this.datasetChanged) {
+            const json = JSON.stringify(this.dataset);
+            return json === JSON.stringify(JSON.parse(line.raw)) ? line.raw : json;
         }
+        if (line.kind === 'image' && line.active && line.record) {
+            return JSON.stringify(line.record);
+        }
+        return line.raw;
+    }
 
-        return lines.join('\n') + (lines.length > 0 ? '\n' : '');
+    /**
+     * Reuse the original entries of boxes that weren't edited
+     * Keeps their exact numbers (and any extra values) instead of re-rounding them.
+     * Boxes are matched by value, so deleting or reordering boxes doesn't pair a box
+     * with another one's entry
+     * @param {Array} originalBoxes - Boxes array from the image record
+     * @param {Array} newBoxes - Stringified boxes from the editor
+     * @param {number} imageWidth - Image width in pixels
+     * @param {number} imageHeight - Image height in pixels
+     * @returns {Array} Boxes array to write
+     */
+    mergeBoxes(originalBoxes, newBoxes, imageWidth, imageHeight) {
+        // Each original entry as the editor would write it back, until it is reused
+        const unused = [];
+        originalBoxes.forEach(original => {
+            if (!Array.isArray(original) || original.length < 5) return;
+
+            const [roundTrip] = this.stringifyBoxes(
+                this.parseBoxes([original], imageWidth, imageHeight),
+                imageWidth,
+                imageHeight
+            );
+            unused.push({ original, roundTrip });
+        });
+
+        return newBoxes.map(box => {
+            const index = unused.findIndex(({ roundTrip }) => roundTrip.every((value, i) => value === box[i]));
+            if (index === -1) return box;
+
+            const [{ original }] = unused.splice(index, 1);
+            return original;
+        });
     }
 
     /**
@@ -325,6 +629,13 @@ class NDJSONHandler extends FormatHandler {
         return classNames;
     }
 
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
     /**
      * Initialize empty NDJSON dataset
      */
@@ -334,7 +645,10 @@ class NDJSONHandler extends FormatHandler {
             task: 'detect',
             class_names: {}
         };
-        this.imageRecords.clear();
+        this.datasetLine = null;
+        this.datasetChanged = false;
+        this.imageLines = new Map();
+        this.lines = [];
     }
 
     /**
@@ -351,6 +665,7 @@ class NDJSONHandler extends FormatHandler {
      */
     setDataset(dataset) {
         this.dataset = { ...this.dataset, ...dataset };
+        this.datasetChanged = true;
     }
 }
 
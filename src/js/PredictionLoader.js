@@ -0,0 +1,156 @@
+/**
+ * PredictionLoader.js
+ * Reads model predictions, shown as a read-only layer over the annotations
+ * - YOLO prediction files (.txt, one per image): label lines with a sixth confidence column
+ * - COCO results files (.json): a bare list of {image_id, category_id, bbox, score}
+ * Results use the dataset's image and category IDs when the opened format has them (COCO),
+ * and results with a category the dataset doesn't have are skipped. Otherwise image_id is matched to the image file name without extension and category_id
+ * is the class number - 1-based like Ultralytics' save_json, unless some result uses 0
+ */
+
+import YOLOHandler from './YOLOHandler.js';
+
+class PredictionLoader {
+    /**
+     * Read prediction files
+     * @param {Array} files - Files picked by the user (File objects)
+     * @param {Array} images - Image objects {id, fileName, width, height}
+     * @param {Array} classes - Class names
+     * @param {Object|null} resultIds - Dataset IDs from the format handler (see FormatHandler.getResultIds)
+     * @returns {Promise<Map>} imageId -> predictions [{classId, x, y, width, height, score, ...}]
+     * @throws {Error} If a file is neither YOLO predictions nor a COCO results list
+     */
+    static async load(files, images, classes, resultIds) {
+        const predictions = new Map();
+        const add = (imageId, items) => {
+            predictions.set(imageId, (predictions.get(imageId) || []).concat(items));
+        };
+
+        // Images by file name without extension (YOLO file names, image_id fallback)
+        const byStem = new Map();
+        images.forEach(image => {
+            const stem = PredictionLoader.getStem(image.fileName);
+            if (!byStem.has(stem)) {
+                byStem.set(stem, image);
+            }
+        });
+
+        for (const file of files) {
+            const content = await file.text();
+
+            if (file.name.toLowerCase().endsWith('.json')) {
+                const results = PredictionLoader.parseResults(content, file.name);
+                const byImage = PredictionLoader.fromResults(results, images, byStem, classes, resultIds);
+                byImage.forEach((items, imageId) => add(imageId, items));
+                continue;
+            }
+
+            const image = byStem.get(PredictionLoader.getStem(file.name));
+            if (!image) continue;
+
+            // Lines without a confidence (plain labels) count as certain
+            const boxes = new YOLOHandler().parse(content, image.width, image.height);
+            add(image.id, boxes.map(box => ({ ...box, score: box.score !== undefined ? box.score : 1 })));
+        }
+
+        return predictions;
+    }
+
+    /**
+     * Parse a COCO results file
+     * @param {string} content - JSON content
+     * @param {string} fileName - File name, for error messages
+     * @returns {Array} Results [{image_id, category_id, bbox, score}]
+     */
+    static parseResults(content, fileName) {
+        let results;
+        try {
+            results = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`${fileName} is not valid JSON`);
+        }
+
+        if (!Array.isArray(results) || results.some(result => !result || !Array.isArray(result.bbox))) {
+            throw new Error(`${fileName} is not a COCO results file (a list of {image_id, category_id, bbox, score})`);
+        }
+        return results;
+    }
+
+    /**
+     * Convert COCO results to predictions per image
+     * @param {Array} results - COCO results
+     * @param {Array} images - Image objects
+     * @param {Map} byStem - File name without extension -> image
+     * @param {Array} classes - Class names
+     * @param {Object|null} resultIds - {images, categories} dataset IDs, or null
+     * @returns {Map} imageId -> predictions - results of unknown dataset categories are left out
+     */
+    static fromResults(results, images, byStem, classes, resultIds) {
+        const byFileName = new Map(images.map(image => [image.fileName, image]));
+        const useIds = resultIds && resultIds.images.size > 0;
+        const zeroBased = results.some(result => result.category_id === 0);
+
+        const findImage = (imageId) => {
+            if (useIds) {
+                return byFileName.get(resultIds.images.get(imageId)) || null;
+            }
+            return byStem.get(String(imageId)) || null;
+        };
+
+        const findClass = (categoryId) => {
+            if (useIds) {
+                const classId = classes.indexOf(resultIds.categories.get(categoryId));
+                return classId !== -1 ? classId : null;
+            }
+            return zeroBased ? categoryId : categoryId - 1;
+        };
+
+        const predictions = new Map();
+        const unknown = new Set(); // Category IDs the dataset doesn't have
+        let skipped = 0;
+        results.forEach(result => {
+            const image = findImage(result.image_id);
+            if (!image) return;
+
+            const classId = findClass(result.category_id);
+            if (classId === null) {
+                unknown.add(result.category_id);
+                skipped++;
+                return;
+            }
+
+            const [x, y, width, height] = result.bbox;
+            if (!predictions.has(image.id)) {
+                predictions.set(image.id, []);
+            }
+            predictions.get(image.id).push({
+                classId,
+                x,
+                y,
+                width,
+                height,
+                score: typeof result.score === 'number' ? result.score : 1
+            });
+        });
+
+        if (skipped > 0) {
+            console.error(`Skipped ${skipped} result(s) with category_id not in the dataset: ${Array.from(unknown).join(', ')}`);
+        }
+
+        return predictions;
+    }
+
+    /**
+     * Get a file name without its folder and extension
+     * @param {string} fileName - File name or path
+     * @returns {string} Stem, e.g. "image1" for "images/train/image1.jpg"
+     */
+    static getStem(fileName) {
+        const name = fileName.substring(fileName.lastIndexOf('/') + 1);
+        const dot = name.lastIndexOf('.');
+        return dot > 0 ? name.substring(0, dot) : name;
+    }
+}
+
+// Export for ES6 modules
+export default PredictionLoader;
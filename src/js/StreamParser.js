@@ -0,0 +1,86 @@
+/**
+ * StreamParser.js
+ * Parses large annotation files in a Web Worker, so the page stays responsive
+ * The worker is built from the source of StreamWorker, LineSplitter and JSONStreamParser
+ * (a Blob URL), which works the same in development and in the single-file build
+ */
+
+import LineSplitter from './LineSplitter.js';
+import JSONStreamParser from './JSONStreamParser.js';
+import StreamWorker from './StreamWorker.js';
+
+class StreamParser {
+    /**
+     * Check if the browser can run the parse worker
+     * @returns {boolean} True if Web Workers and Blob URLs are available
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' &&
+            typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+    }
+
+    /**
+     * Parse a file in a worker
+     * Items arrive in batches, one message at a time, so the page can update between them
+     * @param {File} file - File to parse
+     * @param {string} format - 'ndjson' (items {raw, record}) or 'json' (items {key, value} or {key, element})
+     * @param {Object} callbacks - {onItems(items), onProgress(loaded, total)}
+     * @returns {Promise<void>} Resolves when the whole file is parsed
+     */
+    static parseFile(file, format, { onItems, onProgress }) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([StreamParser.getWorkerSource()], { type: 'text/javascript' }));
+            const worker = new Worker(url);
+
+            const finish = (error) => {
+                worker.terminate();
+                URL.revokeObjectURL(url);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                try {
+                    if (message.type === 'items') {
+                        onItems(message.items);
+                    } else if (message.type === 'progress') {
+                        if (onProgress) onProgress(message.loaded, message.total);
+                    } else if (message.type === 'done') {
+                        finish();
+                    } else if (message.type === 'error') {
+                        finish(new Error(message.message));
+                    }
+                } catch (error) {
+                    finish(error);
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish(new Error(event.message || 'Parse worker failed'));
+            };
+
+            worker.postMessage({ file, format });
+        });
+    }
+
+    /**
+     * Build the worker script
+     * @returns {string} JavaScript source
+     */
+    static getWorkerSource() {
+        return [
+            LineSplitter.toString(),
+            JSONStreamParser.toString(),
+            StreamWorker.toString(),
+            'StreamWorker.start();'
+        ].join('\n\n');
+    }
+}
+
+// Export for ES6 modules
+export default StreamParser;
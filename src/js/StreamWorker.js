@@ -0,0 +1,94 @@
+/**
+ * StreamWorker.js
+ * Body of the parse worker started by StreamParser
+ * Reads a File as a byte stream and posts parsed items back in batches:
+ *   {type: 'items', items}, {type: 'progress', loaded, total}, {type: 'done'}, {type: 'error', message}
+ * Its source is copied into the worker along with LineSplitter and JSONStreamParser,
+ * so it can only use those two classes
+ */
+
+import LineSplitter from './LineSplitter.js';
+import JSONStreamParser from './JSONStreamParser.js';
+
+class StreamWorker {
+    /**
+     * Listen for parse requests ({file, format}) in the worker
+     */
+    static start() {
+        self.onmessage = async (event) => {
+            try {
+                await StreamWorker.parse(event.data.file, event.data.format);
+                self.postMessage({ type: 'done' });
+            } catch (error) {
+                self.postMessage({ type: 'error', message: error.message });
+            }
+        };
+    }
+
+    /**
+     * Stream a file through the parser for its format
+     * ndjson items are {raw, record} per line (record is null for blank or invalid lines)
+     * json items are {key, value} for top-level values and {key, element} for array elements
+     * @param {File} file - File to parse
+     * @param {string} format - 'ndjson' or 'json'
+     */
+    static async parse(file, format) {
+        const batchSize = 1000;
+        let items = [];
+
+        const add = item => {
+            items.push(item);
+            if (items.length >= batchSize) {
+                self.postMessage({ type: 'items', items });
+                items = [];
+            }
+        };
+
+        const parser = format === 'ndjson'
+            ? new LineSplitter(raw => {
+                let record = null;
+                if (raw.trim()) {
+                    try {
+                        record = JSON.parse(raw);
+                    } catch (error) {
+                        console.error('Error parsing NDJSON line:', error);
+                    }
+                }
+                add({ raw, record });
+            })
+            : new JSONStreamParser({
+                onValue: (key, value) => add({ key, value }),
+                onElement: (key, element) => add({ key, element })
+            });
+
+        const reader = file.stream().getReader();
+        const decoder = new TextDecoder('utf-8');
+        let loaded = 0;
+        let reported = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            parser.write(decoder.decode(value, { stream: true }));
+            loaded += value.byteLength;
+
+            // Report every whole percent
+            const percent = Math.floor(loaded / file.size * 100);
+            if (percent > reported) {
+                reported = percent;
+                self.postMessage({ type: 'progress', loaded, total: file.size });
+            }
+        }
+
+        parser.write(decoder.decode());
+        parser.end();
+
+        if (items.length > 0) {
+            self.postMessage({ type: 'items', items });
+        }
+    }
+}
+
+// Export for ES6 modules
+export default StreamWorker;
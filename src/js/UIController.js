@@ -3,6 +3,8 @@
  * Manages UI updates and user interactions
  */
 
+import KeypointSkeleton from './KeypointSkeleton.js';
+
 class UIController {
     constructor(store, imageCanvas) {
         this.store = store;
@@ -10,9 +12,9 @@ class UIController {
 
         this.elements = {
             // Format
-            loadYoloBtn: document.getElementById('loadYoloBtn'),
-            loadCocoBtn: document.getElementById('loadCocoBtn'),
-            loadNdjsonBtn: document.getElementById('loadNdjsonBtn'),
+            openFolderBtn: document.getElementById('openFolderBtn'),
+            loadButtons: document.getElementById('loadButtons'),
+            supportedFormats: document.getElementById('supportedFormats'),
             folderPath: document.getElementById('folderPath'),
 
             // Class management
@@ -24,6 +26,17 @@ class UIController {
             addClassConfirm: document.getElementById('addClassConfirm'),
             addClassCancel: document.getElementById('addClassCancel'),
 
+            // Predictions
+            loadPredictionsBtn: document.getElementById('loadPredictionsBtn'),
+            predictionControls: document.getElementById('predictionControls'),
+            confidenceSlider: document.getElementById('confidenceSlider'),
+            confidenceValue: document.getElementById('confidenceValue'),
+            predictionCount: document.getElementById('predictionCount'),
+            acceptPredictionBtn: document.getElementById('acceptPredictionBtn'),
+            rejectPredictionBtn: document.getElementById('rejectPredictionBtn'),
+            acceptAllPredictionsBtn: document.getElementById('acceptAllPredictionsBtn'),
+            clearPredictionsBtn: document.getElementById('clearPredictionsBtn'),
+
             // File list
             fileSearch: document.getElementById('fileSearch'),
             fileList: document.getElementById('fileList'),
@@ -36,14 +49,57 @@ class UIController {
             zoomLevel: document.getElementById('zoomLevel'),
             fitToScreenBtn: document.getElementById('fitToScreenBtn'),
             toggleBoxesBtn: document.getElementById('toggleBoxesBtn'),
+            datasetInfoBtn: document.getElementById('datasetInfoBtn'),
+            exportBtn: document.getElementById('exportBtn'),
             saveBtn: document.getElementById('saveBtn'),
 
+            // Image metadata panel
+            detailsPanel: document.getElementById('detailsPanel'),
+            imageMetadataFields: document.getElementById('imageMetadataFields'),
+            addImageFieldBtn: document.getElementById('addImageFieldBtn'),
+
             // Status bar
             cursorPos: document.getElementById('cursorPos'),
             statusMessage: document.getElementById('statusMessage'),
             shortcutHint: document.getElementById('shortcutHint'),
 
             // Modals
+            columnMappingModal: document.getElementById('columnMappingModal'),
+            mapCoordinates: document.getElementById('mapCoordinates'),
+            columnMappingConfirm: document.getElementById('columnMappingConfirm'),
+            columnMappingCancel: document.getElementById('columnMappingCancel'),
+            cocoFileModal: document.getElementById('cocoFileModal'),
+            cocoFileList: document.getElementById('cocoFileList'),
+            cocoFileConfirm: document.getElementById('cocoFileConfirm'),
+            cocoFileCancel: document.getElementById('cocoFileCancel'),
+            formatModal: document.getElementById('formatModal'),
+            formatHint: document.getElementById('formatHint'),
+            formatList: document.getElementById('formatList'),
+            formatConfirm: document.getElementById('formatConfirm'),
+            formatCancel: document.getElementById('formatCancel'),
+            exportModal: document.getElementById('exportModal'),
+            exportFormatList: document.getElementById('exportFormatList'),
+            exportFolder: document.getElementById('exportFolder'),
+            exportConfirm: document.getElementById('exportConfirm'),
+            exportCancel: document.getElementById('exportCancel'),
+            exportReportModal: document.getElementById('exportReportModal'),
+            exportReportSummary: document.getElementById('exportReportSummary'),
+            exportReportList: document.getElementById('exportReportList'),
+            exportReportClose: document.getElementById('exportReportClose'),
+            datasetInfoModal: document.getElementById('datasetInfoModal'),
+            datasetInfoFields: document.getElementById('datasetInfoFields'),
+            addInfoFieldBtn: document.getElementById('addInfoFieldBtn'),
+            licenseList: document.getElementById('licenseList'),
+            addLicenseBtn: document.getElementById('addLicenseBtn'),
+            datasetInfoConfirm: document.getElementById('datasetInfoConfirm'),
+            datasetInfoCancel: document.getElementById('datasetInfoCancel'),
+            skeletonModal: document.getElementById('skeletonModal'),
+            skeletonTitle: document.getElementById('skeletonTitle'),
+            skeletonNames: document.getElementById('skeletonNames'),
+            skeletonEdges: document.getElementById('skeletonEdges'),
+            skeletonPresetBtn: document.getElementById('skeletonPresetBtn'),
+            skeletonConfirm: document.getElementById('skeletonConfirm'),
+            skeletonCancel: document.getElementById('skeletonCancel'),
             shortcutsModal: document.getElementById('shortcutsModal'),
             shortcutsClose: document.getElementById('shortcutsClose'),
 
@@ -54,6 +110,9 @@ class UIController {
             canvasContainer: document.getElementById('canvasContainer')
         };
 
+        this.imageMetadata = null; // Metadata shown in the details panel, as loaded
+        this.keypointsEnabled = false; // Whether classes offer a keypoints button
+
         this.setupEventListeners();
         this.setupStoreListeners();
     }
@@ -86,6 +145,41 @@ class UIController {
             }
         });
 
+        // Predictions
+        this.elements.confidenceSlider.addEventListener('input', (e) => {
+            this.store.setConfidenceThreshold(parseFloat(e.target.value));
+            this.imageCanvas.render();
+        });
+
+        this.elements.acceptPredictionBtn.addEventListener('click', () => {
+            const prediction = this.store.getSelectedPrediction();
+            if (prediction) {
+                this.store.setSelectedBox(this.store.acceptPrediction(prediction.id));
+                this.imageCanvas.render();
+            }
+        });
+
+        this.elements.rejectPredictionBtn.addEventListener('click', () => {
+            const prediction = this.store.getSelectedPrediction();
+            if (prediction) {
+                this.store.rejectPrediction(prediction.id);
+                this.imageCanvas.render();
+            }
+        });
+
+        this.elements.acceptAllPredictionsBtn.addEventListener('click', () => {
+            const imageId = this.store.getState().currentImageId;
+            this.store.getPredictionsForImage(imageId).forEach(prediction => {
+                this.store.acceptPrediction(prediction.id);
+            });
+            this.imageCanvas.render();
+        });
+
+        this.elements.clearPredictionsBtn.addEventListener('click', () => {
+            this.store.clearPredictions();
+            this.imageCanvas.render();
+        });
+
         // File search
         this.elements.fileSearch.addEventListener('input', (e) => {
             this.filterFileList(e.target.value);
@@ -112,6 +206,19 @@ class UIController {
             this.imageCanvas.render();
         });
 
+        // Image metadata - every edit is passed on as the image's full field set
+        this.elements.imageMetadataFields.addEventListener('change', () => {
+            this.emitImageMetadataChange();
+        });
+
+        this.elements.addImageFieldBtn.addEventListener('click', () => {
+            const row = this.createMetadataRow('', '', () => this.emitImageMetadataChange());
+            const empty = this.elements.imageMetadataFields.querySelector('.metadata-empty');
+            if (empty) empty.remove();
+            this.elements.imageMetadataFields.appendChild(row);
+            row.querySelector('input').focus();
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             this.handleGlobalKeyboard(e);
@@ -127,6 +234,16 @@ class UIController {
             this.updateCursorPosition(e.detail.x, e.detail.y);
         });
 
+        // Keypoint placement prompt
+        document.addEventListener('keypointPlacement', (e) => {
+            if (e.detail) {
+                const { name, index, count } = e.detail;
+                this.setStatus(`Click ${name} (${index + 1}/${count}) - Shift+click if occluded, N to skip, Esc to stop`);
+            } else {
+                this.setStatus('Ready');
+            }
+        });
+
         // Close modals on background click
         this.elements.addClassModal.addEventListener('click', (e) => {
             if (e.target === this.elements.addClassModal) {
@@ -146,11 +263,17 @@ class UIController {
      */
     setupStoreListeners() {
         this.store.on('classes', () => this.updateClassUI());
+        this.store.on('skeletons', () => this.updateClassUI());
         this.store.on('images', () => this.updateFileList());
         this.store.on('currentImage', () => this.updateCurrentImageUI());
         this.store.on('boxes', () => this.updateAnnotationCount());
         this.store.on('modified', () => this.updateSaveButton());
         this.store.on('zoom', (zoom) => this.updateZoomDisplay(zoom));
+        this.store.on('predictions', () => this.updatePredictionUI());
+        this.store.on('confidenceThreshold', () => this.updatePredictionUI());
+        this.store.on('selectedPrediction', () => this.updatePredictionUI());
+        this.store.on('currentImage', () => this.updatePredictionUI());
+        this.store.on('clear', () => this.updatePredictionUI());
     }
 
     /**
@@ -192,6 +315,23 @@ class UIController {
             item.appendChild(color);
             item.appendChild(name);
 
+            // Keypoint definition of the class (pose shapes)
+            if (this.keypointsEnabled) {
+                const skeleton = this.store.getSkeleton(index);
+                const keypoints = document.createElement('button');
+                keypoints.className = 'class-keypoints';
+                keypoints.title = 'Edit keypoints';
+                keypoints.textContent = skeleton ? `${skeleton.keypoints.length} kp` : '+ kp';
+                keypoints.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const event = new CustomEvent('skeletonEditRequested', {
+                        detail: { classId: index }
+                    });
+                    document.dispatchEvent(event);
+                });
+                item.appendChild(keypoints);
+            }
+
             item.addEventListener('click', () => {
                 this.store.setCurrentClass(index);
                 this.elements.classSelector.value = index;
@@ -202,6 +342,25 @@ class UIController {
         });
     }
 
+    /**
+     * Update the predictions controls: threshold, shown count and accept/reject buttons
+     */
+    updatePredictionUI() {
+        const state = this.store.getState();
+        this.elements.predictionControls.style.display = this.store.hasPredictions() ? '' : 'none';
+        this.elements.confidenceSlider.value = state.confidenceThreshold;
+        this.elements.confidenceValue.textContent = state.confidenceThreshold.toFixed(2);
+
+        const shown = this.store.getPredictionsForImage(state.currentImageId).length;
+        const total = this.store.getPredictionsForImage(state.currentImageId, true).length;
+        this.elements.predictionCount.textContent = `${shown} of ${total} shown on this image`;
+
+        const selected = this.store.getSelectedPrediction() !== null;
+        this.elements.acceptPredictionBtn.disabled = !selected;
+        this.elements.rejectPredictionBtn.disabled = !selected;
+        this.elements.acceptAllPredictionsBtn.disabled = shown === 0;
+    }
+
     /**
      * Update file list
      */
@@ -221,20 +380,37 @@ class UIController {
 
         // Sort images by filename
         images.sort((a, b) => a.fileName.localeCompare(b.fileName));
+        const { tracking, frames } = this.store.getState();
 
         this.elements.fileList.innerHTML = '';
 
         // Create flat list of images
         images.forEach(img => {
-            const item = this.createFileItem(img, currentImageId);
+            const frame = tracking && frames.has(img.id) ? frames.get(img.id) : null;
+            const item = this.createFileItem(img, currentImageId, frame);
             this.elements.fileList.appendChild(item);
         });
     }
 
+    /**
+     * Get the dataset split of an image from its folder
+     * @param {string} filePath - Image file path (e.g., "images/train/image1.jpg")
+     * @returns {string|null} Split name (e.g., "train"), or null outside the images/<split>/
+     *   and <split>/images/ layouts
+     */
+    getImageSplit(filePath) {
+        const path = `/${filePath || ''}`;
+        const match = path.match(/\/images\/([^/]+)\/[^/]+$/) || path.match(/\/([^/]+)\/images\/[^/]+$/);
+        return match ? match[1] : null;
+    }
+
     /**
      * Create file list item
+     * @param {Object} image - Image object
+     * @param {string} currentImageId - ID of the open image
+     * @param {number|null} frame - Frame number for tracking sequences
      */
-    createFileItem(image, currentImageId) {
+    createFileItem(image, currentImageId, frame = null) {
         const item = document.createElement('div');
         item.className = 'file-item';
         if (image.id === currentImageId) {
@@ -271,6 +447,18 @@ class UIController {
         count.textContent = `${image.boxes.length} boxes`;
 
         meta.appendChild(status);
+        const split = this.getImageSplit(image.filePath);
+        if (split) {
+            const splitLabel = document.createElement('span');
+            splitLabel.className = 'file-split';
+            splitLabel.textContent = split;
+            meta.appendChild(splitLabel);
+        }
+        if (frame !== null) {
+            const frameLabel = document.createElement('span');
+            frameLabel.textContent = `Frame ${frame}`;
+            meta.appendChild(frameLabel);
+        }
         meta.appendChild(count);
 
         info.appendChild(name);
@@ -389,6 +577,576 @@ class UIController {
         }
     }
 
+    /**
+     * Ask the user which CSV columns hold the image, label and box corners
+     * @param {Array} header - CSV column names
+     * @param {Object} mapping - Suggested mapping {image, label, xmin, ymin, xmax, ymax, normalized}
+     * @returns {Promise<Object|null>} Confirmed mapping, or null if cancelled
+     */
+    showColumnMappingModal(header, mapping) {
+        const modal = this.elements.columnMappingModal;
+        const selects = modal.querySelectorAll('select[data-role]');
+
+        selects.forEach(select => {
+            select.innerHTML = '';
+            header.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            select.value = mapping[select.dataset.role] || header[0];
+        });
+        this.elements.mapCoordinates.value = mapping.normalized ? 'normalized' : 'pixels';
+
+        modal.classList.add('active');
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                modal.classList.remove('active');
+                this.elements.columnMappingConfirm.removeEventListener('click', onConfirm);
+                this.elements.columnMappingCancel.removeEventListener('click', onCancel);
+                resolve(result);
+            };
+
+            const onConfirm = () => {
+                const result = { normalized: this.elements.mapCoordinates.value === 'normalized' };
+                selects.forEach(select => {
+                    result[select.dataset.role] = select.value;
+                });
+                finish(result);
+            };
+
+            const onCancel = () => finish(null);
+
+            this.elements.columnMappingConfirm.addEventListener('click', onConfirm);
+            this.elements.columnMappingCancel.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * Show COCO file chooser modal
+     * @param {Array} candidates - COCO files {path, images, annotations} (null counts for large files)
+     * @returns {Promise<Array|null>} Selected paths, or null if cancelled
+     */
+    showCOCOFileModal(candidates) {
+        const modal = this.elements.cocoFileModal;
+        const list = this.elements.cocoFileList;
+
+        list.innerHTML = '';
+        candidates.forEach((candidate, index) => {
+            const item = document.createElement('label');
+            item.className = 'file-choice';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = candidate.path;
+            checkbox.checked = index === 0;
+
+            const name = document.createElement('span');
+            name.textContent = candidate.path;
+
+            const meta = document.createElement('span');
+            meta.className = 'file-meta';
+            meta.textContent = candidate.images === null
+                ? 'Large file, read when opened'
+                : `${candidate.images} images, ${candidate.annotations} annotations`;
+
+            item.appendChild(checkbox);
+            item.appendChild(name);
+            item.appendChild(meta);
+            list.appendChild(item);
+        });
+
+        modal.classList.add('active');
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                modal.classList.remove('active');
+                this.elements.cocoFileConfirm.removeEventListener('click', onConfirm);
+                this.elements.cocoFileCancel.removeEventListener('click', onCancel);
+                resolve(result);
+            };
+
+            const onConfirm = () => {
+                const checked = list.querySelectorAll('input[type="checkbox"]:checked');
+                const paths = Array.from(checked).map(checkbox => checkbox.value);
+                if (paths.length === 0) {
+                    this.showToast('error', 'Select at least one file');
+                    return;
+                }
+                finish(paths);
+            };
+
+            const onCancel = () => finish(null);
+
+            this.elements.cocoFileConfirm.addEventListener('click', onConfirm);
+            this.elements.cocoFileCancel.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * Ask which format to open a folder with
+     * The first option is preselected
+     * @param {Array} options - Formats {name, label}
+     * @param {boolean} detected - True if the options were found in the folder
+     * @returns {Promise<string|null>} Selected format name, or null if cancelled
+     */
+    showFormatModal(options, detected) {
+        const modal = this.elements.formatModal;
+        const list = this.elements.formatList;
+
+        this.elements.formatHint.textContent = detected
+            ? 'Annotations in several formats were found in this folder.'
+            : 'No annotations were recognized. Choose the format to start a new dataset in.';
+
+        list.innerHTML = '';
+        options.forEach((option, index) => {
+            const item = document.createElement('label');
+            item.className = 'file-choice';
+
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'format';
+            radio.value = option.name;
+            radio.checked = index === 0;
+
+            const label = document.createElement('span');
+            label.textContent = option.label;
+
+            item.appendChild(radio);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+
+        modal.classList.add('active');
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                modal.classList.remove('active');
+                this.elements.formatConfirm.removeEventListener('click', onConfirm);
+                this.elements.formatCancel.removeEventListener('click', onCancel);
+                resolve(result);
+            };
+
+            const onConfirm = () => {
+                const checked = list.querySelector('input[type="radio"]:checked');
+                finish(checked ? checked.value : null);
+            };
+
+            const onCancel = () => finish(null);
+
+            this.elements.formatConfirm.addEventListener('click', onConfirm);
+            this.elements.formatCancel.addEventListener('click', onCancel);
+        });
+    }
+
+    /**
+     * Ask which format and folder to export to
+     * The folder follows the selected format (export/<format>) until it is edited
+     * @param {Array} options - Formats {name, label}
+     * @param {string} currentFormat - Format of the opened folder (not preselected)
+     * @returns {Promise<Object|null>} {format, folder}, or null if cancelled
+     */
+    showExportModal(options, currentFormat) {
+        const modal = this.elements.exportModal;
+        const list = this.elements.exportFormatList;
+        const folderInput = this.elements.exportFolder;
+        const selected = options.find(option => option.name !== currentFormat) || options[0];
+
+        let folderEdited = false;
+        folderInput.value = `export/${selected.name}`;
+
+        list.innerHTML = '';
+        options.forEach(option => {
+            const item = document.createElement('label');
+            item.className = 'file-choice';
+
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'exportFormat';
+            radio.value = option.name;
+            radio.checked = option === selected;
+            radio.addEventListener('change', () => {
+                if (!folderEdited) {
+                    folderInput.value = `export/${option.name}`;
+                }
+            });
+
+            const label = document.createElement('span');
+            label.textContent = option.label;
+
+            item.appendChild(radio);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+
+        modal.classList.add('active');
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                modal.classList.remove('active');
+                this.elements.exportConfirm.removeEventListener('click', onConfirm);
+                this.elements.exportCancel.removeEventListener('click', onCancel);
+                folderInput.removeEventListener('input', onEdit);
+                resolve(result);
+            };
+
+            const onEdit = () => {
+                folderEdited = true;
+            };
+
+            const onConfirm = () => {
+                const checked = list.querySelector('input[type="radio"]:checked');
+                const folder = folderInput.value.trim().replace(/^\/+|\/+$/g, '');
+                if (folder.split('/').some(part => part === '..' || part === '.')) {
+                    this.showToast('error', 'Folder must be inside the opened folder');
+                    return;
+                }
+                finish({ format: checked.value, folder });
+            };
+
+            const onCancel = () => finish(null);
+
+            this.elements.exportConfirm.addEventListener('click', onConfirm);
+            this.elements.exportCancel.addEventListener('click', onCancel);
+            folderInput.addEventListener('input', onEdit);
+        });
+    }
+
+    /**
+     * Show what an export could not carry over
+     * @param {string} summary - What was written where
+     * @param {Array} losses - Loss messages
+     */
+    showExportReport(summary, losses) {
+        this.elements.exportReportSummary.textContent = summary;
+
+        const list = this.elements.exportReportList;
+        list.innerHTML = '';
+        losses.forEach(loss => {
+            const item = document.createElement('li');
+            item.textContent = loss;
+            list.appendChild(item);
+        });
+
+        const modal = this.elements.exportReportModal;
+        modal.classList.add('active');
+
+        const onClose = () => {
+            modal.classList.remove('active');
+            this.elements.exportReportClose.removeEventListener('click', onClose);
+        };
+        this.elements.exportReportClose.addEventListener('click', onClose);
+    }
+
+    /**
+     * Show or hide the Dataset Info button
+     * @param {boolean} enabled - True if the opened format has dataset metadata
+     */
+    setDatasetInfoEnabled(enabled) {
+        this.elements.datasetInfoBtn.style.display = enabled ? '' : 'none';
+    }
+
+    /**
+     * Show the metadata of the current image in the details panel
+     * @param {Object|null} metadata - Field name -> value, or null to hide the panel
+     */
+    showImageMetadata(metadata) {
+        this.imageMetadata = metadata;
+        this.elements.detailsPanel.style.display = metadata ? '' : 'none';
+
+        const container = this.elements.imageMetadataFields;
+        container.innerHTML = '';
+        if (!metadata) return;
+
+        const entries = Object.entries(metadata);
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'metadata-empty';
+            empty.textContent = 'No metadata for this image';
+            container.appendChild(empty);
+        }
+        entries.forEach(([key, value]) => {
+            container.appendChild(this.createMetadataRow(key, value, () => this.emitImageMetadataChange()));
+        });
+    }
+
+    /**
+     * Whether the details panel is shown
+     * @returns {boolean}
+     */
+    isDetailsPanelVisible() {
+        return this.elements.detailsPanel.style.display !== 'none';
+    }
+
+    /**
+     * Tell the app the current image's metadata was edited
+     */
+    emitImageMetadataChange() {
+        const container = this.elements.imageMetadataFields;
+        const metadata = this.readMetadataRows(container, this.imageMetadata || {});
+        this.imageMetadata = metadata;
+
+        // Renamed fields keep the type of their new value from now on
+        container.querySelectorAll('.metadata-row').forEach(row => {
+            row.dataset.key = row.querySelector('.metadata-key').value.trim();
+        });
+
+        const event = new CustomEvent('imageMetadataChanged', { detail: { metadata } });
+        document.dispatchEvent(event);
+    }
+
+    /**
+     * Show the Dataset Info modal
+     * @param {Object} metadata - {info, licenses}
+     * @returns {Promise<Object|null>} Edited {info, licenses}, or null if cancelled
+     */
+    showDatasetInfoModal(metadata) {
+        const modal = this.elements.datasetInfoModal;
+        const fields = this.elements.datasetInfoFields;
+        const licenseList = this.elements.licenseList;
+
+        fields.innerHTML = '';
+        Object.entries(metadata.info).forEach(([key, value]) => {
+            fields.appendChild(this.createMetadataRow(key, value));
+        });
+
+        // Licenses are edited by id, name and url - other fields are kept per row
+        licenseList.innerHTML = '';
+        const originals = new Map(); // row -> original license
+        const addLicense = (license) => {
+            const row = this.createLicenseRow(license);
+            originals.set(row, license);
+            licenseList.appendChild(row);
+            return row;
+        };
+        metadata.licenses.forEach(addLicense);
+
+        modal.classList.add('active');
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                modal.classList.remove('active');
+                this.elements.datasetInfoConfirm.removeEventListener('click', onConfirm);
+                this.elements.datasetInfoCancel.removeEventListener('click', onCancel);
+                this.elements.addInfoFieldBtn.removeEventListener('click', onAddField);
+                this.elements.addLicenseBtn.removeEventListener('click', onAddLicense);
+                resolve(result);
+            };
+
+            const onAddField = () => {
+                const row = this.createMetadataRow('', '');
+                fields.appendChild(row);
+                row.querySelector('input').focus();
+            };
+
+            const onAddLicense = () => {
+                const ids = Array.from(licenseList.querySelectorAll('.license-id'))
+                    .map(input => parseInt(input.value))
+                    .filter(id => !isNaN(id));
+                const row = addLicense({ id: Math.max(0, ...ids) + 1, name: '', url: '' });
+                row.querySelector('.license-name').focus();
+            };
+
+            const onConfirm = () => {
+                const info = this.readMetadataRows(fields, metadata.info);
+                const licenses = Array.from(licenseList.querySelectorAll('.metadata-row')).map(row => {
+                    const original = originals.get(row);
+                    const id = row.querySelector('.license-id').value.trim();
+                    return {
+                        ...original,
+                        id: this.parseMetadataValue(id, original.id),
+                        name: row.querySelector('.license-name').value,
+                        url: row.querySelector('.license-url').value
+                    };
+                });
+                finish({ info, licenses });
+            };
+
+            const onCancel = () => finish(null);
+
+            this.elements.datasetInfoConfirm.addEventListener('click', onConfirm);
+            this.elements.datasetInfoCancel.addEventListener('click', onCancel);
+            this.elements.addInfoFieldBtn.addEventListener('click', onAddField);
+            this.elements.addLicenseBtn.addEventListener('click', onAddLicense);
+        });
+    }
+
+    /**
+     * Show or hide the keypoints buttons of the class list
+     * @param {boolean} enabled - True if the format can store keypoints
+     */
+    setKeypointsEnabled(enabled) {
+        this.keypointsEnabled = enabled;
+        this.updateClassUI();
+    }
+
+    /**
+     * Show the keypoints modal for a class
+     * @param {string} className - Class name
+     * @param {Object|null} skeleton - Current {keypoints, skeleton}, or null
+     * @returns {Promise<Object|null>} {skeleton: {keypoints, skeleton} or null for plain boxes},
+     *                                 or null if cancelled
+     */
+    showSkeletonModal(className, skeleton) {
+        const modal = this.elements.skeletonModal;
+        const text = KeypointSkeleton.format(skeleton);
+
+        this.elements.skeletonTitle.textContent = `Keypoints: ${className}`;
+        this.elements.skeletonNames.value = text.names;
+        this.elements.skeletonEdges.value = text.edges;
+        modal.classList.add('active');
+        this.elements.skeletonNames.focus();
+
+        return new Promise(resolve => {
+            const finish = (result) => {
+                modal.classList.remove('active');
+                this.elements.skeletonConfirm.removeEventListener('click', onConfirm);
+                this.elements.skeletonCancel.removeEventListener('click', onCancel);
+                this.elements.skeletonPresetBtn.removeEventListener('click', onPreset);
+                resolve(result);
+            };
+
+            const onPreset = () => {
+                const preset = KeypointSkeleton.format(KeypointSkeleton.cocoPerson());
+                this.elements.skeletonNames.value = preset.names;
+                this.elements.skeletonEdges.value = preset.edges;
+            };
+
+            const onConfirm = () => {
+                try {
+                    finish({
+                        skeleton: KeypointSkeleton.parse(this.elements.skeletonNames.value, this.elements.skeletonEdges.value)
+                    });
+                } catch (error) {
+                    this.showToast('error', error.message);
+                }
+            };
+
+            const onCancel = () => finish(null);
+
+            this.elements.skeletonConfirm.addEventListener('click', onConfirm);
+            this.elements.skeletonCancel.addEventListener('click', onCancel);
+            this.elements.skeletonPresetBtn.addEventListener('click', onPreset);
+        });
+    }
+
+    /**
+     * Create an editable name/value row
+     * @param {string} key - Field name
+     * @param {*} value - Field value
+     * @param {Function} onRemove - Called after the row is removed (optional)
+     * @returns {HTMLElement} Row element
+     */
+    createMetadataRow(key, value, onRemove = null) {
+        const row = document.createElement('div');
+        row.className = 'metadata-row';
+        row.dataset.key = key;
+
+        const keyInput = document.createElement('input');
+        keyInput.type = 'text';
+        keyInput.className = 'metadata-key';
+        keyInput.placeholder = 'Field';
+        keyInput.value = key;
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'metadata-value';
+        valueInput.placeholder = 'Value';
+        valueInput.value = this.formatMetadataValue(value);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-small';
+        removeBtn.title = 'Remove Field';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => {
+            row.remove();
+            if (onRemove) onRemove();
+        });
+
+        row.appendChild(keyInput);
+        row.appendChild(valueInput);
+        row.appendChild(removeBtn);
+        return row;
+    }
+
+    /**
+     * Create an editable license row (id, name, url)
+     * @param {Object} license - COCO license
+     * @returns {HTMLElement} Row element
+     */
+    createLicenseRow(license) {
+        const row = document.createElement('div');
+        row.className = 'metadata-row';
+
+        [['license-id', 'ID', license.id], ['license-name', 'Name', license.name], ['license-url', 'URL', license.url]]
+            .forEach(([className, placeholder, value]) => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = className;
+                input.placeholder = placeholder;
+                input.value = value === undefined || value === null ? '' : String(value);
+                row.appendChild(input);
+            });
+        row.querySelector('.license-id').classList.add('metadata-key');
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-small';
+        removeBtn.title = 'Remove License';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => row.remove());
+        row.appendChild(removeBtn);
+
+        return row;
+    }
+
+    /**
+     * Read name/value rows back into an object
+     * Rows without a name are skipped
+     * @param {HTMLElement} container - Element holding the rows
+     * @param {Object} original - Values as loaded, used to keep their types
+     * @returns {Object} Field name -> value
+     */
+    readMetadataRows(container, original) {
+        const result = {};
+        container.querySelectorAll('.metadata-row').forEach(row => {
+            const key = row.querySelector('.metadata-key').value.trim();
+            if (!key) return;
+            const text = row.querySelector('.metadata-value').value;
+            result[key] = this.parseMetadataValue(text, original[row.dataset.key]);
+        });
+        return result;
+    }
+
+    /**
+     * Show a metadata value as text
+     * @param {*} value - Value
+     * @returns {string} Strings as they are, anything else as JSON
+     */
+    formatMetadataValue(value) {
+        if (typeof value === 'string') return value;
+        if (value === undefined) return '';
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Read a metadata value back from text
+     * Fields that were strings stay strings. Others (and new fields) are read as JSON
+     * when possible, so numbers stay numbers
+     * @param {string} text - Edited text
+     * @param {*} original - Value as loaded (undefined for new fields)
+     * @returns {*} Value
+     */
+    parseMetadataValue(text, original) {
+        if (typeof original === 'string') return text;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
     /**
      * Show shortcuts modal
      */
@@ -518,6 +1276,35 @@ class UIController {
     setFolderPath(path) {
         this.elements.folderPath.textContent = path;
     }
+
+    /**
+     * Add a Load button for a registered format
+     * @param {string} name - Format name (the button ID is load<Name>Btn, e.g. loadYoloBtn)
+     * @param {string} label - Display name
+     * @param {Function} onClick - Called when the button is clicked
+     * @returns {HTMLButtonElement} The new button
+     */
+    addFormatButton(name, label, onClick) {
+        const button = document.createElement('button');
+        button.id = `load${name.charAt(0).toUpperCase()}${name.slice(1)}Btn`;
+        button.className = 'btn-primary';
+        button.textContent = `Load ${label}`;
+        button.addEventListener('click', onClick);
+
+        this.elements.loadButtons.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Show the registered formats on the welcome screen
+     * @param {Array} labels - Format display names
+     */
+    setSupportedFormats(labels) {
+        const list = labels.length > 1
+            ? `${labels.slice(0, -1).join(', ')}, and ${labels[labels.length - 1]}`
+            : labels.join('');
+        this.elements.supportedFormats.textContent = `Supports ${list} formats`;
+    }
 }
 
 // Export for ES6 modules
@@ -0,0 +1,461 @@
+/**
+ * VIAHandler.js
+ * Handles VGG Image Annotator (VIA 2.x) project and annotation JSON parsing and writing
+ * Format: Project file with _via_img_metadata, or the bare metadata object from an
+ * annotation export, keyed by filename + file size:
+ * {"image1.jpg12345": {"filename", "size", "regions": [{"shape_attributes", "region_attributes"}], "file_attributes"}}
+ * rect shape_attributes: {name: 'rect', x, y, width, height} in pixels
+ * The class comes from one region attribute (label, class, ...). The other region
+ * attributes become box attributes. Non-rect regions and all other fields are kept on save,
+ * in their order and with the loaded file's indentation
+ */
+
+import FormatHandler from './FormatHandler.js';
+
+class VIAHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.classes = [];
+        this.annotationFile = 'via_region_data.json'; // Track which file to save to
+
+        // Region attribute names that hold the class, in order of preference
+        this.labelAttributeNames = ['label', 'class', 'name', 'type', 'category'];
+
+        // Common project and export names - VIA also saves projects as via_project_<date>.json
+        this.possibleNames = [
+            'via_project.json',
+            'via_export_json.json',
+            'via_region_data.json'
+        ];
+
+        this.initEmpty();
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'via';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'VIA';
+    }
+
+    /**
+     * Check whether the folder holds a VIA project or annotation export
+     * Only reads the file - parse() would replace the loaded project
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if a known file is a JSON object, else 0
+     */
+    async detect(fileManager) {
+        for (const name of await this.findFiles(fileManager)) {
+            const preview = await fileManager.readTextFilePreview(name);
+            if (!preview || !preview.text) continue;
+
+            // Too large to check whole - sniff the start
+            if (!preview.complete) {
+                if (/^\s*\{/.test(preview.text) && /"regions"\s*:/.test(preview.text)) {
+                    return 1;
+                }
+                continue;
+            }
+
+            try {
+                const data = JSON.parse(preview.text);
+                if (data && typeof data === 'object' && !Array.isArray(data)) {
+                    return 1;
+                }
+            } catch (error) {
+                continue;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * List the files that may hold VIA annotations
+     * @param {FileManager} fileManager
+     * @returns {Promise<Array>} The common names first, then other via_project*.json files by name
+     */
+    async findFiles(fileManager) {
+        const projects = (await fileManager.listFiles(''))
+            .filter(path => /^via_project.*\.json$/i.test(path) && !this.possibleNames.includes(path))
+            .sort();
+        return [...this.possibleNames, ...projects];
+    }
+
+    /**
+     * What the format can store for each box
+     * Other attributes are written as region attributes
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return { polygons: false, rotation: false, tracks: false, classNames: true, attributes: true };
+    }
+
+    /**
+     * Load all VIA annotations from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        this.initEmpty();
+
+        // Try to find VIA project or export with various common names
+        let content = null;
+        for (const name of await this.findFiles(fileManager)) {
+            content = await fileManager.readTextFile(name);
+            if (content) {
+                console.log(`Found VIA annotations: ${name}`);
+                this.annotationFile = name;
+                break;
+            }
+        }
+
+        if (content) {
+            this.parse(content);
+
+            for (const image of images) {
+                const entry = this.findEntry(image.fileName);
+                if (entry) {
+                    boxes.set(image.id, this.getBoxes(entry));
+                }
+            }
+        } else {
+            // New files are bare metadata, which VIA opens with "Import annotations (from json)"
+            console.log('No VIA annotations found. Starting with empty dataset.');
+            this.annotationFile = 'via_region_data.json';
+        }
+
+        if (this.classes.length === 0) {
+            this.classes = ['object'];
+        }
+
+        return { boxes, classes: this.classes };
+    }
+
+    /**
+     * Save VIA annotations for current image
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.updateImage(image, boxes, classes);
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Save annotations for many images, writing the annotation file once
+     * @param {FileManager} fileManager - File system manager
+     * @param {Array} images - Image objects
+     * @param {Map} boxesByImage - imageId -> box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async saveAll(fileManager, images, boxesByImage, classes) {
+        images.forEach(image => this.updateImage(image, boxesByImage.get(image.id) || [], classes));
+        await this.writeAnnotations(fileManager);
+    }
+
+    /**
+     * Put the boxes of an image into the loaded annotations, without writing them
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects with 0-indexed class IDs
+     * @param {Array} classes - Class names
+     */
+    updateImage(image, boxes, classes) {
+        this.classes = classes;
+
+        let entry = this.findEntry(image.fileName);
+        if (!entry) {
+            entry = this.addEntry(image.fileName);
+        }
+
+        this.setBoxes(entry, boxes, classes);
+        this.addLabelOptions(classes);
+    }
+
+    /**
+     * Write the annotation file
+     * @param {FileManager} fileManager - File system manager
+     * @returns {Promise<void>}
+     */
+    async writeAnnotations(fileManager) {
+        // Write to the same file that was loaded
+        const content = this.stringify();
+        await fileManager.writeTextFile(this.annotationFile, content);
+    }
+
+    /**
+     * Parse VIA JSON file
+     * Accepts a full project or a bare _via_img_metadata export
+     * @param {string} content - JSON content
+     */
+    parse(content) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error('Invalid VIA JSON format');
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid VIA JSON format');
+        }
+
+        if (data._via_img_metadata) {
+            this.project = data;
+            this.metadata = data._via_img_metadata;
+        } else {
+            this.project = null;
+            this.metadata = data;
+        }
+
+        // VIA writes minified JSON; keep the indentation of files saved by other tools
+        const indent = content.match(/^\s*\{\r?\n([ \t]+)\S/);
+        this.indent = indent ? indent[1] : '';
+        this.finalNewline = /\n$/.test(content);
+
+        this.labelAttribute = this.findLabelAttribute();
+
+        // Dropdown/radio options list every class, including unused ones
+        const definition = this.getLabelDefinition();
+        if (definition && definition.options) {
+            Object.keys(definition.options).forEach(option => {
+                if (!this.classes.includes(option)) {
+                    this.classes.push(option);
+                }
+            });
+        }
+    }
+
+    /**
+     * Convert project (or bare metadata) to JSON string, indented like the loaded file
+     * @returns {string} JSON string
+     */
+    stringify() {
+        const json = JSON.stringify(this.project || this.metadata, null, this.indent);
+        return this.finalNewline ? `${json}\n` : json;
+    }
+
+    /**
+     * Pick the region attribute that holds the class name
+     * Prefers a known name, then the first defined attribute with options, then the first one seen
+     * @returns {string} Region attribute name
+     */
+    findLabelAttribute() {
+        const definitions = this.project && this.project._via_attributes
+            ? this.project._via_attributes.region || {}
+            : {};
+        const defined = Object.keys(definitions);
+
+        const used = new Set();
+        Object.values(this.metadata).forEach(entry => {
+            (entry.regions || []).forEach(region => {
+                Object.keys(region.region_attributes || {}).forEach(name => used.add(name));
+            });
+        });
+
+        const candidates = [...defined, ...used];
+        const known = this.labelAttributeNames.find(name =>
+            candidates.some(candidate => candidate.toLowerCase() === name)
+        );
+        if (known) {
+            return candidates.find(candidate => candidate.toLowerCase() === known);
+        }
+
+        const withOptions = defined.find(name => definitions[name] && definitions[name].options);
+        if (withOptions) {
+            return withOptions;
+        }
+
+        return candidates.length > 0 ? candidates[0] : 'label';
+    }
+
+    /**
+     * Get the project's definition of the label attribute
+     * @returns {Object|null} Attribute definition {type, options, ...}
+     */
+    getLabelDefinition() {
+        if (!this.project || !this.project._via_attributes || !this.project._via_attributes.region) {
+            return null;
+        }
+        return this.project._via_attributes.region[this.labelAttribute] || null;
+    }
+
+    /**
+     * Find the metadata entry for an image (metadata keys include the file size)
+     * @param {string} fileName - Image file name
+     * @returns {Object|undefined} VIA image entry
+     */
+    findEntry(fileName) {
+        return Object.values(this.metadata).find(entry => {
+            const name = entry.filename || '';
+            return name === fileName || name.substring(name.lastIndexOf('/') + 1) === fileName;
+        });
+    }
+
+    /**
+     * Add a metadata entry for an image
+     * The file size is unknown in the browser, so VIA's -1 (remote file) size is used
+     * @param {string} fileName - Image file name
+     * @returns {Object} New VIA image entry
+     */
+    addEntry(fileName) {
+        const key = `${fileName}-1`;
+        const entry = { filename: fileName, size: -1, regions: [], file_attributes: {} };
+        this.metadata[key] = entry;
+
+        if (this.project && Array.isArray(this.project._via_image_id_list)) {
+            this.project._via_image_id_list.push(key);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Read a class name from a region attribute value
+     * Checkbox attributes are stored as {option: true}
+     * @param {*} value - Region attribute value
+     * @returns {string} Class name
+     */
+    getLabelValue(value) {
+        if (value && typeof value === 'object') {
+            return Object.keys(value).find(key => value[key]) || '';
+        }
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    /**
+     * Check if a region is a rectangle notato can edit
+     * @param {Object} region - VIA region
+     * @returns {boolean} True if rect shape
+     */
+    isRectangle(region) {
+        return region.shape_attributes && region.shape_attributes.name === 'rect';
+    }
+
+    /**
+     * Get boxes from the rect regions of an entry
+     * Unknown labels are appended to the handler's class list
+     * @param {Object} entry - VIA image entry
+     * @returns {Array} Array of box objects, each with its region's index as origin
+     */
+    getBoxes(entry) {
+        const boxes = [];
+
+        (entry.regions || []).forEach((region, index) => {
+            if (!this.isRectangle(region)) return;
+
+            const { x, y, width, height } = region.shape_attributes;
+            const { [this.labelAttribute]: labelValue, ...attributes } = region.region_attributes || {};
+
+            const label = this.getLabelValue(labelValue);
+            let classId = this.classes.indexOf(label);
+            if (classId === -1) {
+                classId = this.classes.length;
+                this.classes.push(label);
+            }
+
+            boxes.push({ classId, x, y, width, height, attributes, origin: this.createOrigin(index) });
+        });
+
+        return boxes;
+    }
+
+    /**
+     * Replace the rect regions of an entry with boxes
+     * Boxes take the places of the regions they were read from (their origin index), with
+     * the region's other fields and key order. Non-rect regions are kept untouched; new
+     * boxes are appended
+     * @param {Object} entry - VIA image entry
+     * @param {Array} boxes - Array of box objects
+     * @param {Array} classes - Class names array
+     */
+    setBoxes(entry, boxes, classes) {
+        const definition = this.getLabelDefinition();
+        const isCheckbox = definition && definition.type === 'checkbox';
+
+        entry.regions = this.mergeRecords(entry, entry.regions || [], boxes,
+            region => this.isRectangle(region),
+            (box, loaded) => {
+                const label = classes[box.classId] || `class_${box.classId}`;
+                const shapeAttributes = {
+                    name: 'rect',
+                    x: Math.round(box.x),
+                    y: Math.round(box.y),
+                    width: Math.round(box.width),
+                    height: Math.round(box.height)
+                };
+                const regionAttributes = {
+                    ...box.attributes,
+                    [this.labelAttribute]: isCheckbox ? { [label]: true } : label
+                };
+
+                if (!loaded) {
+                    return { shape_attributes: shapeAttributes, region_attributes: regionAttributes };
+                }
+                return {
+                    ...loaded,
+                    shape_attributes: this.orderKeys(shapeAttributes, loaded.shape_attributes),
+                    region_attributes: this.orderKeys(regionAttributes, loaded.region_attributes || {})
+                };
+            });
+    }
+
+    /**
+     * Add new classes to the label attribute's options (dropdown, radio, checkbox)
+     * @param {Array} classes - Class names array
+     */
+    addLabelOptions(classes) {
+        const definition = this.getLabelDefinition();
+        if (!definition || !definition.options) return;
+
+        classes.forEach(name => {
+            if (!(name in definition.options)) {
+                definition.options[name] = '';
+            }
+        });
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.initEmpty();
+    }
+
+    /**
+     * Initialize empty state (bare metadata, as written by VIA's annotation export)
+     */
+    initEmpty() {
+        this.classes = [];
+        this.project = null;
+        this.metadata = {};
+        this.labelAttribute = 'label';
+        this.indent = '';
+        this.finalNewline = false;
+    }
+
+    /**
+     * Get classes array
+     * @returns {Array} Array of class names
+     */
+    getClasses() {
+        return this.classes;
+    }
+}
+
+// Export for ES6 modules
+export default VIAHandler;
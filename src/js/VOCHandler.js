@@ -0,0 +1,454 @@
+/**
+ * VOCHandler.js
+ * Handles Pascal VOC XML format parsing and writing
+ * Format: One Annotations/<image>.xml file per image, images next to it in JPEGImages/
+ * (or in the root or images/)
+ * bndbox format: <xmin> <ymin> <xmax> <ymax> in pixels
+ * Classes are not stored in a separate file - they are collected from <name> tags
+ * Saving rewrites only the objects of a loaded file: every other element is kept as written,
+ * and so are unchanged objects and the unknown children of edited ones (e.g. <occluded>, <part>).
+ * Boxes remember which <object> they were loaded from, so deleting one doesn't shift the others
+ */
+
+import FormatHandler from './FormatHandler.js';
+import XMLText from './XMLText.js';
+
+class VOCHandler extends FormatHandler {
+    constructor() {
+        super();
+        this.classes = [];
+        this.documents = new Map(); // Label path -> {xml, keys} as loaded or last saved
+        this.folder = null; // <folder> of the loaded files, for new ones
+        this.depth = null; // <depth> of the loaded files, for new ones
+
+        // Object children written from box fields - any others are kept
+        this.objectFields = ['name', 'pose', 'truncated', 'difficult', 'bndbox'];
+    }
+
+    /**
+     * Get format name
+     * @returns {string}
+     */
+    getName() {
+        return 'voc';
+    }
+
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'Pascal VOC';
+    }
+
+    /**
+     * Check whether the folder holds Pascal VOC annotations
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} 1 if Annotations/ has an <annotation> XML file, else 0
+     */
+    async detect(fileManager) {
+        const paths = (await fileManager.listFiles('Annotations'))
+            .filter(path => path.toLowerCase().endsWith('.xml'));
+
+        for (const path of paths.slice(0, 5)) {
+            const content = await fileManager.readTextFile(path);
+            if (content && /<annotation[\s>]/.test(content)) {
+                return 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * What the format can store for each box
+     * Only the VOC object fields are written
+     * @returns {Object} {polygons, rotation, tracks, classNames, attributes}
+     */
+    getCapabilities() {
+        return {
+            polygons: false,
+            rotation: false,
+            tracks: false,
+            classNames: true,
+            attributes: ['pose', 'truncated', 'difficult']
+        };
+    }
+
+    /**
+     * Get the VOC image folder besides the root and images/
+     * @param {FileManager} fileManager
+     * @returns {Promise<Array>} ["JPEGImages"]
+     */
+    async getImageFolders(fileManager) {
+        return ['JPEGImages'];
+    }
+
+    /**
+     * Load all VOC annotations from folder
+     * @param {FileManager} fileManager
+     * @param {Array} images - Array of image objects
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     */
+    async load(fileManager, images) {
+        const boxes = new Map();
+        this.classes = [];
+        this.documents.clear();
+        this.folder = null;
+        this.depth = null;
+
+        // Load annotations for each image, collecting class names as we go
+        for (const image of images) {
+            const labelPath = this.getLabelPath(image.filePath);
+            const content = await fileManager.readTextFile(labelPath);
+
+            if (content) {
+                const imageBoxes = this.parse(content);
+                boxes.set(image.id, imageBoxes);
+                this.documents.set(labelPath, {
+                    xml: content,
+                    keys: this.parseObjects(content).map((element, index) => index)
+                });
+
+                if (this.folder === null) {
+                    this.folder = this.getTagValue(content, 'folder');
+                    this.depth = this.getTagValue(content, 'depth');
+                }
+            }
+        }
+
+        if (this.classes.length === 0) {
+            this.classes = ['object'];
+        }
+
+        return { boxes, classes: this.classes };
+    }
+
+    /**
+     * Save VOC annotations for current image
+     * @param {FileManager} fileManager
+     * @param {Object} image - Image object
+     * @param {Array} boxes - Box objects
+     * @param {Array} classes - Class names
+     * @returns {Promise<void>}
+     */
+    async save(fileManager, image, boxes, classes) {
+        this.classes = classes;
+        const labelPath = this.getLabelPath(image.filePath);
+        const document = this.documents.get(labelPath);
+        const saved = document
+            ? this.mergeDocument(document, image, boxes, classes)
+            : { xml: this.stringify(image, boxes, classes), keys: boxes.map(() => null) };
+        await fileManager.writeTextFile(labelPath, saved.xml);
+        this.documents.set(labelPath, saved);
+    }
+
+    /**
+     * Get label file path for an image
+     * Images in JPEGImages/ (the VOC layout) and elsewhere all have their labels in Annotations/
+     * @param {string} imagePath - Image file path (e.g., "JPEGImages/image1.jpg")
+     * @returns {string} - Label file path (e.g., "Annotations/image1.xml")
+     */
+    getLabelPath(imagePath) {
+        const fileName = imagePath.substring(imagePath.lastIndexOf('/') + 1);
+        const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+        return `Annotations/${baseName}.xml`;
+    }
+
+    /**
+     * Parse VOC annotation XML
+     * Unknown class names are appended to the handler's class list
+     * @param {string} content - Content of .xml file
+     * @returns {Array} Array of box objects, each with the index of its <object> as origin
+     */
+    parse(content) {
+        const boxes = [];
+
+        this.parseObjects(content).forEach(({ object }, index) => {
+            if (object === null) return;
+
+            let classId = this.classes.indexOf(object.name);
+            if (classId === -1) {
+                classId = this.classes.length;
+                this.classes.push(object.name);
+            }
+
+            const { name, ...box } = object;
+            boxes.push({ classId, ...box, origin: this.createOrigin(index) });
+        });
+
+        return boxes;
+    }
+
+    /**
+     * Find the <object> elements of VOC annotation XML
+     * @param {string} content - Content of .xml file
+     * @returns {Array} {raw, start, end, body, object} per element, in file order -
+     *   raw includes the whitespace before the element, object is null if it has no box
+     */
+    parseObjects(content) {
+        const objects = [];
+        const objectPattern = /(\s*)<object(?:\s[^>]*)?>([\s\S]*?)<\/object>/g;
+
+        let match;
+        while ((match = objectPattern.exec(content)) !== null) {
+            objects.push({
+                raw: match[0],
+                start: match.index,
+                end: match.index + match[0].length,
+                body: match[2],
+                object: this.parseObject(match[2])
+            });
+        }
+
+        return objects;
+    }
+
+    /**
+     * Read the name and box of an <object> element
+     * @param {string} body - Inner XML of the element
+     * @returns {Object|null} {name, x, y, width, height, attributes}, or null without
+     *   a name and complete bndbox
+     */
+    parseObject(body) {
+        // Drop <part> elements (VOC person layout) so their bndbox isn't picked up
+        const objectXml = body.replace(/<part(?:\s[^>]*)?>[\s\S]*?<\/part>/g, '');
+
+        const name = this.getTagValue(objectXml, 'name');
+        const bndbox = this.getTagValue(objectXml, 'bndbox');
+        if (name === null || bndbox === null) return null;
+
+        const xmin = parseFloat(this.getTagValue(bndbox, 'xmin'));
+        const ymin = parseFloat(this.getTagValue(bndbox, 'ymin'));
+        const xmax = parseFloat(this.getTagValue(bndbox, 'xmax'));
+        const ymax = parseFloat(this.getTagValue(bndbox, 'ymax'));
+        if ([xmin, ymin, xmax, ymax].some(value => isNaN(value))) return null;
+
+        const attributes = {
+            truncated: parseInt(this.getTagValue(objectXml, 'truncated')) || 0,
+            difficult: parseInt(this.getTagValue(objectXml, 'difficult')) || 0
+        };
+        const pose = this.getTagValue(objectXml, 'pose');
+        if (pose !== null) {
+            attributes.pose = pose;
+        }
+
+        return {
+            name,
+            x: xmin,
+            y: ymin,
+            width: xmax - xmin,
+            height: ymax - ymin,
+            attributes
+        };
+    }
+
+    /**
+     * Convert boxes to a new VOC XML document
+     * @param {Object} image - Image object {fileName, filePath, width, height}
+     * @param {Array} boxes - Array of box objects
+     * @param {Array} classes - Class names array
+     * @returns {string} VOC XML string
+     */
+    stringify(image, boxes, classes) {
+        // New files follow the loaded ones, else name the folder the image is in
+        const imagePath = image.filePath || '';
+        const folder = this.folder !== null ? this.folder : imagePath.substring(0, imagePath.lastIndexOf('/'));
+        const lines = [
+            '<annotation>',
+            `\t<folder>${XMLText.escape(folder)}</folder>`,
+            `\t<filename>${XMLText.escape(image.fileName)}</filename>`,
+            '\t<size>',
+            `\t\t<width>${image.width}</width>`,
+            `\t\t<height>${image.height}</height>`,
+            `\t\t<depth>${this.depth !== null ? XMLText.escape(this.depth) : 3}</depth>`,
+            '\t</size>',
+            '\t<segmented>0</segmented>'
+        ];
+        const objects = boxes.map(box => this.stringifyObject(this.getClassName(box, classes), box, []));
+        return lines.join('\n') + objects.join('') + '\n</annotation>\n';
+    }
+
+    /**
+     * Write boxes into the loaded XML of an image, rewriting only its objects
+     * Boxes take the places of the objects they were loaded from (their origin key),
+     * objects of deleted boxes are dropped and boxes without one follow the last object
+     * @param {Object} document - {xml, keys}: keys holds the origin key of each <object>
+     *   in the XML, or null for objects written from new boxes
+     * @param {Object} image - Image object {fileName, width, height}
+     * @param {Array} boxes - Array of box objects
+     * @param {Array} classes - Class names array
+     * @returns {Object} {xml, keys} for the written document
+     */
+    mergeDocument(document, image, boxes, classes) {
+        const original = document.xml;
+        const objects = this.parseObjects(original);
+
+        const elements = new Map(); // origin key -> loaded object with a box
+        objects.forEach((element, index) => {
+            const key = document.keys[index];
+            if (element.object !== null && key !== null && key !== undefined) {
+                elements.set(key, element);
+            }
+        });
+
+        const written = new Map(); // element -> text written in its place
+        const newBoxes = [];
+        boxes.forEach(box => {
+            const element = elements.get(this.getOrigin(box));
+            if (element && !written.has(element)) {
+                written.set(element, this.mergeObject(element, this.getClassName(box, classes), box));
+            } else {
+                newBoxes.push(box);
+            }
+        });
+        const extra = newBoxes
+            .map(box => this.stringifyObject(this.getClassName(box, classes), box, []))
+            .join('');
+
+        // Extra objects go after the last one, or at the end of <annotation>
+        const last = objects.length > 0 ? objects[objects.length - 1].end : original.search(/\s*<\/annotation>/);
+        const keys = [];
+        let content = '';
+        let position = 0;
+        objects.forEach((element, index) => {
+            content += original.substring(position, element.start);
+            position = element.end;
+
+            if (written.has(element)) {
+                content += written.get(element);
+            } else if (element.object === null) {
+                content += element.raw;
+            } else {
+                return; // The box was deleted
+            }
+            keys.push(document.keys[index]);
+        });
+        if (last === -1) {
+            content += original.substring(position) + extra;
+        } else {
+            content += original.substring(position, last) + extra + original.substring(last);
+        }
+
+        return {
+            xml: this.setSize(content, image),
+            keys: keys.concat(newBoxes.map(() => null))
+        };
+    }
+
+    /**
+     * Get the name written for a box's class
+     * @param {Object} box - Box object
+     * @param {Array} classes - Class names array
+     * @returns {string} Class name
+     */
+    getClassName(box, classes) {
+        return classes[box.classId] || `class_${box.classId}`;
+    }
+
+    /**
+     * Write a box in the place of the object it was loaded from
+     * An unchanged object is kept as written; an edited one keeps its unknown children
+     * @param {Object} element - Loaded object element (see parseObjects)
+     * @param {string} name - Class name
+     * @param {Object} box - Box object
+     * @returns {string} Object XML, with the whitespace before it
+     */
+    mergeObject(element, name, box) {
+        const extras = this.getExtraChildren(element.body);
+        const text = this.stringifyObject(name, box, extras);
+        const { object } = element;
+        return text === this.stringifyObject(object.name, object, extras) ? element.raw : text;
+    }
+
+    /**
+     * Get the children of an object that aren't written from box fields
+     * @param {string} body - Inner XML of the object
+     * @returns {Array} Child elements as written, each with the whitespace before it
+     */
+    getExtraChildren(body) {
+        const children = [];
+        const childPattern = /\s*<([\w.:-]+)(?:\s[^>]*)?(?:\/>|>[\s\S]*?<\/\1>)/g;
+
+        let match;
+        while ((match = childPattern.exec(body)) !== null) {
+            if (!this.objectFields.includes(match[1])) {
+                children.push(match[0]);
+            }
+        }
+        return children;
+    }
+
+    /**
+     * Convert a box to an <object> element
+     * @param {string} name - Class name
+     * @param {Object} box - Box object
+     * @param {Array} extras - Other children to write, as written (see getExtraChildren)
+     * @returns {string} Object XML, starting with a line break
+     */
+    stringifyObject(name, box, extras) {
+        const attributes = box.attributes || {};
+        const lines = [
+            '\t<object>',
+            `\t\t<name>${XMLText.escape(name)}</name>`,
+            `\t\t<pose>${XMLText.escape(attributes.pose || 'Unspecified')}</pose>`,
+            `\t\t<truncated>${attributes.truncated ? 1 : 0}</truncated>`,
+            `\t\t<difficult>${attributes.difficult ? 1 : 0}</difficult>`,
+            '\t\t<bndbox>',
+            `\t\t\t<xmin>${Math.round(box.x)}</xmin>`,
+            `\t\t\t<ymin>${Math.round(box.y)}</ymin>`,
+            `\t\t\t<xmax>${Math.round(box.x + box.width)}</xmax>`,
+            `\t\t\t<ymax>${Math.round(box.y + box.height)}</ymax>`,
+            '\t\t</bndbox>'
+        ];
+        return '\n' + lines.join('\n') + extras.join('') + '\n\t</object>';
+    }
+
+    /**
+     * Write the image size into the <size> element of annotation XML
+     * @param {string} content - Annotation XML
+     * @param {Object} image - Image object {width, height}
+     * @returns {string} Annotation XML
+     */
+    setSize(content, image) {
+        return content.replace(/<size(?:\s[^>]*)?>[\s\S]*?<\/size>/, size => size
+            .replace(/(<width>)[^<]*(<\/width>)/, `$1${image.width}$2`)
+            .replace(/(<height>)[^<]*(<\/height>)/, `$1${image.height}$2`));
+    }
+
+    /**
+     * Get the text content of the first matching element
+     * @param {string} xml - XML fragment
+     * @param {string} tag - Tag name
+     * @returns {string|null} Unescaped, trimmed content or null if not found
+     */
+    getTagValue(xml, tag) {
+        const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+        return match ? XMLText.unescape(match[1].trim()) : null;
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.setClasses([]);
+    }
+
+    /**
+     * Set classes array
+     * @param {Array} classes - Array of class names
+     */
+    setClasses(classes) {
+        this.classes = classes;
+    }
+
+    /**
+     * Get classes array
+     * @returns {Array} Array of class names
+     */
+    getClasses() {
+        return this.classes;
+    }
+}
+
+// Export for ES6 modules
+export default VOCHandler;
@@ -0,0 +1,36 @@
+/**
+ * XMLText.js
+ * Escaping of text and attribute values for the XML formats (Pascal VOC, CVAT)
+ */
+
+class XMLText {
+    /**
+     * Escape special characters for XML text content and attribute values
+     * @param {*} value - Raw value
+     * @returns {string} Escaped text
+     */
+    static escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Unescape XML entities
+     * @param {string} text - Escaped text
+     * @returns {string} Raw text
+     */
+    static unescape(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+}
+
+// Export for ES6 modules
+export default XMLText;
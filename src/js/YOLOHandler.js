@@ -2,15 +2,31 @@
  * YOLOHandler.js
  * Handles YOLO format parsing and writing
  * Format: <class_id> <center_x> <center_y> <width> <height>
+ * OBB format: <class_id> <x1> <y1> <x2> <y2> <x3> <y3> <x4> <y4> (corner points)
+ * Segment format: <class_id> <x1> <y1> <x2> <y2> ... <xn> <yn> (polygon, n >= 3)
+ * Pose format: <class_id> <center_x> <center_y> <width> <height> <px1> <py1> [<v1>] ...
+ * (keypoint count and 2 or 3 values each from kpt_shape in data.yaml)
+ * Prediction format: <class_id> <center_x> <center_y> <width> <height> <confidence>
  * All coordinates are normalized (0.0 to 1.0)
+ * Classes come from data.yaml (Ultralytics dataset config) or classes.txt
+ * Labels sit next to the images, or in the mirrored labels/<split>/ folder for images/<split>/
+ * (or train/labels/ for train/images/ and the other split folders data.yaml names)
  */
 
 import FormatHandler from './FormatHandler.js';
+import KeypointSkeleton from './KeypointSkeleton.js';
+import Geometry from './Geometry.js';
 
 class YOLOHandler extends FormatHandler {
     constructor() {
         super();
         this.classes = [];
+        this.task = 'detect'; // 'detect', 'obb' (8-point corners), 'segment' (polygons) or 'pose' (keypoints)
+        this.kptShape = null; // [keypoint count, values per keypoint (2 or 3)] for pose labels
+        this.flipIdx = null; // Keypoint index swapped with each keypoint by a horizontal flip, for data.yaml
+        this.labelKeypoints = null; // Keypoint count of the label files on disk (0 if not pose), null if there are none
+        this.dataYaml = null; // {path, content, names, kptShape} when the dataset has a data.yaml
+        this.splits = { path: null, train: null, val: null, test: null }; // Split paths from data.yaml
     }
 
     /**
@@ -21,38 +37,245 @@ class YOLOHandler extends FormatHandler {
         return 'yolo';
     }
 
+    /**
+     * Get display name
+     * @returns {string}
+     */
+    getLabel() {
+        return 'YOLO';
+    }
+
+    /**
+     * Check whether the folder holds YOLO labels
+     * Label files or a data.yaml with names are certain, a classes.txt or data.yaml on its own is likely
+     * @param {FileManager} fileManager
+     * @returns {Promise<number>} Confidence from 0 to 1
+     */
+    async detect(fileManager) {
+        // A data.yaml with classes is certain - without, its splits may tell where the labels are
+        const config = await this.readDataYaml(fileManager);
+        const data = config ? this.parseDataYaml(config.content) : null;
+        if (data && data.names) {
+            return 1;
+        }
+
+        // Labels next to the images, in labels/ and its split folders, or next to the data.yaml splits
+        const splitDirectories = data ? this.getSplitDirectories(data).map(directory => this.getLabelDirectory(directory)) : [];
+        const directories = ['', 'labels', 'labels/train', 'labels/val', 'labels/test', ...splitDirectories];
+        for (const directory of directories.filter((directory, index) => directories.indexOf(directory) === index)) {
+            const paths = (await fileManager.listFiles(directory))
+                .filter(path => path.toLowerCase().endsWith('.txt') && !path.endsWith('classes.txt'));
+
+            for (const path of paths.slice(0, 5)) {
+                const content = await fileManager.readTextFile(path);
+                if (content && content.trim() && this.isLabelContent(content)) {
+                    return 1;
+                }
+            }
+        }
+
+        for (const name of ['classes.txt', 'labels/classes.txt']) {
+            if (await fileManager.readTextFile(name)) {
+                return 0.5;
+            }
+        }
+        return config ? 0.5 : 0;
+    }
+
+    /**
+     * Read the dataset config (data.yaml or data.yml) from the root
+     * @param {FileManager} fileManager
+     * @returns {Promise<Object|null>} {path, content}, or null without one
+     */
+    async readDataYaml(fileManager) {
+        for (const name of ['data.yaml', 'data.yml']) {
+            const content = await fileManager.readTextFile(name);
+            if (content) {
+                return { path: name, content };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the image folders data.yaml names besides the root and images/
+     * @param {FileManager} fileManager
+     * @returns {Promise<Array>} Split folder paths, e.g. ["train/images", "valid/images"]
+     */
+    async getImageFolders(fileManager) {
+        const config = await this.readDataYaml(fileManager);
+        return config ? this.getSplitDirectories(this.parseDataYaml(config.content)) : [];
+    }
+
+    /**
+     * Get the folders of the data.yaml split paths, relative to the folder holding data.yaml
+     * Leading ./ and ../ are dropped (Roboflow writes "../train/images"), and so is the dataset
+     * root `path` when a split starts with it. Lists of image files (.txt) and folders
+     * outside the dataset are skipped
+     * @param {Object} splits - {path, train, val, test}, each a string, a list of strings or null
+     * @returns {Array} Folder paths, without duplicates
+     */
+    getSplitDirectories(splits = this.splits) {
+        const root = typeof splits.path === 'string' ? splits.path.replace(/\\/g, '/').replace(/\/+$/, '') : '';
+        const directories = [];
+
+        ['train', 'val', 'test'].forEach(key => {
+            const paths = Array.isArray(splits[key]) ? splits[key] : [splits[key]];
+            paths.forEach(split => {
+                if (typeof split !== 'string' || split.trim().toLowerCase().endsWith('.txt')) return;
+
+                let directory = split.trim().replace(/\\/g, '/');
+                if (root && directory.startsWith(`${root}/`)) {
+                    directory = directory.substring(root.length + 1);
+                }
+                if (/^(\/|[a-zA-Z]:)/.test(directory)) return;
+
+                directory = directory.replace(/^(\.\.?\/)+/, '').replace(/\/+$/, '');
+                if (directory && directory !== '.' && !directories.includes(directory)) {
+                    directories.push(directory);
+                }
+            });
+        });
+
+        return directories;
+    }
+
+    /**
+     * Check if text looks like a YOLO label file
+     * @param {string} content - File content
+     * @returns {boolean} True if every line is a class ID followed by an even number of coordinates
+     */
+    isLabelContent(content) {
+        return content
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line)
+            .every(line => {
+                const parts = line.split(/\s+/);
+                return parts.length >= 5 && parts.length % 2 === 1 &&
+                    /^\d+$/.test(parts[0]) && parts.slice(1).every(part => !isNaN(parseFloat(part)));
+            });
+    }
+
+    /**
+     * What the format can store for each box
+     * Labels can be segment polygons, oriented boxes or boxes with keypoints - pose
+     * labels are always upright boxes
+     * @returns {Object} {polygons, rotation, tracks, keypoints, classNames, attributes}
+     */
+    getCapabilities() {
+        const pose = this.task === 'pose';
+        return { polygons: !pose, rotation: !pose, tracks: false, keypoints: true, classNames: true, attributes: [] };
+    }
+
+    /**
+     * Set the keypoint skeletons
+     * YOLO has one kpt_shape for the whole dataset, so any class with keypoints turns the
+     * labels into pose labels sized for the largest skeleton. Only the count is stored.
+     * Once label files exist their kpt_shape is fixed: every file would have to be rewritten
+     * @param {Array} skeletons - Per class ID, {keypoints: string[], skeleton: [from, to][]} or null
+     * @throws {Error} If the labels on disk can't hold the skeletons
+     */
+    setSkeletons(skeletons) {
+        const largest = skeletons.filter(Boolean)
+            .reduce((max, skeleton) => (!max || skeleton.keypoints.length > max.keypoints.length ? skeleton : max), null);
+        const count = largest ? largest.keypoints.length : 0;
+
+        if (this.labelKeypoints > 0) {
+            if (count > this.labelKeypoints) {
+                throw new Error(`The labels of this YOLO dataset have ${this.labelKeypoints} keypoints per object (kpt_shape) - a class can't have more`);
+            }
+            return;
+        }
+        if (this.labelKeypoints === 0 && count > 0) {
+            throw new Error(`Keypoints can't be added to a YOLO dataset that already has ${this.task} labels`);
+        }
+
+        if (count > 0) {
+            this.kptShape = [count, this.kptShape ? this.kptShape[1] : 3];
+            this.flipIdx = KeypointSkeleton.getFlipIndex(largest.keypoints);
+            this.task = 'pose';
+        } else if (this.task === 'pose') {
+            this.kptShape = null;
+            this.flipIdx = null;
+            this.task = 'detect';
+        }
+    }
+
     /**
      * Load all YOLO annotations from folder
      * @param {FileManager} fileManager
      * @param {Array} images - Array of image objects
-     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[]}
+     * @returns {Promise<Object>} - {boxes: Map<imageId, boxes[]>, classes: string[], skeletons: Array}
      */
     async load(fileManager, images) {
         const boxes = new Map();
+        this.task = 'detect';
+        this.kptShape = null;
+        this.flipIdx = null;
+        this.labelKeypoints = null;
+        this.dataYaml = null;
+        this.splits = { path: null, train: null, val: null, test: null };
+
+        let classes = ['object'];
 
-        // Try to load classes.txt from root or labels folder
-        let classesContent = await fileManager.readTextFile('classes.txt');
-        if (!classesContent) {
-            classesContent = await fileManager.readTextFile('labels/classes.txt');
+        // data.yaml takes precedence over classes.txt
+        const config = await this.readDataYaml(fileManager);
+        if (config) {
+            console.log(`Found YOLO dataset config: ${config.path}`);
+            const data = this.parseDataYaml(config.content);
+            this.dataYaml = { ...config, names: data.names ? [...data.names] : null, kptShape: data.kptShape };
+            this.splits = { path: data.path, train: data.train, val: data.val, test: data.test };
+            this.kptShape = data.kptShape;
+            if (data.names) {
+                classes = data.names;
+            }
         }
 
-        let classes = ['object'];
-        if (classesContent) {
-            classes = this.parseClasses(classesContent);
+        if (!this.dataYaml || !this.dataYaml.names) {
+            // Try to load classes.txt from root or labels folder
+            let classesContent = await fileManager.readTextFile('classes.txt');
+            if (!classesContent) {
+                classesContent = await fileManager.readTextFile('labels/classes.txt');
+            }
+
+            if (classesContent) {
+                classes = this.parseClasses(classesContent);
+            }
         }
         this.classes = classes;
 
-        // Load annotations for each image
+        // Read every label file first - a 4-point polygon and an OBB line look
+        // the same, so the task has to be decided across the whole dataset
+        const contents = new Map();
         for (const image of images) {
             const labelPath = this.getLabelPath(image.filePath);
             const content = await fileManager.readTextFile(labelPath);
 
             if (content) {
-                const imageBoxes = this.parse(content, image.width, image.height);
-                boxes.set(image.id, imageBoxes);
+                contents.set(image, content);
             }
         }
 
+        // Pose lines can't be told from polygons by their columns - only kpt_shape says so
+        const tasks = Array.from(contents.values()).map(content => this.detectTask(content));
+        if (this.kptShape) {
+            this.task = 'pose';
+        } else if (tasks.includes('segment')) {
+            this.task = 'segment';
+        } else if (tasks.includes('obb')) {
+            this.task = 'obb';
+        }
+        if (contents.size > 0) {
+            this.labelKeypoints = this.kptShape ? this.kptShape[0] : 0;
+        }
+
+        // Load annotations for each image
+        for (const [image, content] of contents.entries()) {
+            const imageBoxes = this.parse(content, image.width, image.height, this.task);
+            boxes.set(image.id, imageBoxes);
+        }
+
         // Infer classes from loaded boxes if classes.txt wasn't found
         if (classes.length === 1) {
             const allBoxes = Array.from(boxes.values()).flat();
@@ -67,7 +290,10 @@ class YOLOHandler extends FormatHandler {
             }
         }
 
-        return { boxes, classes };
+        // kpt_shape has no names or edges - name the keypoints for every class
+        const skeletons = classes.map(() => (this.kptShape ? KeypointSkeleton.forCount(this.kptShape[0]) : null));
+
+        return { boxes, classes, skeletons };
     }
 
     /**
@@ -83,6 +309,33 @@ class YOLOHandler extends FormatHandler {
         const content = this.stringify(boxes, image.width, image.height);
         const labelPath = this.getLabelPath(image.filePath);
         await fileManager.writeTextFile(labelPath, content);
+        if (content) {
+            this.labelKeypoints = this.kptShape ? this.kptShape[0] : 0;
+        }
+
+        // Pose labels need a data.yaml for kpt_shape - start one with the classes
+        if (!this.dataYaml && this.kptShape) {
+            this.dataYaml = { path: 'data.yaml', content: '', names: null, kptShape: null };
+        }
+
+        // Keep data.yaml names in sync instead of writing a separate classes.txt
+        if (this.dataYaml) {
+            const names = this.dataYaml.names || [];
+            const changed = names.length !== classes.length || classes.some((name, index) => name !== names[index]);
+            const shapeChanged = String(this.dataYaml.kptShape) !== String(this.kptShape);
+            if (changed || shapeChanged) {
+                this.classes = classes;
+                let content = changed ? this.updateDataYaml(this.dataYaml.content, classes) : this.dataYaml.content;
+                if (shapeChanged) {
+                    content = this.updateDataYamlKptShape(content, this.kptShape, this.flipIdx);
+                }
+                this.dataYaml.content = content;
+                this.dataYaml.names = [...classes];
+                this.dataYaml.kptShape = this.kptShape;
+                await fileManager.writeTextFile(this.dataYaml.path, this.dataYaml.content);
+            }
+            return;
+        }
 
         // Save classes.txt if it doesn't exist
         const classesExist = await fileManager.fileExists('classes.txt');
@@ -95,13 +348,69 @@ class YOLOHandler extends FormatHandler {
 
     /**
      * Get label file path for an image
-     * @param {string} imagePath - Image file path (e.g., "image1.jpg")
-     * @returns {string} - Label file path (e.g., "image1.txt")
+     * @param {string} imagePath - Image file path (e.g., "image1.jpg" or "images/train/image1.jpg")
+     * @returns {string} - Label file path (e.g., "image1.txt" or "labels/train/image1.txt")
      */
     getLabelPath(imagePath) {
-        const fileName = imagePath.substring(imagePath.lastIndexOf('/') + 1);
+        const slash = imagePath.lastIndexOf('/');
+        const fileName = imagePath.substring(slash + 1);
         const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
-        return `${baseName}.txt`;
+
+        const directory = this.getLabelDirectory(slash === -1 ? '' : imagePath.substring(0, slash));
+        return directory ? `${directory}/${baseName}.txt` : `${baseName}.txt`;
+    }
+
+    /**
+     * Get the folder that holds the labels of a folder of images
+     * Like Ultralytics, the last images/ folder in the path is swapped for labels/
+     * @param {string} directory - Image folder ('' for the root, e.g. "train/images")
+     * @returns {string} Label folder ('' for the root, e.g. "train/labels")
+     */
+    getLabelDirectory(directory) {
+        const parts = directory ? directory.split('/') : [];
+        const index = parts.lastIndexOf('images');
+        if (index !== -1) {
+            parts[index] = 'labels';
+        }
+        return parts.join('/');
+    }
+
+    /**
+     * Whether the loaded labels use the oriented bounding box format
+     * @returns {boolean}
+     */
+    hasOrientedBoxes() {
+        return this.task === 'obb';
+    }
+
+    /**
+     * Get the Ultralytics task the labels are written for
+     * @returns {string} 'detect', 'obb', 'segment' or 'pose'
+     */
+    getTask() {
+        return this.task;
+    }
+
+    /**
+     * Detect the task from the column counts of a label file
+     * @param {string} content - Content of .txt file
+     * @returns {string} 'segment' if any polygon has other than 4 points, 'obb' if any line
+     *                   has 4 points, otherwise 'detect'
+     */
+    detectTask(content) {
+        const counts = content
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line)
+            .map(line => line.split(/\s+/).length);
+
+        if (counts.some(count => count >= 7 && count % 2 === 1 && count !== 9)) {
+            return 'segment';
+        }
+        if (counts.includes(9)) {
+            return 'obb';
+        }
+        return 'detect';
     }
 
     /**
@@ -109,16 +418,62 @@ class YOLOHandler extends FormatHandler {
      * @param {string} content - Content of .txt file
      * @param {number} imageWidth - Image width in pixels
      * @param {number} imageHeight - Image height in pixels
+     * @param {string} [task] - 'detect', 'obb', 'segment' or 'pose' (needs kptShape);
+     *                          decided from this file alone when omitted
      * @returns {Array} Array of box objects
      */
-    parse(content, imageWidth, imageHeight) {
+    parse(content, imageWidth, imageHeight, task = this.detectTask(content)) {
         const boxes = [];
         const lines = content.trim().split('\n').filter(line => line.trim());
+        let resized = 0; // Pose lines with other than kpt_shape keypoints
 
         for (const line of lines) {
             const parts = line.trim().split(/\s+/);
             if (parts.length < 5) continue;
 
+            if (task === 'pose' && parts.length > 5) {
+                const [count, dimensions] = this.kptShape;
+                if (parts.length !== 5 + count * dimensions) {
+                    resized++;
+                }
+
+                boxes.push({
+                    classId: parseInt(parts[0]),
+                    ...this.normalizedToPixels({
+                        centerX: parseFloat(parts[1]),
+                        centerY: parseFloat(parts[2]),
+                        width: parseFloat(parts[3]),
+                        height: parseFloat(parts[4])
+                    }, imageWidth, imageHeight),
+                    shape: 'keypoints',
+                    keypoints: this.parseKeypoints(parts.slice(5), imageWidth, imageHeight)
+                });
+                continue;
+            }
+
+            if (parts.length >= 7) {
+                // Polygon and OBB lines need complete x/y pairs
+                if (parts.length % 2 === 0) continue;
+
+                const points = [];
+                for (let i = 1; i < parts.length; i += 2) {
+                    points.push({ x: parseFloat(parts[i]), y: parseFloat(parts[i + 1]) });
+                }
+
+                if (parts.length === 9 && task === 'obb') {
+                    boxes.push({
+                        classId: parseInt(parts[0]),
+                        ...this.cornersToBox(points, imageWidth, imageHeight)
+                    });
+                } else {
+                    boxes.push({
+                        classId: parseInt(parts[0]),
+                        ...this.pointsToPolygon(points, imageWidth, imageHeight)
+                    });
+                }
+                continue;
+            }
+
             const classId = parseInt(parts[0]);
             const centerX = parseFloat(parts[1]);
             const centerY = parseFloat(parts[2]);
@@ -132,13 +487,24 @@ class YOLOHandler extends FormatHandler {
                 imageHeight
             );
 
-            boxes.push({
+            const parsed = {
                 classId,
                 x: box.x,
                 y: box.y,
                 width: box.width,
                 height: box.height
-            });
+            };
+
+            // Prediction files (save_conf) add the confidence as a sixth column
+            if (parts.length === 6) {
+                parsed.score = parseFloat(parts[5]);
+            }
+
+            boxes.push(parsed);
+        }
+
+        if (resized > 0) {
+            console.error(`${resized} pose label line(s) don't have ${this.kptShape[0]} keypoints (kpt_shape) - padded or cut to fit`);
         }
 
         return boxes;
@@ -153,6 +519,42 @@ class YOLOHandler extends FormatHandler {
      */
     stringify(boxes, imageWidth, imageHeight) {
         const lines = boxes.map(box => {
+            // Every pose line has the full keypoint list, so polygons are written as their box
+            if (this.task === 'pose') {
+                const normalized = this.pixelsToNormalized(box, imageWidth, imageHeight);
+                return [
+                    box.classId,
+                    normalized.centerX.toFixed(6),
+                    normalized.centerY.toFixed(6),
+                    normalized.width.toFixed(6),
+                    normalized.height.toFixed(6),
+                    ...this.stringifyKeypoints(box.shape === 'keypoints' ? box.keypoints : [], imageWidth, imageHeight)
+                ].join(' ');
+            }
+
+            if (box.shape === 'polygon') {
+                return this.stringifyPolygon(box.classId, box.points, imageWidth, imageHeight);
+            }
+
+            // Segment datasets can't mix in plain boxes, so write them as rectangles
+            if (this.task === 'segment') {
+                const corners = [
+                    { x: box.x, y: box.y },
+                    { x: box.x + box.width, y: box.y },
+                    { x: box.x + box.width, y: box.y + box.height },
+                    { x: box.x, y: box.y + box.height }
+                ];
+                return this.stringifyPolygon(box.classId, corners, imageWidth, imageHeight);
+            }
+
+            if (this.task === 'obb' || box.angle) {
+                const corners = this.boxToCorners(box, imageWidth, imageHeight);
+                return [
+                    box.classId,
+                    ...corners.flatMap(point => [point.x.toFixed(6), point.y.toFixed(6)])
+                ].join(' ');
+            }
+
             const normalized = this.pixelsToNormalized(box, imageWidth, imageHeight);
 
             return [
@@ -209,6 +611,121 @@ class YOLOHandler extends FormatHandler {
         };
     }
 
+    /**
+     * Convert the keypoint columns of a pose line to pixel keypoints
+     * With 2 values per keypoint, a keypoint at 0,0 is unlabeled and any other is visible
+     * @param {Array} values - Column strings after the box, kpt_shape[0] * kpt_shape[1] of them
+     * @param {number} imageWidth - Image width
+     * @param {number} imageHeight - Image height
+     * @returns {Array} kpt_shape[0] {x, y, v} in pixels, v 0 (unlabeled), 1 (occluded) or 2 (visible) -
+     *                  missing keypoints are unlabeled and extra ones are dropped
+     */
+    parseKeypoints(values, imageWidth, imageHeight) {
+        const [count, dimensions] = this.kptShape;
+        const keypoints = [];
+
+        for (let i = 0; keypoints.length < count; i += dimensions) {
+            if (i + dimensions > values.length) {
+                keypoints.push({ x: 0, y: 0, v: 0 });
+                continue;
+            }
+
+            const x = parseFloat(values[i]);
+            const y = parseFloat(values[i + 1]);
+            const v = dimensions === 3 ? Math.round(parseFloat(values[i + 2])) : (x === 0 && y === 0 ? 0 : 2);
+            keypoints.push({ x: x * imageWidth, y: y * imageHeight, v });
+        }
+        return keypoints;
+    }
+
+    /**
+     * Convert pixel keypoints to the keypoint columns of a pose line
+     * The list is padded with unlabeled keypoints (or cut) to the kpt_shape count
+     * @param {Array} keypoints - Array of {x, y, v} in pixels
+     * @param {number} imageWidth - Image width
+     * @param {number} imageHeight - Image height
+     * @returns {Array} Column strings
+     */
+    stringifyKeypoints(keypoints, imageWidth, imageHeight) {
+        const [count, dimensions] = this.kptShape;
+        const values = [];
+
+        for (let i = 0; i < count; i++) {
+            const point = keypoints[i];
+            if (!point || point.v === 0) {
+                values.push(...(dimensions === 3 ? ['0', '0', '0'] : ['0', '0']));
+                continue;
+            }
+
+            values.push(
+                Math.max(0, Math.min(1, point.x / imageWidth)).toFixed(6),
+                Math.max(0, Math.min(1, point.y / imageHeight)).toFixed(6)
+            );
+            if (dimensions === 3) {
+                values.push(String(point.v));
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Convert a pixel polygon to a YOLO segment line
+     * @param {number} classId - Class ID
+     * @param {Array} points - Array of {x, y} in pixels
+     * @param {number} imageWidth - Image width
+     * @param {number} imageHeight - Image height
+     * @returns {string} YOLO segment line
+     */
+    stringifyPolygon(classId, points, imageWidth, imageHeight) {
+        const coordinates = points.flatMap(point => [
+            Math.max(0, Math.min(1, point.x / imageWidth)).toFixed(6),
+            Math.max(0, Math.min(1, point.y / imageHeight)).toFixed(6)
+        ]);
+        return [classId, ...coordinates].join(' ');
+    }
+
+    /**
+     * Convert normalized polygon points to a pixel polygon box
+     * @param {Array} points - Array of {x, y}, all 0-1
+     * @param {number} imageWidth - Image width
+     * @param {number} imageHeight - Image height
+     * @returns {Object} {shape, points, x, y, width, height} - x/y/width/height is the bounding box
+     */
+    pointsToPolygon(points, imageWidth, imageHeight) {
+        return Geometry.pointsToPolygon(points.map(point => ({
+            x: point.x * imageWidth,
+            y: point.y * imageHeight
+        })));
+    }
+
+    /**
+     * Convert normalized OBB corner points to a rotated pixel box
+     * @param {Array} points - Four {x, y} corners, all 0-1
+     * @param {number} imageWidth - Image width
+     * @param {number} imageHeight - Image height
+     * @returns {Object} {x, y, width, height, angle} - unrotated top-left, angle in radians
+     */
+    cornersToBox(points, imageWidth, imageHeight) {
+        return Geometry.cornersToBox(points.map(point => ({
+            x: point.x * imageWidth,
+            y: point.y * imageHeight
+        })));
+    }
+
+    /**
+     * Convert a (possibly rotated) pixel box to normalized OBB corner points
+     * @param {Object} box - {x, y, width, height, angle} in pixels
+     * @param {number} imageWidth - Image width
+     * @param {number} imageHeight - Image height
+     * @returns {Array} Four {x, y} corners clockwise from top-left, all 0-1
+     */
+    boxToCorners(box, imageWidth, imageHeight) {
+        return Geometry.boxToCorners(box).map(point => ({
+            x: Math.max(0, Math.min(1, point.x / imageWidth)),
+            y: Math.max(0, Math.min(1, point.y / imageHeight))
+        }));
+    }
+
     /**
      * Parse classes.txt file
      * @param {string} content - Content of classes.txt
@@ -232,6 +749,433 @@ class YOLOHandler extends FormatHandler {
         return classes.join('\n') + '\n';
     }
 
+    /**
+     * Parse data.yaml (Ultralytics dataset config)
+     * Only the top-level keys notato uses are read
+     * @param {string} content - Content of data.yaml
+     * @returns {Object} {names: string[]|null, nc: number|null, kptShape: number[]|null, path, train, val, test} -
+     *                   split paths are a string, a list of strings or null
+     */
+    parseDataYaml(content) {
+        const entries = this.parseYamlEntries(content);
+        const get = key => {
+            const entry = entries.find(item => item.key === key);
+            return entry ? entry.value : null;
+        };
+
+        const nc = parseInt(get('nc'));
+        const rawNames = get('names');
+        let names = null;
+
+        if (Array.isArray(rawNames)) {
+            names = rawNames.map(name => String(name));
+        } else if (rawNames && typeof rawNames === 'object') {
+            // names: {0: person, 1: car} - fill any gaps in the IDs
+            const ids = Object.keys(rawNames).map(id => parseInt(id)).filter(id => !isNaN(id) && id >= 0);
+            const count = ids.length > 0 ? Math.max(...ids) + 1 : 0;
+            names = [];
+            for (let i = 0; i < count; i++) {
+                names.push(rawNames[i] !== undefined ? String(rawNames[i]) : `class_${i}`);
+            }
+        } else if (!isNaN(nc) && nc > 0) {
+            names = [];
+            for (let i = 0; i < nc; i++) {
+                names.push(`class_${i}`);
+            }
+        }
+
+        // kpt_shape: [17, 3] - keypoint count and values per keypoint (x, y and maybe visibility)
+        const rawShape = get('kpt_shape');
+        const kptShape = Array.isArray(rawShape) ? rawShape.map(value => parseInt(value)) : null;
+        const validShape = kptShape && kptShape.length === 2 && kptShape[0] > 0 && (kptShape[1] === 2 || kptShape[1] === 3);
+
+        return {
+            names,
+            nc: isNaN(nc) ? null : nc,
+            kptShape: validShape ? kptShape : null,
+            path: get('path'),
+            train: get('train'),
+            val: get('val'),
+            test: get('test')
+        };
+    }
+
+    /**
+     * Rewrite the names (and nc) of data.yaml, keeping every other line as-is
+     * The names are written in the style the file already uses (list or dict, block or flow)
+     * @param {string} content - Content of data.yaml
+     * @param {Array} classes - Class names
+     * @returns {string} Updated data.yaml content
+     */
+    updateDataYaml(content, classes) {
+        const lineEnding = content.includes('\r\n') ? '\r\n' : '\n';
+        const lines = content.split(/\r?\n/);
+        const entries = this.parseYamlEntries(content);
+
+        const ncEntry = entries.find(entry => entry.key === 'nc');
+        if (ncEntry) {
+            lines[ncEntry.start] = lines[ncEntry.start].replace(/^(nc\s*:\s*)[^\s#]*/, `$1${classes.length}`);
+        }
+
+        const namesEntry = entries.find(entry => entry.key === 'names');
+        const style = namesEntry && namesEntry.style
+            ? namesEntry.style
+            : { flow: false, dict: true, indent: '  ', quote: '' };
+        const namesLines = this.stringifyYamlNames(classes, style);
+
+        if (namesEntry) {
+            lines.splice(namesEntry.start, namesEntry.end - namesEntry.start, ...namesLines);
+        } else if (lines[lines.length - 1] === '') {
+            lines.splice(lines.length - 1, 0, ...namesLines);
+        } else {
+            lines.push(...namesLines);
+        }
+
+        return lines.join(lineEnding);
+    }
+
+    /**
+     * Rewrite the kpt_shape and flip_idx of data.yaml, keeping every other line as-is
+     * @param {string} content - Content of data.yaml
+     * @param {Array|null} kptShape - [count, values per keypoint], or null to remove it
+     * @param {Array|null} flipIdx - Keypoint index each keypoint swaps with in a flip, or null to remove it
+     * @returns {string} Updated data.yaml content
+     */
+    updateDataYamlKptShape(content, kptShape, flipIdx = null) {
+        const lineEnding = content.includes('\r\n') ? '\r\n' : '\n';
+        const lines = content.split(/\r?\n/);
+        const entries = this.parseYamlEntries(content);
+
+        const replace = (key, newLines) => {
+            const entry = entries.find(item => item.key === key);
+            if (entry) {
+                lines.splice(entry.start, entry.end - entry.start, ...newLines);
+                // Later entries moved up or down with the replaced lines
+                entries.forEach(item => {
+                    if (item.start > entry.start) {
+                        item.start += newLines.length - (entry.end - entry.start);
+                        item.end += newLines.length - (entry.end - entry.start);
+                    }
+                });
+            } else if (lines[lines.length - 1] === '') {
+                lines.splice(lines.length - 1, 0, ...newLines);
+            } else {
+                lines.push(...newLines);
+            }
+        };
+
+        replace('kpt_shape', kptShape ? [`kpt_shape: [${kptShape[0]}, ${kptShape[1]}]`] : []);
+        replace('flip_idx', kptShape && flipIdx ? [`flip_idx: [${flipIdx.join(', ')}]`] : []);
+
+        return lines.join(lineEnding);
+    }
+
+    /**
+     * Format class names as a data.yaml names entry
+     * @param {Array} classes - Class names
+     * @param {Object} style - {flow, dict, indent, quote, raw}
+     * @returns {Array} Lines of the names entry
+     */
+    stringifyYamlNames(classes, style) {
+        const values = classes.map(name =>
+            style.raw && style.raw.has(name) ? style.raw.get(name) : this.formatYamlScalar(name, style.quote)
+        );
+
+        if (style.flow) {
+            const items = style.dict ? values.map((value, index) => `${index}: ${value}`) : values;
+            return [style.dict ? `names: {${items.join(', ')}}` : `names: [${items.join(', ')}]`];
+        }
+
+        return [
+            'names:',
+            ...values.map((value, index) =>
+                style.dict ? `${style.indent}${index}: ${value}` : `${style.indent}- ${value}`
+            )
+        ];
+    }
+
+    /**
+     * Read the top-level entries of a YAML document
+     * Supports the subset data.yaml files use: scalars, block lists and maps one level
+     * deep, and single- or multi-line flow lists and maps
+     * @param {string} content - YAML content
+     * @returns {Array} [{key, value, start, end, style}] - start/end are line indexes (end exclusive),
+     *                  style is {flow, dict, indent, quote, raw} for collections
+     */
+    parseYamlEntries(content) {
+        const lines = content.split(/\r?\n/);
+        const entries = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            // Keys start at the line's beginning and may be quoted ("names": ...)
+            const line = this.stripYamlComment(lines[i]);
+            const separator = /^[^\s#-]/.test(line) ? this.findYamlSeparator(line) : -1;
+            if (separator === -1) {
+                i++;
+                continue;
+            }
+
+            const entry = { key: this.parseYamlScalar(line.slice(0, separator)), start: i, value: null, style: null };
+            let text = line.slice(separator + 1).trim();
+            i++;
+
+            if (text.startsWith('[') || text.startsWith('{')) {
+                // Flow collections may wrap onto the following lines
+                while (!this.isYamlFlowClosed(text) && i < lines.length) {
+                    text += ' ' + this.stripYamlComment(lines[i]).trim();
+                    i++;
+                }
+
+                const dict = text.startsWith('{');
+                const items = this.splitYamlFlow(text.slice(1, text.lastIndexOf(dict ? '}' : ']')));
+                entry.value = this.buildYamlCollection(items, dict);
+                entry.style = { flow: true, dict, indent: '', ...this.getYamlValueStyle(items, dict) };
+            } else if (text === '') {
+                // Block collection: indented lines, or list items at the key's own indent
+                const items = [];
+                let dict = false;
+                let indent = '  ';
+                let end = i;
+
+                while (i < lines.length) {
+                    const line = lines[i];
+                    const trimmed = line.trim();
+                    if (trimmed === '' || trimmed.startsWith('#')) {
+                        i++;
+                        continue;
+                    }
+                    if (!/^\s/.test(line) && !/^-(\s|$)/.test(line)) break;
+
+                    if (items.length === 0) {
+                        indent = line.match(/^\s*/)[0];
+                    }
+
+                    const listItem = trimmed.match(/^-\s*(.*)$/);
+                    if (listItem) {
+                        items.push(this.stripYamlComment(listItem[1]).trim());
+                    } else {
+                        dict = true;
+                        items.push(this.stripYamlComment(trimmed).trim());
+                    }
+                    i++;
+                    end = i;
+                }
+
+                i = end;
+                if (items.length > 0) {
+                    entry.value = this.buildYamlCollection(items, dict);
+                    entry.style = { flow: false, dict, indent, ...this.getYamlValueStyle(items, dict) };
+                }
+            } else {
+                entry.value = this.parseYamlScalar(text);
+            }
+
+            entry.end = i;
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Build a list or map from raw YAML collection items
+     * @param {Array} items - Raw item text ("value" or "key: value")
+     * @param {boolean} dict - True for a map
+     * @returns {Array|Object} Parsed collection
+     */
+    buildYamlCollection(items, dict) {
+        if (!dict) {
+            return items.map(item => this.parseYamlScalar(item));
+        }
+
+        const map = {};
+        items.forEach(item => {
+            const separator = this.findYamlSeparator(item);
+            if (separator === -1) return;
+            const key = this.parseYamlScalar(item.slice(0, separator));
+            map[key] = this.parseYamlScalar(item.slice(separator + 1));
+        });
+        return map;
+    }
+
+    /**
+     * Get how the values of a collection are written
+     * @param {Array} items - Raw item text
+     * @param {boolean} dict - True for a map
+     * @returns {Object} {quote, raw} - quote is the first value's quote character ("'", '"' or ''),
+     *                   raw maps each value to its original text so unchanged names are kept as written
+     */
+    getYamlValueStyle(items, dict) {
+        const raw = new Map();
+        items.forEach(item => {
+            const separator = dict ? this.findYamlSeparator(item) : -1;
+            const text = (separator === -1 ? item : item.slice(separator + 1)).trim();
+            if (!raw.has(this.parseYamlScalar(text))) {
+                raw.set(this.parseYamlScalar(text), text);
+            }
+        });
+
+        const first = raw.size > 0 ? raw.values().next().value : '';
+        const quote = first.startsWith("'") || first.startsWith('"') ? first[0] : '';
+        return { quote, raw };
+    }
+
+    /**
+     * Find the key/value colon of a map item, outside quotes
+     * @param {string} text - Map item text
+     * @returns {number} Index of the colon, or -1
+     */
+    findYamlSeparator(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === "'" || char === '"') {
+                quote = char;
+            } else if (char === ':' && (i + 1 === text.length || /\s/.test(text[i + 1]))) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Split the inside of a flow collection on top-level commas
+     * @param {string} text - Text between the brackets
+     * @returns {Array} Raw item text
+     */
+    splitYamlFlow(text) {
+        const items = [];
+        let quote = null;
+        let depth = 0;
+        let current = '';
+
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === "'" || char === '"') {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                items.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+
+        if (current.trim()) {
+            items.push(current.trim());
+        }
+        return items;
+    }
+
+    /**
+     * Check whether a flow collection's brackets are balanced
+     * @param {string} text - Flow collection text
+     * @returns {boolean} True when closed
+     */
+    isYamlFlowClosed(text) {
+        let quote = null;
+        let depth = 0;
+
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === "'" || char === '"') {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            }
+        }
+        return depth <= 0;
+    }
+
+    /**
+     * Remove a trailing # comment outside quotes
+     * @param {string} text - YAML text
+     * @returns {string} Text without the comment
+     */
+    stripYamlComment(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === "'" || char === '"') {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i);
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Parse a YAML scalar (plain, 'single' or "double" quoted)
+     * @param {string} text - Scalar text
+     * @returns {string} Unquoted value
+     */
+    parseYamlScalar(text) {
+        const value = text.trim();
+
+        if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+        if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value.slice(1, -1);
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Format a class name as a YAML scalar
+     * Quotes names that would otherwise read as another type or break the syntax
+     * @param {string} value - Class name
+     * @param {string} quote - Preferred quote character ('' for plain)
+     * @returns {string} YAML scalar text
+     */
+    formatYamlScalar(value, quote) {
+        if (quote === '"') {
+            return JSON.stringify(value);
+        }
+
+        const needsQuotes = value === '' ||
+            /^\s|\s$|^[-?:,[\]{}#&*!|>'"%@`]|:\s|\s#|[,[\]{}]/.test(value) ||
+            /^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?)$/i.test(value);
+
+        if (quote === "'" || needsQuotes) {
+            return `'${value.replace(/'/g, "''")}'`;
+        }
+        return value;
+    }
+
+    /**
+     * Get the dataset split paths from data.yaml
+     * @returns {Object} {path, train, val, test} - each a string, a list of strings or null
+     */
+    getSplits() {
+        return this.splits;
+    }
+
+    /**
+     * Forget the loaded dataset
+     */
+    reset() {
+        this.setClasses([]);
+    }
+
     /**
      * Set classes array
      * @param {Array} classes - Array of class names
@@ -4,10 +4,10 @@
  */
 
 import AnnotationStore from './AnnotationStore.js';
+import FormatHandler from './FormatHandler.js';
 import FileManager from './FileManager.js';
-import YOLOHandler from './YOLOHandler.js';
-import COCOHandler from './COCOHandler.js';
-import NDJSONHandler from './NDJSONHandler.js';
+import FormatRegistry from './FormatRegistry.js';
+import PredictionLoader from './PredictionLoader.js';
 import ImageCanvas from './ImageCanvas.js';
 import BoxEditor from './BoxEditor.js';
 import UIController from './UIController.js';
@@ -18,21 +18,19 @@ class NotatoApp {
         this.store = new AnnotationStore();
         this.fileManager = new FileManager();
 
-        // Format handlers registry
-        this.formatHandlers = new Map([
-            ['yolo', new YOLOHandler()],
-            ['coco', new COCOHandler()],
-            ['ndjson', new NDJSONHandler()]
-        ]);
-        this.currentHandler = this.formatHandlers.get('yolo'); // Default to YOLO
-
         // Get canvas
         const canvas = document.getElementById('mainCanvas');
         this.imageCanvas = new ImageCanvas(canvas, this.store);
         this.boxEditor = new BoxEditor(canvas, this.imageCanvas, this.store);
         this.uiController = new UIController(this.store, this.imageCanvas);
 
+        // Format handlers registry - each one gets a Load button and joins detection and Save As
+        this.formatHandlers = new Map();
+        FormatRegistry.createDefaultHandlers().forEach(handler => this.registerFormat(handler));
+        this.currentHandler = this.formatHandlers.get('yolo'); // Default to YOLO
+
         this.currentImageCache = new Map(); // imageId -> image data URL
+        this.savedImageMetadata = null; // Current image's metadata as opened or last saved
 
         this.setupEventListeners();
         this.initialize();
@@ -48,28 +46,82 @@ class NotatoApp {
     }
 
     /**
-     * Setup event listeners
+     * Connect a handler to the dialogs and status bar it reports to
+     * @param {FormatHandler} handler - Handler instance
      */
-    setupEventListeners() {
-        // Load YOLO button
-        document.getElementById('loadYoloBtn').addEventListener('click', () => {
-            this.currentHandler = this.formatHandlers.get('yolo');
-            this.store.setFormat('yolo');
-            this.handleOpenFolder();
-        });
+    configureHandler(handler) {
+        handler.setProgressHandler(message => this.uiController.setStatus(message));
+
+        // CSV columns are confirmed by the user before loading
+        if (typeof handler.setMappingProvider === 'function') {
+            handler.setMappingProvider(
+                (header, mapping) => this.uiController.showColumnMappingModal(header, mapping)
+            );
+        }
+
+        // Folders with several COCO files ask which to open
+        if (typeof handler.setFileChooser === 'function') {
+            handler.setFileChooser(
+                candidates => this.uiController.showCOCOFileModal(candidates)
+            );
+        }
+    }
+
+    /**
+     * Create a new handler of a registered format, set up like the registered one
+     * @param {string} name - Format name
+     * @returns {FormatHandler} Handler with no dataset loaded
+     */
+    createHandler(name) {
+        const handler = this.formatHandlers.get(name).clone();
+        this.configureHandler(handler);
+        return handler;
+    }
+
+    /**
+     * Add a format handler, with a Load button for it
+     * Handlers are offered in registration order
+     * @param {FormatHandler} handler - Handler instance (subclass of FormatHandler)
+     */
+    registerFormat(handler) {
+        if (!(handler instanceof FormatHandler)) {
+            throw new Error('Format handler must extend FormatHandler');
+        }
 
-        // Load COCO button
-        document.getElementById('loadCocoBtn').addEventListener('click', () => {
-            this.currentHandler = this.formatHandlers.get('coco');
-            this.store.setFormat('coco');
+        const name = handler.getName();
+        if (this.formatHandlers.has(name)) {
+            throw new Error(`Format "${name}" is already registered`);
+        }
+
+        this.formatHandlers.set(name, handler);
+        this.configureHandler(handler);
+        this.uiController.addFormatButton(name, this.getFormatLabel(name), () => {
+            this.currentHandler = handler;
+            this.store.setFormat(name);
             this.handleOpenFolder();
         });
+        this.uiController.setSupportedFormats(
+            Array.from(this.formatHandlers.keys()).map(format => this.getFormatLabel(format))
+        );
+    }
 
-        // Load NDJSON button
-        document.getElementById('loadNdjsonBtn').addEventListener('click', () => {
-            this.currentHandler = this.formatHandlers.get('ndjson');
-            this.store.setFormat('ndjson');
-            this.handleOpenFolder();
+    /**
+     * Get the display name of a format
+     * @param {string} name - Format name
+     * @returns {string} Display name
+     */
+    getFormatLabel(name) {
+        const handler = this.formatHandlers.get(name);
+        return handler ? handler.getLabel() : name;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        // Open Folder button - format is detected from the folder contents
+        document.getElementById('openFolderBtn').addEventListener('click', () => {
+            this.handleOpenFolder(true);
         });
 
         // Save button
@@ -77,6 +129,31 @@ class NotatoApp {
             this.handleSave();
         });
 
+        // Save As button - export every image through another format handler
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.handleExport();
+        });
+
+        // Load Predictions button - model output shown as a read-only layer
+        document.getElementById('loadPredictionsBtn').addEventListener('click', () => {
+            this.handleLoadPredictions();
+        });
+
+        // Dataset Info button - shown for formats with dataset metadata (e.g. COCO)
+        document.getElementById('datasetInfoBtn').addEventListener('click', () => {
+            this.handleDatasetInfo();
+        });
+
+        // Keypoints button of a class in the class list
+        document.addEventListener('skeletonEditRequested', (e) => {
+            this.handleSkeletonEdit(e.detail.classId);
+        });
+
+        // Image metadata edited in the details panel
+        document.addEventListener('imageMetadataChanged', (e) => {
+            this.handleImageMetadataChange(e.detail.metadata);
+        });
+
         // Image selection
         document.addEventListener('imageSelected', (e) => {
             this.loadImage(e.detail.imageId);
@@ -90,18 +167,19 @@ class NotatoApp {
 
     /**
      * Handle opening a folder
+     * @param {boolean} detectFormat - Pick the handler from the folder contents
      */
-    async handleOpenFolder() {
+    async handleOpenFolder(detectFormat = false) {
         try {
             // Clear all prior state IMMEDIATELY when user attempts to load a folder
             // This happens regardless of whether the load succeeds or fails
             this.store.clear();
             this.currentImageCache.clear();
             this.imageCanvas.clear();
-            this.formatHandlers.get('coco').initEmpty();
-            this.formatHandlers.get('yolo').setClasses([]);
-            this.formatHandlers.get('ndjson').initEmpty();
+            this.formatHandlers.forEach(handler => handler.reset());
             this.fileManager.clear();  // Clear file cache to prevent reading stale files
+            this.uiController.setDatasetInfoEnabled(false);
+            this.updateImageMetadata(null);
 
             this.uiController.setStatus('Opening folder...');
 
@@ -114,6 +192,20 @@ class NotatoApp {
             // Open folder
             const files = await this.fileManager.openFolder();
 
+            if (detectFormat) {
+                await this.detectFormat();
+            }
+
+            // The format may keep images in other folders too (e.g. YOLO data.yaml splits)
+            const scanned = new Set(files.map(file => file.path));
+            const folders = await this.currentHandler.getImageFolders(this.fileManager);
+            for (const file of await this.fileManager.scanFolders(folders)) {
+                if (!scanned.has(file.path)) {
+                    scanned.add(file.path);
+                    files.push(file);
+                }
+            }
+
             if (files.length === 0) {
                 throw new Error('No images found in selected folder');
             }
@@ -137,13 +229,24 @@ class NotatoApp {
 
             // Load annotations using current handler
             const images = this.store.getAllImages();
-            const { boxes, classes } = await this.currentHandler.load(
+            const { boxes, classes, skeletons } = await this.currentHandler.load(
                 this.fileManager,
                 images
             );
 
+            this.uiController.setDatasetInfoEnabled(this.currentHandler.getDatasetMetadata() !== null);
+
             // Populate store with loaded annotations
+            this.store.setSkeletons(skeletons || []);
+            this.uiController.setKeypointsEnabled(Boolean(this.currentHandler.getCapabilities().keypoints));
             this.store.setClasses(classes);
+            this.store.setOrientedBoxes(this.currentHandler.hasOrientedBoxes());
+            const frames = new Map();
+            images.forEach(image => {
+                const frame = this.currentHandler.getFrameNumber(image.fileName);
+                if (frame !== null) frames.set(image.id, frame);
+            });
+            this.store.setTracking(this.currentHandler.hasTracks(), frames);
             for (const [imageId, imageBoxes] of boxes.entries()) {
                 imageBoxes.forEach(box => {
                     this.store.addBox({
@@ -168,6 +271,34 @@ class NotatoApp {
         }
     }
 
+    /**
+     * Pick the format handler for the opened folder
+     * The single best match is used directly. When several formats match equally,
+     * or none does, the user is asked
+     */
+    async detectFormat() {
+        this.uiController.setStatus('Detecting format...');
+
+        const matches = await FormatRegistry.detect(this.formatHandlers.values(), this.fileManager);
+
+        let format;
+        if (matches.length === 1 || (matches.length > 1 && matches[0].confidence > matches[1].confidence)) {
+            format = matches[0].name;
+        } else {
+            const names = matches.length > 0
+                ? matches.map(match => match.name)
+                : Array.from(this.formatHandlers.keys());
+            const options = names.map(name => ({ name, label: this.getFormatLabel(name) }));
+
+            format = await this.uiController.showFormatModal(options, matches.length > 0);
+            if (!format) {
+                throw new Error('Format selection cancelled');
+            }
+        }
+
+        this.currentHandler = this.formatHandlers.get(format);
+        this.store.setFormat(format);
+    }
 
     /**
      * Load and display an image
@@ -179,8 +310,15 @@ class NotatoApp {
 
             this.uiController.setStatus('Loading image...');
 
+            // Unsaved metadata edits are discarded along with the previous image's box edits
+            const previous = this.store.getCurrentImage();
+            if (previous && this.store.isCurrentImageModified()) {
+                this.discardImageMetadataEdits(previous);
+            }
+
             // Set current image BEFORE loading so render() uses correct boxes
             this.store.setCurrentImage(imageId);
+            this.updateImageMetadata(image);
 
             const imageUrl = this.currentImageCache.get(imageId);
             await this.imageCanvas.loadImage(imageUrl, image.width, image.height);
@@ -193,6 +331,136 @@ class NotatoApp {
         }
     }
 
+    /**
+     * Show an image's metadata in the details panel (hidden for formats without any)
+     * @param {Object|null} image - Image object, or null to hide the panel
+     */
+    updateImageMetadata(image) {
+        const wasVisible = this.uiController.isDetailsPanelVisible();
+        this.savedImageMetadata = image ? this.currentHandler.getImageMetadata(image) : null;
+        this.uiController.showImageMetadata(this.savedImageMetadata);
+
+        // The canvas gives up or takes back the panel's width
+        if (this.uiController.isDetailsPanelVisible() !== wasVisible) {
+            this.imageCanvas.resizeCanvas();
+        }
+    }
+
+    /**
+     * Apply metadata edited in the details panel to the current image
+     * @param {Object} metadata - Field name -> value
+     */
+    handleImageMetadataChange(metadata) {
+        const image = this.store.getCurrentImage();
+        if (!image) return;
+
+        this.currentHandler.setImageMetadata(image, metadata);
+        this.store.markImageModified(image.id);
+    }
+
+    /**
+     * Put back the metadata an image had when it was opened or last saved
+     * @param {Object} image - Image object
+     */
+    discardImageMetadataEdits(image) {
+        const saved = this.savedImageMetadata;
+        if (!saved) return;
+
+        const current = this.currentHandler.getImageMetadata(image);
+        if (JSON.stringify(current) !== JSON.stringify(saved)) {
+            this.currentHandler.setImageMetadata(image, saved);
+        }
+    }
+
+    /**
+     * Edit the dataset info and licenses
+     * Changes are written with the next save
+     */
+    async handleDatasetInfo() {
+        const metadata = this.currentHandler.getDatasetMetadata();
+        if (!metadata) return;
+
+        const edited = await this.uiController.showDatasetInfoModal(metadata);
+        if (!edited) return;
+
+        this.currentHandler.setDatasetMetadata(edited);
+
+        const image = this.store.getCurrentImage();
+        if (image) {
+            this.store.markImageModified(image.id);
+        }
+        this.uiController.setStatus('Dataset info changed - save to write it');
+    }
+
+    /**
+     * Load prediction files as a read-only layer over the annotations
+     * Predictions replace any loaded before. Accepting one copies it into the annotations
+     */
+    async handleLoadPredictions() {
+        try {
+            const images = this.store.getAllImages();
+            if (images.length === 0) {
+                this.uiController.showToast('warning', 'Open a folder before loading predictions');
+                return;
+            }
+
+            const files = await this.fileManager.openPredictionFiles();
+            this.uiController.setStatus('Loading predictions...');
+
+            const predictions = await PredictionLoader.load(
+                files,
+                images,
+                this.store.getClasses(),
+                this.currentHandler.getResultIds()
+            );
+            this.store.setPredictions(predictions);
+            this.imageCanvas.render();
+
+            const count = Array.from(predictions.values()).reduce((sum, items) => sum + items.length, 0);
+            if (count === 0) {
+                this.uiController.showToast('warning', 'No predictions matched the opened images');
+            } else {
+                this.uiController.showToast('success', `Loaded ${count} predictions for ${predictions.size} images`);
+            }
+            this.uiController.setStatus('Ready');
+
+        } catch (error) {
+            console.error('Error loading predictions:', error);
+            this.uiController.showToast('error', error.message);
+            this.uiController.setStatus('Ready');
+        }
+    }
+
+    /**
+     * Edit the keypoint names and skeleton of a class
+     * Changes are written with the next save
+     * @param {number} classId - Class ID
+     */
+    async handleSkeletonEdit(classId) {
+        const className = this.store.getClasses()[classId];
+        const edited = await this.uiController.showSkeletonModal(className, this.store.getSkeleton(classId));
+        if (!edited) return;
+
+        // The format may not be able to store them (e.g. YOLO labels with a fixed kpt_shape)
+        const skeletons = this.store.getState().skeletons.slice();
+        skeletons[classId] = edited.skeleton;
+        try {
+            this.currentHandler.setSkeletons(skeletons);
+        } catch (error) {
+            this.uiController.showToast('error', error.message);
+            return;
+        }
+
+        this.store.setSkeleton(classId, edited.skeleton);
+        this.imageCanvas.render();
+
+        const image = this.store.getCurrentImage();
+        if (image) {
+            this.store.markImageModified(image.id);
+        }
+        this.uiController.setStatus(`Keypoints of "${className}" changed - save to write them`);
+    }
+
     /**
      * Save current image annotations
      */
@@ -222,6 +490,7 @@ class NotatoApp {
             );
 
             this.store.clearImageModified();
+            this.savedImageMetadata = this.currentHandler.getImageMetadata(currentImage);
             this.uiController.showToast('success', 'Saved successfully');
             this.uiController.setStatus('Ready');
 
@@ -232,9 +501,94 @@ class NotatoApp {
         }
     }
 
+    /**
+     * Save all images in another format (Save As)
+     * A fresh handler writes the store's annotations into the chosen folder, so the
+     * opened dataset and its handler are left as they are
+     */
+    async handleExport() {
+        try {
+            const images = this.store.getAllImages();
+            if (images.length === 0) {
+                this.uiController.showToast('warning', 'No images loaded');
+                return;
+            }
+
+            const options = Array.from(this.formatHandlers.keys()).map(name => ({
+                name,
+                label: this.getFormatLabel(name)
+            }));
+            const choice = await this.uiController.showExportModal(options, this.currentHandler.getName());
+            if (!choice) return;
+
+            const label = this.getFormatLabel(choice.format);
+            const rootName = this.fileManager.getDirectoryName();
+            const folder = choice.folder ? `${rootName}/${choice.folder}` : rootName;
+            this.uiController.setStatus(`Exporting to ${label}...`);
+
+            const fileManager = choice.folder
+                ? await this.fileManager.getSubfolder(choice.folder)
+                : this.fileManager;
+            const handler = this.createHandler(choice.format);
+
+            // Image paths written into the export are relative to its folder
+            const depth = choice.folder ? choice.folder.split('/').filter(part => part).length : 0;
+            handler.setImageRoot(depth > 0 ? '../'.repeat(depth) : null);
+
+            // Start from whatever the folder already holds in the target format
+            await handler.load(fileManager, images);
+            handler.setSkeletons(this.store.getState().skeletons);
+
+            const classes = this.store.getClasses();
+            const boxesByImage = new Map(images.map(image => [image.id, this.store.getBoxesForImage(image.id)]));
+            const losses = handler.getExportLosses(Array.from(boxesByImage.values()).flat());
+
+            await handler.saveAll(fileManager, images, boxesByImage, classes);
+
+            this.uiController.setStatus('Ready');
+
+            if (losses.length > 0) {
+                this.uiController.showExportReport(
+                    `Saved ${images.length} images as ${label} in ${folder}. Some annotations could not be carried over:`,
+                    losses
+                );
+            } else {
+                this.uiController.showToast('success', `Saved ${images.length} images as ${label}`);
+            }
+
+        } catch (error) {
+            console.error('Error exporting:', error);
+            this.uiController.showToast('error', 'Failed to export: ' + error.message);
+            this.uiController.setStatus('Error');
+        }
+    }
+
 }
 
+// Public API for formats shipped as separate scripts:
+//   notato.registerFormat(new (class extends notato.FormatHandler { ... })())
+// Handlers registered before the app starts are added once it does
+const pendingFormats = [];
+window.notato = {
+    FormatHandler,
+    registerFormat(handler) {
+        if (window.notatoApp) {
+            window.notatoApp.registerFormat(handler);
+        } else {
+            pendingFormats.push(handler);
+        }
+    }
+};
+document.dispatchEvent(new CustomEvent('notato:ready', { detail: window.notato }));
+
 // Initialize application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.notatoApp = new NotatoApp();
+    pendingFormats.splice(0).forEach(handler => {
+        try {
+            window.notatoApp.registerFormat(handler);
+        } catch (error) {
+            console.error('Error registering format:', error);
+        }
+    });
 });
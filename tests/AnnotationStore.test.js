@@ -133,6 +133,96 @@ describe('AnnotationStore', () => {
             expect(box.width).toBe(200);
         });
 
+        it('should keep format-specific attributes on a box', () => {
+            const attributes = { difficult: 1 };
+            const boxId = store.addBox({
+                classId: 0,
+                x: 100,
+                y: 150,
+                width: 200,
+                height: 250,
+                imageId,
+                attributes
+            });
+
+            const box = store.getBox(boxId);
+            expect(box.attributes).toEqual({ difficult: 1 });
+            expect(box.attributes).not.toBe(attributes);
+        });
+
+        it('should keep the rotation angle on a box', () => {
+            const boxId = store.addBox({
+                classId: 0,
+                x: 100,
+                y: 150,
+                width: 200,
+                height: 250,
+                angle: 0.25,
+                imageId
+            });
+
+            expect(store.getBox(boxId).angle).toBe(0.25);
+        });
+
+        it('should copy polygon points', () => {
+            const points = [{ x: 10, y: 20 }, { x: 50, y: 20 }, { x: 30, y: 80 }];
+            const boxId = store.addBox({
+                classId: 0,
+                shape: 'polygon',
+                points,
+                x: 10,
+                y: 20,
+                width: 40,
+                height: 60,
+                imageId
+            });
+
+            const box = store.getBox(boxId);
+            expect(box.shape).toBe('polygon');
+            expect(box.points).toEqual(points);
+            expect(box.points).not.toBe(points);
+        });
+
+        it('should copy keypoints', () => {
+            const keypoints = [{ x: 10, y: 20, v: 2 }, { x: 0, y: 0, v: 0 }];
+            const boxId = store.addBox({
+                classId: 0,
+                shape: 'keypoints',
+                keypoints,
+                x: 5,
+                y: 10,
+                width: 40,
+                height: 60,
+                imageId
+            });
+
+            const box = store.getBox(boxId);
+            expect(box.shape).toBe('keypoints');
+            expect(box.keypoints).toEqual(keypoints);
+            expect(box.keypoints).not.toBe(keypoints);
+        });
+
+        it('should update polygon bounds when points change', () => {
+            const boxId = store.addBox({
+                classId: 0,
+                shape: 'polygon',
+                points: [{ x: 10, y: 20 }, { x: 50, y: 20 }, { x: 30, y: 80 }],
+                x: 10,
+                y: 20,
+                width: 40,
+                height: 60,
+                imageId
+            });
+
+            store.updateBox(boxId, { points: [{ x: 0, y: 20 }, { x: 50, y: 5 }, { x: 30, y: 80 }] });
+
+            const box = store.getBox(boxId);
+            expect(box.x).toBe(0);
+            expect(box.y).toBe(5);
+            expect(box.width).toBe(50);
+            expect(box.height).toBe(75);
+        });
+
         it('should add box reference to image', () => {
             const boxData = {
                 classId: 0,
@@ -250,6 +340,24 @@ describe('AnnotationStore', () => {
             const boxes = store.getBoxesForImage(imageId);
             expect(boxes).toEqual([]);
         });
+
+        it('should keep track IDs', () => {
+            const boxId = store.addBox({ classId: 0, x: 0, y: 0, width: 1, height: 1, trackId: 7, imageId });
+            expect(store.getBox(boxId).trackId).toBe(7);
+        });
+
+        it('should assign the next free track ID when tracking', () => {
+            store.setTracking(true);
+            store.addBox({ classId: 0, x: 0, y: 0, width: 1, height: 1, trackId: 7, imageId });
+
+            const boxId = store.addBox({ classId: 0, x: 0, y: 0, width: 1, height: 1, imageId });
+            expect(store.getBox(boxId).trackId).toBe(8);
+        });
+
+        it('should not assign track IDs when not tracking', () => {
+            const boxId = store.addBox({ classId: 0, x: 0, y: 0, width: 1, height: 1, imageId });
+            expect(store.getBox(boxId).trackId).toBeUndefined();
+        });
     });
 
     describe('Class Management', () => {
@@ -269,6 +377,20 @@ describe('AnnotationStore', () => {
             expect(store.getClasses()).toEqual(['person', 'car', 'dog']);
         });
 
+        it('should set and get class skeletons', () => {
+            const skeleton = { keypoints: ['head', 'tail'], skeleton: [[0, 1]] };
+            const callback = vi.fn();
+            store.on('skeletons', callback);
+
+            store.setSkeletons([null]);
+            store.setSkeleton(1, skeleton);
+
+            expect(store.getSkeleton(0)).toBeNull();
+            expect(store.getSkeleton(1)).toBe(skeleton);
+            expect(store.getSkeleton(2)).toBeNull();
+            expect(callback).toHaveBeenCalledTimes(2);
+        });
+
         it('should assign incremental IDs to new classes', () => {
             const id1 = store.addClass('person');
             const id2 = store.addClass('car');
@@ -338,6 +460,90 @@ describe('AnnotationStore', () => {
         });
     });
 
+    describe('Predictions', () => {
+        let imageId;
+
+        beforeEach(() => {
+            imageId = store.addImage({ fileName: 'test.jpg', width: 640, height: 480 });
+            store.setCurrentImage(imageId);
+            store.setPredictions(new Map([[imageId, [
+                { classId: 0, x: 10, y: 20, width: 30, height: 40, score: 0.9 },
+                { classId: 1, x: 50, y: 60, width: 70, height: 80, score: 0.1 }
+            ]]]));
+        });
+
+        it('should hide predictions below the confidence threshold', () => {
+            expect(store.hasPredictions()).toBe(true);
+            expect(store.getPredictionsForImage(imageId)).toHaveLength(1);
+            expect(store.getPredictionsForImage(imageId, true)).toHaveLength(2);
+
+            store.setConfidenceThreshold(0.05);
+
+            expect(store.getPredictionsForImage(imageId)).toHaveLength(2);
+        });
+
+        it('should deselect a prediction that falls below the threshold', () => {
+            const [, low] = store.getPredictionsForImage(imageId, true);
+            store.setConfidenceThreshold(0);
+            store.setSelectedPrediction(low.id);
+
+            store.setConfidenceThreshold(0.5);
+
+            expect(store.getState().selectedPredictionId).toBeNull();
+        });
+
+        it('should turn an accepted prediction into a box', () => {
+            const [prediction] = store.getPredictionsForImage(imageId);
+
+            const boxId = store.acceptPrediction(prediction.id);
+
+            const box = store.getBox(boxId);
+            expect(box).toMatchObject({ classId: 0, x: 10, y: 20, width: 30, height: 40, imageId });
+            expect(box.score).toBeUndefined();
+            expect(store.getPredictionsForImage(imageId, true)).toHaveLength(1);
+            expect(store.isCurrentImageModified()).toBe(true);
+        });
+
+        it('should remove a rejected prediction without adding a box', () => {
+            const [prediction] = store.getPredictionsForImage(imageId);
+            store.setSelectedPrediction(prediction.id);
+
+            store.rejectPrediction(prediction.id);
+
+            expect(store.getPredictionsForImage(imageId, true)).toHaveLength(1);
+            expect(store.getBoxesForImage(imageId)).toHaveLength(0);
+            expect(store.getState().selectedPredictionId).toBeNull();
+        });
+
+        it('should restore predictions when edits are discarded', () => {
+            const [prediction] = store.getPredictionsForImage(imageId);
+            store.acceptPrediction(prediction.id);
+
+            store.discardCurrentImageEdits();
+
+            expect(store.getBoxesForImage(imageId)).toHaveLength(0);
+            expect(store.getPredictionsForImage(imageId, true)).toHaveLength(2);
+        });
+
+        it('should not select a prediction and a box at once', () => {
+            const [prediction] = store.getPredictionsForImage(imageId);
+            const boxId = store.addBox({ classId: 0, x: 0, y: 0, width: 5, height: 5, imageId });
+
+            store.setSelectedPrediction(prediction.id);
+            expect(store.getState().selectedBoxId).toBeNull();
+
+            store.setSelectedBox(boxId);
+            expect(store.getState().selectedPredictionId).toBeNull();
+        });
+
+        it('should clear predictions', () => {
+            store.clearPredictions();
+
+            expect(store.hasPredictions()).toBe(false);
+            expect(store.getPredictionsForImage(imageId)).toEqual([]);
+        });
+    });
+
     describe('Modification Tracking', () => {
         it('should track modified images', () => {
             const imageId = store.addImage({ fileName: 'test.jpg', width: 640, height: 480 });
@@ -393,6 +599,26 @@ describe('AnnotationStore', () => {
             store.toggleBoxVisibility();
             expect(store.getState().showBoxes).toBe(true);
         });
+
+        it('should toggle oriented box editing', () => {
+            expect(store.getState().orientedBoxes).toBe(false);
+
+            store.setOrientedBoxes(true);
+            expect(store.getState().orientedBoxes).toBe(true);
+
+            store.clear();
+            expect(store.getState().orientedBoxes).toBe(false);
+        });
+
+        it('should toggle tracking', () => {
+            expect(store.getState().tracking).toBe(false);
+
+            store.setTracking(true);
+            expect(store.getState().tracking).toBe(true);
+
+            store.clear();
+            expect(store.getState().tracking).toBe(false);
+        });
     });
 
     describe('Clear Operations', () => {
@@ -7,6 +7,8 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import { readFileSync } from 'fs';
 import { join } from 'path';
 import COCOHandler from '../src/js/COCOHandler.js';
+import AnnotationStore from '../src/js/AnnotationStore.js';
+import { createFileManager } from './helpers/fileManager.js';
 
 describe('COCOHandler', () => {
     let handler;
@@ -140,8 +142,8 @@ describe('COCOHandler', () => {
         it('should include annotation IDs in returned boxes', () => {
             const boxes = handler.getBoxesForImage('image1.jpg');
 
-            expect(boxes[0].id).toBe(1);
-            expect(boxes[1].id).toBe(2);
+            expect(boxes[0].annotationId).toBe(1);
+            expect(boxes[1].annotationId).toBe(2);
         });
 
         it('should handle missing category gracefully', () => {
@@ -159,6 +161,117 @@ describe('COCOHandler', () => {
             expect(boxes).toHaveLength(1);
             expect(boxes[0].classId).toBe(99);
         });
+
+        it('should keep extra annotation fields as attributes', () => {
+            const json = JSON.stringify({
+                images: [{ id: 1, file_name: 'test.jpg', width: 640, height: 480 }],
+                annotations: [
+                    { id: 1, image_id: 1, category_id: 1, bbox: [0, 0, 10, 10], area: 100, iscrowd: 0, score: 0.9 }
+                ],
+                categories: [{ id: 1, name: 'person' }]
+            });
+            handler.parse(json);
+
+            const boxes = handler.getBoxesForImage('test.jpg');
+
+            expect(boxes[0].attributes).toEqual({ area: 100, iscrowd: 0, score: 0.9 });
+        });
+    });
+
+    describe('Segmentation', () => {
+        function parseWithSegmentation(segmentation) {
+            handler.parse(JSON.stringify({
+                images: [{ id: 1, file_name: 'test.jpg', width: 4, height: 3 }],
+                annotations: [
+                    { id: 7, image_id: 1, category_id: 1, bbox: [10, 20, 30, 40], area: 600, iscrowd: 0, segmentation }
+                ],
+                categories: [{ id: 1, name: 'person' }]
+            }));
+            return handler.getBoxesForImage('test.jpg');
+        }
+
+        it('should read a single polygon as an editable polygon', () => {
+            const boxes = parseWithSegmentation([[10, 20, 40, 20, 40, 60]]);
+
+            expect(boxes[0].shape).toBe('polygon');
+            expect(boxes[0].points).toEqual([{ x: 10, y: 20 }, { x: 40, y: 20 }, { x: 40, y: 60 }]);
+            expect(boxes[0].mask).toBeUndefined();
+        });
+
+        it('should read multi-part polygons as a mask overlay', () => {
+            const boxes = parseWithSegmentation([[0, 0, 1, 0, 1, 1], [2, 2, 3, 2, 3, 3]]);
+
+            expect(boxes[0].shape).toBeUndefined();
+            expect(boxes[0].mask.polygons).toHaveLength(2);
+            expect(boxes[0].mask.polygons[1][0]).toEqual({ x: 2, y: 2 });
+        });
+
+        it('should read uncompressed RLE masks', () => {
+            const boxes = parseWithSegmentation({ size: [3, 4], counts: [1, 2, 9] });
+            expect(boxes[0].mask.rle).toEqual({ size: [3, 4], counts: [1, 2, 9] });
+        });
+
+        it('should decode compressed RLE counts', () => {
+            // pycocotools encoding of the runs [1, 2, 9]
+            expect(handler.decodeRLECounts('129')).toEqual([1, 2, 9]);
+            expect(handler.decodeRLECounts('0:0')).toEqual([0, 10, 0]);
+            expect(handler.decodeRLECounts('53X11')).toEqual([5, 3, 40, 4]);
+        });
+
+        it('should preserve segmentation and area of untouched boxes on save', () => {
+            const segmentation = { size: [3, 4], counts: '129' };
+            const boxes = parseWithSegmentation(segmentation);
+
+            handler.setBoxesForImage('test.jpg', boxes, 4, 3);
+
+            const annotation = handler.getData().annotations[0];
+            expect(annotation.id).toBe(7);
+            expect(annotation.segmentation).toEqual(segmentation);
+            expect(annotation.area).toBe(600);
+        });
+
+        it('should keep the original area when the polygon is unchanged', () => {
+            const boxes = parseWithSegmentation([[10, 20, 40, 20, 40, 60]]);
+
+            handler.setBoxesForImage('test.jpg', boxes, 4, 3);
+
+            expect(handler.getData().annotations[0].area).toBe(600);
+        });
+
+        it('should update segmentation, bbox and area from an edited polygon', () => {
+            const [box] = parseWithSegmentation([[10, 20, 40, 20, 40, 60]]);
+            const edited = {
+                ...box,
+                points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }],
+                x: 0, y: 0, width: 10, height: 10
+            };
+
+            handler.setBoxesForImage('test.jpg', [edited], 4, 3);
+
+            const annotation = handler.getData().annotations[0];
+            expect(annotation.segmentation).toEqual([[0, 0, 10, 0, 10, 10, 0, 10]]);
+            expect(annotation.bbox).toEqual([0, 0, 10, 10]);
+            expect(annotation.area).toBe(100);
+        });
+
+        it('should carry keypoints and custom fields through a save', () => {
+            handler.parse(JSON.stringify({
+                images: [{ id: 1, file_name: 'test.jpg', width: 4, height: 3 }],
+                annotations: [
+                    { id: 1, image_id: 1, category_id: 1, bbox: [0, 0, 2, 2], area: 4, iscrowd: 0, keypoints: [1, 1, 2], num_keypoints: 1, note: 'x' }
+                ],
+                categories: [{ id: 1, name: 'person' }]
+            }));
+            const boxes = handler.getBoxesForImage('test.jpg').map(box => ({ ...box, width: 3 }));
+
+            handler.setBoxesForImage('test.jpg', boxes, 4, 3);
+
+            const annotation = handler.getData().annotations[0];
+            expect(annotation.keypoints).toEqual([1, 1, 2]);
+            expect(annotation.num_keypoints).toBe(1);
+            expect(annotation.note).toBe('x');
+            expect(annotation.area).toBe(6);
+        });
     });
 
     describe('Box Updates', () => {
@@ -216,9 +329,9 @@ describe('COCOHandler', () => {
             expect(data.annotations[0].bbox).toEqual([200, 300, 100, 120]);
         });
 
-        it('should preserve box IDs if provided', () => {
+        it('should keep the annotation IDs boxes were loaded with', () => {
             const boxes = [
-                { id: 42, classId: 1, x: 10, y: 20, width: 30, height: 40 }
+                { annotationId: 42, classId: 1, x: 10, y: 20, width: 30, height: 40 }
             ];
 
             handler.setBoxesForImage('test.jpg', boxes, 640, 480);
@@ -227,6 +340,30 @@ describe('COCOHandler', () => {
             expect(data.annotations[0].id).toBe(42);
         });
 
+        it('should write edited images in the place of their annotations', () => {
+            handler.setData({
+                images: [
+                    { id: 1, file_name: 'a.jpg', width: 640, height: 480 },
+                    { id: 2, file_name: 'b.jpg', width: 640, height: 480 }
+                ],
+                annotations: [
+                    { id: 1, image_id: 1, category_id: 1, bbox: [0, 0, 10, 10], area: 100, iscrowd: 0 },
+                    { id: 2, image_id: 2, category_id: 1, bbox: [0, 0, 10, 10], area: 100, iscrowd: 0 },
+                    { id: 3, image_id: 1, category_id: 1, bbox: [5, 5, 10, 10], area: 100, iscrowd: 0 }
+                ],
+                categories: [{ id: 1, name: 'person' }]
+            });
+            const [first, second] = handler.getBoxesForImage('a.jpg');
+
+            handler.setBoxesForImage('a.jpg', [{ ...second, x: 7 }, first, { classId: 1, x: 1, y: 1, width: 2, height: 2 }], 640, 480);
+            handler.setBoxesForImage('c.jpg', [{ annotationId: 2, classId: 1, x: 1, y: 1, width: 2, height: 2 }], 640, 480);
+
+            const annotations = handler.getData().annotations;
+            expect(annotations.map(ann => [ann.id, ann.image_id])).toEqual([[3, 1], [1, 1], [4, 1], [2, 2], [5, 3]]);
+            expect(annotations[0].bbox).toEqual([7, 5, 10, 10]);
+            expect(handler.getBoxesForImage('a.jpg')).toHaveLength(3);
+        });
+
         it('should auto-generate IDs if not provided', () => {
             const boxes = [
                 { classId: 1, x: 10, y: 20, width: 30, height: 40 }
@@ -238,6 +375,16 @@ describe('COCOHandler', () => {
             expect(data.annotations[0].id).toBe(1);
         });
 
+        it('should not write non-numeric store IDs', () => {
+            const boxes = [
+                { id: 'box_3', classId: 1, x: 10, y: 20, width: 30, height: 40 }
+            ];
+
+            handler.setBoxesForImage('test.jpg', boxes, 640, 480);
+
+            expect(handler.getData().annotations[0].id).toBe(1);
+        });
+
         it('should not add duplicate image when image ID is 0', () => {
             // Bug fix test: image_id 0 should not be treated as falsy
             const json = JSON.stringify({
@@ -442,4 +589,513 @@ describe('COCOHandler', () => {
             expect(roundTrip.categories).toEqual(original.categories);
         });
     });
+
+    describe('Multiple Files', () => {
+        const train = {
+            images: [{ id: 1, file_name: 'train1.jpg', width: 640, height: 480 }],
+            annotations: [{ id: 1, image_id: 1, category_id: 1, bbox: [10, 20, 30, 40], area: 1200, iscrowd: 0 }],
+            categories: [{ id: 1, name: 'cat', supercategory: 'none' }]
+        };
+
+        const val = {
+            images: [{ id: 1, file_name: 'val1.jpg', width: 640, height: 480 }],
+            annotations: [{ id: 7, image_id: 1, category_id: 3, bbox: [1, 2, 3, 4], area: 12, iscrowd: 0 }],
+            categories: [{ id: 1, name: 'cat', supercategory: 'none' }, { id: 3, name: 'dog', supercategory: 'none' }]
+        };
+
+        const images = [
+            { id: 'img_1', fileName: 'train1.jpg', filePath: 'train1.jpg', width: 640, height: 480 },
+            { id: 'img_2', fileName: 'val1.jpg', filePath: 'val1.jpg', width: 640, height: 480 },
+            { id: 'img_3', fileName: 'new.jpg', filePath: 'new.jpg', width: 640, height: 480 }
+        ];
+
+        function createFiles() {
+            return {
+                'annotations/instances_train.json': JSON.stringify(train),
+                'annotations/instances_val.json': JSON.stringify(val),
+                'notes.json': JSON.stringify({ hello: 'world' })
+            };
+        }
+
+        it('should find COCO-shaped JSON files only', async () => {
+            const files = await handler.findFiles(createFileManager(createFiles()));
+
+            expect(files.map(file => file.path)).toEqual([
+                'annotations/instances_train.json',
+                'annotations/instances_val.json'
+            ]);
+        });
+
+        it('should ask which files to open', async () => {
+            let offered = null;
+            handler.setFileChooser(async candidates => {
+                offered = candidates;
+                return ['annotations/instances_val.json'];
+            });
+
+            const { boxes, classes } = await handler.load(createFileManager(createFiles()), images);
+
+            expect(offered).toEqual([
+                { path: 'annotations/instances_train.json', images: 1, annotations: 1 },
+                { path: 'annotations/instances_val.json', images: 1, annotations: 1 }
+            ]);
+            expect(classes).toEqual(['cat', 'dog']);
+            expect(boxes.get('img_1')).toEqual([]);
+            expect(boxes.get('img_2')[0]).toMatchObject({ annotationId: 7, classId: 1, x: 1 });
+        });
+
+        it('should throw when the choice is cancelled', async () => {
+            handler.setFileChooser(async () => null);
+
+            await expect(handler.load(createFileManager(createFiles()), images))
+                .rejects.toThrow('COCO file selection cancelled');
+        });
+
+        it('should merge several files by category name', async () => {
+            handler.setFileChooser(async candidates => candidates.map(candidate => candidate.path));
+
+            const { boxes, classes } = await handler.load(createFileManager(createFiles()), images);
+
+            expect(classes).toEqual(['cat', 'dog']);
+            expect(boxes.get('img_1')[0]).toMatchObject({ classId: 0, x: 10 });
+            expect(boxes.get('img_2')[0]).toMatchObject({ classId: 1, x: 1 });
+            expect(handler.getSourcePaths()).toHaveLength(2);
+        });
+
+        it('should save each image back to its own file', async () => {
+            const fileManager = createFileManager(createFiles());
+            handler.setFileChooser(async candidates => candidates.map(candidate => candidate.path));
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[1], [{ ...boxes.get('img_2')[0], x: 5 }], classes);
+            await handler.save(fileManager, images[2], [{ classId: 0, x: 1, y: 1, width: 2, height: 2 }], classes);
+
+            const savedVal = JSON.parse(fileManager.files['annotations/instances_val.json']);
+            expect(savedVal.images).toHaveLength(1);
+            expect(savedVal.annotations).toEqual([
+                { id: 7, image_id: 1, category_id: 3, bbox: [5, 2, 3, 4], area: 12, iscrowd: 0 }
+            ]);
+
+            // New images go to the first selected file
+            const savedTrain = JSON.parse(fileManager.files['annotations/instances_train.json']);
+            expect(savedTrain.images.map(image => image.file_name)).toEqual(['train1.jpg', 'new.jpg']);
+            expect(savedTrain.annotations).toHaveLength(2);
+            expect(savedTrain.annotations[1]).toMatchObject({ id: 2, image_id: 2 });
+        });
+
+        it('should keep boxes of merged files apart when their annotation IDs overlap', async () => {
+            const overlapping = { ...val, annotations: [{ ...val.annotations[0], id: 1 }] };
+            const fileManager = createFileManager({
+                'annotations/instances_train.json': JSON.stringify(train),
+                'annotations/instances_val.json': JSON.stringify(overlapping)
+            });
+            handler.setFileChooser(async candidates => candidates.map(candidate => candidate.path));
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            // Loaded into the store the way the app does
+            const store = new AnnotationStore();
+            images.forEach(image => store.addImage(image));
+            boxes.forEach((imageBoxes, imageId) => imageBoxes.forEach(box => store.addBox({ ...box, imageId })));
+
+            expect(store.getBoxesForImage('img_1')).toHaveLength(1);
+            expect(store.getBoxesForImage('img_2')).toHaveLength(1);
+
+            await handler.save(fileManager, images[0], store.getBoxesForImage('img_1'), classes);
+            await handler.save(fileManager, images[1], store.getBoxesForImage('img_2'), classes);
+
+            expect(JSON.parse(fileManager.files['annotations/instances_train.json']).annotations)
+                .toEqual(train.annotations);
+            expect(JSON.parse(fileManager.files['annotations/instances_val.json']).annotations)
+                .toEqual(overlapping.annotations);
+        });
+
+        it('should renumber annotation IDs another image of the file already uses', () => {
+            handler.setBoxesForImage('a.jpg', [{ annotationId: 1, classId: 1, x: 0, y: 0, width: 1, height: 1 }], 640, 480);
+            handler.setBoxesForImage('b.jpg', [
+                { annotationId: 1, classId: 1, x: 0, y: 0, width: 1, height: 1 },
+                { annotationId: 5, classId: 1, x: 0, y: 0, width: 1, height: 1 },
+                { classId: 1, x: 0, y: 0, width: 1, height: 1 }
+            ], 640, 480);
+
+            expect(handler.getData().annotations.map(ann => ann.id)).toEqual([1, 2, 5, 6]);
+        });
+
+        it('should open a single file without asking', async () => {
+            const files = createFiles();
+            delete files['annotations/instances_val.json'];
+            handler.setFileChooser(async () => {
+                throw new Error('should not ask');
+            });
+
+            const { boxes } = await handler.load(createFileManager(files), images);
+
+            expect(boxes.get('img_1')).toHaveLength(1);
+        });
+
+        it('should start an empty dataset when no file is found', async () => {
+            const fileManager = createFileManager({});
+            const { classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['object']);
+
+            await handler.save(fileManager, images[0], [], classes);
+            expect(JSON.parse(fileManager.files['_annotations.coco.json']).images).toHaveLength(1);
+        });
+    });
+
+    describe('Category IDs', () => {
+        const dataset = {
+            images: [{ id: 1, file_name: 'a.jpg', width: 640, height: 480 }],
+            annotations: [{ id: 1, image_id: 1, category_id: 90, bbox: [1, 2, 3, 4], area: 12, iscrowd: 0 }],
+            categories: [
+                { id: 1, name: 'person', supercategory: 'person' },
+                { id: 90, name: 'toothbrush', supercategory: 'indoor' },
+                { id: 44, name: 'bottle', supercategory: 'kitchen', color: '#ff0000' }
+            ]
+        };
+
+        const images = [{ id: 'img_1', fileName: 'a.jpg', filePath: 'a.jpg', width: 640, height: 480 }];
+
+        it('should keep original category IDs and supercategories', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(dataset) });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['person', 'toothbrush', 'bottle']);
+            expect(boxes.get('img_1')[0].classId).toBe(1);
+
+            await handler.save(fileManager, images[0], [
+                ...boxes.get('img_1'),
+                { classId: 2, x: 0, y: 0, width: 1, height: 1 }
+            ], classes);
+
+            const saved = JSON.parse(fileManager.files['annotations.json']);
+            expect(saved.categories).toEqual(dataset.categories);
+            expect(saved.annotations.map(ann => ann.category_id)).toEqual([90, 44]);
+        });
+
+        it('should give new classes the next free ID', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(dataset) });
+            const { classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], [
+                { classId: 3, x: 0, y: 0, width: 1, height: 1 }
+            ], [...classes, 'kite']);
+
+            const saved = JSON.parse(fileManager.files['annotations.json']);
+            expect(saved.categories).toHaveLength(4);
+            expect(saved.categories[3]).toEqual({ id: 91, name: 'kite', supercategory: 'none' });
+            expect(saved.annotations[0].category_id).toBe(91);
+        });
+
+        it('should rename the category of a renamed class in place', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(dataset) });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            const renamed = ['person', 'toothpaste', 'bottle'];
+            await handler.save(fileManager, images[0], boxes.get('img_1'), renamed);
+
+            const saved = JSON.parse(fileManager.files['annotations.json']);
+            expect(saved.categories).toHaveLength(3);
+            expect(saved.categories[1]).toEqual({ id: 90, name: 'toothpaste', supercategory: 'indoor' });
+            expect(saved.annotations[0].category_id).toBe(90);
+
+            const { classes: reloaded } = await new COCOHandler().load(fileManager, images);
+            expect(reloaded).toEqual(renamed);
+            expect(classes).toEqual(['person', 'toothbrush', 'bottle']);
+        });
+
+        it('should rename categories in every merged file', async () => {
+            const other = {
+                images: [{ id: 1, file_name: 'b.jpg', width: 640, height: 480 }],
+                annotations: [],
+                categories: [{ id: 3, name: 'toothbrush', supercategory: 'none' }]
+            };
+            const fileManager = createFileManager({
+                'annotations.json': JSON.stringify(dataset),
+                'more.json': JSON.stringify(other)
+            });
+            handler.setFileChooser(async candidates => candidates.map(candidate => candidate.path));
+            const { boxes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], boxes.get('img_1'), ['person', 'brush', 'bottle']);
+
+            expect(JSON.parse(fileManager.files['more.json']).categories).toEqual([
+                { id: 3, name: 'brush', supercategory: 'none' }
+            ]);
+        });
+
+        it('should give the image and category IDs results files refer to', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(dataset) });
+            await handler.load(fileManager, images);
+
+            const resultIds = handler.getResultIds();
+
+            expect(resultIds.images).toEqual(new Map([[1, 'a.jpg']]));
+            expect(resultIds.categories.get(90)).toBe('toothbrush');
+            expect(resultIds.categories.size).toBe(3);
+        });
+    });
+
+    describe('Metadata', () => {
+        const dataset = {
+            info: { description: 'Test set', year: 2017 },
+            licenses: [{ id: 1, name: 'CC BY', url: 'http://example.com/by' }],
+            images: [{ license: 1, file_name: 'a.jpg', coco_url: 'http://example.com/a.jpg', height: 480, width: 640, date_captured: '2013-11-14 17:02:52', id: 7 }],
+            annotations: [],
+            categories: [{ id: 1, name: 'cat' }]
+        };
+
+        const imageA = { id: 'img_1', fileName: 'a.jpg', filePath: 'a.jpg', width: 640, height: 480 };
+        const imageB = { id: 'img_2', fileName: 'b.jpg', filePath: 'b.jpg', width: 320, height: 240 };
+
+        it('should return copies of info and licenses', () => {
+            handler.parse(JSON.stringify(dataset));
+
+            const metadata = handler.getDatasetMetadata();
+            metadata.info.year = 1999;
+            metadata.licenses[0].name = 'changed';
+
+            expect(handler.getDatasetMetadata()).toEqual({ info: dataset.info, licenses: dataset.licenses });
+        });
+
+        it('should return empty sections when the file has none', () => {
+            handler.parse(JSON.stringify({ images: [], annotations: [], categories: [] }));
+
+            expect(handler.getDatasetMetadata()).toEqual({ info: {}, licenses: [] });
+        });
+
+        it('should write edited info and licenses on save', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(dataset) });
+            await handler.load(fileManager, [imageA]);
+
+            handler.setDatasetMetadata({
+                info: { description: 'Renamed', year: 2018 },
+                licenses: [...dataset.licenses, { id: 2, name: 'CC0', url: '' }]
+            });
+            await handler.save(fileManager, imageA, [], ['cat']);
+
+            const saved = JSON.parse(fileManager.files['annotations.json']);
+            expect(saved.info).toEqual({ description: 'Renamed', year: 2018 });
+            expect(saved.licenses).toHaveLength(2);
+            expect(saved.licenses[1]).toEqual({ id: 2, name: 'CC0', url: '' });
+        });
+
+        it('should not add empty sections', () => {
+            handler.parse(JSON.stringify({ images: [], annotations: [], categories: [] }));
+            handler.setDatasetMetadata({ info: {}, licenses: [] });
+
+            expect('info' in handler.getData()).toBe(false);
+            expect('licenses' in handler.getData()).toBe(false);
+        });
+
+        it('should return image fields other than id, file_name, width and height', async () => {
+            await handler.load(createFileManager({ 'annotations.json': JSON.stringify(dataset) }), [imageA, imageB]);
+
+            expect(handler.getImageMetadata(imageA)).toEqual({
+                license: 1,
+                coco_url: 'http://example.com/a.jpg',
+                date_captured: '2013-11-14 17:02:52'
+            });
+            expect(handler.getImageMetadata(imageB)).toEqual({});
+        });
+
+        it('should write edited image fields in their original order', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(dataset) });
+            await handler.load(fileManager, [imageA]);
+
+            handler.setImageMetadata(imageA, { license: 2, coco_url: 'http://example.com/a.jpg', flickr_url: 'http://flickr/a' });
+            await handler.save(fileManager, imageA, [], ['cat']);
+
+            const saved = JSON.parse(fileManager.files['annotations.json']).images[0];
+            expect(Object.keys(saved)).toEqual(['license', 'file_name', 'coco_url', 'height', 'width', 'id', 'flickr_url']);
+            expect(saved).toMatchObject({ license: 2, id: 7, width: 640, flickr_url: 'http://flickr/a' });
+        });
+
+        it('should not let metadata replace the image identity', async () => {
+            await handler.load(createFileManager({ 'annotations.json': JSON.stringify(dataset) }), [imageA]);
+
+            handler.setImageMetadata(imageA, { id: 99, file_name: 'x.jpg', license: 3 });
+
+            expect(handler.getData().images[0]).toMatchObject({ id: 7, file_name: 'a.jpg', license: 3 });
+        });
+
+        it('should add an image that is not in the file yet', async () => {
+            await handler.load(createFileManager({ 'annotations.json': JSON.stringify(dataset) }), [imageA, imageB]);
+
+            handler.setImageMetadata(imageB, { license: 1 });
+
+            expect(handler.getImageMetadata(imageB)).toEqual({ license: 1 });
+            expect(handler.getData().images[1]).toMatchObject({ id: 8, file_name: 'b.jpg', width: 320, height: 240 });
+        });
+
+        it('should write metadata edits in other files on save', async () => {
+            const other = {
+                images: [{ id: 1, file_name: 'b.jpg', width: 320, height: 240 }],
+                annotations: [],
+                categories: [{ id: 1, name: 'cat' }]
+            };
+            const fileManager = createFileManager({
+                'annotations.json': JSON.stringify(dataset),
+                'annotations/instances_val.json': JSON.stringify(other)
+            });
+            handler.setFileChooser(async candidates => candidates.map(candidate => candidate.path));
+            await handler.load(fileManager, [imageA, imageB]);
+
+            handler.setDatasetMetadata({ info: { description: 'Renamed' }, licenses: [] });
+            await handler.save(fileManager, imageB, [], ['cat']);
+
+            expect(JSON.parse(fileManager.files['annotations.json']).info).toEqual({ description: 'Renamed' });
+            expect(JSON.parse(fileManager.files['annotations/instances_val.json']).info).toBeUndefined();
+        });
+    });
+
+    describe('Large Files', () => {
+        const data = {
+            images: [{ id: 1, file_name: 'a.jpg', width: 640, height: 480 }],
+            annotations: [{ id: 5, image_id: 1, category_id: 1, bbox: [1, 2, 3, 4], area: 12, iscrowd: 0 }],
+            categories: [{ id: 1, name: 'cat' }]
+        };
+
+        // Previews are cut after 20 characters, as if every file were huge
+        const createLargeFileManager = files => createFileManager(files, { previewLength: 20 });
+
+        it('should find large files without reading them', async () => {
+            const files = await handler.findFiles(createLargeFileManager({
+                'annotations.json': JSON.stringify(data),
+                'notes.json': JSON.stringify({ notes: ['a long list of notes'] })
+            }));
+
+            expect(files).toEqual([{ path: 'annotations.json', data: null }]);
+        });
+
+        it('should read a large file when it is opened', async () => {
+            let offered = null;
+            handler.setFileChooser(async candidates => {
+                offered = candidates;
+                return ['instances_val.json'];
+            });
+            const fileManager = createLargeFileManager({
+                'annotations.json': JSON.stringify(data),
+                'instances_val.json': JSON.stringify({ ...data, images: [{ ...data.images[0], file_name: 'b.jpg' }] })
+            });
+            const images = [{ id: 'img_1', fileName: 'b.jpg', filePath: 'b.jpg', width: 640, height: 480 }];
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(offered).toEqual([
+                { path: 'annotations.json', images: null, annotations: null },
+                { path: 'instances_val.json', images: null, annotations: null }
+            ]);
+            expect(classes).toEqual(['cat']);
+            expect(boxes.get('img_1')[0]).toMatchObject({ annotationId: 5, classId: 0, x: 1 });
+        });
+
+        it('should find the next IDs of datasets too large to spread', () => {
+            const annotations = Array.from({ length: 200000 }, (_, i) => ({ id: i + 1, image_id: 3, bbox: [0, 0, 1, 1] }));
+            handler.setData({ images: [{ id: 3, file_name: 'a.jpg' }], annotations, categories: [] });
+
+            expect(handler.nextImageId).toBe(4);
+            expect(handler.nextAnnotationId).toBe(200001);
+            expect(handler.getBoxesForImage('a.jpg')).toHaveLength(200000);
+        });
+
+        it('should write the same text as JSON.stringify, a piece per entry', () => {
+            const dataset = {
+                info: { description: 'test', year: 2024 },
+                licenses: [],
+                images: [...data.images, { id: 2, file_name: 'b.jpg', width: 10, height: 10, tags: [] }],
+                annotations: [...data.annotations, { id: 6, image_id: 2, segmentation: [[1, 2, 3, 4, 5, 6]], attributes: {} }],
+                categories: data.categories,
+                skipped: undefined
+            };
+
+            const parts = Array.from(handler.stringifyParts(dataset));
+
+            expect(parts.join('')).toBe(JSON.stringify(dataset, null, 2));
+            expect(parts.length).toBeGreaterThan(dataset.images.length + dataset.annotations.length);
+            expect(Array.from(handler.stringifyParts({})).join('')).toBe('{}');
+        });
+
+        it('should save through chunked writes', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(data) });
+            const images = [{ id: 'img_1', fileName: 'a.jpg', filePath: 'a.jpg', width: 640, height: 480 }];
+            const { boxes, classes } = await handler.load(fileManager, images);
+            fileManager.writeTextFile = async () => {
+                throw new Error('whole-file write');
+            };
+
+            await handler.save(fileManager, images[0], boxes.get('img_1'), classes);
+
+            expect(JSON.parse(fileManager.files['annotations.json'])).toEqual(data);
+        });
+    });
+
+    describe('Keypoints', () => {
+        const data = {
+            images: [{ id: 1, file_name: 'a.jpg', width: 640, height: 480 }],
+            annotations: [{
+                id: 4, image_id: 1, category_id: 2, bbox: [10, 20, 30, 40], area: 900, iscrowd: 0,
+                segmentation: [[10, 20, 40, 20, 40, 60]],
+                keypoints: [15, 25, 2, 0, 0, 0, 30, 50, 1], num_keypoints: 2
+            }],
+            categories: [
+                { id: 1, name: 'car' },
+                { id: 2, name: 'person', keypoints: ['head', 'hand', 'foot'], skeleton: [[1, 2], [1, 3]] }
+            ]
+        };
+        const images = [{ id: 'img_1', fileName: 'a.jpg', filePath: 'a.jpg', width: 640, height: 480 }];
+
+        it('should read keypoints as a pose shape', () => {
+            handler.setData(JSON.parse(JSON.stringify(data)));
+
+            const [box] = handler.getBoxesForImage('a.jpg');
+
+            expect(box.shape).toBe('keypoints');
+            expect(box.keypoints).toEqual([{ x: 15, y: 25, v: 2 }, { x: 0, y: 0, v: 0 }, { x: 30, y: 50, v: 1 }]);
+            expect(box.attributes.keypoints).toBeUndefined();
+            expect(box.attributes.num_keypoints).toBeUndefined();
+            // The segmentation is shown as an overlay and kept for the round-trip
+            expect(box.mask.polygons).toHaveLength(1);
+            expect(box.attributes.segmentation).toEqual([[10, 20, 40, 20, 40, 60]]);
+        });
+
+        it('should load category skeletons with 0-based edges', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(data) });
+
+            const { classes, skeletons } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['car', 'person']);
+            expect(skeletons).toEqual([null, { keypoints: ['head', 'hand', 'foot'], skeleton: [[0, 1], [0, 2]] }]);
+        });
+
+        it('should write edited keypoints and count the labeled ones', () => {
+            handler.setData(JSON.parse(JSON.stringify(data)));
+            const [box] = handler.getBoxesForImage('a.jpg');
+            const keypoints = [{ x: 15, y: 25, v: 2 }, { x: 20, y: 30, v: 2 }, { x: 30, y: 50, v: 0 }];
+
+            handler.setBoxesForImage('a.jpg', [{ ...box, keypoints }], 640, 480);
+
+            const annotation = handler.getData().annotations[0];
+            expect(annotation.keypoints).toEqual([15, 25, 2, 20, 30, 2, 30, 50, 0]);
+            expect(annotation.num_keypoints).toBe(2);
+            expect(annotation.segmentation).toEqual([[10, 20, 40, 20, 40, 60]]);
+            expect(annotation.area).toBe(900);
+        });
+
+        it('should write skeleton changes into the categories', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(data) });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            handler.setSkeletons([{ keypoints: ['front', 'back'], skeleton: [[0, 1]] }, null]);
+            await handler.save(fileManager, images[0], boxes.get('img_1'), classes);
+
+            const categories = JSON.parse(fileManager.files['annotations.json']).categories;
+            expect(categories[0]).toEqual({ id: 1, name: 'car', keypoints: ['front', 'back'], skeleton: [[1, 2]] });
+            expect(categories[1]).toEqual({ id: 2, name: 'person' });
+        });
+
+        it('should report keypoints as kept', () => {
+            expect(handler.getExportLosses([{ shape: 'keypoints', keypoints: [], attributes: {} }])).toEqual([]);
+        });
+    });
 });
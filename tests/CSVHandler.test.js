@@ -0,0 +1,249 @@
+/**
+ * CSVHandler.test.js
+ * Tests for generic CSV detection parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import CSVHandler from '../src/js/CSVHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('CSVHandler', () => {
+    let handler;
+
+    const openImagesCsv = 'ImageID,Source,LabelName,Confidence,XMin,XMax,YMin,YMax,IsOccluded\n' +
+        'image1,xclick,/m/01g317,1,0.1,0.5,0.25,0.75,0\n' +
+        'image1,xclick,/m/0k4j,1,0.5,1,0,0.5,1\n' +
+        'other,activemil,/m/01g317,1,0,0.2,0,0.2,0\n';
+
+    const pixelCsv = 'filename,class,xmin,ymin,xmax,ymax,note\n' +
+        'image1.jpg,person,10,20,110,220,"tall, left"\n' +
+        'image2.jpg,car,300,200,400,260,\n';
+
+    const image1 = { id: 'img_1', fileName: 'image1.jpg', filePath: 'image1.jpg', width: 200, height: 100 };
+    const image2 = { id: 'img_2', fileName: 'image2.jpg', filePath: 'image2.jpg', width: 640, height: 480 };
+
+    beforeEach(() => {
+        handler = new CSVHandler();
+    });
+
+    describe('getName', () => {
+        it('should return csv', () => {
+            expect(handler.getName()).toBe('csv');
+        });
+    });
+
+    describe('CSV Parsing', () => {
+        it('should split header and rows', () => {
+            handler.parse(pixelCsv);
+
+            expect(handler.header).toEqual(['filename', 'class', 'xmin', 'ymin', 'xmax', 'ymax', 'note']);
+            expect(handler.rows).toHaveLength(2);
+        });
+
+        it('should handle quoted fields with commas and quotes', () => {
+            handler.parse('a,b\n"x, y","say ""hi"""\n');
+            expect(handler.rows[0]).toEqual(['x, y', 'say "hi"']);
+        });
+
+        it('should handle CRLF line endings and blank lines', () => {
+            handler.parse('a,b\r\n1,2\r\n\r\n3,4\r\n');
+
+            expect(handler.rows).toEqual([['1', '2'], ['3', '4']]);
+            expect(handler.lineEnding).toBe('\r\n');
+        });
+
+        it('should throw error for empty content', () => {
+            expect(() => handler.parse('\n\n')).toThrow('Invalid CSV format');
+        });
+
+        it('should round-trip content', () => {
+            handler.parse(pixelCsv);
+            expect(handler.stringify()).toBe(pixelCsv);
+        });
+    });
+
+    describe('Column Mapping', () => {
+        it('should guess Open Images columns as normalized', () => {
+            handler.parse(openImagesCsv);
+
+            expect(handler.guessMapping(handler.header, handler.rows)).toEqual({
+                image: 'ImageID',
+                label: 'LabelName',
+                xmin: 'XMin',
+                ymin: 'YMin',
+                xmax: 'XMax',
+                ymax: 'YMax',
+                normalized: true
+            });
+        });
+
+        it('should guess pixel columns', () => {
+            handler.parse(pixelCsv);
+            const mapping = handler.guessMapping(handler.header, handler.rows);
+
+            expect(mapping.image).toBe('filename');
+            expect(mapping.label).toBe('class');
+            expect(mapping.normalized).toBe(false);
+        });
+
+        it('should leave unknown roles unmapped', () => {
+            expect(handler.guessMapping(['a', 'b'], []).image).toBeNull();
+        });
+
+        it('should reject a mapping with missing columns', () => {
+            handler.parse(pixelCsv);
+            expect(() => handler.setMapping({ ...handler.guessMapping(handler.header, []), label: 'nope' }))
+                .toThrow('CSV column mapping is missing the label column');
+        });
+    });
+
+    describe('Box Conversion', () => {
+        it('should scale normalized coordinates and match IDs without extension', () => {
+            handler.parse(openImagesCsv);
+            handler.setMapping(handler.guessMapping(handler.header, handler.rows));
+
+            const boxes = handler.getBoxesForImage(image1);
+
+            expect(boxes).toHaveLength(2);
+            expect(boxes[0]).toMatchObject({ classId: 0, x: 20, y: 25, width: 80, height: 50 });
+            expect(boxes[1]).toMatchObject({ classId: 1, x: 100, y: 0, width: 100, height: 50 });
+        });
+
+        it('should keep unmapped columns as attributes', () => {
+            handler.parse(openImagesCsv);
+            handler.setMapping(handler.guessMapping(handler.header, handler.rows));
+
+            const boxes = handler.getBoxesForImage(image1);
+
+            expect(boxes[1].attributes).toEqual({ Source: 'xclick', Confidence: '1', IsOccluded: '1' });
+        });
+
+        it('should write rows in place and keep other images', () => {
+            handler.parse(openImagesCsv);
+            handler.setMapping(handler.guessMapping(handler.header, handler.rows));
+            const boxes = handler.getBoxesForImage(image1);
+
+            handler.setBoxesForImage(image1, boxes.slice(1), handler.getClasses());
+
+            expect(handler.stringify()).toBe(
+                'ImageID,Source,LabelName,Confidence,XMin,XMax,YMin,YMax,IsOccluded\n' +
+                'image1,xclick,/m/0k4j,1,0.5,1,0,0.5,1\n' +
+                'other,activemil,/m/01g317,1,0,0.2,0,0.2,0\n'
+            );
+        });
+
+        it('should append rows for new images using the existing ID style', () => {
+            handler.parse(openImagesCsv);
+            handler.setMapping(handler.guessMapping(handler.header, handler.rows));
+
+            handler.setBoxesForImage(image2, [
+                { classId: 0, x: 64, y: 48, width: 64, height: 48 }
+            ], ['/m/01g317']);
+
+            expect(handler.stringify().split('\n')[4]).toBe('image2,,/m/01g317,,0.1,0.2,0.1,0.2,');
+        });
+
+        it('should keep the image value of existing rows', () => {
+            handler.parse('filename,class,xmin,ymin,xmax,ymax\n' +
+                'train/image1.jpg,person,10,20,110,220\n' +
+                'train/image2.jpg,car,300,200,400,260\n' +
+                'train/image1.jpg,car,1,2,3,4\n');
+            handler.setMapping(handler.guessMapping(handler.header, handler.rows));
+            const boxes = handler.getBoxesForImage(image1);
+
+            handler.setBoxesForImage(image1, boxes.slice(0, 1), handler.getClasses());
+
+            expect(handler.stringify()).toBe(
+                'filename,class,xmin,ymin,xmax,ymax\n' +
+                'train/image1.jpg,person,10,20,110,220\n' +
+                'train/image2.jpg,car,300,200,400,260\n'
+            );
+        });
+
+        it('should add boxes to an image whose boxes were all cleared', () => {
+            handler.parse('filename,class,xmin,ymin,xmax,ymax\n' +
+                'train/image1.jpg,person,10,20,110,220\n' +
+                'train/image2.jpg,car,300,200,400,260\n');
+            handler.setMapping(handler.guessMapping(handler.header, handler.rows));
+
+            handler.setBoxesForImage(image1, [], ['person', 'car']);
+            handler.stringify();
+            handler.setBoxesForImage(image1, [{ classId: 1, x: 0, y: 0, width: 5, height: 5 }], ['person', 'car']);
+
+            expect(handler.stringify()).toBe(
+                'filename,class,xmin,ymin,xmax,ymax\n' +
+                'train/image2.jpg,car,300,200,400,260\n' +
+                'train/image1.jpg,car,0,0,5,5\n'
+            );
+        });
+
+        it('should keep edits of several images until the file is written', () => {
+            handler.parse(pixelCsv);
+            handler.setMapping(handler.guessMapping(handler.header, handler.rows));
+
+            handler.setBoxesForImage(image2, [], ['person', 'car']);
+            handler.setBoxesForImage(image1, [{ classId: 1, x: 0, y: 0, width: 5, height: 5 }], ['person', 'car']);
+
+            expect(handler.getBoxesForImage(image1)).toEqual([
+                expect.objectContaining({ x: 0, width: 5 })
+            ]);
+            expect(handler.stringify()).toBe(
+                'filename,class,xmin,ymin,xmax,ymax,note\n' +
+                'image1.jpg,car,0,0,5,5,\n'
+            );
+        });
+    });
+
+    describe('Load and Save', () => {
+        it('should load with the confirmed mapping', async () => {
+            const fileManager = createFileManager({ 'annotations.csv': pixelCsv });
+            let offered = null;
+            handler.setMappingProvider(async (header, mapping) => {
+                offered = mapping;
+                return { ...mapping, label: 'note' };
+            });
+
+            const { boxes, classes } = await handler.load(fileManager, [image1, image2]);
+
+            expect(offered.label).toBe('class');
+            expect(classes).toEqual(['tall, left', '']);
+            expect(boxes.get('img_1')[0].attributes).toEqual({ class: 'person' });
+        });
+
+        it('should fail when the mapping is cancelled', async () => {
+            const fileManager = createFileManager({ 'annotations.csv': pixelCsv });
+            handler.setMappingProvider(async () => null);
+
+            await expect(handler.load(fileManager, [image1])).rejects.toThrow('CSV column mapping cancelled');
+        });
+
+        it('should save edits with extra columns preserved', async () => {
+            const fileManager = createFileManager({ 'annotations.csv': pixelCsv });
+            const { boxes, classes } = await handler.load(fileManager, [image1, image2]);
+
+            const edited = boxes.get('img_1').map(box => ({ ...box, x: 15 }));
+            await handler.save(fileManager, image1, edited, classes);
+
+            expect(fileManager.files['annotations.csv']).toBe(
+                'filename,class,xmin,ymin,xmax,ymax,note\n' +
+                'image1.jpg,person,15,20,115,220,"tall, left"\n' +
+                'image2.jpg,car,300,200,400,260,\n'
+            );
+        });
+
+        it('should start a pixel CSV when no file exists', async () => {
+            const fileManager = createFileManager({});
+            const { classes } = await handler.load(fileManager, [image1]);
+
+            await handler.save(fileManager, image1, [
+                { classId: 0, x: 1.5, y: 2, width: 3, height: 4 }
+            ], classes);
+
+            expect(fileManager.files['annotations.csv']).toBe(
+                'filename,class,xmin,ymin,xmax,ymax\n' +
+                'image1.jpg,object,1.5,2,4.5,6\n'
+            );
+        });
+    });
+
+});
@@ -0,0 +1,245 @@
+/**
+ * CVATHandler.test.js
+ * Tests for CVAT for images 1.1 XML parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import CVATHandler from '../src/js/CVATHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('CVATHandler', () => {
+    let handler;
+
+    const sampleXml = `<?xml version="1.0" encoding="utf-8"?>
+<annotations>
+  <version>1.1</version>
+  <meta>
+    <task>
+      <id>7</id>
+      <name>vendor batch</name>
+      <labels>
+        <label>
+          <name>car</name>
+          <color>#fa3253</color>
+          <attributes>
+            <attribute>
+              <name>color</name>
+              <input_type>select</input_type>
+            </attribute>
+          </attributes>
+        </label>
+        <label>
+          <name>person</name>
+          <attributes>
+          </attributes>
+        </label>
+      </labels>
+    </task>
+  </meta>
+  <image id="0" name="images/frame_0.jpg" width="640" height="480">
+    <box label="person" source="manual" occluded="1" xtl="10.00" ytl="20.00" xbr="110.00" ybr="220.00" z_order="0">
+    </box>
+    <box label="car" source="auto" occluded="0" xtl="300.50" ytl="200.00" xbr="400.50" ybr="260.00" z_order="1">
+      <attribute name="color">red &amp; white</attribute>
+    </box>
+    <polygon label="car" occluded="0" points="1.00,2.00;3.00,4.00;5.00,6.00" z_order="0">
+    </polygon>
+  </image>
+  <image id="1" name="images/frame_1.jpg" width="640" height="480">
+  </image>
+</annotations>
+`;
+
+    beforeEach(() => {
+        handler = new CVATHandler();
+    });
+
+    describe('getName', () => {
+        it('should return cvat', () => {
+            expect(handler.getName()).toBe('cvat');
+        });
+    });
+
+    describe('XML Parsing', () => {
+        beforeEach(() => {
+            handler.parse(sampleXml);
+        });
+
+        it('should read labels from meta and skip attribute names', () => {
+            expect(handler.getLabels()).toEqual(['car', 'person']);
+        });
+
+        it('should read images keyed by name', () => {
+            expect(handler.images.size).toBe(2);
+            expect(handler.findImage('frame_0.jpg').attributes.id).toBe('0');
+        });
+
+        it('should convert corner coordinates to boxes', () => {
+            const boxes = handler.findImage('frame_0.jpg').boxes;
+
+            expect(boxes).toHaveLength(2);
+            expect(boxes[0].label).toBe('person');
+            expect(boxes[0].x).toBe(10);
+            expect(boxes[0].y).toBe(20);
+            expect(boxes[0].width).toBe(100);
+            expect(boxes[0].height).toBe(200);
+        });
+
+        it('should keep occluded flags and named attributes', () => {
+            const boxes = handler.findImage('frame_0.jpg').boxes;
+
+            expect(boxes[0].attributes).toEqual({ occluded: 1, source: 'manual', z_order: '0' });
+            expect(boxes[1].attributes).toEqual({
+                occluded: 0,
+                source: 'auto',
+                z_order: '1',
+                color: 'red & white'
+            });
+        });
+
+        it('should calculate next image ID', () => {
+            expect(handler.nextImageId).toBe(2);
+        });
+
+        it('should throw error for non-CVAT content', () => {
+            expect(() => handler.parse('<annotation></annotation>')).toThrow('Invalid CVAT XML format');
+        });
+    });
+
+    describe('XML Stringification', () => {
+        it('should round-trip an untouched document', () => {
+            handler.parse(sampleXml);
+            const output = handler.stringify();
+
+            const reparsed = new CVATHandler();
+            reparsed.parse(output);
+
+            expect(reparsed.getLabels()).toEqual(['car', 'person']);
+            expect(reparsed.findImage('frame_0.jpg').boxes).toEqual(handler.findImage('frame_0.jpg').boxes);
+            expect(output).toContain('<name>vendor batch</name>');
+            expect(output).toContain('<attribute name="color">red &amp; white</attribute>');
+        });
+
+        it('should keep non-box shapes on save', () => {
+            handler.parse(sampleXml);
+            handler.setBoxesForImage('frame_0.jpg', [], 640, 480);
+
+            const output = handler.stringify();
+
+            expect(output).toContain('<polygon label="car" occluded="0" points="1.00,2.00;3.00,4.00;5.00,6.00" z_order="0">');
+            expect(output).not.toContain('<box');
+        });
+
+        it('should keep elements after the last image', () => {
+            const track = '  <track id="0" label="car" source="manual">\n' +
+                '    <box frame="0" outside="0" occluded="0" keyframe="1" xtl="1.00" ytl="2.00" xbr="3.00" ybr="4.00" z_order="0">\n' +
+                '    </box>\n' +
+                '  </track>\n' +
+                '  <tag label="person" frame="1"></tag>';
+            handler.parse(sampleXml.replace('</annotations>', `${track}\n</annotations>`));
+            handler.setBoxesForImage('frame_1.jpg', [], 640, 480);
+
+            const output = handler.stringify();
+
+            expect(output.endsWith(`  </image>\n${track}\n</annotations>\n`)).toBe(true);
+            expect(handler.findImage('frame_1.jpg').boxes).toEqual([]);
+        });
+
+        it('should write box coordinates with two decimals', () => {
+            const lines = handler.stringifyBox({
+                label: 'car', x: 1, y: 2.5, width: 10, height: 20, attributes: {}
+            });
+
+            expect(lines[0]).toBe('    <box label="car" source="manual" occluded="0" xtl="1.00" ytl="2.50" xbr="11.00" ybr="22.50" z_order="0">');
+        });
+    });
+
+    describe('Labels', () => {
+        it('should add new labels to meta', () => {
+            handler.parse(sampleXml);
+            handler.addLabel('truck');
+
+            expect(handler.getLabels()).toEqual(['car', 'person', 'truck']);
+
+            const reparsed = new CVATHandler();
+            reparsed.parse(handler.stringify());
+            expect(reparsed.getLabels()).toEqual(['car', 'person', 'truck']);
+        });
+
+        it('should not duplicate existing labels', () => {
+            handler.parse(sampleXml);
+            handler.addLabel('car');
+            expect(handler.stringify().match(/<name>car<\/name>/g)).toHaveLength(1);
+        });
+    });
+
+    describe('Load and Save', () => {
+        const images = [
+            { id: 'img_1', fileName: 'frame_0.jpg', filePath: 'frame_0.jpg', width: 640, height: 480 },
+            { id: 'img_2', fileName: 'frame_1.jpg', filePath: 'frame_1.jpg', width: 640, height: 480 }
+        ];
+
+        it('should map labels to class IDs', async () => {
+            const fileManager = createFileManager({ 'annotations.xml': sampleXml });
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['car', 'person']);
+            expect(boxes.get('img_1').map(box => box.classId)).toEqual([1, 0]);
+            expect(boxes.get('img_1')[1].attributes.color).toBe('red & white');
+            expect(boxes.get('img_2')).toEqual([]);
+        });
+
+        it('should write changes back to the same file', async () => {
+            const fileManager = createFileManager({ 'annotations.xml': sampleXml });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            const edited = boxes.get('img_1').map(box => ({ ...box, x: box.x + 5 }));
+            await handler.save(fileManager, images[0], edited, [...classes, 'truck']);
+
+            const reparsed = new CVATHandler();
+            reparsed.parse(fileManager.files['annotations.xml']);
+
+            expect(reparsed.getLabels()).toEqual(['car', 'person', 'truck']);
+            expect(reparsed.findImage('frame_0.jpg').boxes[0].x).toBe(15);
+            expect(reparsed.findImage('frame_0.jpg').boxes[0].attributes.occluded).toBe(1);
+            expect(reparsed.findImage('frame_0.jpg').extra).toContain('<polygon');
+        });
+
+        it('should rename a renamed class in meta and on every image', async () => {
+            const fileManager = createFileManager({ 'annotations.xml': sampleXml });
+            const { boxes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[1], [], ['vehicle', 'person']);
+
+            const output = fileManager.files['annotations.xml'];
+            expect(output).toContain('<name>vehicle</name>\n          <color>#fa3253</color>');
+            expect(output).toContain('<name>color</name>');
+            expect(output).not.toContain('<name>car</name>');
+
+            const reparsed = new CVATHandler();
+            reparsed.parse(output);
+            expect(reparsed.getLabels()).toEqual(['vehicle', 'person']);
+            expect(reparsed.findImage('frame_0.jpg').boxes.map(box => box.label)).toEqual(['person', 'vehicle']);
+            expect(reparsed.findImage('frame_0.jpg').extra).toContain('<polygon label="vehicle"');
+            expect(boxes.get('img_1')).toHaveLength(2);
+        });
+
+        it('should start an empty document when no file exists', async () => {
+            const fileManager = createFileManager({});
+            const { classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['object']);
+
+            await handler.save(fileManager, images[0], [
+                { classId: 0, x: 0, y: 0, width: 10, height: 10 }
+            ], classes);
+
+            const reparsed = new CVATHandler();
+            reparsed.parse(fileManager.files['annotations.xml']);
+            expect(reparsed.getLabels()).toEqual(['object']);
+            expect(reparsed.findImage('frame_0.jpg').attributes.id).toBe('0');
+        });
+    });
+
+});
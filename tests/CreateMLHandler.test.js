@@ -0,0 +1,207 @@
+/**
+ * CreateMLHandler.test.js
+ * Tests for Apple CreateML JSON parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import CreateMLHandler from '../src/js/CreateMLHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('CreateMLHandler', () => {
+    let handler;
+
+    const sampleEntries = [
+        {
+            image: 'image1.jpg',
+            annotations: [
+                { label: 'person', coordinates: { x: 60, y: 120, width: 100, height: 200 } },
+                { label: 'car', coordinates: { x: 350.5, y: 230, width: 101, height: 60 }, confidence: 0.8 }
+            ]
+        },
+        {
+            image: 'subdir/image2.jpg',
+            annotations: [
+                { label: 'person', coordinates: { x: 10, y: 10, width: 20, height: 20 } }
+            ]
+        }
+    ];
+
+    beforeEach(() => {
+        handler = new CreateMLHandler();
+    });
+
+    describe('getName', () => {
+        it('should return createml', () => {
+            expect(handler.getName()).toBe('createml');
+        });
+    });
+
+    describe('JSON Parsing', () => {
+        it('should parse an array of entries', () => {
+            const entries = handler.parse(JSON.stringify(sampleEntries));
+            expect(entries).toHaveLength(2);
+        });
+
+        it('should throw error for invalid JSON', () => {
+            expect(() => handler.parse('not json')).toThrow('Invalid CreateML JSON format');
+        });
+
+        it('should reject arrays without any annotations list', () => {
+            expect(() => handler.parse('[]')).toThrow('Invalid CreateML JSON format');
+            expect(() => handler.parse(JSON.stringify([{ image: 'a.jpg' }]))).toThrow('Invalid CreateML JSON format');
+        });
+
+        it('should reject COCO documents', () => {
+            const coco = JSON.stringify({ images: [], annotations: [], categories: [] });
+            expect(() => handler.parse(coco)).toThrow('Invalid CreateML JSON format');
+        });
+    });
+
+    describe('Box Extraction', () => {
+        it('should convert center coordinates to top-left boxes', () => {
+            const boxes = handler.getBoxes(structuredClone(sampleEntries[0]));
+
+            expect(boxes).toHaveLength(2);
+            expect(boxes[0]).toMatchObject({ classId: 0, x: 10, y: 20, width: 100, height: 200 });
+            expect(boxes[1]).toMatchObject({ classId: 1, x: 300, y: 200, width: 101, height: 60 });
+        });
+
+        it('should collect classes in order of appearance', () => {
+            handler.getBoxes(structuredClone(sampleEntries[0]));
+            expect(handler.getClasses()).toEqual(['person', 'car']);
+        });
+
+        it('should keep extra annotation fields as attributes', () => {
+            const boxes = handler.getBoxes(structuredClone(sampleEntries[0]));
+
+            expect(boxes[0].attributes).toEqual({});
+            expect(boxes[1].attributes).toEqual({ confidence: 0.8 });
+        });
+    });
+
+    describe('Box Updates', () => {
+        it('should write boxes as center coordinates', () => {
+            const entry = { image: 'image1.jpg', annotations: [] };
+            handler.setBoxes(entry, [
+                { classId: 1, x: 5, y: 6, width: 10, height: 20 }
+            ], ['person', 'car']);
+
+            expect(entry.annotations).toEqual([
+                { label: 'car', coordinates: { x: 10, y: 16, width: 10, height: 20 } }
+            ]);
+        });
+
+        it('should round-trip boxes and attributes', () => {
+            const entry = structuredClone(sampleEntries[0]);
+            const boxes = handler.getBoxes(entry);
+            handler.setBoxes(entry, boxes, handler.getClasses());
+
+            expect(entry).toEqual(sampleEntries[0]);
+        });
+
+        it('should not write attributes of boxes from other formats', () => {
+            const entry = { image: 'image1.jpg', annotations: [] };
+            handler.setBoxes(entry, [{
+                classId: 0, x: 0, y: 0, width: 2, height: 2,
+                attributes: { truncated: 1, pose: 'Left' },
+                origin: { format: 'voc', key: 0 }
+            }], ['person']);
+
+            expect(entry.annotations).toEqual([
+                { label: 'person', coordinates: { x: 1, y: 1, width: 2, height: 2 } }
+            ]);
+        });
+
+        it('should write back the fields of the annotation each box was read from', () => {
+            const entry = structuredClone(sampleEntries[0]);
+            const boxes = handler.getBoxes(entry);
+
+            expect(boxes.map(box => box.origin)).toEqual([
+                { format: 'createml', key: 0 },
+                { format: 'createml', key: 1 }
+            ]);
+
+            handler.setBoxes(entry, [{ ...boxes[1], attributes: { ...boxes[1].attributes, truncated: 1 } }], handler.getClasses());
+            handler.setBoxes(entry, [boxes[1], boxes[0]], handler.getClasses());
+
+            expect(entry.annotations).toEqual(sampleEntries[0].annotations);
+        });
+    });
+
+    describe('Load and Save', () => {
+        const images = [
+            { id: 'img_1', fileName: 'image1.jpg', filePath: 'image1.jpg', width: 640, height: 480 },
+            { id: 'img_2', fileName: 'image2.jpg', filePath: 'image2.jpg', width: 640, height: 480 },
+            { id: 'img_3', fileName: 'image3.jpg', filePath: 'image3.jpg', width: 640, height: 480 }
+        ];
+
+        it('should load boxes and match entries by base name', async () => {
+            const fileManager = createFileManager({ '_annotations.createml.json': JSON.stringify(sampleEntries) });
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['person', 'car']);
+            expect(boxes.get('img_1')).toHaveLength(2);
+            expect(boxes.get('img_2')).toHaveLength(1);
+            expect(boxes.has('img_3')).toBe(false);
+        });
+
+        it('should prefer an exact image name over a base name match', async () => {
+            const entries = [
+                { image: 'other/image1.jpg', annotations: [] },
+                { image: 'image1.jpg', annotations: [{ label: 'cat', coordinates: { x: 5, y: 5, width: 2, height: 2 } }] }
+            ];
+            const fileManager = createFileManager({ '_annotations.createml.json': JSON.stringify(entries) });
+
+            const { boxes } = await handler.load(fileManager, images);
+
+            expect(boxes.get('img_1')).toHaveLength(1);
+            expect(handler.findEntry('image1.jpg')).toBe(handler.entries[1]);
+        });
+
+        it('should not detect an empty array', async () => {
+            const fileManager = createFileManager({ 'annotations.json': '[]' });
+
+            expect(await handler.detect(fileManager)).toBe(0);
+        });
+
+        it('should skip a COCO annotations.json', async () => {
+            const fileManager = createFileManager({
+                'annotations.json': JSON.stringify({ images: [], annotations: [], categories: [] })
+            });
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(boxes.size).toBe(0);
+            expect(classes).toEqual(['object']);
+            expect(handler.annotationFile).toBe('_annotations.createml.json');
+        });
+
+        it('should save to the file that was loaded', async () => {
+            const fileManager = createFileManager({ 'annotations.json': JSON.stringify(sampleEntries) });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], boxes.get('img_1').slice(1), classes);
+
+            const saved = JSON.parse(fileManager.files['annotations.json']);
+            expect(saved).toHaveLength(2);
+            expect(saved[0].annotations).toEqual([sampleEntries[0].annotations[1]]);
+            expect(saved[1]).toEqual(sampleEntries[1]);
+        });
+
+        it('should add entries for unannotated images', async () => {
+            const fileManager = createFileManager({});
+            await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[2], [
+                { classId: 0, x: 0, y: 0, width: 4, height: 2 }
+            ], ['object']);
+
+            const saved = JSON.parse(fileManager.files['_annotations.createml.json']);
+            expect(saved).toEqual([
+                { image: 'image3.jpg', annotations: [{ label: 'object', coordinates: { x: 2, y: 1, width: 4, height: 2 } }] }
+            ]);
+        });
+    });
+
+});
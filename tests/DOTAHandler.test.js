@@ -0,0 +1,152 @@
+/**
+ * DOTAHandler.test.js
+ * Tests for DOTA labelTxt parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import DOTAHandler from '../src/js/DOTAHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('DOTAHandler', () => {
+    let handler;
+
+    const sampleLabels = 'imagesource:GoogleEarth\n' +
+        'gsd:0.146343590398\n' +
+        '2753 2408 2861 2385 2888 2468 2805 2502 plane 0\n' +
+        '3445 3391 3484 3409 3478 3422 3437 3402 large-vehicle 1\n';
+
+    beforeEach(() => {
+        handler = new DOTAHandler();
+    });
+
+    describe('getName', () => {
+        it('should return dota', () => {
+            expect(handler.getName()).toBe('dota');
+        });
+
+        it('should allow rotated boxes', () => {
+            expect(handler.hasOrientedBoxes()).toBe(true);
+        });
+    });
+
+    describe('Label Paths', () => {
+        it('should place labels in the labelTxt folder', () => {
+            expect(handler.getLabelPath('P0001.png')).toBe('labelTxt/P0001.txt');
+        });
+    });
+
+    describe('Label Parsing', () => {
+        it('should read quadrilaterals as 4-point polygons', () => {
+            const { boxes } = handler.parse(sampleLabels);
+
+            expect(boxes).toHaveLength(2);
+            expect(boxes[0].shape).toBe('polygon');
+            expect(boxes[0].points).toEqual([
+                { x: 2753, y: 2408 }, { x: 2861, y: 2385 }, { x: 2888, y: 2468 }, { x: 2805, y: 2502 }
+            ]);
+            expect(boxes[0]).toMatchObject({ x: 2753, y: 2385, width: 135, height: 117 });
+        });
+
+        it('should collect categories and difficult flags', () => {
+            const { boxes } = handler.parse(sampleLabels);
+
+            expect(handler.getClasses()).toEqual(['plane', 'large-vehicle']);
+            expect(boxes[0].attributes).toEqual({ difficult: 0 });
+            expect(boxes[1].attributes).toEqual({ difficult: 1 });
+        });
+
+        it('should keep header lines', () => {
+            const { headers } = handler.parse(sampleLabels);
+            expect(headers).toEqual(['imagesource:GoogleEarth', 'gsd:0.146343590398']);
+        });
+
+        it('should detect coordinate precision', () => {
+            expect(handler.parse(sampleLabels).decimals).toBe(0);
+            expect(handler.parse('1.0 2.0 3.0 2.0 3.0 4.0 1.0 4.0 ship 0\n').decimals).toBe(1);
+        });
+
+        it('should default difficult to 0 when missing', () => {
+            const { boxes } = handler.parse('1 2 3 2 3 4 1 4 ship\n');
+            expect(boxes[0].attributes.difficult).toBe(0);
+        });
+
+        it('should skip malformed lines', () => {
+            const { boxes } = handler.parse('1 2 3 ship 0\nx 2 3 2 3 4 1 4 ship 0\n');
+            expect(boxes).toEqual([]);
+        });
+    });
+
+    describe('Label Stringification', () => {
+        it('should round-trip a label file byte for byte', () => {
+            const { headers, decimals, boxes } = handler.parse(sampleLabels);
+            expect(handler.stringify(boxes, handler.getClasses(), headers, decimals)).toBe(sampleLabels);
+        });
+
+        it('should write drawn boxes as four corners', () => {
+            const text = handler.stringify([
+                { classId: 0, x: 10, y: 20, width: 30, height: 40 }
+            ], ['ship']);
+
+            expect(text).toBe('10.0 20.0 40.0 20.0 40.0 60.0 10.0 60.0 ship 0\n');
+        });
+
+        it('should write rotated boxes as rotated corners', () => {
+            const text = handler.stringify([
+                { classId: 0, x: 0, y: 0, width: 20, height: 10, angle: Math.PI / 2 }
+            ], ['ship'], [], 0);
+
+            expect(text).toBe('15 -5 15 15 5 15 5 -5 ship 0\n');
+        });
+
+        it('should return empty string for no boxes and no headers', () => {
+            expect(handler.stringify([], ['ship'])).toBe('');
+        });
+    });
+
+    describe('Load and Save', () => {
+        const images = [
+            { id: 'img_1', fileName: 'P0001.png', filePath: 'P0001.png', width: 4000, height: 4000 },
+            { id: 'img_2', fileName: 'P0002.png', filePath: 'P0002.png', width: 4000, height: 4000 }
+        ];
+
+        it('should load boxes from the labelTxt folder', async () => {
+            const fileManager = createFileManager({ 'labelTxt/P0001.txt': sampleLabels });
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['plane', 'large-vehicle']);
+            expect(boxes.get('img_1')).toHaveLength(2);
+            expect(boxes.has('img_2')).toBe(false);
+        });
+
+        it('should keep headers and difficult flags when saving edits', async () => {
+            const fileManager = createFileManager({ 'labelTxt/P0001.txt': sampleLabels });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            const edited = boxes.get('img_1').slice(1).map(box => ({
+                ...box,
+                points: box.points.map(point => ({ x: point.x + 1, y: point.y }))
+            }));
+            await handler.save(fileManager, images[0], edited, classes);
+
+            expect(fileManager.files['labelTxt/P0001.txt']).toBe(
+                'imagesource:GoogleEarth\n' +
+                'gsd:0.146343590398\n' +
+                '3446 3391 3485 3409 3479 3422 3438 3402 large-vehicle 1\n'
+            );
+        });
+    });
+
+    describe('Export Losses', () => {
+        it('should keep quadrilaterals and rotated boxes only', () => {
+            const square = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+            const losses = handler.getExportLosses([
+                { classId: 0, shape: 'polygon', points: square },
+                { classId: 0, shape: 'polygon', points: [...square, { x: 0, y: 0.5 }] },
+                { classId: 0, x: 0, y: 0, width: 1, height: 1, angle: 0.5, attributes: { difficult: 1 } }
+            ]);
+
+            expect(losses).toEqual(['1 polygon(s) saved as bounding boxes']);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * FormatDetection.test.js
+ * Tests for picking the format of an opened folder from the registered handlers
+ */
+
+import { describe, it, expect } from 'vitest';
+import FormatRegistry from '../src/js/FormatRegistry.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('Format Detection', () => {
+    const cocoDataset = JSON.stringify({ images: [], annotations: [], categories: [] });
+    const vocXml = '<annotation><filename>image1.jpg</filename><object><name>cat</name></object></annotation>';
+    const kittiLine = 'Car 0.00 0 -1.57 100.00 120.00 200.00 220.00 1.5 1.6 3.9 1.0 1.5 20.0 -1.6\n';
+
+    // Each folder must be claimed by the expected format alone, with a higher confidence than any other
+    const folders = [
+        { name: 'YOLO labels next to the images', files: { 'image1.txt': '0 0.5 0.5 0.2 0.3\n' }, format: 'yolo' },
+        { name: 'YOLO labels in labels/<split>/', files: { 'labels/train/image1.txt': '1 0.1 0.1 0.9 0.1 0.9 0.9\n' }, format: 'yolo' },
+        { name: 'YOLO data.yaml', files: { 'data.yaml': 'names:\n  - cat\n' }, format: 'yolo' },
+        { name: 'YOLO classes.txt on its own', files: { 'classes.txt': 'cat\ndog\n', 'notes.txt': 'hello world\n' }, format: 'yolo', confidence: 0.5 },
+        { name: 'COCO file in annotations/', files: { 'annotations/instances_val.json': cocoDataset }, format: 'coco' },
+        { name: 'COCO annotations.json', files: { 'annotations.json': cocoDataset }, format: 'coco' },
+        { name: 'NDJSON dataset record', files: { 'dataset.ndjson': '{"type": "dataset", "task": "detect"}\n' }, format: 'ndjson' },
+        {
+            name: 'NDJSON first record cut off by the preview',
+            files: { 'dataset.ndjson': '{"type": "dataset", "class_names": {"0": "person"}}\n' },
+            previewLength: 40,
+            format: 'ndjson'
+        },
+        { name: 'VOC XML in Annotations/', files: { 'Annotations/image1.xml': vocXml }, format: 'voc' },
+        { name: 'CVAT annotations.xml', files: { 'annotations.xml': '<annotations><version>1.1</version></annotations>' }, format: 'cvat' },
+        { name: 'LabelMe JSON next to the images', files: { 'image1.json': JSON.stringify({ shapes: [], imagePath: 'image1.jpg' }) }, format: 'labelme' },
+        { name: 'LabelMe JSON in images/', files: { 'images/image1.json': JSON.stringify({ shapes: [], imagePath: 'image1.jpg' }) }, format: 'labelme' },
+        {
+            name: 'LabelMe JSON cut off by the preview',
+            files: { 'image1.json': JSON.stringify({ version: '5.0.1', shapes: [], imagePath: 'image1.jpg', imageData: 'iVBORw0KGgo' }) },
+            previewLength: 40,
+            format: 'labelme'
+        },
+        {
+            name: 'COCO annotations.json cut off by the preview',
+            files: { 'annotations.json': JSON.stringify({ images: [{ id: 1, file_name: 'a.jpg' }], annotations: [], categories: [] }) },
+            previewLength: 40,
+            format: 'coco'
+        },
+        {
+            name: 'CreateML annotations.json',
+            files: { 'annotations.json': JSON.stringify([{ image: 'a.jpg', annotations: [{ label: 'cat', coordinates: { x: 5, y: 5, width: 2, height: 2 } }] }]) },
+            format: 'createml'
+        },
+        { name: 'KITTI label_2/', files: { 'label_2/000000.txt': kittiLine }, format: 'kitti' },
+        { name: 'KITTI training/label_2/', files: { 'training/label_2/000000.txt': kittiLine }, format: 'kitti' },
+        { name: 'CSV annotations.csv', files: { 'annotations.csv': 'filename,xmin,ymin,xmax,ymax,class\na.jpg,1,2,3,4,cat\n' }, format: 'csv' },
+        { name: 'Label Studio export', files: { 'label_studio.json': JSON.stringify([{ id: 1, data: { image: 'a.jpg' }, annotations: [] }]) }, format: 'labelstudio' },
+        { name: 'VIA project', files: { 'via_project.json': JSON.stringify({ _via_img_metadata: {} }) }, format: 'via' },
+        { name: 'VIA project saved with a date', files: { 'via_project_12Mar2024_10h30m.json': JSON.stringify({ _via_img_metadata: {} }) }, format: 'via' },
+        { name: 'DOTA labelTxt/', files: { 'labelTxt/P0001.txt': '1 2 3 2 3 4 1 4 ship 0\n' }, format: 'dota' },
+        { name: 'MOT gt/gt.txt', files: { 'gt/gt.txt': '1,1,912,484,97,109,0,7,1\n' }, format: 'mot' },
+        { name: 'an empty folder', files: {}, format: null },
+        { name: 'unrelated JSON', files: { 'notes.json': JSON.stringify({ notes: [] }) }, format: null },
+        { name: 'XML without an annotations root', files: { 'annotations.xml': '<annotation><filename>a.jpg</filename></annotation>' }, format: null },
+        { name: 'KITTI folder with short lines', files: { 'label_2/000000.txt': 'car 0.5 0.5 0.1 0.1\n' }, format: null },
+        { name: 'a list of images without annotations', files: { 'annotations.json': JSON.stringify([{ image: 'a.jpg' }]) }, format: null },
+        { name: 'CSV without box columns', files: { 'annotations.csv': 'id,comment\n1,looks fine\n' }, format: null },
+        { name: 'gt.txt that is not comma separated', files: { 'gt/gt.txt': '1 1 912 484 97 109\n' }, format: null }
+    ];
+
+    it.each(folders)('should detect $name', async ({ files, previewLength, format, confidence }) => {
+        const fileManager = createFileManager(files, { previewLength });
+
+        const matches = await FormatRegistry.detect(FormatRegistry.createDefaultHandlers(), fileManager);
+
+        if (format === null) {
+            expect(matches).toEqual([]);
+            return;
+        }
+        expect(matches[0]).toEqual({ name: format, confidence: confidence || 1 });
+        matches.slice(1).forEach(match => {
+            expect(match.confidence).toBeLessThan(matches[0].confidence);
+        });
+    });
+
+    it('should list every built-in format once', () => {
+        const names = FormatRegistry.createDefaultHandlers().map(handler => handler.getName());
+
+        expect(names).toEqual([
+            'yolo', 'coco', 'ndjson', 'voc', 'cvat', 'labelme', 'createml',
+            'kitti', 'csv', 'labelstudio', 'via', 'dota', 'mot'
+        ]);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * FormatExport.test.js
+ * Tests for saving every image of a dataset at once (Save As)
+ */
+
+import { describe, it, expect } from 'vitest';
+import FormatRegistry from '../src/js/FormatRegistry.js';
+import FormatHandler from '../src/js/FormatHandler.js';
+import CSVHandler from '../src/js/CSVHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('Format Export', () => {
+    const images = ['000001.jpg', '000002.jpg', '000003.jpg'].map((fileName, index) => ({
+        id: `img_${index}`, fileName, filePath: `images/${fileName}`, width: 640, height: 480
+    }));
+    const classes = ['cat', 'dog'];
+    const boxesByImage = new Map(images.map((image, index) => [image.id, [
+        { classId: index % 2, x: 10 + index, y: 20, width: 100, height: 50 }
+    ]]));
+
+    /**
+     * Count the writes made through a file manager
+     * @param {Object} fileManager - Test file manager
+     * @returns {Array} Paths written, in order
+     */
+    const recordWrites = fileManager => {
+        const writes = [];
+        const { writeTextFile, writeTextChunks } = fileManager;
+        fileManager.writeTextFile = function (path, content) {
+            writes.push(path);
+            return writeTextFile.call(this, path, content);
+        };
+        fileManager.writeTextChunks = function (path, parts) {
+            writes.push(path);
+            return writeTextChunks.call(this, path, parts);
+        };
+        return writes;
+    };
+
+    const aggregateFormats = ['coco', 'ndjson', 'cvat', 'createml', 'csv', 'labelstudio', 'via', 'mot'];
+
+    it.each(aggregateFormats)('should write a %s dataset once for every image', async format => {
+        const handler = FormatRegistry.createDefaultHandlers().find(h => h.getName() === format);
+        const fileManager = createFileManager();
+        const writes = recordWrites(fileManager);
+
+        await handler.load(fileManager, images);
+        await handler.saveAll(fileManager, images, boxesByImage, classes);
+
+        expect(writes.length).toBe(1);
+
+        const reloaded = FormatRegistry.createDefaultHandlers().find(h => h.getName() === format);
+        const { boxes } = await reloaded.load(fileManager, images);
+        images.forEach(image => {
+            expect(boxes.get(image.id)).toHaveLength(1);
+            expect(boxes.get(image.id)[0].classId).toBe(boxesByImage.get(image.id)[0].classId);
+            expect(boxes.get(image.id)[0].x).toBeCloseTo(boxesByImage.get(image.id)[0].x, 1);
+        });
+    });
+
+    it('should save per-image formats one file per image', async () => {
+        const handler = FormatRegistry.createDefaultHandlers().find(h => h.getName() === 'yolo');
+        const fileManager = createFileManager();
+        const writes = recordWrites(fileManager);
+
+        await handler.load(fileManager, images);
+        await handler.saveAll(fileManager, images, boxesByImage, classes);
+
+        expect(writes.filter(path => path.startsWith('labels/'))).toEqual([
+            'labels/000001.txt', 'labels/000002.txt', 'labels/000003.txt'
+        ]);
+    });
+
+    it('should write COCO image paths from the export folder', async () => {
+        const handler = FormatRegistry.createDefaultHandlers().find(h => h.getName() === 'coco');
+        const fileManager = createFileManager();
+        handler.setImageRoot('../');
+
+        await handler.load(fileManager, images);
+        await handler.saveAll(fileManager, images, boxesByImage, classes);
+
+        const path = Object.keys(fileManager.files)[0];
+        const data = JSON.parse(fileManager.files[path]);
+        expect(data.images.map(image => image.file_name)).toEqual([
+            '../images/000001.jpg', '../images/000002.jpg', '../images/000003.jpg'
+        ]);
+
+        // Exporting again updates the same records
+        const again = FormatRegistry.createDefaultHandlers().find(h => h.getName() === 'coco');
+        again.setImageRoot('../');
+        const { boxes } = await again.load(fileManager, images);
+        expect(boxes.get('img_2')[0]).toMatchObject({ x: 12, classId: 0 });
+
+        await again.saveAll(fileManager, images, boxesByImage, classes);
+        expect(JSON.parse(fileManager.files[path]).images).toHaveLength(3);
+    });
+
+    it('should create export handlers of the same class and configuration', () => {
+        class SuffixHandler extends FormatHandler {
+            constructor(suffix) {
+                super();
+                this.suffix = suffix;
+            }
+
+            getName() {
+                return `custom${this.suffix}`;
+            }
+
+            clone() {
+                return new SuffixHandler(this.suffix);
+            }
+        }
+
+        const custom = new SuffixHandler('_v2').clone();
+        expect(custom).toBeInstanceOf(SuffixHandler);
+        expect(custom.getName()).toBe('custom_v2');
+
+        const csv = new CSVHandler();
+        expect(csv.clone()).toBeInstanceOf(CSVHandler);
+        expect(csv.clone()).not.toBe(csv);
+    });
+});
@@ -0,0 +1,33 @@
+/**
+ * Geometry.test.js
+ * Tests for the box, rotated box and corner point conversions
+ */
+
+import { describe, it, expect } from 'vitest';
+import Geometry from '../src/js/Geometry.js';
+
+describe('Geometry', () => {
+    it('should bound a polygon by its points', () => {
+        const points = [{ x: 30, y: 10 }, { x: 50, y: 40 }, { x: 10, y: 30 }];
+
+        expect(Geometry.pointsToPolygon(points)).toEqual({
+            shape: 'polygon', points, x: 10, y: 10, width: 40, height: 30
+        });
+    });
+
+    it('should give the corners of an unrotated box clockwise from top-left', () => {
+        expect(Geometry.boxToCorners({ x: 10, y: 20, width: 30, height: 40 })).toEqual([
+            { x: 10, y: 20 }, { x: 40, y: 20 }, { x: 40, y: 60 }, { x: 10, y: 60 }
+        ]);
+    });
+
+    it('should turn the corners of a rotated box back into the same box', () => {
+        const box = { x: 100, y: 50, width: 80, height: 20, angle: Math.PI / 6 };
+
+        const result = Geometry.cornersToBox(Geometry.boxToCorners(box));
+
+        Object.keys(box).forEach(key => {
+            expect(result[key]).toBeCloseTo(box[key], 6);
+        });
+    });
+});
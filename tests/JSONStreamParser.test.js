@@ -0,0 +1,90 @@
+/**
+ * JSONStreamParser.test.js
+ * Tests for incremental parsing of large JSON objects
+ */
+
+import { describe, it, expect } from 'vitest';
+import JSONStreamParser from '../src/js/JSONStreamParser.js';
+
+/**
+ * Parse text written in chunks of the given size and rebuild the object
+ * @param {string} text - JSON text
+ * @param {number} size - Chunk size
+ * @returns {Object} {data, calls}
+ */
+function parseInChunks(text, size) {
+    const data = {};
+    const calls = [];
+    const parser = new JSONStreamParser({
+        onValue: (key, value) => {
+            calls.push(['value', key]);
+            data[key] = value;
+        },
+        onElement: (key, element) => {
+            calls.push(['element', key]);
+            data[key].push(element);
+        }
+    });
+    for (let i = 0; i < text.length; i += size) {
+        parser.write(text.substring(i, i + size));
+    }
+    parser.end();
+    return { data, calls };
+}
+
+describe('JSONStreamParser', () => {
+    const coco = {
+        info: { description: 'Tricky "quotes", {braces} and [brackets]', year: 2024 },
+        'key with \\"escapes\\"': 'value\\\\',
+        images: [
+            { id: 1, file_name: 'a ].jpg', width: 640, height: 480 },
+            { id: 2, file_name: 'b.jpg', width: 640, height: 480 }
+        ],
+        annotations: [
+            { id: 1, image_id: 1, bbox: [1.5, 2, 3, 4], segmentation: [[1, 2, 3, 4, 5, 6]], extra: null }
+        ],
+        categories: [],
+        licenses: [1, "two", true, null, [3]],
+        count: -12.5e3,
+        done: false
+    };
+
+    it('should rebuild the object for any chunk size', () => {
+        const text = JSON.stringify(coco, null, 2);
+        for (const size of [1, 2, 3, 7, 64, text.length]) {
+            expect(parseInChunks(text, size).data).toEqual(coco);
+        }
+    });
+
+    it('should pass arrays on one element at a time', () => {
+        const { calls } = parseInChunks(JSON.stringify({ info: {}, images: [{ id: 1 }, { id: 2 }], n: 1 }), 5);
+
+        expect(calls).toEqual([
+            ['value', 'info'],
+            ['value', 'images'],
+            ['element', 'images'],
+            ['element', 'images'],
+            ['value', 'n']
+        ]);
+    });
+
+    it('should parse an empty object', () => {
+        expect(parseInChunks(' {} \n', 1).data).toEqual({});
+    });
+
+    it('should reject text that is not an object', () => {
+        expect(() => parseInChunks('[1, 2]', 4)).toThrow('Expected a JSON object');
+    });
+
+    it('should reject an incomplete object', () => {
+        expect(() => parseInChunks('{"images": [{"id": 1}', 4)).toThrow('Unexpected end of JSON');
+    });
+
+    it('should reject invalid values', () => {
+        expect(() => parseInChunks('{"a": nope}', 4)).toThrow();
+    });
+
+    it('should reject text after the object', () => {
+        expect(() => parseInChunks('{"a": 1} {"b": 2}', 4)).toThrow('Unexpected text after JSON object');
+    });
+});
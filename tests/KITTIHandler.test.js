@@ -0,0 +1,135 @@
+/**
+ * KITTIHandler.test.js
+ * Tests for KITTI label_2 parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import KITTIHandler from '../src/js/KITTIHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('KITTIHandler', () => {
+    let handler;
+
+    const sampleLabels = 'Car 0.00 0 -1.58 587.01 173.33 614.12 200.12 1.65 1.67 3.64 -0.65 1.71 46.70 -1.59\n' +
+        'Pedestrian 0.27 2 0.21 423.17 173.67 433.17 224.03 1.60 0.38 0.30 -5.12 1.85 28.96 0.04\n' +
+        'DontCare -1 -1 -10 503.89 169.71 590.61 190.13 -1 -1 -1 -1000 -1000 -1000 -10\n';
+
+    beforeEach(() => {
+        handler = new KITTIHandler();
+    });
+
+    describe('getName', () => {
+        it('should return kitti', () => {
+            expect(handler.getName()).toBe('kitti');
+        });
+    });
+
+    describe('Label Paths', () => {
+        it('should place labels in the label_2 folder', () => {
+            expect(handler.getLabelPath('000123.png')).toBe('label_2/000123.txt');
+            expect(handler.getLabelPath('image_2/000123.png')).toBe('label_2/000123.txt');
+        });
+
+        it('should pair training/image_2 with training/label_2', () => {
+            expect(handler.getLabelPath('training/image_2/000123.png')).toBe('training/label_2/000123.txt');
+            expect(handler.getLabelPath('images/000123.png')).toBe('label_2/000123.txt');
+        });
+
+        it('should scan image_2/ and training/image_2/ for images', async () => {
+            expect(await handler.getImageFolders(createFileManager({}))).toEqual(['image_2', 'training/image_2']);
+        });
+    });
+
+    describe('Label Parsing', () => {
+        it('should parse corner coordinates into boxes', () => {
+            const boxes = handler.parse(sampleLabels);
+
+            expect(boxes).toHaveLength(3);
+            expect(boxes[0].classId).toBe(0);
+            expect(boxes[0].x).toBe(587.01);
+            expect(boxes[0].y).toBe(173.33);
+            expect(boxes[0].width).toBeCloseTo(27.11, 5);
+            expect(boxes[0].height).toBeCloseTo(26.79, 5);
+        });
+
+        it('should collect types in order of appearance', () => {
+            handler.parse(sampleLabels);
+            expect(handler.getClasses()).toEqual(['Car', 'Pedestrian', 'DontCare']);
+        });
+
+        it('should keep truncated, occluded and 3D fields as attributes', () => {
+            const boxes = handler.parse(sampleLabels);
+
+            expect(boxes[1].attributes).toEqual({
+                truncated: '0.27',
+                occluded: '2',
+                alpha: '0.21',
+                dimensions: '1.60 0.38 0.30',
+                location: '-5.12 1.85 28.96',
+                rotation_y: '0.04'
+            });
+        });
+
+        it('should read the optional score column', () => {
+            const boxes = handler.parse('Car 0.00 0 -1.58 1 2 3 4 1.65 1.67 3.64 -0.65 1.71 46.70 -1.59 0.93');
+            expect(boxes[0].attributes.score).toBe('0.93');
+        });
+
+        it('should skip incomplete lines', () => {
+            expect(handler.parse('Car 0.00 0 -1.58 1 2 3 4\n')).toEqual([]);
+        });
+    });
+
+    describe('Label Stringification', () => {
+        it('should round-trip a label file byte for byte', () => {
+            const boxes = handler.parse(sampleLabels);
+            expect(handler.stringify(boxes, handler.getClasses())).toBe(sampleLabels);
+        });
+
+        it('should keep 3D fields when the 2D box is edited', () => {
+            const boxes = handler.parse(sampleLabels);
+            boxes[0].x = 500;
+            boxes[0].width = 100;
+
+            const line = handler.stringify([boxes[0]], handler.getClasses());
+
+            expect(line).toBe('Car 0.00 0 -1.58 500.00 173.33 600.00 200.12 1.65 1.67 3.64 -0.65 1.71 46.70 -1.59\n');
+        });
+
+        it('should write unknown 3D values for new boxes', () => {
+            const line = handler.stringify([{ classId: 0, x: 10, y: 20, width: 30, height: 40 }], ['Van']);
+            expect(line).toBe('Van 0.00 0 -10 10.00 20.00 40.00 60.00 -1 -1 -1 -1000 -1000 -1000 -10\n');
+        });
+
+        it('should return empty string for no boxes', () => {
+            expect(handler.stringify([], ['Car'])).toBe('');
+        });
+    });
+
+    describe('Load and Save', () => {
+        const images = [
+            { id: 'img_1', fileName: '000000.png', filePath: '000000.png', width: 1242, height: 375 },
+            { id: 'img_2', fileName: '000001.png', filePath: '000001.png', width: 1242, height: 375 }
+        ];
+
+        it('should load boxes from the label_2 folder', async () => {
+            const fileManager = createFileManager({ 'label_2/000000.txt': sampleLabels });
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['Car', 'Pedestrian', 'DontCare']);
+            expect(boxes.get('img_1')).toHaveLength(3);
+            expect(boxes.has('img_2')).toBe(false);
+        });
+
+        it('should write the label file for the image', async () => {
+            const fileManager = createFileManager({ 'label_2/000000.txt': sampleLabels });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], boxes.get('img_1'), classes);
+
+            expect(fileManager.files['label_2/000000.txt']).toBe(sampleLabels);
+        });
+    });
+
+});
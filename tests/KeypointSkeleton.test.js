@@ -0,0 +1,53 @@
+/**
+ * KeypointSkeleton.test.js
+ * Tests for keypoint skeleton definitions and their dialog text form
+ */
+
+import { describe, it, expect } from 'vitest';
+import KeypointSkeleton from '../src/js/KeypointSkeleton.js';
+
+describe('KeypointSkeleton', () => {
+    it('should define the COCO person skeleton with valid edges', () => {
+        const { keypoints, skeleton } = KeypointSkeleton.cocoPerson();
+
+        expect(keypoints).toHaveLength(17);
+        expect(skeleton).toHaveLength(19);
+        skeleton.flat().forEach(index => {
+            expect(index).toBeGreaterThanOrEqual(0);
+            expect(index).toBeLessThan(17);
+        });
+    });
+
+    it('should number keypoints for other counts', () => {
+        expect(KeypointSkeleton.forCount(3)).toEqual({ keypoints: ['kp1', 'kp2', 'kp3'], skeleton: [] });
+        expect(KeypointSkeleton.forCount(17)).toEqual(KeypointSkeleton.cocoPerson());
+    });
+
+    it('should pair left and right keypoints for flips', () => {
+        expect(KeypointSkeleton.getFlipIndex(KeypointSkeleton.cocoPerson().keypoints))
+            .toEqual([0, 2, 1, 4, 3, 6, 5, 8, 7, 10, 9, 12, 11, 14, 13, 16, 15]);
+        expect(KeypointSkeleton.getFlipIndex(['Left Hand', 'head', 'Right Hand'])).toEqual([2, 1, 0]);
+        expect(KeypointSkeleton.getFlipIndex(['kp1', 'kp2'])).toBeNull();
+    });
+
+    it('should parse names and 1-based edges', () => {
+        expect(KeypointSkeleton.parse(' head, hand ,foot, ', '1-2, 1 - 3')).toEqual({
+            keypoints: ['head', 'hand', 'foot'],
+            skeleton: [[0, 1], [0, 2]]
+        });
+        expect(KeypointSkeleton.parse('  ', '1-2')).toBeNull();
+    });
+
+    it('should reject edges to missing keypoints', () => {
+        expect(() => KeypointSkeleton.parse('a, b', '1-3')).toThrow('Invalid edge "1-3"');
+        expect(() => KeypointSkeleton.parse('a, b', '1')).toThrow('Invalid edge "1"');
+    });
+
+    it('should format a skeleton back to text', () => {
+        const text = KeypointSkeleton.format({ keypoints: ['head', 'hand'], skeleton: [[0, 1]] });
+
+        expect(text).toEqual({ names: 'head, hand', edges: '1-2' });
+        expect(KeypointSkeleton.parse(text.names, text.edges)).toEqual({ keypoints: ['head', 'hand'], skeleton: [[0, 1]] });
+        expect(KeypointSkeleton.format(null)).toEqual({ names: '', edges: '' });
+    });
+});
@@ -0,0 +1,295 @@
+/**
+ * LabelMeHandler.test.js
+ * Tests for LabelMe JSON parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import LabelMeHandler from '../src/js/LabelMeHandler.js';
+import Geometry from '../src/js/Geometry.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('LabelMeHandler', () => {
+    let handler;
+
+    const sampleDocument = {
+        version: '5.2.1',
+        flags: { reviewed: true },
+        shapes: [
+            {
+                label: 'person',
+                points: [[110, 220], [10, 20]],
+                group_id: 3,
+                description: 'left edge',
+                shape_type: 'rectangle',
+                flags: {}
+            },
+            {
+                label: 'road',
+                points: [[0, 400], [640, 400], [640, 480], [0, 480]],
+                group_id: null,
+                shape_type: 'polygon',
+                flags: {}
+            },
+            {
+                label: 'car',
+                points: [[300, 200], [400, 260]],
+                group_id: null,
+                shape_type: 'rectangle',
+                flags: { parked: true }
+            }
+        ],
+        imagePath: 'image1.jpg',
+        imageData: null,
+        imageHeight: 480,
+        imageWidth: 640
+    };
+
+    beforeEach(() => {
+        handler = new LabelMeHandler();
+    });
+
+    describe('getName', () => {
+        it('should return labelme', () => {
+            expect(handler.getName()).toBe('labelme');
+        });
+    });
+
+    describe('Label Paths', () => {
+        it('should use a .json sidecar with the image base name', () => {
+            expect(handler.getLabelPath('image1.jpg')).toBe('image1.json');
+            expect(handler.getLabelPath('photo.v2.png')).toBe('photo.v2.json');
+        });
+
+        it('should place the sidecar in the folder of the image', () => {
+            expect(handler.getLabelPath('images/image1.jpg')).toBe('images/image1.json');
+            expect(handler.getLabelPath('images/train/a.jpg')).not.toBe(handler.getLabelPath('images/val/a.jpg'));
+        });
+    });
+
+    describe('JSON Parsing', () => {
+        it('should parse a valid document', () => {
+            const document = handler.parse(JSON.stringify(sampleDocument));
+            expect(document.shapes).toHaveLength(3);
+        });
+
+        it('should throw error for invalid JSON', () => {
+            expect(() => handler.parse('not json')).toThrow('Invalid LabelMe JSON format');
+        });
+
+        it('should throw error when shapes are missing', () => {
+            expect(() => handler.parse('{"version": "5.0.1"}')).toThrow('Invalid LabelMe JSON format');
+        });
+    });
+
+    describe('Box Extraction', () => {
+        it('should convert rectangles to boxes with normalized corners', () => {
+            const boxes = handler.getBoxes(structuredClone(sampleDocument));
+
+            expect(boxes).toHaveLength(3);
+            expect(boxes[0]).toMatchObject({ classId: 0, x: 10, y: 20, width: 100, height: 200 });
+            expect(boxes[2]).toMatchObject({ classId: 2, x: 300, y: 200, width: 100, height: 60 });
+        });
+
+        it('should convert polygons to polygon boxes', () => {
+            const boxes = handler.getBoxes(structuredClone(sampleDocument));
+
+            expect(boxes[1]).toMatchObject({ classId: 1, shape: 'polygon', x: 0, y: 400, width: 640, height: 80 });
+            expect(boxes[1].points).toEqual([{ x: 0, y: 400 }, { x: 640, y: 400 }, { x: 640, y: 480 }, { x: 0, y: 480 }]);
+        });
+
+        it('should only collect classes from rectangles and polygons', () => {
+            const document = structuredClone(sampleDocument);
+            document.shapes.push({ label: 'tip', points: [[5, 5]], group_id: null, shape_type: 'point', flags: {} });
+
+            handler.getBoxes(document);
+
+            expect(handler.getClasses()).toEqual(['person', 'road', 'car']);
+        });
+
+        it('should keep extra shape fields as attributes', () => {
+            const boxes = handler.getBoxes(structuredClone(sampleDocument));
+
+            expect(boxes[0].attributes).toEqual({ group_id: 3, description: 'left edge', flags: {} });
+            expect(boxes[2].attributes.flags).toEqual({ parked: true });
+        });
+    });
+
+    describe('Box Updates', () => {
+        it('should keep other shapes untouched and in place', () => {
+            const document = structuredClone(sampleDocument);
+            const point = { label: 'tip', points: [[5, 5]], group_id: null, shape_type: 'point', flags: {} };
+            document.shapes.splice(1, 0, point);
+
+            const boxes = handler.getBoxes(document);
+            handler.setBoxes(document, boxes, handler.getClasses());
+
+            expect(document.shapes.map(shape => shape.label)).toEqual(['person', 'tip', 'road', 'car']);
+            expect(document.shapes.slice(1)).toEqual([point, ...sampleDocument.shapes.slice(1)]);
+
+            handler.setBoxes(document, [], handler.getClasses());
+            expect(document.shapes).toEqual([point]);
+        });
+
+        it('should write boxes back in the places of their own shapes', () => {
+            const document = structuredClone(sampleDocument);
+            const point = { label: 'tip', points: [[5, 5]], group_id: null, shape_type: 'point', flags: {} };
+            document.shapes.splice(1, 0, point);
+
+            const boxes = handler.getBoxes(document);
+            handler.setBoxes(document, [...boxes.slice(1), { classId: 0, x: 0, y: 0, width: 1, height: 1 }], handler.getClasses());
+
+            expect(document.shapes.map(shape => shape.label)).toEqual(['tip', 'road', 'car', 'person']);
+            expect(document.shapes.slice(0, 3)).toEqual([point, ...sampleDocument.shapes.slice(1)]);
+            expect(Object.keys(document.shapes[2])).toEqual(Object.keys(sampleDocument.shapes[2]));
+
+            handler.setBoxes(document, boxes, handler.getClasses());
+            expect(document.shapes.map(shape => shape.label)).toEqual(['person', 'tip', 'road', 'car']);
+        });
+
+        it('should write boxes as rectangle shapes', () => {
+            const document = structuredClone(sampleDocument);
+            handler.setBoxes(document, [
+                { classId: 1, x: 5, y: 6, width: 10, height: 20 }
+            ], ['person', 'car']);
+
+            expect(document.shapes).toHaveLength(1);
+            expect(document.shapes[0]).toEqual({
+                label: 'car',
+                points: [[5, 6], [15, 26]],
+                group_id: null,
+                shape_type: 'rectangle',
+                flags: {}
+            });
+        });
+
+        it('should write polygon boxes as polygon shapes after the existing ones', () => {
+            const document = structuredClone(sampleDocument);
+            const boxes = handler.getBoxes(document);
+            const points = [{ x: 1, y: 2 }, { x: 3, y: 4 }, { x: 5, y: 2 }];
+            boxes.push({ classId: 0, shape: 'polygon', points, ...Geometry.pointsToPolygon(points) });
+
+            handler.setBoxes(document, boxes, handler.getClasses());
+
+            expect(document.shapes.slice(1, 3)).toEqual(sampleDocument.shapes.slice(1));
+            expect(document.shapes[3]).toEqual({
+                label: 'person',
+                points: [[1, 2], [3, 4], [5, 2]],
+                group_id: null,
+                shape_type: 'polygon',
+                flags: {}
+            });
+        });
+
+        it('should restore extra shape fields from attributes', () => {
+            const document = structuredClone(sampleDocument);
+            const boxes = handler.getBoxes(document);
+            handler.setBoxes(document, boxes, handler.getClasses());
+
+            const person = document.shapes.find(shape => shape.label === 'person');
+            expect(person.group_id).toBe(3);
+            expect(person.description).toBe('left edge');
+        });
+
+        it('should keep top-level document fields', () => {
+            const document = structuredClone(sampleDocument);
+            handler.setBoxes(document, [], []);
+
+            const output = JSON.parse(handler.stringify(document));
+            expect(output.version).toBe('5.2.1');
+            expect(output.flags).toEqual({ reviewed: true });
+            expect(output.imageHeight).toBe(480);
+        });
+    });
+
+    describe('Load and Save', () => {
+        const images = [
+            { id: 'img_1', fileName: 'image1.jpg', filePath: 'image1.jpg', width: 640, height: 480 },
+            { id: 'img_2', fileName: 'image2.jpg', filePath: 'image2.jpg', width: 640, height: 480 }
+        ];
+
+        it('should load boxes and classes from sidecars', async () => {
+            const fileManager = createFileManager({ 'image1.json': JSON.stringify(sampleDocument) });
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['person', 'road', 'car']);
+            expect(boxes.get('img_1')).toHaveLength(3);
+            expect(boxes.has('img_2')).toBe(false);
+        });
+
+        it('should skip files that are not LabelMe documents', async () => {
+            const fileManager = createFileManager({ 'image1.json': '{"images": []}' });
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(boxes.size).toBe(0);
+            expect(classes).toEqual(['object']);
+        });
+
+        it('should save edits keeping the shape order', async () => {
+            const fileManager = createFileManager({ 'image1.json': JSON.stringify(sampleDocument) });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], boxes.get('img_1').slice(1), classes);
+
+            const saved = JSON.parse(fileManager.files['image1.json']);
+            expect(saved.shapes.map(shape => shape.label)).toEqual(['road', 'car']);
+            expect(saved.shapes[0]).toEqual(sampleDocument.shapes[1]);
+        });
+
+        it('should write unchanged shapes back in their order', async () => {
+            const document = structuredClone(sampleDocument);
+            document.shapes[0].points = [[10, 20], [110, 220]];
+            const fileManager = createFileManager({ 'image1.json': handler.stringify(document) });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], boxes.get('img_1'), classes);
+
+            expect(JSON.parse(fileManager.files['image1.json'])).toEqual(document);
+        });
+
+        it('should read and write sidecars next to images in subfolders', async () => {
+            const folderImages = [
+                { id: 'img_1', fileName: 'a.jpg', filePath: 'images/train/a.jpg', width: 640, height: 480 },
+                { id: 'img_2', fileName: 'a.jpg', filePath: 'images/val/a.jpg', width: 640, height: 480 }
+            ];
+            const fileManager = createFileManager({ 'images/train/a.json': JSON.stringify(sampleDocument) });
+            const { boxes, classes } = await handler.load(fileManager, folderImages);
+
+            expect(boxes.get('img_1')).toHaveLength(3);
+            expect(boxes.has('img_2')).toBe(false);
+
+            await handler.save(fileManager, folderImages[1], [{ classId: 0, x: 1, y: 2, width: 3, height: 4 }], classes);
+
+            expect(JSON.parse(fileManager.files['images/val/a.json']).shapes).toHaveLength(1);
+            expect(JSON.parse(fileManager.files['images/train/a.json'])).toEqual(sampleDocument);
+            expect(fileManager.files['a.json']).toBeUndefined();
+        });
+
+        it('should forget the documents of a previous folder when loading', async () => {
+            await handler.load(createFileManager({ 'image1.json': JSON.stringify(sampleDocument) }), images);
+
+            const fileManager = createFileManager({});
+            await handler.load(fileManager, images);
+            await handler.save(fileManager, images[0], [], ['object']);
+
+            expect(JSON.parse(fileManager.files['image1.json']).shapes).toEqual([]);
+            expect(JSON.parse(fileManager.files['image1.json']).version).not.toBe('5.2.1');
+        });
+
+        it('should create a new document for unannotated images', async () => {
+            const fileManager = createFileManager({});
+            await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[1], [
+                { classId: 0, x: 1, y: 2, width: 3, height: 4 }
+            ], ['object']);
+
+            const saved = JSON.parse(fileManager.files['image2.json']);
+            expect(saved.imagePath).toBe('image2.jpg');
+            expect(saved.imageWidth).toBe(640);
+            expect(saved.shapes).toHaveLength(1);
+        });
+    });
+
+});
@@ -0,0 +1,250 @@
+/**
+ * LabelStudioHandler.test.js
+ * Tests for Label Studio JSON task export parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import LabelStudioHandler from '../src/js/LabelStudioHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('LabelStudioHandler', () => {
+    let handler;
+
+    const image1 = { id: 'img_1', fileName: 'image1.jpg', filePath: 'image1.jpg', width: 200, height: 100 };
+    const image2 = { id: 'img_2', fileName: 'image2.jpg', filePath: 'image2.jpg', width: 200, height: 100 };
+
+    const sampleTasks = [
+        {
+            id: 1,
+            data: { image: '/data/upload/3/8f2e1a-image1.jpg' },
+            annotations: [
+                {
+                    id: 10,
+                    was_cancelled: true,
+                    result: []
+                },
+                {
+                    id: 11,
+                    result: [
+                        {
+                            id: 'abc123xyz0',
+                            type: 'rectanglelabels',
+                            from_name: 'bbox',
+                            to_name: 'img',
+                            original_width: 200,
+                            original_height: 100,
+                            image_rotation: 0,
+                            value: { x: 10, y: 20, width: 50, height: 40, rotation: 0, rectanglelabels: ['Car'] }
+                        },
+                        {
+                            id: 'choice0001',
+                            type: 'choices',
+                            from_name: 'quality',
+                            to_name: 'img',
+                            value: { choices: ['good'] }
+                        }
+                    ]
+                }
+            ],
+            predictions: []
+        }
+    ];
+
+    beforeEach(() => {
+        handler = new LabelStudioHandler();
+    });
+
+    describe('getName', () => {
+        it('should return labelstudio', () => {
+            expect(handler.getName()).toBe('labelstudio');
+        });
+
+        it('should have a display name', () => {
+            expect(handler.getLabel()).toBe('Label Studio');
+        });
+    });
+
+    describe('JSON Parsing', () => {
+        it('should parse a task list', () => {
+            expect(handler.parse(JSON.stringify(sampleTasks))).toHaveLength(1);
+        });
+
+        it('should throw error for invalid JSON', () => {
+            expect(() => handler.parse('{')).toThrow('Invalid Label Studio JSON format');
+        });
+
+        it('should reject arrays that are not tasks', () => {
+            expect(() => handler.parse('[{"image": "a.jpg"}]')).toThrow('Invalid Label Studio JSON format');
+        });
+    });
+
+    describe('Image Matching', () => {
+        it('should read file names from image URLs', () => {
+            expect(handler.getImageName('/data/upload/3/8f2e1a-image1.jpg')).toBe('8f2e1a-image1.jpg');
+            expect(handler.getImageName('/data/local-files/?d=photos/my%20image.jpg')).toBe('my image.jpg');
+            expect(handler.getImageName('s3://bucket/photos/image1.jpg')).toBe('image1.jpg');
+        });
+
+        it('should use names that are not percent-encoded as written', () => {
+            expect(handler.getImageName('/data/upload/3/8f2e1a-100%_crop.jpg')).toBe('8f2e1a-100%_crop.jpg');
+        });
+
+        it('should prefer an exact image name over a random prefix match', () => {
+            handler.tasks = [
+                { data: { image: '/data/upload/3/8f2e1a-image1.jpg' } },
+                { data: { image: '/data/local-files/?d=photos/100%_crop.jpg' } },
+                { data: { image: 's3://bucket/image1.jpg' } }
+            ];
+            expect(handler.findTask('image1.jpg')).toBe(handler.tasks[2]);
+            expect(handler.findTask('100%_crop.jpg')).toBe(handler.tasks[1]);
+        });
+
+        it('should match uploads with a random prefix', () => {
+            handler.tasks = structuredClone(sampleTasks);
+            expect(handler.findTask('image1.jpg')).toBe(handler.tasks[0]);
+            expect(handler.findTask('image2.jpg')).toBeUndefined();
+        });
+    });
+
+    describe('Box Conversion', () => {
+        it('should convert percent coordinates to pixels', () => {
+            const boxes = handler.getBoxes(structuredClone(sampleTasks[0]), image1);
+
+            expect(boxes).toHaveLength(1);
+            expect(boxes[0]).toMatchObject({ classId: 0, x: 20, y: 20, width: 100, height: 40 });
+            expect(handler.getClasses()).toEqual(['Car']);
+        });
+
+        it('should skip cancelled annotations', () => {
+            const task = structuredClone(sampleTasks[0]);
+            task.annotations[1].was_cancelled = true;
+            expect(handler.getBoxes(task, image1)).toEqual([]);
+        });
+
+        it('should keep result fields as attributes', () => {
+            const boxes = handler.getBoxes(structuredClone(sampleTasks[0]), image1);
+
+            expect(boxes[0].attributes).toMatchObject({ id: 'abc123xyz0', from_name: 'bbox', to_name: 'img' });
+        });
+
+        it('should convert top-left rotation to a centered angle', () => {
+            const task = structuredClone(sampleTasks[0]);
+            task.annotations[1].result[0].value = { x: 50, y: 50, width: 10, height: 20, rotation: 90, rectanglelabels: ['Car'] };
+
+            const [box] = handler.getBoxes(task, image1);
+
+            // Rotating 90° about the top-left corner puts the center 10px left and 10px down
+            expect(box.angle).toBeCloseTo(Math.PI / 2, 6);
+            expect(box.x + box.width / 2).toBeCloseTo(90, 6);
+            expect(box.y + box.height / 2).toBeCloseTo(60, 6);
+            expect(handler.hasOrientedBoxes()).toBe(true);
+        });
+
+        it('should write rotated boxes back to the same value', () => {
+            const task = structuredClone(sampleTasks[0]);
+            const value = { x: 50, y: 50, width: 10, height: 20, rotation: 30, rectanglelabels: ['Car'] };
+            task.annotations[1].result[0].value = value;
+
+            const boxes = handler.getBoxes(task, image1);
+            handler.setBoxes(task, image1, boxes, handler.getClasses());
+
+            const written = task.annotations[1].result[0].value;
+            ['x', 'y', 'width', 'height', 'rotation'].forEach(key => {
+                expect(written[key]).toBeCloseTo(value[key], 6);
+            });
+        });
+
+        it('should keep other results and write rectangles in their places', () => {
+            const task = structuredClone(sampleTasks[0]);
+            const boxes = handler.getBoxes(task, image1);
+
+            handler.setBoxes(task, image1, boxes, handler.getClasses());
+
+            const result = task.annotations[1].result;
+            expect(result.map(item => item.type)).toEqual(['rectanglelabels', 'choices']);
+            expect(result[0]).toMatchObject({ id: 'abc123xyz0', from_name: 'bbox', to_name: 'img' });
+            expect(result[0].value.x).toBeCloseTo(10, 6);
+            expect(result[0].value.rectanglelabels).toEqual(['Car']);
+            expect(result[1]).toBe(task.annotations[1].result[1]);
+        });
+
+        it('should write rectangles back with the fields they were read with', () => {
+            const task = structuredClone(sampleTasks[0]);
+            const boxes = handler.getBoxes(task, image1);
+
+            handler.setBoxes(task, image1, boxes, handler.getClasses());
+            handler.setBoxes(task, image1, boxes, handler.getClasses());
+
+            expect(task.annotations[1].result).toEqual([
+                { ...sampleTasks[0].annotations[1].result[0], value: expect.any(Object) },
+                sampleTasks[0].annotations[1].result[1]
+            ]);
+            expect(Object.keys(task.annotations[1].result[0]).slice(-2)).toEqual(['type', 'value']);
+        });
+
+        it('should not write attributes of boxes from other formats', () => {
+            const task = structuredClone(sampleTasks[0]);
+            handler.getBoxes(task, image1);
+
+            handler.setBoxes(task, image1, [{
+                classId: 0, x: 0, y: 0, width: 20, height: 10,
+                attributes: { type: 'bbox', id: 7, iscrowd: 0 },
+                origin: { format: 'coco', key: 0 }
+            }], ['Car']);
+
+            const result = task.annotations[1].result[1];
+            expect(result.type).toBe('rectanglelabels');
+            expect(result.id).toMatch(/^[a-z0-9]{10}$/);
+            expect(result).not.toHaveProperty('iscrowd');
+            expect(handler.getBoxes(task, image1)).toHaveLength(1);
+        });
+
+        it('should give new rectangles an ID and the known control names', () => {
+            const task = structuredClone(sampleTasks[0]);
+            handler.getBoxes(task, image1);
+
+            handler.setBoxes(task, image1, [{ classId: 0, x: 0, y: 0, width: 20, height: 10 }], ['Car']);
+
+            const result = task.annotations[1].result[1];
+            expect(result.id).toMatch(/^[a-z0-9]{10}$/);
+            expect(result).toMatchObject({ from_name: 'bbox', to_name: 'img', original_width: 200, original_height: 100 });
+            expect(result.value).toEqual({ x: 0, y: 0, width: 10, height: 10, rotation: 0, rectanglelabels: ['Car'] });
+        });
+    });
+
+    describe('Load and Save', () => {
+        it('should load boxes for matching images', async () => {
+            const fileManager = createFileManager({ 'label_studio.json': JSON.stringify(sampleTasks) });
+
+            const { boxes, classes } = await handler.load(fileManager, [image1, image2]);
+
+            expect(classes).toEqual(['Car']);
+            expect(boxes.get('img_1')).toHaveLength(1);
+            expect(boxes.has('img_2')).toBe(false);
+            expect(handler.hasOrientedBoxes()).toBe(false);
+        });
+
+        it('should skip a COCO annotations.json', async () => {
+            const fileManager = createFileManager({ 'annotations.json': '{"images": []}' });
+
+            const { classes } = await handler.load(fileManager, [image1]);
+
+            expect(classes).toEqual(['object']);
+            expect(handler.annotationFile).toBe('label_studio.json');
+        });
+
+        it('should add a task for images without one', async () => {
+            const fileManager = createFileManager({ 'tasks.json': JSON.stringify(sampleTasks) });
+            await handler.load(fileManager, [image1, image2]);
+
+            await handler.save(fileManager, image2, [{ classId: 0, x: 0, y: 0, width: 20, height: 10 }], ['Car']);
+
+            const saved = JSON.parse(fileManager.files['tasks.json']);
+            expect(saved).toHaveLength(2);
+            expect(saved[0]).toEqual(sampleTasks[0]);
+            expect(saved[1].data).toEqual({ image: 'image2.jpg' });
+            expect(saved[1].annotations[0].result[0].value.rectanglelabels).toEqual(['Car']);
+        });
+    });
+
+});
@@ -0,0 +1,52 @@
+/**
+ * LineSplitter.test.js
+ * Tests for splitting streamed text into lines
+ */
+
+import { describe, it, expect } from 'vitest';
+import LineSplitter from '../src/js/LineSplitter.js';
+
+/**
+ * Split text written in chunks of the given size
+ * @param {string} text - Text to split
+ * @param {number} size - Chunk size
+ * @returns {Array} Lines
+ */
+function splitInChunks(text, size) {
+    const lines = [];
+    const splitter = new LineSplitter(line => lines.push(line));
+    for (let i = 0; i < text.length; i += size) {
+        splitter.write(text.substring(i, i + size));
+    }
+    splitter.end();
+    return lines;
+}
+
+describe('LineSplitter', () => {
+    const text = '{"a": 1}\r\n\n{"b": "two"}\nlast';
+
+    it('should split like split("\\n") for any chunk size', () => {
+        for (let size = 1; size <= text.length; size++) {
+            expect(splitInChunks(text, size)).toEqual(text.split('\n'));
+        }
+    });
+
+    it('should give a last empty line for text ending in a newline', () => {
+        expect(splitInChunks('a\nb\n', 3)).toEqual(['a', 'b', '']);
+    });
+
+    it('should give no lines for empty text', () => {
+        expect(splitInChunks('', 4)).toEqual([]);
+    });
+
+    it('should ignore empty chunks', () => {
+        const lines = [];
+        const splitter = new LineSplitter(line => lines.push(line));
+        splitter.write('a');
+        splitter.write('');
+        splitter.write('b\nc');
+        splitter.end();
+
+        expect(lines).toEqual(['ab', 'c']);
+    });
+});
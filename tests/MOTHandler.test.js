@@ -0,0 +1,194 @@
+/**
+ * MOTHandler.test.js
+ * Tests for MOTChallenge gt.txt parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import MOTHandler from '../src/js/MOTHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('MOTHandler', () => {
+    let handler;
+
+    // MOT gt files are sorted by track, then frame
+    const sampleGt = '1,1,912,484,97,109,0,7,1\n' +
+        '2,1,912,484,97,109,0,7,1\n' +
+        '1,2,1338,418,167,379,1,1,0.86\n' +
+        '2,2,1342,417,168,380,1,1,0.9\n';
+
+    const images = [
+        { id: 'img_2', fileName: '000002.jpg', filePath: '000002.jpg', width: 1920, height: 1080 },
+        { id: 'img_1', fileName: '000001.jpg', filePath: '000001.jpg', width: 1920, height: 1080 },
+        { id: 'img_3', fileName: '000003.jpg', filePath: '000003.jpg', width: 1920, height: 1080 }
+    ];
+
+    beforeEach(() => {
+        handler = new MOTHandler();
+    });
+
+    describe('getName', () => {
+        it('should return mot', () => {
+            expect(handler.getName()).toBe('mot');
+        });
+
+        it('should use track IDs', () => {
+            expect(handler.hasTracks()).toBe(true);
+        });
+    });
+
+    describe('Frames', () => {
+        it('should number frames by the number in their file names', () => {
+            handler.setFrames(images);
+
+            expect(handler.getFrameNumber('000001.jpg')).toBe(1);
+            expect(handler.getFrameNumber('000002.jpg')).toBe(2);
+            expect(handler.getFrameNumber('000003.jpg')).toBe(3);
+            expect(handler.getFrameNumber('other.jpg')).toBeNull();
+        });
+
+        it('should take frame numbers from file names, not their order', () => {
+            handler.setFrames([
+                { fileName: '000005.jpg' },
+                { fileName: 'frame_12.png' },
+                { fileName: 'cover.jpg' }
+            ]);
+
+            expect(handler.getFrameNumber('000005.jpg')).toBe(5);
+            expect(handler.getFrameNumber('frame_12.png')).toBe(12);
+            expect(handler.getFrameNumber('cover.jpg')).toBeNull();
+        });
+
+        it('should scan img1/ for frames', async () => {
+            expect(await handler.getImageFolders(createFileManager({}))).toEqual(['img1']);
+        });
+    });
+
+    describe('Parsing', () => {
+        it('should read boxes with track IDs for a frame', () => {
+            handler.parse(sampleGt);
+            const boxes = handler.getBoxesForFrame(1);
+
+            expect(boxes).toHaveLength(2);
+            expect(boxes[0]).toMatchObject({ classId: 6, trackId: 1, x: 912, y: 484, width: 97, height: 109 });
+            expect(boxes[1]).toMatchObject({ classId: 0, trackId: 2, x: 1338, y: 418 });
+        });
+
+        it('should keep conf and visibility as attributes', () => {
+            handler.parse(sampleGt);
+            const boxes = handler.getBoxesForFrame(1);
+
+            expect(boxes[1].attributes).toEqual({ conf: '1', visibility: '0.86' });
+        });
+
+        it('should use MOT17 class names and name unknown classes', () => {
+            handler.parse('1,1,0,0,10,10,1,14,1\n');
+
+            expect(handler.getClasses().slice(0, 3)).toEqual(['pedestrian', 'person_on_vehicle', 'car']);
+            expect(handler.getClasses()).toHaveLength(14);
+            expect(handler.getClasses()[13]).toBe('class_14');
+        });
+
+        it('should read MOT15-style files without a class column', () => {
+            handler.parse('1,1,10,20,30,40,1,-1,-1,-1\n');
+            const boxes = handler.getBoxesForFrame(1);
+
+            expect(boxes[0]).toMatchObject({ classId: 0, trackId: 1, x: 10, y: 20 });
+            expect(boxes[0].attributes).toEqual({ conf: '1', extra: ['-1', '-1', '-1'] });
+        });
+
+        it('should detect row order', () => {
+            handler.parse(sampleGt);
+            expect(handler.order).toBe('track');
+
+            handler.parse('1,1,0,0,1,1,1,1,1\n1,2,0,0,1,1,1,1,1\n2,1,0,0,1,1,1,1,1\n');
+            expect(handler.order).toBe('frame');
+        });
+    });
+
+    describe('Load and Save', () => {
+        it('should load boxes onto images by frame number', async () => {
+            const fileManager = createFileManager({ 'gt/gt.txt': sampleGt });
+
+            const { boxes } = await handler.load(fileManager, images);
+
+            expect(boxes.get('img_1').map(box => box.trackId)).toEqual([1, 2]);
+            expect(boxes.get('img_2')[1]).toMatchObject({ trackId: 2, x: 1342 });
+            expect(boxes.has('img_3')).toBe(false);
+        });
+
+        it('should round-trip unchanged frames', async () => {
+            const fileManager = createFileManager({ 'gt/gt.txt': sampleGt });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[1], boxes.get('img_1'), classes);
+
+            expect(fileManager.files['gt/gt.txt']).toBe(sampleGt);
+        });
+
+        it('should keep track order when adding boxes', async () => {
+            const fileManager = createFileManager({ 'gt/gt.txt': sampleGt });
+            const { classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[2], [
+                { classId: 0, trackId: 2, x: 1350.456, y: 417, width: 168, height: 380, attributes: { conf: '1', visibility: '1' } },
+                { classId: 2, x: 10, y: 20, width: 30, height: 40 }
+            ], classes);
+
+            expect(fileManager.files['gt/gt.txt']).toBe(
+                '1,1,912,484,97,109,0,7,1\n' +
+                '2,1,912,484,97,109,0,7,1\n' +
+                '1,2,1338,418,167,379,1,1,0.86\n' +
+                '2,2,1342,417,168,380,1,1,0.9\n' +
+                '3,2,1350.46,417,168,380,1,1,1\n' +
+                '3,3,10,20,30,40,1,3,1\n'
+            );
+        });
+
+        it('should keep order within a frame for frame-sorted files', async () => {
+            const content = '1,5,0,0,1,1,1,1,1\n1,2,0,0,1,1,1,1,1\n2,5,0,0,1,1,1,1,1\n';
+            const fileManager = createFileManager({ 'gt/gt.txt': content });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[1], boxes.get('img_1'), classes);
+
+            expect(fileManager.files['gt/gt.txt']).toBe(content);
+        });
+
+        it('should remove deleted boxes', async () => {
+            const fileManager = createFileManager({ 'gt/gt.txt': sampleGt });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], boxes.get('img_2').slice(0, 1), classes);
+
+            expect(fileManager.files['gt/gt.txt']).toBe(
+                '1,1,912,484,97,109,0,7,1\n' +
+                '2,1,912,484,97,109,0,7,1\n' +
+                '1,2,1338,418,167,379,1,1,0.86\n'
+            );
+        });
+
+        it('should start an empty sequence when gt.txt is missing', async () => {
+            const fileManager = createFileManager({});
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(boxes.size).toBe(0);
+            expect(classes[0]).toBe('pedestrian');
+
+            await handler.save(fileManager, images[1], [
+                { classId: 0, x: 1, y: 2, width: 3, height: 4 }
+            ], classes);
+
+            expect(fileManager.files['gt/gt.txt']).toBe('1,1,1,2,3,4,1,1,1\n');
+        });
+    });
+
+    describe('Export Losses', () => {
+        it('should keep track IDs but not class names', () => {
+            const losses = handler.getExportLosses([
+                { classId: 0, trackId: 1, x: 0, y: 0, width: 1, height: 1, attributes: { conf: '1', visibility: '1' } }
+            ]);
+
+            expect(losses).toEqual(['Class names are not stored, only class numbers']);
+        });
+    });
+});
@@ -7,6 +7,7 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import { readFileSync } from 'fs';
 import { join } from 'path';
 import NDJSONHandler from '../src/js/NDJSONHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
 
 describe('NDJSONHandler', () => {
     let handler;
@@ -443,6 +444,163 @@ invalid json line
         });
     });
 
+    describe('Lossless Round-trip', () => {
+        const content = '{"type": "dataset", "task": "detect", "class_names": {"0": "person", "1": "car"}, "owner": {"team": "cv"}}\n' +
+            '{"type":"image","file":"b.jpg","width":640,"height":480,"split":"val","url":"https://x/b.jpg","meta":{"camera":3},"annotations":{"boxes":[[0,0.500000,0.500000,0.250000,0.250000]],"classification":[1]}}\n' +
+            '{"type":"note","text":"kept"}\n' +
+            '{"type":"image","file":"a.jpg","width":640,"height":480,"annotations":{"boxes":[[1,0.1796875,0.2,0.1,0.1]],"segments":[[[0.1,0.1],[0.2,0.1],[0.2,0.2]]]}}\n';
+
+        const images = [
+            { id: 'img_a', fileName: 'a.jpg', filePath: 'a.jpg', width: 640, height: 480 },
+            { id: 'img_b', fileName: 'b.jpg', filePath: 'b.jpg', width: 640, height: 480 },
+            { id: 'img_c', fileName: 'c.jpg', filePath: 'c.jpg', width: 640, height: 480 }
+        ];
+
+        it('should write unchanged records byte for byte', async () => {
+            const fileManager = createFileManager({ 'dataset.ndjson': content });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], boxes.get('img_a'), classes);
+            await handler.save(fileManager, images[1], boxes.get('img_b'), classes);
+
+            expect(fileManager.files['dataset.ndjson']).toBe(content);
+        });
+
+        it('should round-trip the sample dataset byte for byte', async () => {
+            const sample = readFileSync(join(process.cwd(), 'datasets/ndjson/dataset.ndjson'), 'utf-8');
+            const fileManager = createFileManager({ 'dataset.ndjson': sample });
+            const sampleImages = ['image_0.jpg', 'image_1.jpg', 'image_2.jpg'].map((fileName, index) => ({
+                id: `img_${index}`, fileName, filePath: fileName, width: 640, height: 640
+            }));
+
+            const { boxes, classes } = await handler.load(fileManager, sampleImages);
+            for (const image of sampleImages) {
+                await handler.save(fileManager, image, boxes.get(image.id), classes);
+            }
+
+            expect(fileManager.files['dataset.ndjson']).toBe(sample);
+        });
+
+        it('should keep unknown fields when boxes are edited', async () => {
+            const fileManager = createFileManager({ 'dataset.ndjson': content });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[1], [
+                ...boxes.get('img_b'),
+                { classId: 1, x: 0, y: 0, width: 64, height: 48 }
+            ], classes);
+
+            const lines = fileManager.files['dataset.ndjson'].split('\n');
+            const record = JSON.parse(lines[1]);
+            expect(record).toEqual({
+                type: 'image',
+                file: 'b.jpg',
+                width: 640,
+                height: 480,
+                split: 'val',
+                url: 'https://x/b.jpg',
+                meta: { camera: 3 },
+                annotations: {
+                    boxes: [[0, 0.5, 0.5, 0.25, 0.25], [1, 0.05, 0.05, 0.1, 0.1]],
+                    classification: [1]
+                }
+            });
+
+            // Other lines are untouched
+            expect(lines[0]).toBe(content.split('\n')[0]);
+            expect(lines.slice(2).join('\n')).toBe(content.split('\n').slice(2).join('\n'));
+        });
+
+        it('should keep the original numbers of unedited boxes', async () => {
+            const fileManager = createFileManager({ 'dataset.ndjson': content });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], [
+                ...boxes.get('img_a'),
+                { classId: 0, x: 0, y: 0, width: 64, height: 48 }
+            ], classes);
+
+            const record = JSON.parse(fileManager.files['dataset.ndjson'].split('\n')[3]);
+            expect(record.annotations.boxes[0]).toEqual([1, 0.1796875, 0.2, 0.1, 0.1]);
+            expect(record.annotations.segments).toEqual([[[0.1, 0.1], [0.2, 0.1], [0.2, 0.2]]]);
+        });
+
+        it('should keep the entries of the remaining boxes when one is deleted', async () => {
+            const record = '{"type":"image","file":"a.jpg","width":640,"height":480,"annotations":{"boxes":' +
+                '[[0,0.5,0.5,0.25,0.25,0.9],[1,0.1796875,0.2,0.1,0.1,0.8],[1,0.7,0.7,0.1,0.1,0.7]]}}';
+            const fileManager = createFileManager({ 'dataset.ndjson': `${record}\n` });
+            const { boxes, classes } = await handler.load(fileManager, images);
+            const [, second, third] = boxes.get('img_a');
+
+            await handler.save(fileManager, images[0], [second, third], classes);
+
+            const saved = JSON.parse(fileManager.files['dataset.ndjson'].split('\n')[1]);
+            expect(saved.annotations.boxes).toEqual([[1, 0.1796875, 0.2, 0.1, 0.1, 0.8], [1, 0.7, 0.7, 0.1, 0.1, 0.7]]);
+        });
+
+        it('should keep only edited records parsed and write the file in pieces', async () => {
+            const fileManager = createFileManager({ 'dataset.ndjson': content });
+            const writes = [];
+            const writeTextChunks = fileManager.writeTextChunks;
+            fileManager.writeTextChunks = async (path, parts) => {
+                const pieces = [];
+                for await (const part of parts) pieces.push(part);
+                writes.push(pieces);
+                return writeTextChunks.call(fileManager, path, pieces);
+            };
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(handler.lines.every(line => line.record === null)).toBe(true);
+
+            await handler.save(fileManager, images[1], [
+                ...boxes.get('img_b'),
+                { classId: 1, x: 0, y: 0, width: 64, height: 48 }
+            ], classes);
+
+            expect(handler.lines.filter(line => line.record).map(line => line.file)).toEqual(['b.jpg']);
+            expect(writes[0].length).toBe(5);
+            expect(writes[0].join('')).toBe(fileManager.files['dataset.ndjson']);
+        });
+
+        it('should only rewrite the dataset record when classes change', async () => {
+            const fileManager = createFileManager({ 'dataset.ndjson': content });
+            const { classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[2], [], [...classes, 'bike']);
+
+            const lines = fileManager.files['dataset.ndjson'].split('\n');
+            expect(JSON.parse(lines[0])).toEqual({
+                type: 'dataset',
+                task: 'detect',
+                class_names: { 0: 'person', 1: 'car', 2: 'bike' },
+                owner: { team: 'cv' }
+            });
+            expect(lines.slice(1, 4).join('\n')).toBe(content.split('\n').slice(1, 4).join('\n'));
+
+            // New images are added at the end
+            expect(JSON.parse(lines[4]).file).toBe('c.jpg');
+            expect(lines[5]).toBe('');
+        });
+
+        it('should keep class_names lists as lists', async () => {
+            const listContent = '{"type":"dataset","class_names":["person"]}\n';
+            const fileManager = createFileManager({ 'dataset.ndjson': listContent });
+            const { classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[2], [], [...classes, 'car']);
+
+            const dataset = JSON.parse(fileManager.files['dataset.ndjson'].split('\n')[0]);
+            expect(dataset.class_names).toEqual(['person', 'car']);
+        });
+
+        it('should keep invalid and blank lines', () => {
+            const raw = '{"type":"dataset","class_names":{}}\n\nnot json\n{"type":"image","file":"a.jpg"}';
+            handler.parse(raw);
+
+            expect(handler.stringify()).toBe(raw);
+        });
+    });
+
     describe('getName', () => {
         it('should return correct format name', () => {
             expect(handler.getName()).toBe('ndjson');
@@ -457,7 +615,7 @@ invalid json line
             expect(handler.dataset.type).toBe('dataset');
             expect(handler.dataset.task).toBe('detect');
             expect(handler.dataset.class_names).toEqual({});
-            expect(handler.imageRecords.size).toBe(0);
+            expect(handler.imageLines.size).toBe(0);
         });
 
         it('should preserve metadata when setting dataset', () => {
@@ -480,4 +638,45 @@ invalid json line
             expect(handler.dataset.class_names).toEqual({"0": "person"});
         });
     });
+
+    describe('Incremental Parsing', () => {
+        it('should give the same result as parse() when fed line by line', () => {
+            const content = [
+                '{"type": "dataset", "class_names": {"0": "person"}}',
+                'not json',
+                '{"type": "image", "file": "a.jpg", "annotations": {"boxes": [[0, 0.5, 0.5, 0.1, 0.1]]}}',
+                ''
+            ].join('\n');
+
+            const streamed = new NDJSONHandler();
+            streamed.beginParse();
+            content.split('\n').forEach(raw => {
+                let record = null;
+                try {
+                    record = JSON.parse(raw);
+                } catch (error) {
+                    // Invalid lines arrive without a record
+                }
+                streamed.addLine(raw, record);
+            });
+            streamed.endParse();
+
+            handler.parse(content);
+
+            expect(streamed.dataset).toEqual(handler.dataset);
+            expect(streamed.lines).toEqual(handler.lines);
+            expect(streamed.stringify()).toBe(content);
+        });
+
+        it('should mark the last duplicate record active', () => {
+            handler.beginParse();
+            handler.addLine('{"type": "image", "file": "a.jpg", "v": 1}', { type: 'image', file: 'a.jpg', v: 1 });
+            handler.addLine('{"type": "image", "file": "a.jpg", "v": 2}', { type: 'image', file: 'a.jpg', v: 2 });
+            handler.endParse();
+
+            expect(handler.lines.map(line => line.active)).toEqual([false, true]);
+            expect(handler.getImageRecord('a.jpg').v).toBe(2);
+            expect(handler.dataset.type).toBe('dataset');
+        });
+    });
 });
@@ -0,0 +1,120 @@
+/**
+ * PredictionLoader.test.js
+ * Tests for reading YOLO prediction files and COCO results files
+ */
+
+import { describe, it, expect } from 'vitest';
+import PredictionLoader from '../src/js/PredictionLoader.js';
+
+/**
+ * Create a picked file
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {Object} File-like object
+ */
+function createFile(name, content) {
+    return {
+        name,
+        async text() {
+            return content;
+        }
+    };
+}
+
+describe('PredictionLoader', () => {
+    const images = [
+        { id: 'img_1', fileName: '1.jpg', filePath: 'images/val/1.jpg', width: 100, height: 200 },
+        { id: 'img_2', fileName: 'dog.png', filePath: 'dog.png', width: 100, height: 100 }
+    ];
+    const classes = ['cat', 'dog'];
+
+    describe('YOLO Predictions', () => {
+        it('should read the confidence column and match files by name', async () => {
+            const files = [
+                createFile('dog.txt', '1 0.5 0.5 0.2 0.4 0.87\n0 0.1 0.1 0.1 0.1\n'),
+                createFile('unknown.txt', '0 0.5 0.5 0.2 0.2 0.5\n')
+            ];
+
+            const predictions = await PredictionLoader.load(files, images, classes, null);
+
+            expect(Array.from(predictions.keys())).toEqual(['img_2']);
+            const [first, second] = predictions.get('img_2');
+            expect(first).toMatchObject({ classId: 1, score: 0.87 });
+            expect(first.x).toBeCloseTo(40);
+            expect(first.height).toBeCloseTo(40);
+            expect(second.score).toBe(1);
+        });
+    });
+
+    describe('COCO Results', () => {
+        const results = [
+            { image_id: 1, category_id: 2, bbox: [10, 20, 30, 40], score: 0.9 },
+            { image_id: 'dog', category_id: 1, bbox: [1, 2, 3, 4], score: 0.3 },
+            { image_id: 99, category_id: 1, bbox: [1, 2, 3, 4], score: 0.3 }
+        ];
+
+        it('should match file names and 1-based class numbers without dataset IDs', async () => {
+            const files = [createFile('predictions.json', JSON.stringify(results))];
+
+            const predictions = await PredictionLoader.load(files, images, classes, null);
+
+            expect(predictions.get('img_1')).toEqual([{ classId: 1, x: 10, y: 20, width: 30, height: 40, score: 0.9 }]);
+            expect(predictions.get('img_2')[0].classId).toBe(0);
+            expect(predictions.size).toBe(2);
+        });
+
+        it('should read class numbers as 0-based when one is 0', () => {
+            const byStem = new Map([['1', images[0]]]);
+
+            const predictions = PredictionLoader.fromResults(
+                [{ image_id: 1, category_id: 0, bbox: [0, 0, 1, 1], score: 0.5 }, { image_id: 1, category_id: 1, bbox: [0, 0, 1, 1], score: 0.5 }],
+                images, byStem, classes, null
+            );
+
+            expect(predictions.get('img_1').map(item => item.classId)).toEqual([0, 1]);
+        });
+
+        it('should use the dataset image and category IDs when there are some', async () => {
+            const resultIds = {
+                images: new Map([[1, 'dog.png'], [2, '1.jpg']]),
+                categories: new Map([[2, 'cat'], [7, 'dog']])
+            };
+            const files = [createFile('results.json', JSON.stringify([
+                { image_id: 1, category_id: 7, bbox: [1, 2, 3, 4], score: 0.6 },
+                { image_id: 2, category_id: 2, bbox: [1, 2, 3, 4], score: 0.4 }
+            ]))];
+
+            const predictions = await PredictionLoader.load(files, images, classes, resultIds);
+
+            expect(predictions.get('img_2')[0].classId).toBe(1);
+            expect(predictions.get('img_1')[0].classId).toBe(0);
+        });
+
+        it('should skip results with a category the dataset does not have', () => {
+            const resultIds = {
+                images: new Map([[1, '1.jpg']]),
+                categories: new Map([[2, 'cat']])
+            };
+
+            const predictions = PredictionLoader.fromResults([
+                { image_id: 1, category_id: 2, bbox: [0, 0, 1, 1], score: 0.5 },
+                { image_id: 1, category_id: 3, bbox: [0, 0, 1, 1], score: 0.5 }
+            ], images, new Map(), classes, resultIds);
+
+            expect(predictions.get('img_1').map(item => item.classId)).toEqual([0]);
+        });
+
+        it('should reject JSON that is not a results list', async () => {
+            const files = [createFile('annotations.json', JSON.stringify({ images: [], annotations: [] }))];
+
+            await expect(PredictionLoader.load(files, images, classes, null))
+                .rejects.toThrow('annotations.json is not a COCO results file');
+        });
+    });
+
+    it('should strip folders and extensions from file names', () => {
+        expect(PredictionLoader.getStem('images/train/image1.jpg')).toBe('image1');
+        expect(PredictionLoader.getStem('a.b.txt')).toBe('a.b');
+        expect(PredictionLoader.getStem('noext')).toBe('noext');
+    });
+});
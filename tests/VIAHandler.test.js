@@ -0,0 +1,256 @@
+/**
+ * VIAHandler.test.js
+ * Tests for VGG Image Annotator 2.x JSON parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import VIAHandler from '../src/js/VIAHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('VIAHandler', () => {
+    let handler;
+
+    const sampleMetadata = {
+        'image1.jpg48213': {
+            filename: 'image1.jpg',
+            size: 48213,
+            regions: [
+                {
+                    shape_attributes: { name: 'rect', x: 10, y: 20, width: 100, height: 200 },
+                    region_attributes: { species: 'cat', pose: 'sitting' }
+                },
+                {
+                    shape_attributes: { name: 'polygon', all_points_x: [1, 5, 3], all_points_y: [1, 1, 4] },
+                    region_attributes: { species: 'dog' }
+                },
+                {
+                    shape_attributes: { name: 'rect', x: 300, y: 200, width: 50, height: 60 },
+                    region_attributes: { species: 'dog', pose: '' }
+                }
+            ],
+            file_attributes: { caption: 'living room' }
+        }
+    };
+
+    const sampleProject = {
+        _via_settings: { ui: { annotation_editor_height: 25 } },
+        _via_img_metadata: sampleMetadata,
+        _via_attributes: {
+            region: {
+                pose: { type: 'text', description: '', default_value: '' },
+                species: { type: 'dropdown', description: '', options: { cat: '', dog: '', bird: '' }, default_options: {} }
+            },
+            file: {}
+        },
+        _via_data_format_version: '2.0.10',
+        _via_image_id_list: ['image1.jpg48213']
+    };
+
+    const images = [
+        { id: 'img_1', fileName: 'image1.jpg', filePath: 'image1.jpg', width: 640, height: 480 },
+        { id: 'img_2', fileName: 'image2.jpg', filePath: 'image2.jpg', width: 640, height: 480 }
+    ];
+
+    beforeEach(() => {
+        handler = new VIAHandler();
+    });
+
+    describe('getName', () => {
+        it('should return via', () => {
+            expect(handler.getName()).toBe('via');
+        });
+    });
+
+    describe('JSON Parsing', () => {
+        it('should read a full project', () => {
+            handler.parse(JSON.stringify(sampleProject));
+
+            expect(handler.project._via_data_format_version).toBe('2.0.10');
+            expect(handler.findEntry('image1.jpg').size).toBe(48213);
+        });
+
+        it('should read bare metadata exports', () => {
+            handler.parse(JSON.stringify(sampleMetadata));
+
+            expect(handler.project).toBeNull();
+            expect(handler.findEntry('image1.jpg')).toBeDefined();
+        });
+
+        it('should throw error for invalid JSON', () => {
+            expect(() => handler.parse('[1, 2]')).toThrow('Invalid VIA JSON format');
+            expect(() => handler.parse('nope')).toThrow('Invalid VIA JSON format');
+        });
+
+        it('should prefer a known label attribute name', () => {
+            handler.parse(JSON.stringify(sampleProject));
+            expect(handler.labelAttribute).toBe('species');
+        });
+
+        it('should fall back to the first defined attribute', () => {
+            const project = structuredClone(sampleProject);
+            project._via_attributes.region = { kind: { type: 'text' } };
+            handler.parse(JSON.stringify(project));
+
+            expect(handler.labelAttribute).toBe('kind');
+        });
+
+        it('should use dropdown options as classes', () => {
+            handler.parse(JSON.stringify(sampleProject));
+            expect(handler.getClasses()).toEqual(['cat', 'dog', 'bird']);
+        });
+    });
+
+    describe('Box Conversion', () => {
+        it('should convert rect regions to boxes', () => {
+            handler.parse(JSON.stringify(sampleProject));
+            const boxes = handler.getBoxes(handler.findEntry('image1.jpg'));
+
+            expect(boxes).toHaveLength(2);
+            expect(boxes[0]).toMatchObject({ classId: 0, x: 10, y: 20, width: 100, height: 200 });
+            expect(boxes[1]).toMatchObject({ classId: 1, x: 300, y: 200, width: 50, height: 60 });
+        });
+
+        it('should map other region attributes onto box attributes', () => {
+            handler.parse(JSON.stringify(sampleProject));
+            const boxes = handler.getBoxes(handler.findEntry('image1.jpg'));
+
+            expect(boxes[0].attributes).toEqual({ pose: 'sitting' });
+        });
+
+        it('should read checkbox labels', () => {
+            expect(handler.getLabelValue({ cat: false, dog: true })).toBe('dog');
+            expect(handler.getLabelValue(undefined)).toBe('');
+        });
+
+        it('should keep non-rect regions in place and write rects in the places of their regions', () => {
+            const project = structuredClone(sampleProject);
+            project._via_img_metadata['image1.jpg48213'].regions[2].region_id = 7;
+            handler.parse(JSON.stringify(project));
+            const entry = handler.findEntry('image1.jpg');
+            const boxes = handler.getBoxes(entry);
+
+            handler.setBoxes(entry, [{ ...boxes[1], x: 310.4 }], handler.getClasses());
+
+            expect(entry.regions).toEqual([
+                sampleMetadata['image1.jpg48213'].regions[1],
+                {
+                    shape_attributes: { name: 'rect', x: 310, y: 200, width: 50, height: 60 },
+                    region_attributes: { pose: '', species: 'dog' },
+                    region_id: 7
+                }
+            ]);
+            expect(Object.keys(entry.regions[1].region_attributes)).toEqual(['species', 'pose']);
+        });
+
+        it('should append boxes beyond the rect regions', () => {
+            handler.parse(JSON.stringify(sampleProject));
+            const entry = handler.findEntry('image1.jpg');
+            const boxes = handler.getBoxes(entry);
+
+            handler.setBoxes(entry, [...boxes, { classId: 2, x: 0, y: 0, width: 1, height: 1 }], handler.getClasses());
+
+            expect(entry.regions.map(region => region.shape_attributes.name)).toEqual(['rect', 'polygon', 'rect', 'rect']);
+            expect(entry.regions[3].region_attributes).toEqual({ species: 'bird' });
+        });
+
+        it('should write checkbox labels as an object', () => {
+            const project = structuredClone(sampleProject);
+            project._via_attributes.region.species.type = 'checkbox';
+            handler.parse(JSON.stringify(project));
+            const entry = handler.findEntry('image1.jpg');
+
+            handler.setBoxes(entry, [{ classId: 2, x: 0, y: 0, width: 1, height: 1 }], handler.getClasses());
+
+            expect(entry.regions[1].region_attributes.species).toEqual({ bird: true });
+        });
+    });
+
+    describe('Load and Save', () => {
+        it('should load boxes and classes from a project', async () => {
+            const fileManager = createFileManager({ 'via_project.json': JSON.stringify(sampleProject) });
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['cat', 'dog', 'bird']);
+            expect(boxes.get('img_1')).toHaveLength(2);
+            expect(boxes.has('img_2')).toBe(false);
+        });
+
+        it('should load and save a project saved with a date in its name', async () => {
+            const fileManager = createFileManager({
+                'notes.json': '{}',
+                'via_project_12Mar2024_10h30m.json': JSON.stringify(sampleProject)
+            });
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+            await handler.save(fileManager, images[0], boxes.get('img_1'), classes);
+
+            expect(boxes.get('img_1')).toHaveLength(2);
+            expect(Object.keys(fileManager.files)).toEqual(['notes.json', 'via_project_12Mar2024_10h30m.json']);
+        });
+
+        it('should not change the loaded project while detecting', async () => {
+            const fileManager = createFileManager({ 'via_region_data.json': JSON.stringify(sampleMetadata) });
+
+            await handler.detect(fileManager);
+
+            expect(handler.metadata).toEqual({});
+        });
+
+        it('should round-trip a project unchanged', async () => {
+            const fileManager = createFileManager({ 'via_project.json': JSON.stringify(sampleProject) });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], boxes.get('img_1'), classes);
+
+            expect(fileManager.files['via_project.json']).toBe(JSON.stringify(sampleProject));
+        });
+
+        it('should keep the indentation of the loaded file', async () => {
+            const content = JSON.stringify(sampleProject, null, 4) + '\n';
+            const fileManager = createFileManager({ 'via_project.json': content });
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], boxes.get('img_1'), classes);
+
+            expect(fileManager.files['via_project.json']).toBe(content);
+        });
+
+        it('should add entries and new class options', async () => {
+            const fileManager = createFileManager({ 'via_project.json': JSON.stringify(sampleProject) });
+            const { classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[1], [
+                { classId: 3, x: 1, y: 2, width: 3, height: 4 }
+            ], [...classes, 'fish']);
+
+            const saved = JSON.parse(fileManager.files['via_project.json']);
+            expect(saved._via_image_id_list).toEqual(['image1.jpg48213', 'image2.jpg-1']);
+            expect(saved._via_img_metadata['image2.jpg-1'].size).toBe(-1);
+            expect(saved._via_img_metadata['image2.jpg-1'].regions[0].region_attributes).toEqual({ species: 'fish' });
+            expect(Object.keys(saved._via_attributes.region.species.options)).toEqual(['cat', 'dog', 'bird', 'fish']);
+        });
+
+        it('should start a bare metadata file when none exists', async () => {
+            const fileManager = createFileManager({});
+            const { classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], [
+                { classId: 0, x: 1, y: 2, width: 3, height: 4 }
+            ], classes);
+
+            expect(JSON.parse(fileManager.files['via_region_data.json'])).toEqual({
+                'image1.jpg-1': {
+                    filename: 'image1.jpg',
+                    size: -1,
+                    regions: [{
+                        shape_attributes: { name: 'rect', x: 1, y: 2, width: 3, height: 4 },
+                        region_attributes: { label: 'object' }
+                    }],
+                    file_attributes: {}
+                }
+            });
+        });
+    });
+
+});
@@ -0,0 +1,391 @@
+/**
+ * VOCHandler.test.js
+ * Tests for Pascal VOC XML parsing and writing
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import VOCHandler from '../src/js/VOCHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
+
+describe('VOCHandler', () => {
+    let handler;
+
+    const sampleXml = `<annotation>
+	<folder>VOC2012</folder>
+	<filename>2007_000027.jpg</filename>
+	<size>
+		<width>486</width>
+		<height>500</height>
+		<depth>3</depth>
+	</size>
+	<object>
+		<name>person</name>
+		<pose>Frontal</pose>
+		<truncated>1</truncated>
+		<difficult>0</difficult>
+		<bndbox>
+			<xmin>174</xmin>
+			<ymin>101</ymin>
+			<xmax>349</xmax>
+			<ymax>351</ymax>
+		</bndbox>
+		<part>
+			<name>head</name>
+			<bndbox>
+				<xmin>169</xmin>
+				<ymin>104</ymin>
+				<xmax>209</xmax>
+				<ymax>146</ymax>
+			</bndbox>
+		</part>
+	</object>
+	<object>
+		<name>dog</name>
+		<difficult>1</difficult>
+		<bndbox>
+			<xmin>10.5</xmin>
+			<ymin>20</ymin>
+			<xmax>60.5</xmax>
+			<ymax>80</ymax>
+		</bndbox>
+	</object>
+</annotation>
+`;
+
+    beforeEach(() => {
+        handler = new VOCHandler();
+    });
+
+    describe('getName', () => {
+        it('should return voc', () => {
+            expect(handler.getName()).toBe('voc');
+        });
+
+        it('should have a display name', () => {
+            expect(handler.getLabel()).toBe('Pascal VOC');
+        });
+    });
+
+    describe('Label Paths', () => {
+        it('should place labels in the Annotations folder', () => {
+            expect(handler.getLabelPath('image1.jpg')).toBe('Annotations/image1.xml');
+        });
+
+        it('should use only the base file name', () => {
+            expect(handler.getLabelPath('sub/dir/photo.final.png')).toBe('Annotations/photo.final.xml');
+        });
+
+        it('should pair JPEGImages/ with Annotations/', () => {
+            expect(handler.getLabelPath('JPEGImages/2007_000027.jpg')).toBe('Annotations/2007_000027.xml');
+        });
+
+        it('should scan JPEGImages/ for images', async () => {
+            expect(await handler.getImageFolders(createFileManager({}))).toEqual(['JPEGImages']);
+        });
+    });
+
+    describe('XML Parsing', () => {
+        it('should parse objects into pixel boxes', () => {
+            const boxes = handler.parse(sampleXml);
+
+            expect(boxes).toHaveLength(2);
+            expect(boxes[0].classId).toBe(0);
+            expect(boxes[0].x).toBe(174);
+            expect(boxes[0].y).toBe(101);
+            expect(boxes[0].width).toBe(175);
+            expect(boxes[0].height).toBe(250);
+
+            expect(boxes[1].classId).toBe(1);
+            expect(boxes[1].x).toBe(10.5);
+            expect(boxes[1].width).toBe(50);
+        });
+
+        it('should collect class names in order of appearance', () => {
+            handler.parse(sampleXml);
+            expect(handler.getClasses()).toEqual(['person', 'dog']);
+        });
+
+        it('should reuse existing class IDs', () => {
+            handler.setClasses(['dog', 'person']);
+            const boxes = handler.parse(sampleXml);
+
+            expect(boxes[0].classId).toBe(1);
+            expect(boxes[1].classId).toBe(0);
+            expect(handler.getClasses()).toEqual(['dog', 'person']);
+        });
+
+        it('should read difficult, truncated and pose into attributes', () => {
+            const boxes = handler.parse(sampleXml);
+
+            expect(boxes[0].attributes).toEqual({ truncated: 1, difficult: 0, pose: 'Frontal' });
+            expect(boxes[1].attributes).toEqual({ truncated: 0, difficult: 1 });
+        });
+
+        it('should ignore part bounding boxes', () => {
+            const boxes = handler.parse(sampleXml);
+            expect(handler.getClasses()).not.toContain('head');
+            expect(boxes[0].x).toBe(174);
+        });
+
+        it('should skip objects without a complete bndbox', () => {
+            const xml = '<annotation><object><name>cat</name><bndbox><xmin>1</xmin></bndbox></object></annotation>';
+            expect(handler.parse(xml)).toEqual([]);
+        });
+
+        it('should unescape entities in class names', () => {
+            const xml = '<annotation><object><name>salt &amp; pepper</name><bndbox>' +
+                '<xmin>0</xmin><ymin>0</ymin><xmax>10</xmax><ymax>10</ymax></bndbox></object></annotation>';
+            handler.parse(xml);
+            expect(handler.getClasses()).toEqual(['salt & pepper']);
+        });
+
+        it('should read objects with attributes on the tag', () => {
+            const boxes = handler.parse('<annotation><object id="3"><name>cat</name>' +
+                '<bndbox><xmin>1</xmin><ymin>2</ymin><xmax>3</xmax><ymax>4</ymax></bndbox></object></annotation>');
+
+            expect(boxes).toHaveLength(1);
+            expect(boxes[0]).toMatchObject({ classId: 0, x: 1, y: 2, width: 2, height: 2 });
+        });
+
+        it('should handle empty annotation', () => {
+            expect(handler.parse('<annotation></annotation>')).toEqual([]);
+        });
+    });
+
+    describe('XML Stringification', () => {
+        const image = { fileName: 'image1.jpg', width: 640, height: 480 };
+
+        it('should write filename, size and objects', () => {
+            const boxes = [
+                { classId: 1, x: 10, y: 20, width: 30, height: 40, attributes: { difficult: 1 } }
+            ];
+
+            const xml = handler.stringify(image, boxes, ['person', 'dog']);
+
+            expect(xml).toContain('<filename>image1.jpg</filename>');
+            expect(xml).toContain('<width>640</width>');
+            expect(xml).toContain('<height>480</height>');
+            expect(xml).toContain('<name>dog</name>');
+            expect(xml).toContain('<difficult>1</difficult>');
+            expect(xml).toContain('<truncated>0</truncated>');
+            expect(xml).toContain('<xmin>10</xmin>');
+            expect(xml).toContain('<ymax>60</ymax>');
+        });
+
+        it('should round coordinates to whole pixels', () => {
+            const boxes = [{ classId: 0, x: 10.4, y: 20.6, width: 30.2, height: 40.1 }];
+            const xml = handler.stringify(image, boxes, ['person']);
+
+            expect(xml).toContain('<xmin>10</xmin>');
+            expect(xml).toContain('<ymin>21</ymin>');
+            expect(xml).toContain('<xmax>41</xmax>');
+            expect(xml).toContain('<ymax>61</ymax>');
+        });
+
+        it('should escape class names', () => {
+            const boxes = [{ classId: 0, x: 0, y: 0, width: 10, height: 10 }];
+            const xml = handler.stringify(image, boxes, ['a<b & c']);
+            expect(xml).toContain('<name>a&lt;b &amp; c</name>');
+        });
+
+        it('should produce XML that parses back to the same boxes', () => {
+            const classes = ['person', 'dog'];
+            const original = handler.parse(sampleXml);
+            const xml = handler.stringify(image, original, classes);
+
+            const parser = new VOCHandler();
+            parser.setClasses([...classes]);
+            const parsed = parser.parse(xml);
+
+            expect(parsed).toHaveLength(2);
+            expect(parsed[0]).toEqual(original[0]);
+            expect(parsed[1].attributes).toEqual({ truncated: 0, difficult: 1, pose: 'Unspecified' });
+            expect(Math.abs(parsed[1].x - original[1].x)).toBeLessThanOrEqual(0.5);
+        });
+    });
+
+    describe('Saving Loaded Files', () => {
+        const image = { id: 'img_1', fileName: '2007_000027.jpg', filePath: 'JPEGImages/2007_000027.jpg', width: 486, height: 500 };
+        const documentXml = `<annotation>
+	<folder>VOC2012</folder>
+	<filename>2007_000027.jpg</filename>
+	<source>
+		<database>The VOC2007 Database</database>
+	</source>
+	<owner><name>someone</name></owner>
+	<size>
+		<width>486</width>
+		<height>500</height>
+		<depth>1</depth>
+	</size>
+	<segmented>1</segmented>
+	<object>
+		<name>person</name>
+		<truncated>0</truncated>
+		<difficult>0</difficult>
+		<occluded>1</occluded>
+		<bndbox>
+			<xmin>174.5</xmin>
+			<ymin>101</ymin>
+			<xmax>349</xmax>
+			<ymax>351</ymax>
+		</bndbox>
+		<part>
+			<name>head</name>
+			<bndbox><xmin>169</xmin><ymin>104</ymin><xmax>209</xmax><ymax>146</ymax></bndbox>
+		</part>
+	</object>
+	<object>
+		<name>dog</name>
+		<bndbox><xmin>1</xmin><ymin>2</ymin><xmax>30</xmax><ymax>40</ymax></bndbox>
+	</object>
+</annotation>
+`;
+
+        it('should write an unchanged file back as it was', async () => {
+            const fileManager = createFileManager({ 'Annotations/2007_000027.xml': documentXml });
+            const { boxes, classes } = await handler.load(fileManager, [image]);
+
+            await handler.save(fileManager, image, boxes.get('img_1'), classes);
+
+            expect(fileManager.files['Annotations/2007_000027.xml']).toBe(documentXml);
+        });
+
+        it('should keep other elements and unknown object children when boxes are edited', async () => {
+            const fileManager = createFileManager({ 'Annotations/2007_000027.xml': documentXml });
+            const { boxes, classes } = await handler.load(fileManager, [image]);
+            const [person, dog] = boxes.get('img_1');
+
+            await handler.save(fileManager, image, [{ ...person, x: 180 }, dog, { classId: 1, x: 5, y: 5, width: 5, height: 5 }], classes);
+
+            const xml = fileManager.files['Annotations/2007_000027.xml'];
+            expect(xml).toContain('<folder>VOC2012</folder>');
+            expect(xml).toContain('<database>The VOC2007 Database</database>');
+            expect(xml).toContain('<owner><name>someone</name></owner>');
+            expect(xml).toContain('<depth>1</depth>');
+            expect(xml).toContain('<segmented>1</segmented>');
+            expect(xml).toContain('\t\t<occluded>1</occluded>');
+            expect(xml).toContain('<bndbox><xmin>169</xmin><ymin>104</ymin><xmax>209</xmax><ymax>146</ymax></bndbox>');
+            expect(xml).toContain('<xmin>180</xmin>');
+            expect(xml).toContain('<name>dog</name>\n\t\t<bndbox><xmin>1</xmin>');
+
+            const parser = new VOCHandler();
+            parser.setClasses([...classes]);
+            expect(parser.parse(xml).map(box => box.x)).toEqual([180, 1, 5]);
+        });
+
+        it('should drop the objects of deleted boxes', async () => {
+            const fileManager = createFileManager({ 'Annotations/2007_000027.xml': documentXml });
+            const { boxes, classes } = await handler.load(fileManager, [image]);
+
+            await handler.save(fileManager, image, boxes.get('img_1').slice(0, 1), classes);
+
+            const xml = fileManager.files['Annotations/2007_000027.xml'];
+            expect(xml).not.toContain('<name>dog</name>');
+            expect(xml.endsWith('\t</object>\n</annotation>\n')).toBe(true);
+        });
+
+        it('should not move unknown children to the next object when a box is deleted', async () => {
+            const fileManager = createFileManager({ 'Annotations/2007_000027.xml': documentXml });
+            const { boxes, classes } = await handler.load(fileManager, [image]);
+            const [, dog] = boxes.get('img_1');
+
+            await handler.save(fileManager, image, [{ ...dog, x: 2 }], classes);
+            let xml = fileManager.files['Annotations/2007_000027.xml'];
+            expect(xml).not.toContain('<part>');
+            expect(xml).not.toContain('<occluded>');
+            expect(xml).toContain('<xmin>2</xmin>');
+
+            // Saving again still finds the dog's object
+            const added = { classId: 0, x: 5, y: 5, width: 5, height: 5 };
+            await handler.save(fileManager, image, [{ ...dog, x: 3 }, added], classes);
+            xml = fileManager.files['Annotations/2007_000027.xml'];
+
+            const parser = new VOCHandler();
+            parser.setClasses([...classes]);
+            expect(parser.parse(xml).map(box => box.x)).toEqual([3, 5]);
+        });
+
+        it('should write boxes from elsewhere as new objects', async () => {
+            const fileManager = createFileManager({ 'Annotations/2007_000027.xml': documentXml });
+            const { classes } = await handler.load(fileManager, [image]);
+
+            await handler.save(fileManager, image, [{ classId: 1, x: 1, y: 2, width: 29, height: 38 }], classes);
+
+            const xml = fileManager.files['Annotations/2007_000027.xml'];
+            expect(xml).not.toContain('<part>');
+            expect(xml).toContain('<name>dog</name>\n\t\t<pose>Unspecified</pose>');
+        });
+
+        it('should give new files the folder and depth of the loaded ones', async () => {
+            const fileManager = createFileManager({ 'Annotations/2007_000027.xml': documentXml });
+            const other = { ...image, id: 'img_2', fileName: 'new.jpg', filePath: 'JPEGImages/new.jpg' };
+            const { classes } = await handler.load(fileManager, [image, other]);
+
+            await handler.save(fileManager, other, [{ classId: 0, x: 1, y: 2, width: 3, height: 4 }], classes);
+
+            const xml = fileManager.files['Annotations/new.xml'];
+            expect(xml).toContain('<folder>VOC2012</folder>');
+            expect(xml).toContain('<depth>1</depth>');
+        });
+    });
+
+    describe('Load and Save', () => {
+        it('should load boxes from Annotations folder', async () => {
+            const fileManager = createFileManager({ 'Annotations/image1.xml': sampleXml });
+            const images = [
+                { id: 'img_1', fileName: 'image1.jpg', filePath: 'image1.jpg', width: 486, height: 500 },
+                { id: 'img_2', fileName: 'image2.jpg', filePath: 'image2.jpg', width: 486, height: 500 }
+            ];
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['person', 'dog']);
+            expect(boxes.get('img_1')).toHaveLength(2);
+            expect(boxes.has('img_2')).toBe(false);
+        });
+
+        it('should default to a single class when nothing is annotated', async () => {
+            const fileManager = createFileManager({});
+            const { classes } = await handler.load(fileManager, []);
+            expect(classes).toEqual(['object']);
+        });
+
+        it('should write the label file for the image', async () => {
+            const fileManager = createFileManager({});
+            const image = { fileName: 'image1.jpg', filePath: 'image1.jpg', width: 640, height: 480 };
+
+            await handler.save(fileManager, image, [{ classId: 0, x: 1, y: 2, width: 3, height: 4 }], ['cat']);
+
+            expect(fileManager.files['Annotations/image1.xml']).toContain('<name>cat</name>');
+        });
+    });
+
+    describe('Export Losses', () => {
+        it('should report polygons, rotation and unknown attributes', () => {
+            const losses = handler.getExportLosses([
+                { classId: 0, shape: 'polygon', points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }], x: 0, y: 0, width: 1, height: 1 },
+                { classId: 0, x: 0, y: 0, width: 1, height: 1, angle: 0.5, attributes: { difficult: 1, score: 0.9 } },
+                { classId: 0, x: 0, y: 0, width: 1, height: 1, attributes: { score: 0.5 } }
+            ]);
+
+            expect(losses).toEqual([
+                '1 polygon(s) saved as bounding boxes',
+                '1 rotated box(es) saved without rotation',
+                'Attribute "score" dropped from 2 box(es)'
+            ]);
+        });
+
+        it('should report dropped keypoints', () => {
+            const losses = handler.getExportLosses([
+                { classId: 0, x: 0, y: 0, width: 1, height: 1, shape: 'keypoints', keypoints: [{ x: 0, y: 0, v: 2 }] }
+            ]);
+
+            expect(losses).toEqual(['Keypoints dropped from 1 box(es)']);
+        });
+
+        it('should report nothing for plain boxes', () => {
+            expect(handler.getExportLosses([{ classId: 0, x: 0, y: 0, width: 1, height: 1 }])).toEqual([]);
+        });
+    });
+});
@@ -7,6 +7,7 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import { readFileSync } from 'fs';
 import { join } from 'path';
 import YOLOHandler from '../src/js/YOLOHandler.js';
+import { createFileManager } from './helpers/fileManager.js';
 
 describe('YOLOHandler', () => {
     let handler;
@@ -126,6 +127,183 @@ describe('YOLOHandler', () => {
         });
     });
 
+    describe('Label Paths', () => {
+        it('should place labels next to images in the root folder', () => {
+            expect(handler.getLabelPath('image1.jpg')).toBe('image1.txt');
+            expect(handler.getLabelPath('photo.v2.png')).toBe('photo.v2.txt');
+        });
+
+        it('should mirror images/<split>/ to labels/<split>/', () => {
+            expect(handler.getLabelPath('images/train/image1.jpg')).toBe('labels/train/image1.txt');
+            expect(handler.getLabelPath('images/val/nested/image2.png')).toBe('labels/val/nested/image2.txt');
+            expect(handler.getLabelPath('images/image3.jpg')).toBe('labels/image3.txt');
+        });
+
+        it('should swap only the last images folder', () => {
+            expect(handler.getLabelPath('images/images/train/a.jpg')).toBe('images/labels/train/a.txt');
+        });
+
+        it('should mirror <split>/images/ to <split>/labels/', () => {
+            expect(handler.getLabelPath('valid/images/a.jpg')).toBe('valid/labels/a.txt');
+            expect(handler.getLabelDirectory('train/images')).toBe('train/labels');
+            expect(handler.getLabelDirectory('')).toBe('');
+        });
+
+        it('should load and save labels in the split layout', async () => {
+            const fileManager = createFileManager({ 'labels/val/image2.txt': '0 0.5 0.5 0.2 0.2\n' });
+            const images = [
+                { id: 'img_1', fileName: 'image1.jpg', filePath: 'images/train/image1.jpg', width: 100, height: 100 },
+                { id: 'img_2', fileName: 'image2.jpg', filePath: 'images/val/image2.jpg', width: 100, height: 100 }
+            ];
+
+            const { boxes, classes } = await handler.load(fileManager, images);
+            expect(boxes.get('img_2')[0]).toMatchObject({ x: 40, y: 40, width: 20, height: 20 });
+            expect(boxes.has('img_1')).toBe(false);
+
+            await handler.save(fileManager, images[0], [{ classId: 0, x: 0, y: 0, width: 50, height: 50 }], classes);
+            expect(fileManager.files['labels/train/image1.txt']).toBe('0 0.250000 0.250000 0.500000 0.500000\n');
+        });
+    });
+
+    describe('data.yaml', () => {
+        const dataYaml = '# Pets dataset\n' +
+            'path: ../datasets/pets  # dataset root\n' +
+            'train: images/train\n' +
+            'val: [images/val, images/extra]\n' +
+            'test:\n' +
+            '\n' +
+            'nc: 2\n' +
+            'names:\n' +
+            '  0: cat\n' +
+            "  1: 'hot dog'\n" +
+            '\n' +
+            'download: |\n' +
+            '  from utils import download\n';
+
+        const images = [
+            { id: 'img_1', fileName: 'image1.jpg', filePath: 'image1.jpg', width: 100, height: 100 }
+        ];
+
+        it('should read names as a map past comments, lists and block text', () => {
+            const data = handler.parseDataYaml(dataYaml);
+
+            expect(data.names).toEqual(['cat', 'hot dog']);
+            expect(data.nc).toBe(2);
+        });
+
+        it('should read split paths', async () => {
+            const data = handler.parseDataYaml(dataYaml);
+
+            expect(data.path).toBe('../datasets/pets');
+            expect(data.train).toBe('images/train');
+            expect(data.val).toEqual(['images/val', 'images/extra']);
+            expect(data.test).toBeNull();
+
+            await handler.load(createFileManager({ 'data.yaml': dataYaml }), images);
+            expect(handler.getSplits().train).toBe('images/train');
+        });
+
+        it('should find the image folders of the splits', async () => {
+            expect(handler.getSplitDirectories({ path: null, train: '../train/images', val: './valid/images/', test: 'test.txt' }))
+                .toEqual(['train/images', 'valid/images']);
+            expect(handler.getSplitDirectories({ path: '/data/pets', train: '/data/pets/images/train', val: '/elsewhere/val', test: null }))
+                .toEqual(['images/train']);
+
+            const fileManager = createFileManager({ 'data.yaml': 'train: ../train/images\nval: ../valid/images\n' });
+            expect(await handler.getImageFolders(fileManager)).toEqual(['train/images', 'valid/images']);
+            expect(await handler.getImageFolders(createFileManager({}))).toEqual([]);
+        });
+
+        it('should detect labels next to the split folders', async () => {
+            const label = '0 0.5 0.5 0.2 0.2\n';
+            const config = 'val: ../valid/images\n';
+
+            expect(await handler.detect(createFileManager({ 'data.yaml': config, 'valid/labels/a.txt': label }))).toBe(1);
+            expect(await handler.detect(createFileManager({ 'data.yaml': config }))).toBe(0.5);
+            expect(await handler.detect(createFileManager({ 'valid/labels/a.txt': label }))).toBe(0);
+        });
+
+        it('should read flow lists with quoted, spaced and commented items', () => {
+            const data = handler.parseDataYaml("names: [cat, 'hot dog', \"it's\", 'a, b']  # four classes\nkpt_shape: [ 17 , 3 ]\n");
+
+            expect(data.names).toEqual(['cat', 'hot dog', "it's", 'a, b']);
+            expect(data.kptShape).toEqual([17, 3]);
+        });
+
+        it('should read quoted keys', () => {
+            expect(handler.parseDataYaml('"names":\n  \'0\': cat\n  "1": dog\n').names).toEqual(['cat', 'dog']);
+            expect(handler.parseDataYaml("'nc': 2\n").names).toEqual(['class_0', 'class_1']);
+        });
+
+        it('should skip comments but keep # inside names', () => {
+            const data = handler.parseDataYaml(
+                '# names: [wrong]\n' +
+                'names:  # class list\n' +
+                '  # 0: wrong\n' +
+                '  0: cat#1  # first\n' +
+                "  1: '# dog'\n"
+            );
+
+            expect(data.names).toEqual(['cat#1', '# dog']);
+        });
+
+        it('should read names as a block or flow list', () => {
+            expect(handler.parseDataYaml('names:\n- cat\n- dog\n').names).toEqual(['cat', 'dog']);
+            expect(handler.parseDataYaml("names: ['cat', \"dog\"]\n").names).toEqual(['cat', 'dog']);
+        });
+
+        it('should read multi-line flow maps and fill missing IDs', () => {
+            const data = handler.parseDataYaml('names: {0: cat,\n  2: dog}\n');
+            expect(data.names).toEqual(['cat', 'class_1', 'dog']);
+        });
+
+        it('should fall back to nc when names are missing', () => {
+            expect(handler.parseDataYaml('nc: 3\n').names).toEqual(['class_0', 'class_1', 'class_2']);
+        });
+
+        it('should update names and nc in the existing style', () => {
+            const updated = handler.updateDataYaml(dataYaml, ['cat', 'hot dog', 'true']);
+
+            expect(updated).toBe(dataYaml
+                .replace('nc: 2', 'nc: 3')
+                .replace("  1: 'hot dog'\n", "  1: 'hot dog'\n  2: 'true'\n"));
+        });
+
+        it('should update flow and block lists', () => {
+            expect(handler.updateDataYaml('names: [cat]\nnc: 1\n', ['cat', 'dog']))
+                .toBe('names: [cat, dog]\nnc: 2\n');
+            expect(handler.updateDataYaml('names:\n- cat\ntrain: a\n', ['cat', 'dog']))
+                .toBe('names:\n- cat\n- dog\ntrain: a\n');
+        });
+
+        it('should add names to a data.yaml without them', () => {
+            expect(handler.updateDataYaml('train: images\n', ['cat']))
+                .toBe('train: images\nnames:\n  0: cat\n');
+        });
+
+        it('should prefer data.yaml over classes.txt', async () => {
+            const fileManager = createFileManager({ 'data.yaml': dataYaml, 'classes.txt': 'a\nb\n' });
+
+            const { classes } = await handler.load(fileManager, images);
+
+            expect(classes).toEqual(['cat', 'hot dog']);
+        });
+
+        it('should update data.yaml instead of writing classes.txt', async () => {
+            const fileManager = createFileManager({ 'data.yaml': dataYaml });
+            const { classes } = await handler.load(fileManager, images);
+
+            await handler.save(fileManager, images[0], [], classes);
+            expect(fileManager.files['data.yaml']).toBe(dataYaml);
+
+            classes.push('bird');
+            await handler.save(fileManager, images[0], [], classes);
+
+            expect(handler.parseDataYaml(fileManager.files['data.yaml']).names).toEqual(['cat', 'hot dog', 'bird']);
+            expect(fileManager.files['classes.txt']).toBeUndefined();
+        });
+    });
+
     describe('YOLO Text Parsing', () => {
         it('should parse YOLO annotation text correctly', () => {
             handler.setClasses(['person', 'car', 'dog']);
@@ -150,6 +328,14 @@ describe('YOLOHandler', () => {
             expect(boxes[1].height).toBe(160);
         });
 
+        it('should read a sixth column as the confidence of a prediction', () => {
+            const boxes = handler.parse('0 0.5 0.5 0.3 0.4 0.75\n1 0.25 0.25 0.15 0.2\n', 1000, 800);
+
+            expect(boxes[0].score).toBe(0.75);
+            expect(boxes[0].width).toBe(300);
+            expect(boxes[1].score).toBeUndefined();
+        });
+
         it('should handle empty content', () => {
             const boxes = handler.parse('', 1000, 800);
             expect(boxes).toEqual([]);
@@ -213,6 +399,171 @@ describe('YOLOHandler', () => {
         });
     });
 
+    describe('Oriented Bounding Boxes', () => {
+        it('should parse an axis-aligned OBB line into a box with zero angle', () => {
+            const content = '0 0.1 0.2 0.4 0.2 0.4 0.6 0.1 0.6\n';
+
+            const boxes = handler.parse(content, 1000, 500);
+
+            expect(boxes).toHaveLength(1);
+            expect(boxes[0].classId).toBe(0);
+            expect(boxes[0].x).toBeCloseTo(100, 5);
+            expect(boxes[0].y).toBeCloseTo(100, 5);
+            expect(boxes[0].width).toBeCloseTo(300, 5);
+            expect(boxes[0].height).toBeCloseTo(200, 5);
+            expect(boxes[0].angle).toBeCloseTo(0, 5);
+        });
+
+        it('should parse a rotated OBB line', () => {
+            // 100 x 50 box centered at (500, 500), rotated 90 degrees clockwise
+            const content = '2 0.525 0.45 0.525 0.55 0.475 0.55 0.475 0.45\n';
+
+            const boxes = handler.parse(content, 1000, 1000);
+
+            expect(boxes[0].classId).toBe(2);
+            expect(boxes[0].width).toBeCloseTo(100, 5);
+            expect(boxes[0].height).toBeCloseTo(50, 5);
+            expect(boxes[0].x + boxes[0].width / 2).toBeCloseTo(500, 5);
+            expect(boxes[0].y + boxes[0].height / 2).toBeCloseTo(500, 5);
+            expect(boxes[0].angle).toBeCloseTo(Math.PI / 2, 5);
+        });
+
+        it('should read OBB lines as rotated boxes when parsed alone', () => {
+            const [box] = handler.parse('0 0.1 0.2 0.4 0.2 0.4 0.6 0.1 0.6\n', 100, 100);
+
+            expect(box.shape).toBeUndefined();
+            expect(box.angle).toBeDefined();
+            expect(handler.hasOrientedBoxes()).toBe(false);
+        });
+
+        it('should read 4-point lines as polygons for the segment task', () => {
+            const [box] = handler.parse('0 0.1 0.2 0.4 0.2 0.4 0.6 0.1 0.6\n', 100, 100, 'segment');
+
+            expect(box.shape).toBe('polygon');
+            expect(box.points).toHaveLength(4);
+        });
+
+        it('should not enable OBB mode for regular labels', () => {
+            handler.parse('0 0.5 0.5 0.3 0.4\n', 100, 100);
+            expect(handler.hasOrientedBoxes()).toBe(false);
+        });
+
+        it('should write all boxes as corner points in OBB mode', () => {
+            handler.task = 'obb';
+
+            const content = handler.stringify([
+                { classId: 1, x: 100, y: 100, width: 300, height: 200 }
+            ], 1000, 500);
+
+            expect(content).toBe('1 0.100000 0.200000 0.400000 0.200000 0.400000 0.600000 0.100000 0.600000\n');
+        });
+
+        it('should write rotated boxes as corner points', () => {
+            const content = handler.stringify([
+                { classId: 0, x: 450, y: 475, width: 100, height: 50, angle: Math.PI / 2 }
+            ], 1000, 1000);
+
+            expect(content.trim().split(' ')).toHaveLength(9);
+        });
+
+        it('should round-trip rotated boxes', () => {
+            const original = { classId: 3, x: 200, y: 150, width: 120, height: 60, angle: 0.5 };
+
+            const content = handler.stringify([original], 640, 480);
+            const [parsed] = handler.parse(content, 640, 480);
+
+            expect(parsed.classId).toBe(3);
+            expect(parsed.x).toBeCloseTo(original.x, 2);
+            expect(parsed.y).toBeCloseTo(original.y, 2);
+            expect(parsed.width).toBeCloseTo(original.width, 2);
+            expect(parsed.height).toBeCloseTo(original.height, 2);
+            expect(parsed.angle).toBeCloseTo(original.angle, 4);
+        });
+    });
+
+    describe('Segmentation Polygons', () => {
+        it('should parse a polygon line into a polygon shape', () => {
+            const content = '1 0.1 0.1 0.5 0.1 0.5 0.4 0.3 0.6 0.1 0.4\n';
+
+            const boxes = handler.parse(content, 1000, 500);
+
+            expect(boxes).toHaveLength(1);
+            expect(boxes[0].classId).toBe(1);
+            expect(boxes[0].shape).toBe('polygon');
+            expect(boxes[0].points).toHaveLength(5);
+            expect(boxes[0].points[3].x).toBeCloseTo(300, 5);
+            expect(boxes[0].points[3].y).toBeCloseTo(300, 5);
+        });
+
+        it('should set the bounding box of a polygon', () => {
+            const content = '0 0.1 0.1 0.5 0.1 0.5 0.4 0.3 0.6 0.1 0.4\n';
+
+            const [box] = handler.parse(content, 1000, 500);
+
+            expect(box.x).toBeCloseTo(100, 5);
+            expect(box.y).toBeCloseTo(50, 5);
+            expect(box.width).toBeCloseTo(400, 5);
+            expect(box.height).toBeCloseTo(250, 5);
+        });
+
+        it('should detect the task from column counts', () => {
+            expect(handler.detectTask('0 0.5 0.5 0.2 0.2\n')).toBe('detect');
+            expect(handler.detectTask('0 0.1 0.1 0.2 0.1 0.2 0.2 0.1 0.2\n')).toBe('obb');
+            expect(handler.detectTask('0 0.1 0.1 0.2 0.1 0.2 0.2\n')).toBe('segment');
+            expect(handler.detectTask('0 0.1 0.1 0.2 0.1 0.2 0.2 0.1 0.2\n0 0.1 0.1 0.2 0.1 0.2 0.2\n')).toBe('segment');
+        });
+
+        it('should read 4-point lines as polygons in a segment dataset', () => {
+            const content = '0 0.1 0.1 0.2 0.1 0.2 0.2\n1 0.1 0.1 0.2 0.1 0.2 0.2 0.1 0.2\n';
+
+            const boxes = handler.parse(content, 100, 100);
+
+            expect(boxes[1].shape).toBe('polygon');
+            expect(boxes[1].points).toHaveLength(4);
+            expect(boxes[1].angle).toBeUndefined();
+        });
+
+        it('should still read 6-column lines as boxes', () => {
+            const boxes = handler.parse('0 0.5 0.5 0.2 0.4 0.87\n', 100, 100);
+
+            expect(boxes).toHaveLength(1);
+            expect(boxes[0].shape).toBeUndefined();
+            expect(boxes[0].width).toBeCloseTo(20, 5);
+        });
+
+        it('should skip polygon lines with an incomplete point', () => {
+            const boxes = handler.parse('0 0.1 0.1 0.2 0.1 0.2 0.2 0.3\n', 100, 100);
+            expect(boxes).toEqual([]);
+        });
+
+        it('should write polygons as segment lines', () => {
+            const content = handler.stringify([
+                { classId: 2, shape: 'polygon', points: [{ x: 10, y: 20 }, { x: 50, y: 20 }, { x: 30, y: 80 }] }
+            ], 100, 100);
+
+            expect(content).toBe('2 0.100000 0.200000 0.500000 0.200000 0.300000 0.800000\n');
+        });
+
+        it('should write plain boxes as rectangles in a segment dataset', () => {
+            handler.task = 'segment';
+
+            const content = handler.stringify([
+                { classId: 0, x: 10, y: 20, width: 30, height: 40 }
+            ], 100, 100);
+
+            expect(content).toBe('0 0.100000 0.200000 0.400000 0.200000 0.400000 0.600000 0.100000 0.600000\n');
+        });
+
+        it('should round-trip polygons', () => {
+            const content = '0 0.1 0.1 0.5 0.1 0.5 0.4 0.3 0.6 0.1 0.4\n';
+            const boxes = handler.parse(content, 640, 480);
+
+            const output = handler.stringify(boxes, 640, 480);
+
+            expect(output).toBe('0 0.100000 0.100000 0.500000 0.100000 0.500000 0.400000 0.300000 0.600000 0.100000 0.400000\n');
+        });
+    });
+
     describe('Real YOLO File Integration', () => {
         it('should parse fixed composition with exact labels and counts', () => {
             const classesPath = join(process.cwd(), 'datasets/yolo/classes.txt');
@@ -277,4 +628,180 @@ describe('YOLOHandler', () => {
             });
         });
     });
+
+    describe('Pose Keypoints', () => {
+        const images = [
+            { id: 'img_1', fileName: 'image1.jpg', filePath: 'image1.jpg', width: 100, height: 200 }
+        ];
+
+        it('should read kpt_shape from data.yaml', () => {
+            expect(handler.parseDataYaml('kpt_shape: [17, 3]  # keypoints, dims\n').kptShape).toEqual([17, 3]);
+            expect(handler.parseDataYaml('kpt_shape: [4, 5]\n').kptShape).toBeNull();
+            expect(handler.parseDataYaml('names: [a]\n').kptShape).toBeNull();
+        });
+
+        it('should load pose labels with visibility', async () => {
+            const fileManager = createFileManager({
+                'data.yaml': 'names: [hand]\nkpt_shape: [2, 3]\n',
+                'image1.txt': '0 0.5 0.5 0.2 0.1 0.4 0.25 2 0 0 0\n'
+            });
+
+            const { boxes, classes, skeletons } = await handler.load(fileManager, images);
+            const [box] = boxes.get('img_1');
+
+            expect(handler.getTask()).toBe('pose');
+            expect(classes).toEqual(['hand']);
+            expect(skeletons).toEqual([{ keypoints: ['kp1', 'kp2'], skeleton: [] }]);
+            expect(box.shape).toBe('keypoints');
+            expect(box.x).toBeCloseTo(40);
+            expect(box.height).toBeCloseTo(20);
+            expect(box.keypoints[0]).toMatchObject({ v: 2 });
+            expect(box.keypoints[0].x).toBeCloseTo(40);
+            expect(box.keypoints[0].y).toBeCloseTo(50);
+            expect(box.keypoints[1]).toEqual({ x: 0, y: 0, v: 0 });
+        });
+
+        it('should treat 2-value keypoints at the origin as unlabeled', () => {
+            handler.kptShape = [2, 2];
+            const [box] = handler.parse('0 0.5 0.5 0.2 0.2 0.1 0.1 0 0', 100, 100, 'pose');
+
+            expect(box.keypoints.map(point => point.v)).toEqual([2, 0]);
+        });
+
+        it('should name 17 keypoints like the COCO person', async () => {
+            const fileManager = createFileManager({ 'data.yaml': 'names: [person]\nkpt_shape: [17, 3]\n' });
+
+            const { skeletons } = await handler.load(fileManager, images);
+
+            expect(skeletons[0].keypoints[0]).toBe('nose');
+            expect(skeletons[0].skeleton).toHaveLength(19);
+        });
+
+        it('should write every box with the full keypoint list', () => {
+            handler.kptShape = [2, 3];
+            handler.task = 'pose';
+
+            const content = handler.stringify([
+                { classId: 0, x: 40, y: 90, width: 20, height: 20, shape: 'keypoints', keypoints: [{ x: 50, y: 100, v: 1 }] },
+                { classId: 1, x: 0, y: 0, width: 100, height: 200 }
+            ], 100, 200);
+
+            expect(content).toBe(
+                '0 0.500000 0.500000 0.200000 0.100000 0.500000 0.500000 1 0 0 0\n' +
+                '1 0.500000 0.500000 1.000000 1.000000 0 0 0 0 0 0\n'
+            );
+        });
+
+        it('should switch to pose labels and write kpt_shape when a skeleton is added', async () => {
+            const fileManager = createFileManager({ 'data.yaml': 'names: [hand]\n' });
+            const { classes } = await handler.load(fileManager, images);
+
+            handler.setSkeletons([{ keypoints: ['a', 'b', 'c'], skeleton: [] }]);
+            await handler.save(fileManager, images[0], [], classes);
+
+            expect(handler.getTask()).toBe('pose');
+            expect(fileManager.files['data.yaml']).toBe('names: [hand]\nkpt_shape: [3, 3]\n');
+        });
+
+        it('should create data.yaml for pose labels', async () => {
+            const fileManager = createFileManager({});
+            await handler.load(fileManager, images);
+
+            handler.setSkeletons([{ keypoints: ['a'], skeleton: [] }]);
+            await handler.save(fileManager, images[0], [], ['hand']);
+
+            expect(fileManager.files['data.yaml']).toBe('names:\n  0: hand\nkpt_shape: [1, 3]\n');
+            expect(fileManager.files['classes.txt']).toBeUndefined();
+        });
+
+        it('should pad or cut pose lines that have the wrong number of keypoints', () => {
+            handler.kptShape = [2, 3];
+            const boxes = handler.parse(
+                '0 0.5 0.5 0.2 0.2 0.1 0.1 2\n' +
+                '0 0.5 0.5 0.2 0.2 0.1 0.1 2 0.2 0.2 1 0.3 0.3 2\n',
+                100, 100, 'pose'
+            );
+
+            expect(boxes).toHaveLength(2);
+            expect(boxes[0].keypoints.map(point => point.v)).toEqual([2, 0]);
+            expect(boxes[1].keypoints.map(point => point.v)).toEqual([2, 1]);
+        });
+
+        it('should refuse more keypoints than the labels on disk have', async () => {
+            const fileManager = createFileManager({
+                'data.yaml': 'names: [hand]\nkpt_shape: [2, 3]\n',
+                'image1.txt': '0 0.5 0.5 0.2 0.1 0.4 0.25 2 0 0 0\n'
+            });
+            await handler.load(fileManager, images);
+
+            expect(() => handler.setSkeletons([{ keypoints: ['a', 'b', 'c'], skeleton: [] }]))
+                .toThrow('have 2 keypoints per object');
+            expect(handler.kptShape).toEqual([2, 3]);
+
+            handler.setSkeletons([{ keypoints: ['a'], skeleton: [] }]);
+            handler.setSkeletons([null]);
+            expect(handler.kptShape).toEqual([2, 3]);
+            expect(handler.getTask()).toBe('pose');
+        });
+
+        it('should refuse keypoints in a dataset that has segment labels', async () => {
+            const fileManager = createFileManager({ 'image1.txt': '0 0.1 0.1 0.9 0.1 0.5 0.9\n' });
+            await handler.load(fileManager, images);
+
+            expect(() => handler.setSkeletons([{ keypoints: ['a'], skeleton: [] }]))
+                .toThrow('already has segment labels');
+            expect(handler.getTask()).toBe('segment');
+        });
+
+        it('should fix kpt_shape once the first pose labels are saved', async () => {
+            const fileManager = createFileManager({});
+            await handler.load(fileManager, images);
+            handler.setSkeletons([{ keypoints: ['a', 'b'], skeleton: [] }]);
+
+            await handler.save(fileManager, images[0], [{ classId: 0, x: 0, y: 0, width: 10, height: 10 }], ['hand']);
+
+            expect(() => handler.setSkeletons([{ keypoints: ['a', 'b', 'c'], skeleton: [] }])).toThrow();
+        });
+
+        it('should write flip_idx for left and right keypoints', async () => {
+            const fileManager = createFileManager({ 'data.yaml': 'names: [face]\nflip_idx: [0, 1, 2, 3]\n' });
+            await handler.load(fileManager, images);
+
+            handler.setSkeletons([{ keypoints: ['nose', 'left_eye', 'right_eye'], skeleton: [] }]);
+            await handler.save(fileManager, images[0], [], ['face']);
+
+            expect(fileManager.files['data.yaml']).toBe('names: [face]\nflip_idx: [0, 2, 1]\nkpt_shape: [3, 3]\n');
+        });
+
+        it('should report polygons and rotation as lost in pose datasets', () => {
+            handler.setSkeletons([{ keypoints: ['a'], skeleton: [] }]);
+
+            const losses = handler.getExportLosses([
+                { classId: 0, shape: 'polygon', points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }] },
+                { classId: 0, x: 0, y: 0, width: 1, height: 1, angle: 0.5 }
+            ]);
+
+            expect(losses).toEqual(['1 polygon(s) saved as bounding boxes', '1 rotated box(es) saved without rotation']);
+        });
+    });
+
+    describe('Export Losses', () => {
+        it('should keep polygons and rotation but drop attributes', () => {
+            const losses = handler.getExportLosses([
+                { classId: 0, shape: 'polygon', points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }] },
+                { classId: 0, x: 0, y: 0, width: 1, height: 1, angle: 0.5 },
+                { classId: 0, x: 0, y: 0, width: 1, height: 1, attributes: { difficult: 1 } }
+            ]);
+
+            expect(losses).toEqual(['Attribute "difficult" dropped from 1 box(es)']);
+        });
+
+        it('should keep keypoints', () => {
+            const losses = handler.getExportLosses([
+                { classId: 0, x: 0, y: 0, width: 1, height: 1, shape: 'keypoints', keypoints: [{ x: 0, y: 0, v: 2 }] }
+            ]);
+
+            expect(losses).toEqual([]);
+        });
+    });
 });
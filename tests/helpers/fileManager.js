@@ -0,0 +1,45 @@
+/**
+ * fileManager.js
+ * In-memory stand-in for FileManager, used by the handler tests
+ */
+
+/**
+ * Create a file manager over an object of files
+ * @param {Object} files - Relative path -> text content
+ * @param {Object} options - {previewLength}: characters readTextFilePreview returns (all by default)
+ * @returns {Object} File manager; written files are kept in its `files`
+ */
+export function createFileManager(files = {}, options = {}) {
+    return {
+        files,
+        async readTextFile(path) {
+            return this.files[path] || null;
+        },
+        async readTextFilePreview(path) {
+            const text = this.files[path];
+            if (!text) return null;
+
+            const length = options.previewLength || text.length;
+            return { text: text.substring(0, length), complete: text.length <= length };
+        },
+        async writeTextFile(path, content) {
+            this.files[path] = content;
+        },
+        async writeTextChunks(path, parts) {
+            let content = '';
+            for await (const part of parts) {
+                content += part;
+            }
+            this.files[path] = content;
+        },
+        async fileExists(path) {
+            return path in this.files;
+        },
+        async listFiles(directory) {
+            const prefix = directory ? `${directory}/` : '';
+            return Object.keys(this.files)
+                .filter(path => path.startsWith(prefix) && !path.substring(prefix.length).includes('/'))
+                .sort();
+        }
+    };
+}